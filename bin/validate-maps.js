@@ -0,0 +1,46 @@
+/* eslint-env node */
+
+/**
+ * @fileoverview Executable file to check every configured map config file
+ * for mistakes.
+ */
+
+import 'dotenv/config'
+
+import fs from 'fs/promises'
+import path from 'path'
+
+import constants from '../lib/constants.js'
+import ServerConfig from '../lib/utils/server-config.js'
+import { validateMap } from '../lib/game/map-validation.js'
+
+;(async () => {
+  const config = new ServerConfig({
+    config: process.env,
+    fallbacks: constants.FALLBACKS
+  })
+  let invalid = 0
+
+  for (const file of config.GAME_CONFS) {
+    let problems = []
+    try {
+      problems = validateMap(await fs.readFile(
+        path.join(config.GAME_CONF_BASE_DIR, file), { encoding: 'utf-8' }
+      ))
+    } catch (ex) {
+      problems = [{ path: '$', message: `could not be read: ${ex.message}` }]
+    }
+
+    if (problems.length < 1) {
+      console.log(`${file}: OK`)
+      continue
+    }
+
+    invalid++
+    console.error(`${file}: ${problems.length} problem(s)`)
+    problems.forEach(p => console.error(`  ${p.path}: ${p.message}`))
+  }
+
+  console.log(`Checked ${config.GAME_CONFS.length} map(s), ${invalid} invalid.`)
+  process.exitCode = invalid > 0 ? 1 : 0
+})()
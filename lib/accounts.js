@@ -0,0 +1,314 @@
+/* eslint-env node */
+/**
+ * @fileoverview Functions and classes for registered player accounts.
+ */
+
+import util from 'util'
+import crypto from 'crypto'
+import fs from 'fs/promises'
+
+import Joi from 'joi'
+
+import TimedStore from './timed-store.js'
+
+const scrypt = util.promisify(crypto.scrypt)
+const randomBytes = util.promisify(crypto.randomBytes)
+
+const SALT_LENGTH = 16
+const KEY_LENGTH = 64
+const MAX_SESSIONS_PER_ACCOUNT = 5
+
+/**
+ * @typedef {Object} Account
+ * @prop {string} name The name of the player, as it was registered.
+ * @prop {string} passwordHash The password, hashed with ``hashPassword()``.
+ * @prop {number} createdAt When the account was registered.
+ *
+ * @typedef {Object} Credentials
+ * @prop {string} name
+ * @prop {string} password
+ *
+ * @typedef {Object} IAccountStore
+ * @prop {(name: string) => Promise<Account|null>} get Gets an account by its
+ * name. Names are not case-sensitive.
+ * @prop {(account: Account) => Promise<boolean>} add Adds an account, and
+ * returns false if an account with the same name already exists.
+ *
+ * @typedef {Object} AccountsOptions
+ * @prop {IAccountStore} store Where to store the accounts.
+ * @prop {number} sessionMaxAge How long (in milliseconds) players stay logged
+ * in for.
+ */
+
+/**
+ * Returns the key that an account is stored under. Names differing only by
+ * case belong to the same account, so that they couldn't be used to
+ * impersonate each other.
+ * @param {string} name The name of the player.
+ * @returns {string}
+ */
+function keyOf (name) {
+  return name.toLowerCase()
+}
+
+/**
+ * Validates the credentials that were sent by a client. Throws a TypeError if
+ * the credentials are malformed.
+ * @param {any} raw The credentials that the client sent.
+ * @returns {Credentials}
+ */
+export function parseCredentials (raw) {
+  const schema = Joi.object({
+    name: Joi.string().trim().min(1).max(32).required(),
+    password: Joi.string().min(8).max(256).required()
+  })
+  const { value, error } = schema.validate(raw)
+
+  if (error) {
+    throw new TypeError(`Invalid credentials: ${error.message}`)
+  }
+
+  return value
+}
+
+/**
+ * Hashes a password with scrypt and a random salt. The returned string holds
+ * the salt as well as the hash.
+ * @param {string} password The password to hash.
+ * @returns {Promise<string>}
+ */
+export async function hashPassword (password) {
+  const salt = await randomBytes(SALT_LENGTH)
+  const hash = await scrypt(password, salt, KEY_LENGTH)
+
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`
+}
+
+/**
+ * Returns true if the password matches a hash from ``hashPassword()``.
+ * @param {string} password The password to check.
+ * @param {string} passwordHash The hash to check the password against.
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword (password, passwordHash) {
+  const [algorithm, salt, hash] = passwordHash.split('$')
+  if (algorithm !== 'scrypt' || !salt || !hash) {
+    return false
+  }
+
+  const expected = Buffer.from(hash, 'hex')
+  const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length)
+
+  return crypto.timingSafeEqual(expected, actual)
+}
+
+/**
+ * FileAccountStore class.
+ *
+ * Keeps all the accounts in memory, and saves them to a JSON file whenever an
+ * account is added.
+ */
+export class FileAccountStore {
+  /**
+   * Constructor for a FileAccountStore class.
+   * @param {string} file The path of the JSON file to store accounts in. The
+   * file is created if it doesn't exist.
+   */
+  constructor (file) {
+    this.file = file
+
+    /**
+     * @type {Map<string, Account>|null}
+     * @private
+     */
+    this._accounts = null
+    /**
+     * The promise that resolves once the file has been loaded.
+     * @type {Promise<Map<string, Account>>|null}
+     * @private
+     */
+    this._loading = null
+    /**
+     * The promise that resolves once the last write is done. Writes are done
+     * one at a time, so that they don't overwrite each other.
+     * @type {Promise<void>}
+     * @private
+     */
+    this._writing = Promise.resolve()
+  }
+
+  /**
+   * Loads the accounts from the file, if they haven't been loaded already.
+   * @returns {Promise<Map<string, Account>>}
+   * @private
+   */
+  _load () {
+    if (!this._loading) {
+      this._loading = fs.readFile(this.file, { encoding: 'utf-8' }).then(contents => {
+        return Object.values(JSON.parse(contents))
+      }, ex => {
+        if (ex.code === 'ENOENT') {
+          return []
+        }
+        throw ex
+      }).then(accounts => {
+        this._accounts = new Map(accounts.map(a => [keyOf(a.name), a]))
+        return this._accounts
+      })
+    }
+
+    return this._loading
+  }
+
+  /**
+   * Writes all the accounts to the file.
+   * @returns {Promise<void>}
+   * @private
+   */
+  _save () {
+    const contents = JSON.stringify(Object.fromEntries(this._accounts), null, 2)
+    const tmpFile = `${this.file}.tmp`
+
+    // Write to another file first, so that the file is never half-written.
+    this._writing = this._writing.catch(() => {}).then(async () => {
+      await fs.writeFile(tmpFile, contents, { encoding: 'utf-8', mode: 0o600 })
+      await fs.rename(tmpFile, this.file)
+    })
+
+    return this._writing
+  }
+
+  /**
+   * Gets an account by its name.
+   * @param {string} name The name of the player.
+   * @returns {Promise<Account|null>}
+   */
+  async get (name) {
+    const accounts = await this._load()
+    return accounts.get(keyOf(name)) ?? null
+  }
+
+  /**
+   * Adds an account, and returns false if an account with the same name
+   * already exists.
+   * @param {Account} account The account to add.
+   * @returns {Promise<boolean>}
+   */
+  async add (account) {
+    const accounts = await this._load()
+    if (accounts.has(keyOf(account.name))) {
+      return false
+    }
+
+    accounts.set(keyOf(account.name), account)
+    await this._save()
+    return true
+  }
+}
+
+/**
+ * Accounts class.
+ *
+ * Registers players, logs them in, and keeps track of which names are
+ * registered.
+ */
+export default class Accounts {
+  /**
+   * Constructor for an Accounts class.
+   * @param {AccountsOptions} opts Options.
+   */
+  constructor (opts) {
+    this.store = opts.store
+    /**
+     * A store of all the session tokens and the names of the players that
+     * they belong to.
+     */
+    this.sessions = new TimedStore({
+      maxAge: opts.sessionMaxAge,
+      maxItems: Infinity,
+      strict: true
+    })
+    /**
+     * A Map of account keys and the session tokens that were given to them,
+     * oldest first.
+     * @type {Map<string, Array<string>>}
+     * @private
+     */
+    this._accountSessions = new Map()
+  }
+
+  /**
+   * Adds a session for an account. Expired sessions are forgotten, and the
+   * oldest sessions are logged out once the account has too many.
+   * @param {string} key The key of the account.
+   * @param {string} token The session token.
+   * @private
+   */
+  _addSession (key, token) {
+    const tokens = (this._accountSessions.get(key) || []).filter(t => this.sessions.has(t))
+
+    tokens.push(token)
+    while (tokens.length > MAX_SESSIONS_PER_ACCOUNT) {
+      this.sessions.del(tokens.shift())
+    }
+
+    this.sessions.set(token, key)
+    this._accountSessions.set(key, tokens)
+  }
+
+  /**
+   * Registers a new account. Returns false if the name is already taken.
+   * @param {Credentials} credentials The name and password of the account.
+   * @returns {Promise<boolean>}
+   */
+  async register (credentials) {
+    if (await this.isRegistered(credentials.name)) {
+      return false
+    }
+
+    return this.store.add({
+      name: credentials.name,
+      passwordHash: await hashPassword(credentials.password),
+      createdAt: Date.now()
+    })
+  }
+
+  /**
+   * Logs a player in. Returns a session token if the name and password are
+   * correct, and null otherwise. Each account could have up to
+   * ``MAX_SESSIONS_PER_ACCOUNT`` sessions, and logging in again logs out of the
+   * oldest one.
+   * @param {Credentials} credentials The name and password of the account.
+   * @returns {Promise<string|null>}
+   */
+  async login (credentials) {
+    const account = await this.store.get(credentials.name)
+    if (!account || !(await verifyPassword(credentials.password, account.passwordHash))) {
+      return null
+    }
+
+    const token = (await randomBytes(24)).toString('hex')
+    this._addSession(keyOf(account.name), token)
+    return token
+  }
+
+  /**
+   * Returns true if the name belongs to a registered account.
+   * @param {string} name The name of the player.
+   * @returns {Promise<boolean>}
+   */
+  async isRegistered (name) {
+    return (await this.store.get(name)) !== null
+  }
+
+  /**
+   * Returns true if the session token belongs to the player with the
+   * specified name.
+   * @param {string|null} token The session token.
+   * @param {string} name The name of the player.
+   * @returns {boolean}
+   */
+  owns (token, name) {
+    return !!token && this.sessions.get(token) === keyOf(name)
+  }
+}
@@ -32,16 +32,35 @@ export default deepFreeze({
     MAX_GAMES: 3,
     PLAYER_SPEED: 0.9,
     STARTING_GAME_NUM: 3,
+    IDLE_GAME_TIMEOUT: 300000,
     UPDATE_LOOP_FREQUENCY: 10,
+    TICK_RATE: 20,
+    VIEW_RADIUS: 1000,
+    MAX_QUEUED_INPUTS: 30,
+    CLIENT_ACTION_RATE_LIMIT: 60,
+    RECONNECT_GRACE_PERIOD: 30000,
+    CHAT_RATE_LIMIT: 2,
+    CHAT_MAX_LENGTH: 200,
+    CHAT_HISTORY_SIZE: 20,
     GAME_CONF_BASE_DIR: path.join(DIRNAME, 'game/data'),
     GAME_CONFS: fs.readdirSync(path.join(DIRNAME, 'game/data')),
+    MAP_ROTATION: 'random',
+    MAP_WEIGHTS: {},
+    MAP_PLAYLIST: [],
+    WATCH_GAME_CONFS: true,
+    REPLAY_DIR: '',
     GAME_AUTH_SECRET: '11dev-game-auth-secret$$',
+    GAME_AUTH_ACCEPTED_SECRETS: [],
     AUTH_STORE_MAX_ENTRIES: 10000,
-    AUTH_STORE_MAX_ENTRY_AGE: 6000
+    AUTH_STORE_MAX_ENTRY_AGE: 6000,
+    ACCOUNTS_FILE: '',
+    ACCOUNT_SESSION_MAX_AGE: 86400000,
+    LOGIN_RATE_LIMIT: 10
   },
   APP_OPTS: {
-    IMPLEMENTED_METHODS: ['GET', 'HEAD', 'OPTIONS'],
-    ALLOWED_METHODS: ['GET', 'HEAD', 'OPTIONS']
+    IMPLEMENTED_METHODS: ['GET', 'HEAD', 'OPTIONS', 'POST'],
+    ALLOWED_METHODS: ['GET', 'HEAD', 'OPTIONS', 'POST'],
+    MAX_BODY_LENGTH: 1024
   },
   COMMUNICATIONS: {
     CONN_UPDATE: 'update',
@@ -49,6 +68,29 @@ export default deepFreeze({
     CONN_READY: 'ready',
     CONN_READY_ACK: 'ready-ack',
     CONN_DISCONNECT: 'disconnect',
-    CONN_CLIENT_ACTION: 'client-action'
+    CONN_CLIENT_ACTION: 'client-action',
+    CONN_PHASE_CHANGE: 'phase-change',
+    CONN_UPDATE_ACK: 'update-ack',
+    CONN_REQUEST_KEYFRAME: 'request-keyframe',
+    CONN_REMOVE_UNIT: 'remove-unit',
+    CONN_REMOVE_BUILDING: 'remove-building',
+    CONN_TIME_SYNC: 'time-sync',
+    CONN_CHAT: 'chat',
+    CONN_CHAT_HISTORY: 'chat-history',
+    CONN_CHAT_REJECTED: 'chat-rejected',
+    CONN_MAP_CHANGE: 'map-change'
+  },
+  CLIENT_ACTIONS: {
+    INPUT: 'input',
+    UNIT_ORDER: 'unit-order',
+    PLACE_BUILDING: 'place-building'
+  },
+  CLOSE_CODES: {
+    TIMEOUT: 4004,
+    INVALID_ACTION: 4008,
+    NO_ROOM: 4009,
+    RECONNECT_FAILED: 4001,
+    REPLACED: 4002,
+    RATE_LIMITED: 4029
   }
 })
@@ -3,21 +3,26 @@
  * @fileoverview Controllers class for controlling the handling of routes.
  */
 
-import util from 'util'
-import crypto from 'crypto'
 // const debug = require('debug')('colonialwars:controllers')
 
+import TimedStore from '../timed-store.js'
+import { parseCredentials } from '../accounts.js'
+import { createGameAuth } from '../game-auth.js'
+import { createRateLimiter } from '../utils/utils.js'
 import { ErrorSender } from '../utils/server-utils.js'
 
-const randomBytes = util.promisify(crypto.randomBytes)
-
 /**
  * @typedef {InstanceType<import('../game/manager')>} ManagerInstance
  *
  * @typedef {Object} ControllersConfig
- * @prop {IStringDB} authDB
  * @prop {import('../logging/loggers')} loggers
- * @prop {string} gameAuthSecret
+ * @prop {string} gameAuthSecret The secret to sign game authorization with.
+ * @prop {number} gameAuthMaxAge How long (in milliseconds) game authorization
+ * is valid for.
+ * @prop {import('../accounts').default|null} [accounts] Registered player
+ * accounts. Players can't register or log in if this is not set.
+ * @prop {number} [loginRateLimit] How many times each IP address could try to
+ * log in per minute. Defaults to no limit.
  *
  * @typedef {Object} CapacityStats
  * @prop {number} maxClients
@@ -31,12 +36,6 @@ const randomBytes = util.promisify(crypto.randomBytes)
  * @typedef {Object} StatusReporter
  * @prop {() => CWServerStatus} getStatus
  *
- * @typedef {Object} IStringDB
- * @prop {(key: string) => Promise<string>} get
- * @prop {(key: string) => Promise<boolean>} del
- * @prop {(key: string) => Promise<boolean>} has
- * @prop {(key: string, val: string) => Promise<void>} set
- *
  * @callback RouteHandler
  * @param {import('http').IncomingMessage} req
  * @param {import('http').ServerResponse} res
@@ -58,14 +57,18 @@ export default class Controllers {
    */
   constructor (config) {
     const {
-      authDB,
       loggers,
-      gameAuthSecret
+      gameAuthSecret,
+      gameAuthMaxAge,
+      accounts,
+      loginRateLimit
     } = config
 
-    this.authDB = authDB
     this.loggers = loggers
     this.gameAuthSecret = gameAuthSecret
+    this.gameAuthMaxAge = gameAuthMaxAge
+    this.accounts = accounts || null
+    this.loginRateLimit = loginRateLimit ?? Infinity
   }
 
   /**
@@ -117,6 +120,9 @@ export default class Controllers {
             name: info.name,
             description: info.description,
             teams: game.getTeams(),
+            modeState: game.getModeState(),
+            players: game.getPlayerScores(),
+            spectators: game.getSpectators(),
             capacity: {
               max: game.maxPlayers,
               current: game.currentPlayers
@@ -134,7 +140,31 @@ export default class Controllers {
   }
 
   /**
-   * Returns a handler to hand out game authorization to clients.
+   * Returns a handler for the ``/round-results`` route.
+   * @param {InstanceType<import('../game/manager')>} manager The Game manager to
+   * obtain round results from.
+   * @returns {RouteHandler}
+   */
+  roundResults (manager) {
+    return function roundResults (_, res) {
+      const resData = JSON.stringify({
+        status: 'ok',
+        data: Array.from(manager.roundResults.values())
+      })
+
+      res.statusCode = 200
+      res.setHeader('Content-Type', 'application/json')
+      res.setHeader('Content-Length', Buffer.byteLength(resData))
+      res.write(resData)
+      res.end()
+    }
+  }
+
+  /**
+   * Returns a handler to hand out game authorization to clients. Players must
+   * choose a team to join, while spectators (``type=spectator``) only choose
+   * a game to watch. Registered names could only be used with a token from
+   * ``/accounts/login`` (``accounttoken``).
    * @param {InstanceType<import('../game/manager')>} manager The games manager.
    * @returns {AsyncRouteHandler}
    */
@@ -143,7 +173,6 @@ export default class Controllers {
 
     return async function gameAuth (req, res) {
       const reqID = req.id || 'unknown'
-      const db = self.authDB
       const errSender = new ErrorSender({ response: res })
       const serverLogger = self.loggers.get('Server-logger')
 
@@ -162,13 +191,30 @@ export default class Controllers {
        * @type {URLSearchParams}
        */
       const query = req.query
+      const type = query.get('type') || 'player'
+      const spectating = type === 'spectator'
       const data = {
         playerName: query.get('playername'),
-        playerTeam: query.get('playerteam'),
+        playerTeam: spectating ? null : query.get('playerteam'),
         playerGame: query.get('playergame')
       }
 
-      if (!Object.values(data).every(val => !!val)) {
+      if (type !== 'player' && !spectating) {
+        const logMsg = [
+          `Request [${reqID}]: requested game auth of unknown type ${type}.`
+        ].join('')
+
+        errSender.sendErrorAndLog(
+          'Unknown authorization type.', serverLogger,
+          { logMsg, status: 400 }
+        )
+        return
+      }
+      const required = spectating
+        ? [data.playerName, data.playerGame]
+        : Object.values(data)
+
+      if (!required.every(val => !!val)) {
         const logMsg = [
           `Request [${reqID}]: missing fields in query for`,
           ' /game-auth/get.'
@@ -180,10 +226,25 @@ export default class Controllers {
         )
         return
       }
-      if (await db.has(data.playerName) || manager.playerExists(data.playerName)) {
+      if (
+        self.accounts && await self.accounts.isRegistered(data.playerName) &&
+        !self.accounts.owns(query.get('accounttoken'), data.playerName)
+      ) {
         const logMsg = [
           `Request [${reqID}]: requested authorization for ${data.playerName}`,
-          ', who had already requested authorization.'
+          ', which is registered to another account.'
+        ].join('')
+
+        errSender.sendErrorAndLog(
+          'Player name is registered.', serverLogger,
+          { logMsg, status: 403 }
+        )
+        return
+      }
+      if (manager.playerExists(data.playerName)) {
+        const logMsg = [
+          `Request [${reqID}]: requested authorization for ${data.playerName}`,
+          ', who is already playing.'
         ].join('')
 
         errSender.sendErrorAndLog(
@@ -206,7 +267,8 @@ export default class Controllers {
         )
         return
       }
-      if (game.currentPlayers === game.maxPlayers) {
+      // Spectators don't join a team, so they could watch full games.
+      if (!spectating && game.currentPlayers === game.maxPlayers) {
         const logMsg = [
           `Request [${reqID}]: tried to join game "game-${data.playerGame}"`,
           ', which was full'
@@ -218,7 +280,7 @@ export default class Controllers {
         )
         return
       }
-      if (!game.hasTeam(data.playerTeam)) {
+      if (!spectating && !game.hasTeam(data.playerTeam)) {
         const logMsg = [
           `Request [${reqID}]: tried to join game "game-${data.playerGame}" `,
           `with non-existent team ${data.playerTeam}`
@@ -230,7 +292,7 @@ export default class Controllers {
         )
         return
       }
-      if (game.teamFull(data.playerTeam)) {
+      if (!spectating && game.teamFull(data.playerTeam)) {
         const logMsg = [
           `Request [${reqID}]: tried to join game "game-${data.playerGame}" `,
           `on team ${data.playerTeam}, which was full`
@@ -243,29 +305,152 @@ export default class Controllers {
         return
       }
 
-      /**
-       * CONSIDER: Doing crypto stuff in the libuv threadpool?
-       * (04/23/2022) Take-Some-Bytes */
-      const random = (await randomBytes(16)).toString('hex')
-      const hmac = crypto.createHmac('sha256', self.gameAuthSecret)
-        .update(JSON.stringify(data))
-        .update('.')
-        .update(random)
-        .digest()
-        .toString('hex')
+      const auth = createGameAuth({
+        type,
+        name: data.playerName,
+        team: data.playerTeam,
+        game: data.playerGame
+      }, self.gameAuthSecret, self.gameAuthMaxAge)
       const json = JSON.stringify({
         status: 'ok',
         data: {
-          auth: hmac
+          auth
         }
       })
 
-      await db.set(data.playerName, JSON.stringify({
-        auth: hmac,
-        name: data.playerName,
-        team: data.playerTeam,
-        game: data.playerGame
-      }))
+      res.statusCode = 200
+      res.setHeader('Content-Type', 'application/json')
+      res.setHeader('Content-Length', Buffer.byteLength(json))
+      res.write(json)
+      res.end()
+    }
+  }
+
+  /**
+   * Returns a handler for the ``/accounts/register`` route, which registers a
+   * new player account. The request body must be parsed first.
+   * @returns {AsyncRouteHandler}
+   */
+  register () {
+    const self = this
+
+    return async function register (req, res) {
+      const reqID = req.id || 'unknown'
+      const errSender = new ErrorSender({ response: res })
+      const serverLogger = self.loggers.get('Server-logger')
+      let credentials = null
+
+      try {
+        credentials = parseCredentials(req.body)
+      } catch (ex) {
+        const logMsg = [
+          `Request [${reqID}]: tried to register with invalid credentials.`
+        ].join('')
+
+        errSender.sendErrorAndLog(
+          ex.message, serverLogger,
+          { logMsg, status: 400 }
+        )
+        return
+      }
+      if (!(await self.accounts.register(credentials))) {
+        const logMsg = [
+          `Request [${reqID}]: tried to register ${credentials.name}`,
+          ', which is already registered.'
+        ].join('')
+
+        errSender.sendErrorAndLog(
+          'Player name is registered.', serverLogger,
+          { logMsg, status: 409 }
+        )
+        return
+      }
+
+      const json = JSON.stringify({
+        status: 'ok',
+        data: {
+          name: credentials.name
+        }
+      })
+
+      res.statusCode = 201
+      res.setHeader('Content-Type', 'application/json')
+      res.setHeader('Content-Length', Buffer.byteLength(json))
+      res.write(json)
+      res.end()
+    }
+  }
+
+  /**
+   * Returns a handler for the ``/accounts/login`` route, which gives players
+   * a token that lets them use their registered name in ``/game-auth/get``.
+   * The request body must be parsed first, and each IP address could only try
+   * to log in ``loginRateLimit`` times per minute.
+   * @returns {AsyncRouteHandler}
+   */
+  login () {
+    const self = this
+    // The rate limiters of IP addresses that haven't tried to log in for a
+    // minute are full again, so they could be forgotten.
+    const limiters = new TimedStore({ maxAge: 60000, maxItems: Infinity, strict: false })
+
+    return async function login (req, res) {
+      const reqID = req.id || 'unknown'
+      const errSender = new ErrorSender({ response: res })
+      const serverLogger = self.loggers.get('Server-logger')
+      const securityLogger = self.loggers.get('Security-logger')
+      const ip = req.ip || 'unknown'
+      let credentials = null
+
+      if (!limiters.has(ip)) {
+        limiters.set(ip, createRateLimiter(self.loginRateLimit, 60000))
+      }
+      if (!limiters.get(ip)()) {
+        const logMsg = [
+          `Request [${reqID}]: too many login attempts from ${ip}.`
+        ].join('')
+
+        errSender.sendErrorAndLog(
+          'Too many login attempts.', securityLogger,
+          { logMsg, status: 429 }
+        )
+        return
+      }
+
+      try {
+        credentials = parseCredentials(req.body)
+      } catch (ex) {
+        const logMsg = [
+          `Request [${reqID}]: tried to log in with invalid credentials.`
+        ].join('')
+
+        errSender.sendErrorAndLog(
+          ex.message, serverLogger,
+          { logMsg, status: 400 }
+        )
+        return
+      }
+
+      const token = await self.accounts.login(credentials)
+      if (!token) {
+        const logMsg = [
+          `Request [${reqID}]: failed to log in as ${credentials.name}.`
+        ].join('')
+
+        // Don't tell clients whether the account exists.
+        errSender.sendErrorAndLog(
+          'Wrong name or password.', securityLogger,
+          { logMsg, status: 401 }
+        )
+        return
+      }
+
+      const json = JSON.stringify({
+        status: 'ok',
+        data: {
+          token
+        }
+      })
 
       res.statusCode = 200
       res.setHeader('Content-Type', 'application/json')
@@ -97,6 +97,85 @@ export default class Middlewares {
     }
   }
 
+  /**
+   * Parses a JSON request body into ``req.body``.
+   * @param {number} maxLength The maximum size of the body, in bytes.
+   * @returns {import('router').NextHandler}
+   */
+  jsonBodyParser (maxLength) {
+    const self = this
+
+    return function parseJsonBody (req, res, next) {
+      const reqID = req.id || 'unknown'
+      const errSender = new ErrorSender({ response: res })
+      const serverLogger = self.loggers.get('Server-logger')
+      const contentType = String(req.headers['content-type'] || '')
+        .split(';')[0]
+        .trim()
+        .toLowerCase()
+      /** @type {Array<Buffer>} */
+      const chunks = []
+      let length = 0
+      let tooLarge = false
+
+      if (contentType !== 'application/json') {
+        const logMsg = [
+          `Request [${reqID}]: sent a body of type ${contentType || 'unknown'}.`
+        ].join('')
+
+        errSender.sendErrorAndLog(
+          'Request body must be JSON.', serverLogger,
+          { logMsg, status: 415 }
+        )
+        return
+      }
+
+      req.on('data', chunk => {
+        length += chunk.length
+        if (tooLarge) {
+          return
+        }
+        if (length <= maxLength) {
+          chunks.push(chunk)
+          return
+        }
+
+        // Keep reading the body, but throw it away.
+        const logMsg = [
+          `Request [${reqID}]: exceeded maximum body length of ${maxLength}.`
+        ].join('')
+
+        tooLarge = true
+        chunks.length = 0
+        errSender.sendErrorAndLog(
+          'Request body too large.', serverLogger,
+          { logMsg, status: 413 }
+        )
+      })
+      req.on('end', () => {
+        if (tooLarge) {
+          return
+        }
+
+        try {
+          req.body = JSON.parse(Buffer.concat(chunks).toString('utf-8'))
+        } catch (ex) {
+          const logMsg = [
+            `Request [${reqID}]: sent a body that is not valid JSON.`
+          ].join('')
+
+          errSender.sendErrorAndLog(
+            'Request body must be JSON.', serverLogger,
+            { logMsg, status: 400 }
+          )
+          return
+        }
+        next()
+      })
+      req.on('error', next)
+    }
+  }
+
   /**
    * Parses the ``"Forwarded"`` HTTP header, if it exists and is valid.
    * @returns {import('router').NextHandler}
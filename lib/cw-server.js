@@ -14,6 +14,7 @@ import constants from './constants.js'
 import Manager from './game/manager.js'
 import GameServer from './game-server.js'
 import TimedStore from './timed-store.js'
+import Accounts, { FileAccountStore } from './accounts.js'
 import Loggers from './logging/loggers.js'
 import Controllers from './controllers/controllers.js'
 import Middlewares from './controllers/middlewares.js'
@@ -120,13 +121,22 @@ export default class CWServer {
    */
   _initCommonHelpers () {
     debug('Initialized server utilities.')
+    // Game authorization tokens are only valid for AUTH_STORE_MAX_ENTRY_AGE
+    // milliseconds, so the IDs of used tokens don't need to be kept any longer.
     this.authStore = new TimedStore({
       maxItems: this.config.AUTH_STORE_MAX_ENTRIES,
       maxAge: this.config.AUTH_STORE_MAX_ENTRY_AGE,
       // We will NOT reset item age when we access an item.
       strict: true
     })
-    debug('Initialized WebSocket authorization storage.')
+    debug('Initialized WebSocket authorization replay storage.')
+    this.accounts = this.config.ACCOUNTS_FILE
+      ? new Accounts({
+        store: new FileAccountStore(this.config.ACCOUNTS_FILE),
+        sessionMaxAge: this.config.ACCOUNT_SESSION_MAX_AGE
+      })
+      : null
+    debug('Initialized player accounts.')
   }
 
   /**
@@ -138,7 +148,20 @@ export default class CWServer {
       loggers: this.loggers,
       maxGames: this.config.MAX_GAMES,
       startGames: this.config.STARTING_GAME_NUM,
+      idleGameTimeout: this.config.IDLE_GAME_TIMEOUT,
       updateLoopFrequency: this.config.UPDATE_LOOP_FREQUENCY,
+      tickRate: this.config.TICK_RATE,
+      viewRadius: this.config.VIEW_RADIUS,
+      maxQueuedInputs: this.config.MAX_QUEUED_INPUTS,
+      replayDir: this.config.REPLAY_DIR,
+      reconnectGracePeriod: this.config.RECONNECT_GRACE_PERIOD,
+      chatHistorySize: this.config.CHAT_HISTORY_SIZE,
+      chatMaxLength: this.config.CHAT_MAX_LENGTH,
+      mapRotation: {
+        strategy: this.config.MAP_ROTATION,
+        weights: this.config.MAP_WEIGHTS,
+        playlist: this.config.MAP_PLAYLIST
+      },
       dataFiles: {
         location: this.config.GAME_CONF_BASE_DIR,
         availableMaps: this.config.GAME_CONFS
@@ -164,7 +187,7 @@ export default class CWServer {
           }
         },
         methods: constants.APP_OPTS.ALLOWED_METHODS,
-        allowedHeaders: ['X-App-Version', 'X-Is-Trusted', 'X-Requested-With'],
+        allowedHeaders: ['Content-Type', 'X-App-Version', 'X-Is-Trusted', 'X-Requested-With'],
         exposedHeaders: [
           'Connection', 'Content-Security-Policy',
           'Date', 'Transfer-Encoding', 'Vary'
@@ -178,7 +201,9 @@ export default class CWServer {
     this.controllers = new Controllers({
       isProd: this.config.IS_PROD,
       gameAuthSecret: this.config.GAME_AUTH_SECRET,
-      authDB: this.authStore,
+      gameAuthMaxAge: this.config.AUTH_STORE_MAX_ENTRY_AGE,
+      accounts: this.accounts,
+      loginRateLimit: this.config.LOGIN_RATE_LIMIT,
       loggers: this.loggers
     })
     debug('Initialized application controllers.')
@@ -209,6 +234,12 @@ export default class CWServer {
       this.middlewares.acceptCheckpoint()
     )
     this.router.get('/game-auth/get', this.controllers.gameAuth(this.manager))
+    if (this.accounts) {
+      const parseBody = this.middlewares.jsonBodyParser(constants.APP_OPTS.MAX_BODY_LENGTH)
+
+      this.router.post('/accounts/register', parseBody, this.controllers.register())
+      this.router.post('/accounts/login', parseBody, this.controllers.login())
+    }
     this.router.get('/status-report', this.controllers.statusReport({
       getStatus: this._getStatus.bind(this)
     }))
@@ -216,6 +247,7 @@ export default class CWServer {
     // compatibility reasons.
     this.router.get('/games-info', this.controllers.gamesInfo(this.manager))
     this.router.get('/games-stats', this.controllers.gamesInfo(this.manager))
+    this.router.get('/round-results', this.controllers.roundResults(this.manager))
     // // Here, we need to handle all other unhandled routes.
     this.router.use(this.controllers.unhandled())
     // Lastly, we need to register all the error controllers.
@@ -262,6 +294,7 @@ export default class CWServer {
     this.gameServer = new GameServer({
       middlewares: this.middlewares,
       gamelogger: this.loggers.get('Games-logger'),
+      securitylogger: this.loggers.get('Security-logger'),
       authStore: this.authStore,
       manager: this.manager,
       config: this.config,
@@ -298,6 +331,10 @@ export default class CWServer {
         this.httpServer.on('error', errHandler)
         this.httpServer.listen(this.config.PORT, this.config.HOST, 20, () => {
           this.manager.startUpdateLoop()
+          if (this.config.WATCH_GAME_CONFS) {
+            this.manager.watchMaps()
+            this.httpServer.once('close', () => this.manager.unwatchMaps())
+          }
           this.httpServer.off('error', errHandler)
           resolve(true)
         })
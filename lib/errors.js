@@ -17,3 +17,25 @@ export class CorsError extends Error {
     this.code = 'ECORS'
   }
 }
+
+/**
+ * MapValidationError class.
+ */
+export class MapValidationError extends Error {
+  /**
+   * Constructor for a MapValidationError class.
+   * @param {string} file The name of the invalid map config file.
+   * @param {Array<import('./game/map-validation').MapProblem>} problems
+   * Everything that is wrong with the map config.
+   */
+  constructor (file, problems) {
+    super(
+      `Map ${file} is invalid:\n` +
+      problems.map(p => `  ${p.path}: ${p.message}`).join('\n')
+    )
+
+    this.code = 'EINVALIDMAP'
+    this.file = file
+    this.problems = problems
+  }
+}
@@ -0,0 +1,92 @@
+/* eslint-env node */
+/**
+ * @fileoverview Functions to create and verify signed game authorization
+ * tokens.
+ *
+ * Tokens hold everything that is needed to verify them, so that clients could
+ * get authorization from one server instance and connect to another.
+ */
+
+import crypto from 'crypto'
+
+/**
+ * @typedef {Object} GameAuthClaims
+ * @prop {'player'|'spectator'} type The type of authorization.
+ * @prop {string} name The name of the player.
+ * @prop {string|null} team The team to join, or null for spectators.
+ * @prop {string} game The ID of the game to join.
+ *
+ * @typedef {Object} _VerifiedClaims
+ * @prop {string} id A random ID that is unique to the token.
+ * @prop {number} exp When the token expires.
+ *
+ * @typedef {GameAuthClaims & _VerifiedClaims} VerifiedGameAuth
+ */
+
+/**
+ * Signs the payload of a token with the specified secret.
+ * @param {string} payload The encoded payload.
+ * @param {string} secret The secret to sign with.
+ * @returns {Buffer}
+ */
+function sign (payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest()
+}
+
+/**
+ * Creates a game authorization token, which is valid for ``maxAge``
+ * milliseconds.
+ * @param {GameAuthClaims} claims What the token authorizes the client to do.
+ * @param {string} secret The secret to sign the token with.
+ * @param {number} maxAge How long (in milliseconds) the token is valid for.
+ * @returns {string}
+ */
+export function createGameAuth (claims, secret, maxAge) {
+  const payload = Buffer.from(JSON.stringify({
+    id: crypto.randomBytes(16).toString('hex'),
+    exp: Date.now() + maxAge,
+    type: claims.type,
+    name: claims.name,
+    team: claims.team,
+    game: claims.game
+  })).toString('base64url')
+
+  return `${payload}.${sign(payload, secret).toString('base64url')}`
+}
+
+/**
+ * Verifies a game authorization token, and returns its claims. Returns null
+ * if the token is malformed, expired, or wasn't signed with any of the
+ * secrets. More than one secret could be accepted while the secret is being
+ * changed.
+ * @param {string} token The token to verify.
+ * @param {Array<string>} secrets The secrets that the token could be signed with.
+ * @returns {VerifiedGameAuth|null}
+ */
+export function verifyGameAuth (token, secrets) {
+  const [payload, signature, ...rest] = String(token).split('.')
+  if (!payload || !signature || rest.length > 0) {
+    return null
+  }
+
+  const actual = Buffer.from(signature, 'base64url')
+  const signed = secrets.some(secret => {
+    const expected = sign(payload, secret)
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected)
+  })
+  if (!signed) {
+    return null
+  }
+
+  let claims = null
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'))
+  } catch (ex) {
+    return null
+  }
+  if (typeof claims?.exp !== 'number' || claims.exp <= Date.now()) {
+    return null
+  }
+
+  return claims
+}
@@ -8,18 +8,27 @@ import debugFactory from 'debug'
 
 import * as cwdtp from './cwdtp/index.js'
 import constants from './constants.js'
+import { verifyGameAuth } from './game-auth.js'
+import { parseClientAction } from './game/client-actions.js'
+import { parseChatRequest } from './game/chat.js'
+import { createRateLimiter } from './utils/utils.js'
 
 const debug = debugFactory('colonialwars:gameserver')
-const { COMMUNICATIONS: communications } = constants
+const {
+  COMMUNICATIONS: communications,
+  CLIENT_ACTIONS: clientActions,
+  CLOSE_CODES: closeCodes
+} = constants
 
 /**
- * @typedef {Record<'auth'|'name'|'team'|'game', string>} AuthEntry
- *
  * @typedef {Object} GameServerOptions
  * @prop {InstanceType<typeof import('./utils/server-config')>} config
  * @prop {import('http').Server} server The HTTP server to attach to.
  * @prop {import('winston').Logger} gamelogger The logger to use.
- * @prop {import('./timed-store')} authStore
+ * @prop {import('winston').Logger} [securitylogger] The logger to report
+ * misbehaving clients to.
+ * @prop {import('./timed-store')} authStore A store of the IDs of the game
+ * authorization tokens that were already used.
  * @prop {InstanceType<import('./game/manager')>} manager
  * @prop {InstanceType<import('./controllers/middlewares')>} middlewares
  */
@@ -35,7 +44,7 @@ export default class GameServer {
   constructor (opts) {
     const {
       server, config, manager, middlewares,
-      gamelogger, authStore
+      gamelogger, securitylogger, authStore
     } = opts
 
     this.server = server
@@ -43,6 +52,7 @@ export default class GameServer {
     this.manager = manager
     this.authStore = authStore
     this.gamelogger = gamelogger
+    this.securitylogger = securitylogger || gamelogger
     this.middlewares = middlewares
   }
 
@@ -66,7 +76,12 @@ export default class GameServer {
 
   /**
    * Makes sure a client has authorization before allowing them on the
-   * game server.
+   * game server. Authorization tokens are signed, so they could be verified
+   * without asking the server that gave them out, but each token could only be
+   * used once. Spectators connect with the ``spectate=true`` query flag,
+   * and must have spectator authorization. Clients that lost their connection
+   * could reconnect with the ``reconnect`` query field instead, which holds the
+   * reconnect token they were given when they joined.
    * @param {import('http').IncomingMessage} req
    * @param {import('./cwdtp/server').ErrorCallback} cb
    * @private
@@ -80,43 +95,49 @@ export default class GameServer {
       return cb(makeError('Query is missing!', 'EMISSING', 400))
     }
 
+    if (query.has('reconnect')) {
+      return this._verifyReconnect(query, cb)
+    }
+
+    const spectating = query.get('spectate') === 'true'
     const data = {
       auth: query.get('auth'),
+      type: spectating ? 'spectator' : 'player',
       game: query.get('game'),
       name: query.get('playername'),
-      team: query.get('playerteam')
+      team: spectating ? null : query.get('playerteam')
     }
-    if (!Object.values(data).every(val => !!val)) {
+    const required = spectating
+      ? [data.auth, data.game, data.name]
+      : [data.auth, data.game, data.name, data.team]
+
+    if (!required.every(val => !!val)) {
       debug('Query is missing fields!')
       return cb(makeError('Query does not have all required fields!', 'EMISSINGFIELDS', 400))
     }
 
-    const authEntry = this.authStore.get(data.name)
-    if (!authEntry) {
-      debug('Player is not authorized')
-      return cb(makeError('Player is not authorized!', 'ENOTAUTH', 401))
-    }
-
-    /**
-     * @type {AuthEntry}
-     */
-    const parsed = JSON.parse(authEntry)
-    if (data.auth !== parsed.auth) {
-      debug('Authorization tokens do not match.')
+    const claims = verifyGameAuth(data.auth, [
+      this.config.GAME_AUTH_SECRET,
+      ...this.config.GAME_AUTH_ACCEPTED_SECRETS
+    ])
+    if (!claims) {
+      debug('Authorization token is not valid.')
       return cb(makeError(
-        'Authorization token does not match!',
+        'Authorization token is not valid!',
         'ENOTAUTH', 401
       ))
     }
 
     try {
-      // Assert that all requested parameters and stored parameters are the same.
-      assert.deepStrictEqual(data, parsed)
+      // Assert that all requested parameters and authorized parameters are the same.
+      assert.deepStrictEqual({
+        type: data.type, game: data.game, name: data.name, team: data.team
+      }, {
+        type: claims.type, game: claims.game, name: claims.name, team: claims.team
+      })
     } catch (err) {
       if (err instanceof assert.AssertionError) {
-        // Invalid authorization token should have already been caught
-        // by the previous if clause, so just send a 400.
-        debug('Invalid auth, or player fields did not match!')
+        debug('Player fields did not match!')
         return cb(makeError(
           'Invalid auth, or player fields did not match!',
           'ENOMATCH',
@@ -131,10 +152,78 @@ export default class GameServer {
       }
     }
 
+    if (this.authStore.has(claims.id)) {
+      debug('Authorization token was already used.')
+      return cb(makeError(
+        'Authorization token was already used!',
+        'ENOTAUTH', 401
+      ))
+    }
+    // Tokens aren't tied to a server, so two could be given out for the
+    // same name.
+    if (this.manager.playerExists(data.name)) {
+      debug('Player already exists.')
+      return cb(makeError('Player already exists!', 'EEXISTS', 409))
+    }
+    // The game could have been torn down, or moved on to a map that doesn't have
+    // the team (see the map rotation), after the client was authorized.
+    const game = this.manager.getGame(`game-${data.game}`)
+    if (!game || (!spectating && !game.hasTeam(data.team))) {
+      debug('Game or team does not exist anymore.')
+      return cb(makeError('Game or team does not exist anymore!', 'ESTALE', 409))
+    }
+    // Keep the ID for as long as the token is valid, so it couldn't be replayed.
+    this.authStore.set(claims.id, data.name)
+
     // I think we're good?
     cb(null)
   }
 
+  /**
+   * Makes sure a reconnecting client has a valid reconnect token.
+   * @param {URLSearchParams} query The query of the client's request.
+   * @param {import('./cwdtp/server').ErrorCallback} cb
+   * @private
+   */
+  _verifyReconnect (query, cb) {
+    const token = query.get('reconnect')
+    const game = query.get('game')
+
+    if (!token || !game) {
+      debug('Query is missing fields!')
+      return cb(makeError('Query does not have all required fields!', 'EMISSINGFIELDS', 400))
+    }
+
+    const gameObj = this.manager.getGame(`game-${game}`)
+    if (!gameObj || !gameObj.canReconnect(token)) {
+      debug('Reconnect token is not valid.')
+      return cb(makeError('Reconnect token is not valid!', 'ENOTAUTH', 401))
+    }
+
+    cb(null)
+  }
+
+  /**
+   * Disconnects a client that broke the rules of the game server, and logs
+   * the violation.
+   * @param {import('colonialwars-lib/cwdtp').WSConn<string>} conn The client's
+   * WSConn object.
+   * @param {InstanceType<import('./game/modes/base-game')>} game The game the
+   * client is in.
+   * @param {number} code The close code to disconnect the client with.
+   * @param {string} reason Why the client is being disconnected.
+   * @private
+   */
+  _disconnectMisbehaving (conn, game, code, reason) {
+    this.securitylogger.warning(
+      `Client ${conn.id} was disconnected for misbehaving: ${reason}`
+    )
+    debug('Client %s misbehaved: %s', conn.id, reason)
+
+    game.removePlayer(conn)
+    conn.terminate(code, reason)
+  }
+
   /**
    * Handler for the "connection" event.
    * @param {import('colonialwars-lib/cwdtp').WSConn<string>} conn The WSConn object.
@@ -146,6 +235,8 @@ export default class GameServer {
     // validated the WebSocket's query fields, so no validation here.
     const url = new URL(req.url, 'http://localhost:4000')
     const query = url.searchParams
+    const spectating = query.get('spectate') === 'true'
+    const reconnectToken = query.get('reconnect')
     const data = {
       game: query.get('game'),
       name: query.get('playername'),
@@ -154,32 +245,130 @@ export default class GameServer {
 
     const gameID = `game-${data.game}`
     const game = this.manager.getGame(gameID)
+    if (!game) {
+      // The game was torn down after the client was authorized.
+      this.gamelogger.notice(
+        `Client ${conn.id} tried to join game ${gameID}, which does not exist.`
+      )
+      conn.terminate(closeCodes.NO_ROOM, 'Game does not exist')
+      return
+    }
     // Give the client ten seconds to get ready.
     const readyTimeout = setTimeout(() => {
       this.gamelogger.notice(
         `Client ${conn.id} did not send a CONN_READY event within 10s of connecting.`
       )
-      conn.terminate(4004, 'Timeout')
+      conn.terminate(closeCodes.TIMEOUT, 'Timeout')
     }, 10000)
     debug('Connection received')
     this.gamelogger.info(`Client ${conn.id} connected.`)
 
     conn.messages.on(communications.CONN_READY, () => {
       clearTimeout(readyTimeout)
-      game.addPlayer(conn, {
-        name: data.name,
-        team: data.team
-      })
 
-      conn.send(communications.CONN_READY_ACK, game.getMapData())
+      let token = null
+      try {
+        if (spectating) {
+          game.addSpectator(conn, { name: data.name })
+        } else if (reconnectToken) {
+          token = game.reconnectPlayer(conn, reconnectToken)
+        } else {
+          token = game.addPlayer(conn, {
+            name: data.name,
+            team: data.team
+          })
+        }
+      } catch (ex) {
+        // The game could have been closed or torn down, or its teams could have
+        // changed or filled up (e.g. when the next map in the rotation was
+        // loaded) after the client was authorized.
+        this.gamelogger.notice(
+          `Client ${conn.id} could not join game ${gameID}: ${ex.message}`
+        )
+        conn.terminate(closeCodes.NO_ROOM, 'Could not join game')
+        return
+      }
+
+      if (spectating) {
+        conn.send(communications.CONN_READY_ACK, game.getMapData())
+        conn.send(communications.CONN_CHAT_HISTORY, {
+          messages: game.getChatHistory(conn)
+        })
+
+        debug('Spectator %s accepted into game %s', conn.id, gameID)
+        return
+      }
+
+      if (reconnectToken && !token) {
+        // The token expired while the client was getting ready.
+        conn.terminate(closeCodes.RECONNECT_FAILED, 'Reconnect token is not valid')
+        return
+      }
+
+      conn.send(communications.CONN_READY_ACK, {
+        ...game.getMapData(),
+        reconnectToken: token
+      })
+      conn.send(communications.CONN_CHAT_HISTORY, {
+        messages: game.getChatHistory(conn)
+      })
 
       debug('Client %s accepted into game %s', conn.id, gameID)
     })
 
-    conn.messages.on(communications.CONN_CLIENT_ACTION, input => {
+    conn.messages.on(communications.CONN_UPDATE_ACK, data => {
+      if (!Number.isInteger(data?.seq)) {
+        debug('Client %s sent an invalid update acknowledgement.', conn.id)
+        return
+      }
+
+      game.ackUpdate(conn, data.seq)
+    })
+
+    conn.messages.on(communications.CONN_REQUEST_KEYFRAME, () => {
+      debug('Client %s requested a keyframe.', conn.id)
+      game.requestKeyframe(conn)
+    })
+
+    if (spectating) {
+      // Spectators could only watch, so the rest of the events don't apply.
+      conn.on('close', () => {
+        game.removeSpectator(conn)
+        debug('Spectator %s disconnected from game %s', conn.id, gameID)
+      })
+      return
+    }
+
+    const allowAction = createRateLimiter(this.config.CLIENT_ACTION_RATE_LIMIT)
+    const allowChat = createRateLimiter(this.config.CHAT_RATE_LIMIT)
+
+    conn.messages.on(communications.CONN_CLIENT_ACTION, raw => {
+      if (!allowAction()) {
+        this._disconnectMisbehaving(
+          conn, game, closeCodes.RATE_LIMITED, 'Too many client actions'
+        )
+        return
+      }
+
       try {
-        game.addInputTo(conn.id, input)
+        const action = parseClientAction(raw)
+
+        if (action.type === clientActions.UNIT_ORDER) {
+          game.orderUnits(conn.id, { units: action.units, order: action.order })
+        } else if (action.type === clientActions.PLACE_BUILDING) {
+          game.placeBuilding(conn.id, { type: action.building, position: action.position })
+        } else {
+          game.addInputTo(conn.id, action.input)
+        }
       } catch (ex) {
+        if (ex instanceof TypeError || ex instanceof RangeError) {
+          // The client sent a malformed action, or is flooding its input queue.
+          this._disconnectMisbehaving(
+            conn, game, closeCodes.INVALID_ACTION, ex.message
+          )
+          return
+        }
+
         // Something's wrong with this connection.
         // Terminate it.
         game.removePlayer(conn)
@@ -187,8 +376,45 @@ export default class GameServer {
       }
     })
 
+    conn.messages.on(communications.CONN_CHAT, raw => {
+      let request = null
+      try {
+        request = parseChatRequest(raw, this.config.CHAT_MAX_LENGTH)
+      } catch (ex) {
+        if (ex instanceof RangeError) {
+          // Empty or long messages are probably mistakes, so let the client know.
+          debug('Client %s sent a chat message that is empty or too long.', conn.id)
+          conn.send(communications.CONN_CHAT_REJECTED, { reason: ex.message })
+          return
+        }
+
+        this._disconnectMisbehaving(
+          conn, game, closeCodes.INVALID_ACTION, ex.message
+        )
+        return
+      }
+
+      if (!allowChat()) {
+        // Chat spam isn't worth disconnecting the client over.
+        debug('Client %s is sending chat messages too quickly.', conn.id)
+        return
+      }
+
+      game.sendChat(conn, request)
+    })
+
+    conn.messages.on(communications.CONN_TIME_SYNC, data => {
+      if (!Number.isFinite(data?.serverTime) || !Number.isFinite(data?.clientTime)) {
+        debug('Client %s sent an invalid time sync response.', conn.id)
+        return
+      }
+
+      game.syncClock(conn, { serverTime: data.serverTime, clientTime: data.clientTime })
+    })
+
     conn.on('close', () => {
-      game.removePlayer(conn)
+      // The player is only removed if the client doesn't reconnect in time.
+      game.disconnectPlayer(conn)
       debug('Client %s disconnected from game %s', conn.id, gameID)
     })
   }
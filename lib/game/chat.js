@@ -0,0 +1,113 @@
+/* eslint-env node */
+/**
+ * @fileoverview Functions and classes for the in-game chat.
+ */
+
+import Joi from 'joi'
+
+/**
+ * @typedef {'team'|'all'} ChatScope
+ *
+ * @typedef {Object} ChatRequest
+ * @prop {ChatScope} scope Who should receive the message.
+ * @prop {string} message
+ *
+ * @typedef {Object} ChatMessage
+ * @prop {string} from The name of the player who sent the message.
+ * @prop {string} team The team of the player who sent the message.
+ * @prop {ChatScope} scope
+ * @prop {string} message
+ * @prop {number} sentAt When the message was sent.
+ *
+ * @typedef {(message: ChatMessage) => string|null} ChatFilter
+ */
+
+const DEFAULT_HISTORY_SIZE = 20
+
+/**
+ * Returns true if a chat message is not empty, and is no longer than
+ * ``maxLength`` characters.
+ * @param {string} message The text of the message.
+ * @param {number} maxLength The maximum length of the message.
+ * @returns {boolean}
+ */
+export function isValidChatLength (message, maxLength) {
+  return message.length > 0 && message.length <= maxLength
+}
+
+/**
+ * Validates a chat message that was sent by a client. Throws a TypeError if
+ * the message is malformed, or a RangeError if it is empty or too long.
+ * @param {any} raw The chat message that the client sent.
+ * @param {number} maxLength The maximum length of the message.
+ * @returns {ChatRequest}
+ */
+export function parseChatRequest (raw, maxLength) {
+  const schema = Joi.object({
+    scope: Joi.string().valid('team', 'all').required(),
+    message: Joi.string().trim().allow('').required()
+  })
+  const { value, error } = schema.validate(raw)
+
+  if (error) {
+    throw new TypeError(`Invalid chat message: ${error.message}`)
+  }
+  if (!isValidChatLength(value.message, maxLength)) {
+    throw new RangeError(`Chat messages must be 1 to ${maxLength} characters long.`)
+  }
+
+  return value
+}
+
+/**
+ * A chat filter that lets every message through unchanged.
+ * @type {ChatFilter}
+ */
+export function allowAllChat (message) {
+  return message.message
+}
+
+/**
+ * ChatHistory class.
+ *
+ * Keeps the last few chat messages of a game, so that players who join could
+ * catch up on the conversation.
+ */
+export class ChatHistory {
+  /**
+   * Constructor for a ChatHistory class.
+   * @param {number} [size] How many messages to keep. Defaults to 20.
+   */
+  constructor (size) {
+    this.size = size ?? DEFAULT_HISTORY_SIZE
+
+    /**
+     * @type {Array<ChatMessage>}
+     * @private
+     */
+    this._messages = []
+  }
+
+  /**
+   * Adds a message to this history, dropping the oldest message if the
+   * history is full.
+   * @param {ChatMessage} message The message to add.
+   */
+  add (message) {
+    this._messages.push(message)
+    if (this._messages.length > this.size) {
+      this._messages.shift()
+    }
+  }
+
+  /**
+   * Returns the messages that the members of the specified team could see,
+   * oldest first. Only messages sent to everyone are returned if ``team`` is
+   * null.
+   * @param {string|null} team The team of the player.
+   * @returns {Array<ChatMessage>}
+   */
+  visibleTo (team) {
+    return this._messages.filter(m => m.scope === 'all' || m.team === team)
+  }
+}
@@ -0,0 +1,117 @@
+/* eslint-env node */
+/**
+ * @fileoverview Functions to validate the actions that clients send to the
+ * game server.
+ */
+
+import Joi from 'joi'
+
+import constants from '../constants.js'
+
+const { CLIENT_ACTIONS: clientActions } = constants
+
+/**
+ * @typedef {import('./modes/base-game').RawPlayerInput} RawPlayerInput
+ * @typedef {import('./components/unit').UnitOrder} UnitOrder
+ * @typedef {import('colonialwars-lib/math').Vector2DLike} Vector2DLike
+ *
+ * @typedef {Object} InputAction
+ * @prop {'input'} type
+ * @prop {RawPlayerInput} input The input, with the client's timestamp.
+ *
+ * @typedef {Object} UnitOrderAction
+ * @prop {'unit-order'} type
+ * @prop {Array<string>} units The IDs of the units to give the order to.
+ * @prop {UnitOrder} order
+ *
+ * @typedef {Object} PlaceBuildingAction
+ * @prop {'place-building'} type
+ * @prop {string} building The ID of the building's type in the map data.
+ * @prop {Vector2DLike} position
+ *
+ * @typedef {InputAction|UnitOrderAction|PlaceBuildingAction} ClientAction
+ */
+
+/**
+ * The maximum amount of units that could be given an order at once.
+ */
+const MAX_ORDERED_UNITS = 200
+
+const vectorSchema = Joi.object({
+  x: Joi.number().required(),
+  y: Joi.number().required()
+})
+const idSchema = Joi.string().max(64)
+
+const inputSchema = Joi.object({
+  type: Joi.string().valid(clientActions.INPUT),
+  inputNum: Joi.number().integer().min(0).required(),
+  timestamp: Joi.number().min(0),
+  direction: Joi.object({
+    up: Joi.boolean().required(),
+    down: Joi.boolean().required(),
+    left: Joi.boolean().required(),
+    right: Joi.boolean().required()
+  }).required()
+})
+const unitOrderSchema = Joi.object({
+  type: Joi.string().valid(clientActions.UNIT_ORDER).required(),
+  units: Joi.array().items(idSchema).max(MAX_ORDERED_UNITS).unique().required(),
+  order: Joi.alternatives().conditional('.kind', {
+    switch: [
+      { is: 'move', then: Joi.object({ kind: 'move', target: vectorSchema.required() }) },
+      { is: 'attack', then: Joi.object({ kind: 'attack', target: idSchema.required() }) },
+      { is: 'stop', then: Joi.object({ kind: 'stop' }) }
+    ],
+    otherwise: Joi.object({ kind: Joi.string().valid('move', 'attack', 'stop').required() })
+  }).required()
+})
+const placeBuildingSchema = Joi.object({
+  type: Joi.string().valid(clientActions.PLACE_BUILDING).required(),
+  building: idSchema.required(),
+  position: vectorSchema.required()
+})
+
+/**
+ * The schema of each type of client action.
+ */
+const ACTION_SCHEMAS = {
+  [clientActions.INPUT]: inputSchema,
+  [clientActions.UNIT_ORDER]: unitOrderSchema,
+  [clientActions.PLACE_BUILDING]: placeBuildingSchema
+}
+
+/**
+ * Validates an action that was sent by a client. Throws a TypeError if the
+ * action is malformed.
+ *
+ * Actions without a type are movement inputs, for compatibility.
+ * @param {any} raw The action that the client sent.
+ * @returns {ClientAction}
+ */
+export function parseClientAction (raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new TypeError('Invalid client action: action must be an object')
+  }
+
+  const type = raw.type ?? clientActions.INPUT
+  const schema = ACTION_SCHEMAS[type]
+
+  if (!schema) {
+    throw new TypeError(`Invalid client action: unknown action type ${type}`)
+  }
+
+  const { value, error } = schema.validate(raw)
+
+  if (error) {
+    throw new TypeError(`Invalid client action: ${error.message}`)
+  }
+
+  if (type === clientActions.INPUT) {
+    const { type: _, ...input } = value
+
+    return { type, input }
+  }
+
+  return value
+}
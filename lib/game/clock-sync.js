@@ -0,0 +1,135 @@
+/* eslint-env node */
+/**
+ * @fileoverview ClockSync class to estimate the clock offset and round-trip
+ * time of a client.
+ */
+
+/**
+ * @typedef {Object} ClockSyncOptions
+ * @prop {number} [syncInterval] How often (in milliseconds) to measure the
+ * client's clock. Defaults to 2000.
+ * @prop {number} [maxCompensation] How far back in time (in milliseconds) the
+ * client's inputs could be moved to make up for latency. Defaults to 250.
+ *
+ * @typedef {Object} SyncRequest
+ * @prop {number} serverTime The server time when the request was sent.
+ *
+ * @typedef {Object} SyncResponse
+ * @prop {number} serverTime The server time that was in the request.
+ * @prop {number} clientTime The client time when the request was received.
+ */
+
+const DEFAULT_SYNC_INTERVAL = 2000
+const DEFAULT_MAX_COMPENSATION = 250
+/**
+ * How much each new measurement affects the estimates.
+ */
+const SMOOTHING = 0.2
+
+/**
+ * ClockSync class.
+ *
+ * Keeps track of how far a single client's clock is from the server's clock,
+ * and how long messages take to go to the client and back. The server sends
+ * sync requests with its current time, and the client responds with the server
+ * time it received and its own current time.
+ */
+export default class ClockSync {
+  /**
+   * Constructor for a ClockSync class.
+   * @param {ClockSyncOptions} [opts] Options.
+   */
+  constructor (opts = {}) {
+    this.syncInterval = opts.syncInterval || DEFAULT_SYNC_INTERVAL
+    this.maxCompensation = opts.maxCompensation ?? DEFAULT_MAX_COMPENSATION
+
+    /**
+     * The estimated round-trip time, or null if the client hasn't responded to
+     * any sync requests yet.
+     * @type {number|null}
+     */
+    this.rtt = null
+    /**
+     * The estimated difference between the client's clock and the server's
+     * clock, or null if the client hasn't responded to any sync requests yet.
+     * @type {number|null}
+     */
+    this.offset = null
+
+    /**
+     * The server time of the sync request the client should respond to.
+     * @type {number|null}
+     * @private
+     */
+    this._pending = null
+    this._lastSyncTime = -Infinity
+  }
+
+  /**
+   * Returns true if it's time to send the client another sync request.
+   * @param {number} now The current server time.
+   * @returns {boolean}
+   */
+  shouldSync (now) {
+    return now - this._lastSyncTime >= this.syncInterval
+  }
+
+  /**
+   * Creates a sync request to send to the client. Only the latest sync request
+   * is valid.
+   * @param {number} now The current server time.
+   * @returns {SyncRequest}
+   */
+  makeRequest (now) {
+    this._pending = now
+    this._lastSyncTime = now
+
+    return { serverTime: now }
+  }
+
+  /**
+   * Updates the clock offset and round-trip time estimates with the client's
+   * response to the last sync request.
+   *
+   * Returns false if the response is not for the last sync request.
+   * @param {SyncResponse} response The client's response.
+   * @param {number} now The current server time.
+   * @returns {boolean}
+   */
+  addResponse (response, now) {
+    if (this._pending === null || response.serverTime !== this._pending) {
+      return false
+    }
+
+    const rtt = now - response.serverTime
+    const offset = response.clientTime - (response.serverTime + rtt / 2)
+
+    this._pending = null
+
+    if (this.rtt === null) {
+      this.rtt = rtt
+      this.offset = offset
+      return true
+    }
+
+    this.rtt += (rtt - this.rtt) * SMOOTHING
+    this.offset += (offset - this.offset) * SMOOTHING
+    return true
+  }
+
+  /**
+   * Converts a time on the client's clock to the server's clock. The result is
+   * never in the future, or more than ``maxCompensation`` milliseconds in the
+   * past. Returns the current time if the client's clock hasn't been measured.
+   * @param {number} [clientTime] The time on the client's clock.
+   * @param {number} now The current server time.
+   * @returns {number}
+   */
+  toServerTime (clientTime, now) {
+    if (this.offset === null || !Number.isFinite(clientTime)) {
+      return now
+    }
+
+    return Math.min(now, Math.max(now - this.maxCompensation, clientTime - this.offset))
+  }
+}
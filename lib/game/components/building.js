@@ -0,0 +1,62 @@
+/* eslint-env node */
+/**
+ * @fileoverview Building component.
+ */
+
+/**
+ * The stage of a building. Each stage has a matching frame in the building's
+ * graphics data (e.g. ``constructing1`` is drawn with ``constructing1Img``).
+ * @typedef {'constructing1'|'main'|'damaged1'|'damaged2'} BuildingStage
+ *
+ * @typedef {Object} BuildingOpts
+ * @prop {string} id
+ * @prop {string} type The ID of the building's type in the map data.
+ * @prop {string} owner The ID of the player that placed the building.
+ * @prop {string} team
+ * @prop {import('colonialwars-lib/math').Vector2DLike} size
+ * @prop {number} buildTime How long (in milliseconds) the building takes to build.
+ * @prop {number} territoryRadius How far the building extends its team's
+ * territory once it is built.
+ */
+
+/**
+ * The Building component contains all the data a building entity needs to function.
+ */
+export default class Building {
+  /**
+   * Gets the serializable properties of this component.
+   * @returns {Array<string>}
+   */
+  static get properties () {
+    return ['type', 'owner', 'team', 'progress', 'stage']
+  }
+
+  /**
+   * Create a new Building component.
+   *
+   * The Building component stores the ID, type, owner, and team of a building,
+   * as well as how far along its construction is. Buildings start out with no
+   * construction progress. The hit points of a building are kept in its Health
+   * component.
+   * @param {BuildingOpts} opts Required options.
+   */
+  constructor (opts) {
+    this.id = opts.id
+    this.type = opts.type
+    this.owner = opts.owner
+    this.team = opts.team
+    this.size = opts.size
+
+    this.buildTime = opts.buildTime
+    this.territoryRadius = opts.territoryRadius
+
+    /**
+     * How far along the building's construction is, from 0 to 1.
+     */
+    this.progress = 0
+    /**
+     * @type {BuildingStage}
+     */
+    this.stage = 'constructing1'
+  }
+}
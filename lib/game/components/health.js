@@ -0,0 +1,41 @@
+/* eslint-env node */
+/**
+ * @fileoverview Health component.
+ */
+
+/**
+ * @typedef {Object} HealthOpts
+ * @prop {number} hitPoints The maximum (and starting) hit points.
+ */
+
+/**
+ * The Health component contains the hit points of an entity that could be
+ * damaged and killed.
+ */
+export default class Health {
+  /**
+   * Gets the serializable properties of this component.
+   * @returns {Array<string>}
+   */
+  static get properties () {
+    return ['hitPoints', 'maxHitPoints', 'dead']
+  }
+
+  /**
+   * Create a new Health component.
+   *
+   * The Health component stores the current and maximum hit points of an entity,
+   * whether the entity is dead, and when it should respawn (if ever).
+   * @param {HealthOpts} opts Required options.
+   */
+  constructor (opts) {
+    this.hitPoints = opts.hitPoints
+    this.maxHitPoints = opts.hitPoints
+    this.dead = false
+    /**
+     * When the entity should respawn, or null if it shouldn't.
+     * @type {number|null}
+     */
+    this.respawnTime = null
+  }
+}
@@ -0,0 +1,90 @@
+/* eslint-env node */
+/**
+ * @fileoverview Components for static objects that are placed on a map.
+ */
+
+import { Vector2D } from 'colonialwars-lib/math'
+
+/**
+ * @typedef {Object} MapObjectOpts
+ * @prop {import('colonialwars-lib/math').Vector2DLike} size The width (x) and
+ * height (y) of the object.
+ * @prop {string} img The ID of the graphics to draw the object with.
+ *
+ * @typedef {Object} ResourceNodeOpts
+ * @prop {string} resource The type of resource the node gives.
+ * @prop {number} income How much of the resource the node gives each income tick.
+ * @prop {number} radius How close a team's finished building must be for the
+ * team to control the node.
+ * @prop {string} img The ID of the graphics to draw the node with.
+ */
+
+/**
+ * A component for obstacles, which entities cannot move through.
+ */
+export class Obstacle {
+  /**
+   * Gets the serializable properties of this component.
+   * @returns {Array<string>}
+   */
+  static get properties () {
+    return ['size', 'img']
+  }
+
+  /**
+   * Create a new Obstacle component.
+   * @param {MapObjectOpts} opts Specify the size and graphics of the obstacle.
+   */
+  constructor (opts) {
+    this.size = Vector2D.fromObject(opts.size)
+    this.img = opts.img
+  }
+}
+
+/**
+ * A component for decorations, which are purely visual.
+ */
+export class Decoration {
+  /**
+   * Gets the serializable properties of this component.
+   * @returns {Array<string>}
+   */
+  static get properties () {
+    return ['size', 'img']
+  }
+
+  /**
+   * Create a new Decoration component.
+   * @param {MapObjectOpts} opts Specify the size and graphics of the decoration.
+   */
+  constructor (opts) {
+    this.size = Vector2D.fromObject(opts.size)
+    this.img = opts.img
+  }
+}
+
+/**
+ * A component for resource nodes, which give resources to the team that
+ * controls them.
+ */
+export class ResourceNode {
+  /**
+   * Gets the serializable properties of this component.
+   * @returns {Array<string>}
+   */
+  static get properties () {
+    return ['resource', 'income', 'radius', 'img']
+  }
+
+  /**
+   * Create a new ResourceNode component.
+   * @param {ResourceNodeOpts} opts Specify the resource, income, control radius,
+   * and graphics of the node.
+   */
+  constructor (opts) {
+    this.resource = opts.resource
+    this.income = opts.income
+    this.radius = opts.radius
+    this.img = opts.img
+  }
+}
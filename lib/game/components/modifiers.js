@@ -0,0 +1,58 @@
+/* eslint-env node */
+/**
+ * @fileoverview Modifiers component.
+ */
+
+/**
+ * @typedef {import('../map-extras').ModifierEffect} ModifierEffect
+ *
+ * @typedef {Object} ActiveModifier
+ * @prop {string} id The ID of the modifier in the map data.
+ * @prop {number} stacks How many times the modifier is applied.
+ * @prop {number|null} expiresAt When the modifier expires, or null if it
+ * never expires.
+ * @prop {Array<ModifierEffect>} effects
+ *
+ * @typedef {Object} ModifiersOpts
+ * @prop {Record<string, number>} base The unmodified values of the stats that
+ * could be modified.
+ */
+
+/**
+ * The Modifiers component contains all the modifiers that are currently
+ * applied to an entity.
+ */
+export default class Modifiers {
+  /**
+   * Gets the serializable properties of this component.
+   * @returns {Array<string>}
+   */
+  static get properties () {
+    return ['modifiers']
+  }
+
+  /**
+   * Create a new Modifiers component.
+   *
+   * The Modifiers component stores the unmodified stats of an entity, and the
+   * modifiers that are currently applied to it. Entities start out with no
+   * modifiers.
+   * @param {ModifiersOpts} opts Required options.
+   */
+  constructor (opts) {
+    this.base = { ...opts.base }
+
+    /**
+     * @type {Array<ActiveModifier>}
+     */
+    this.active = []
+  }
+
+  /**
+   * The ID, stacks, and expiry time of all the active modifiers.
+   * @returns {Array<Omit<ActiveModifier, 'effects'>>}
+   */
+  get modifiers () {
+    return this.active.map(({ id, stacks, expiresAt }) => ({ id, stacks, expiresAt }))
+  }
+}
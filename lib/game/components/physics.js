@@ -8,6 +8,15 @@ import { Vector2D } from 'colonialwars-lib/math'
 /**
  * @typedef {Record<'mass'|'speed', number>} PhysicalPropsOpts
  *
+ * @typedef {'circle'|'aabb'} ColliderShape
+ *
+ * @typedef {Object} ColliderOpts
+ * @prop {ColliderShape} shape The shape of the collider.
+ * @prop {number} [radius] The radius of the collider, if it's a circle.
+ * @prop {import('colonialwars-lib/math').Vector2DLike} [size] The width (x)
+ * and height (y) of the collider, if it's an axis-aligned bounding box.
+ * @prop {boolean} [isStatic] Whether the collider never moves. Defaults to false.
+ *
  * @typedef {Object} Transform2d
  * @prop {import('../physics/vector2d').Vector2DLike} position
  */
@@ -78,3 +87,41 @@ export class Velocity2d {
     this.velocity = Vector2D.zero()
   }
 }
+
+/**
+ * A component that gives a physical entity a shape, so that it could collide
+ * with other entities.
+ *
+ * Colliders are either circles or axis-aligned bounding boxes (AABBs), both
+ * centred on the entity's position. Static colliders are never moved when
+ * resolving collisions, and behave as if they have infinite mass.
+ */
+export class Collider {
+  /**
+   * Gets the serializable properties of this component.
+   * @returns {Array<string>}
+   */
+  static get properties () {
+    return ['shape', 'radius', 'size']
+  }
+
+  /**
+   * Create a new Collider component.
+   * @param {ColliderOpts} opts Specify the shape and size of the collider.
+   */
+  constructor (opts) {
+    if (opts.shape === 'circle') {
+      this.shape = 'circle'
+      this.radius = opts.radius
+      this.size = new Vector2D(opts.radius * 2, opts.radius * 2)
+    } else if (opts.shape === 'aabb') {
+      this.shape = 'aabb'
+      this.size = Vector2D.fromObject(opts.size)
+      this.radius = Math.hypot(this.size.x, this.size.y) / 2
+    } else {
+      throw new TypeError(`Unknown collider shape ${opts.shape}!`)
+    }
+
+    this.isStatic = !!opts.isStatic
+  }
+}
@@ -17,6 +17,12 @@
  * @prop {boolean} direction.down
  * @prop {boolean} direction.right
  * @prop {boolean} direction.left
+ *
+ * @typedef {Object} PositionRecord
+ * @prop {number} time When the player was at the position.
+ * @prop {import('colonialwars-lib/math').Vector2D} position
+ * @prop {import('colonialwars-lib/math').Vector2D} velocity The velocity that
+ * the player moved with from the position.
  */
 
 /**
@@ -28,26 +34,43 @@ export default class Player {
    * @returns {Array<string>}
    */
   static get properties () {
-    return ['name', 'team', 'lastProcessedInput']
+    return ['name', 'team', 'connected', 'lastProcessedInput']
   }
 
   /**
    * Create a new Player component.
    *
    * The Player component stores the ID, name, and team of a player, and it also
-   * provides an input queue, the last processed input, and the last update time.
+   * provides an input queue, the last processed input and when it happened, the
+   * last update time, where the player was recently, and how many kills and
+   * deaths the player has.
    * @param {PlayerOpts} opts Required options.
    */
   constructor (opts) {
     this.id = opts.id
     this.name = opts.name
     this.team = opts.team
+    /**
+     * Whether the player's client is connected. Disconnected players stay in
+     * the game for a while, so that they could reconnect.
+     */
+    this.connected = true
 
     /**
      * @type {Array<PlayerInput>}
      */
     this.inputQueue = []
     this.lastProcessedInput = 0
+    this.lastInputTime = 0
     this.lastUpdateTime = 0
+    /**
+     * Where the player was recently, oldest first. Late inputs are replayed
+     * from here.
+     * @type {Array<PositionRecord>}
+     */
+    this.positionHistory = []
+
+    this.kills = 0
+    this.deaths = 0
   }
 }
@@ -0,0 +1,65 @@
+/* eslint-env node */
+/**
+ * @fileoverview Unit component.
+ */
+
+/**
+ * @typedef {Object} MoveOrder
+ * @prop {'move'} kind
+ * @prop {import('colonialwars-lib/math').Vector2DLike} target The position to move to.
+ *
+ * @typedef {Object} AttackOrder
+ * @prop {'attack'} kind
+ * @prop {string} target The ID of the unit or player to attack.
+ *
+ * @typedef {Object} StopOrder
+ * @prop {'stop'} kind
+ *
+ * @typedef {MoveOrder|AttackOrder|StopOrder} UnitOrder
+ *
+ * @typedef {Object} UnitOpts
+ * @prop {string} id
+ * @prop {string} type The ID of the unit's type in the map data.
+ * @prop {string} owner The ID of the player that owns the unit.
+ * @prop {string} team
+ * @prop {number} damage
+ * @prop {number} attackRange
+ * @prop {number} attackCooldown How long (in milliseconds) to wait between attacks.
+ */
+
+/**
+ * The Unit component contains all the data a unit entity needs to function.
+ */
+export default class Unit {
+  /**
+   * Gets the serializable properties of this component.
+   * @returns {Array<string>}
+   */
+  static get properties () {
+    return ['type', 'owner', 'team', 'order']
+  }
+
+  /**
+   * Create a new Unit component.
+   *
+   * The Unit component stores the ID, type, owner, and team of a unit, as well
+   * as its attack stats and its current order. Units start out with a stop order.
+   * @param {UnitOpts} opts Required options.
+   */
+  constructor (opts) {
+    this.id = opts.id
+    this.type = opts.type
+    this.owner = opts.owner
+    this.team = opts.team
+
+    this.damage = opts.damage
+    this.attackRange = opts.attackRange
+    this.attackCooldown = opts.attackCooldown
+    this.lastAttackTime = -Infinity
+
+    /**
+     * @type {UnitOrder}
+     */
+    this.order = { kind: 'stop' }
+  }
+}
@@ -5,17 +5,33 @@
 
 import debugFactory from 'debug'
 
+import { nanoid } from 'nanoid'
+
 import fs from 'fs/promises'
+import { watch } from 'fs'
 import path from 'path'
 import events from 'events'
 
 import constants from '../constants.js'
 import * as games from './modes/index.js'
+import SnapshotHistory from './snapshots.js'
+import ClockSync from './clock-sync.js'
+import { ChatHistory, allowAllChat, isValidChatLength } from './chat.js'
+import MapRotation from './map-rotation.js'
+import { ReplayRecorder, encodeReplay } from './replays.js'
 
+import { parseMapExtras } from './map-extras.js'
+import { validateMap } from './map-validation.js'
+import { MapValidationError } from '../errors.js'
 import { ReadonlyMapConfig } from 'colonialwars-lib/mapconfig'
 
 const debug = debugFactory('colonialwars:manager')
-const { COMMUNICATIONS: communications } = constants
+const { COMMUNICATIONS: communications, CLOSE_CODES: closeCodes } = constants
+/**
+ * How long (in milliseconds) to wait after a map config file changes before
+ * reloading it. Editors often save files in more than one write.
+ */
+const MAP_RELOAD_DELAY = 100
 
 /**
  * @typedef {Object} DataFilesConfig
@@ -25,21 +41,67 @@ const { COMMUNICATIONS: communications } = constants
  * @typedef {Object} ManagerConfig
  * @prop {number} maxGames
  * @prop {number} startGames
- * @prop {number} updateLoopFrequency The amount of game updates to perform per second.
+ * @prop {number} updateLoopFrequency The amount of state updates to send to
+ * clients per second.
+ * @prop {number} [tickRate] The amount of game steps to run per second.
+ * Defaults to 20.
+ * @prop {number} [viewRadius] How far away players could see other players.
+ * @prop {number} [maxQueuedInputs] How many inputs each player could have
+ * waiting to be processed.
+ * @prop {string} [replayDir] The directory to save a replay of each round to.
+ * Replays are not recorded if this is not set.
+ * @prop {number} [reconnectGracePeriod] How long (in milliseconds) players who
+ * lost their connection stay in the game, waiting to reconnect. Defaults to 0,
+ * which means players are removed as soon as they disconnect.
+ * @prop {number} [chatHistorySize] How many chat messages to send to players
+ * when they join. Defaults to 20.
+ * @prop {number} [chatMaxLength] The maximum length of chat messages, after
+ * they have been through the chat filter. Defaults to no limit.
+ * @prop {import('./chat').ChatFilter} [chatFilter] A function that moderates
+ * each chat message before it is sent. It returns the text to send, or null to
+ * block the message. Defaults to a filter that lets every message through.
+ * @prop {number} [idleGameTimeout] How long (in milliseconds) an empty game
+ * could stay idle before it is torn down. Only games above ``startGames`` are
+ * torn down. Defaults to 300000 (5 minutes).
+ * @prop {MapRotationConfig} [mapRotation] How to pick the map of each game.
+ * Maps are picked at random by default.
  * @prop {InstanceType<import('../logging/loggers')>} loggers
  * @prop {DataFilesConfig} dataFiles An object which specify data file related configurations.
  *
+ * @typedef {Object} MapRotationConfig
+ * @prop {import('./map-rotation').RotationStrategy} [strategy]
+ * @prop {Record<string, number>} [weights]
+ * @prop {Array<string>} [playlist]
+ *
+ * @typedef {Object} NewGameOptions
+ * @prop {string} [map] The name of the map config file to play on. Defaults
+ * to the next map in the rotation.
+ * @prop {string} [mode] The mode the game should be played in. Only maps with
+ * this mode could be picked.
+ *
  * @typedef {Object} CapacityStats
  * @prop {boolean} full
  * @prop {number} maxPlayers
  * @prop {number} currentPlayers
+ *
+ * @typedef {Object} PlayerSession
+ * @prop {string} gameID The ID of the game the player is in.
+ * @prop {string} token The token the player could use to reconnect.
+ * @prop {NodeJS.Timeout|null} expiry The timeout that removes the player once
+ * the grace period is over, or null if the player is connected.
+ *
+ * @typedef {Object} LoadedMap
+ * @prop {string} contents The contents of the map config file.
+ * @prop {ReadonlyMapConfig} config
+ * @prop {import('./map-extras').MapExtras} extras
  */
 /**
  * @typedef {import('colonialwars-lib/cwdtp').WSConn<string>} WSConnInstance
  * @typedef {import('./modes/base-game').PlayerMeta} PlayerMeta
+ * @typedef {import('./modes/base-game').SpectatorMeta} SpectatorMeta
  * @typedef {import('./components/player').PlayerInput} PlayerInput
  *
- * @typedef {Omit<PlayerInput, 'timestamp'>} RawPlayerInput
+ * @typedef {Omit<PlayerInput, 'timestamp'> & { timestamp?: number }} RawPlayerInput
  * @typedef {Record<'id'|'name'|'mode'|'description', string>} GameInfo
  * @typedef {Map<string, WSConnInstance>} ClientMap
  *
@@ -49,22 +111,46 @@ const { COMMUNICATIONS: communications } = constants
  *
  * @typedef {Object} MapData
  * @prop {string} tileType
- * @prop {Array<any>} obstacles
- * @prop {Array<any>} decorations
+ * @prop {Array<Record<string, any>>} obstacles
+ * @prop {Array<Record<string, any>>} decorations
+ * @prop {Array<Record<string, any>>} resourceNodes
  * @prop {import('./physics/vector2d').Vector2DLike} worldLimits
  *
+ * @typedef {Object} RoundResult
+ * @prop {string} id The ID of the game.
+ * @prop {string|null} winner The team that won the round, if any.
+ * @prop {number} endedAt When the round ended.
+ * @prop {Record<string, import('./map-extras').Resources>} resources The final
+ * resource totals of each team.
+ *
  * @typedef {Object} GameHandle
  * @prop {number} maxPlayers
  * @prop {number} currentPlayers
+ * @prop {number} currentSpectators
+ * @prop {() => Array<string>} getSpectators
  * @prop {() => void} clearPlayers
  * @prop {() => GameInfo} getInfo
+ * @prop {() => Record<string, any>|null} getModeState
+ * @prop {() => Array<import('./modes/base-game').PlayerScore>} getPlayerScores
  * @prop {() => MapData} getMapData
  * @prop {() => Array<Team>} getTeams
  * @prop {(name: string) => boolean} hasTeam
  * @prop {(name: string) => boolean} teamFull
  * @prop {(id: string, input: RawPlayerInput) => void} addInputTo
- * @prop {(conn: WSConnInstance, meta: PlayerMeta) => void} addPlayer
+ * @prop {(id: string, orders: import('./modes/base-game').UnitOrders) => number} orderUnits
+ * @prop {(id: string, placement: import('./modes/base-game').BuildingPlacement) => string|null} placeBuilding
+ * @prop {(conn: WSConnInstance, meta: PlayerMeta) => string} addPlayer
  * @prop {(conn: WSConnInstance) => void} removePlayer
+ * @prop {(conn: WSConnInstance) => void} disconnectPlayer
+ * @prop {(token: string) => boolean} canReconnect
+ * @prop {(conn: WSConnInstance, token: string) => string|null} reconnectPlayer
+ * @prop {(conn: WSConnInstance, meta: SpectatorMeta) => void} addSpectator
+ * @prop {(conn: WSConnInstance) => void} removeSpectator
+ * @prop {(conn: WSConnInstance, seq: number) => boolean} ackUpdate
+ * @prop {(conn: WSConnInstance) => void} requestKeyframe
+ * @prop {(conn: WSConnInstance, response: import('./clock-sync').SyncResponse) => boolean} syncClock
+ * @prop {(conn: WSConnInstance, request: import('./chat').ChatRequest) => boolean} sendChat
+ * @prop {(conn: WSConnInstance) => Array<import('./chat').ChatMessage>} getChatHistory
  */
 
 /**
@@ -76,22 +162,56 @@ export default class Manager extends events.EventEmitter {
    * @param {ManagerConfig} config Configurations.
    */
   constructor (config) {
-    const { maxGames, startGames, loggers, updateLoopFrequency, dataFiles } = config
+    const {
+      maxGames, startGames, loggers, updateLoopFrequency, tickRate, viewRadius,
+      maxQueuedInputs, replayDir, reconnectGracePeriod, chatHistorySize,
+      chatMaxLength, chatFilter, idleGameTimeout, mapRotation, dataFiles
+    } = config
     super()
 
     this.loggers = loggers
     this.maxGames = maxGames
     this.startGames = startGames
     this.updateLoopFrequency = updateLoopFrequency
+    this.tickRate = tickRate || 20
+    this.viewRadius = viewRadius
+    this.maxQueuedInputs = maxQueuedInputs
+    this.replayDir = replayDir || null
+    this.reconnectGracePeriod = reconnectGracePeriod || 0
+    this.chatHistorySize = chatHistorySize
+    this.chatMaxLength = chatMaxLength ?? Infinity
+    /**
+     * The function that moderates chat messages. This could be replaced at any
+     * time to change how chat is moderated.
+     * @type {import('./chat').ChatFilter}
+     */
+    this.chatFilter = chatFilter || allowAllChat
+    this.idleGameTimeout = idleGameTimeout ?? 300000
 
     this.dataFiles = dataFiles
     this.dataFilesCache = {
       /**
        * A cache of all the map configs that had been loaded.
-       * @type {Map<string, MapConfig>}
+       * @type {Map<string, LoadedMap>}
        */
       maps: new Map()
     }
+    /**
+     * The watcher that reloads map config files when they change, or null if
+     * the map config directory isn't being watched.
+     * @type {import('fs').FSWatcher|null}
+     */
+    this.mapWatcher = null
+    /**
+     * A Map of map config files and the timeouts that reload them.
+     * @type {Map<string, NodeJS.Timeout>}
+     * @private
+     */
+    this._reloadTimers = new Map()
+    this.mapRotation = new MapRotation({
+      ...mapRotation,
+      maps: dataFiles.availableMaps
+    })
 
     /**
      * This is a Map containing all of the games running
@@ -105,14 +225,87 @@ export default class Manager extends events.EventEmitter {
      * @type {Map<string, ClientMap>}
      */
     this.clients = new Map()
+    /**
+     * A Map of all the game IDs and their associated spectator connections.
+     * @type {Map<string, ClientMap>}
+     */
+    this.spectators = new Map()
+    /**
+     * A Map of all the client connection IDs and the snapshots that were sent
+     * to them, used to delta-compress updates.
+     * @type {Map<string, SnapshotHistory>}
+     */
+    this.snapshots = new Map()
+    /**
+     * A Map of all the client connection IDs and the estimates of their clocks,
+     * used to compensate for client latency.
+     * @type {Map<string, ClockSync>}
+     */
+    this.clocks = new Map()
+    /**
+     * A Map of all the client connection IDs and the IDs of the players they
+     * control. These are only different if the client had reconnected.
+     * @type {Map<string, string>}
+     */
+    this.playerIDs = new Map()
+    /**
+     * A Map of all the player IDs and their reconnect sessions.
+     * @type {Map<string, PlayerSession>}
+     */
+    this.sessions = new Map()
+    /**
+     * A Map of all the reconnect tokens and the IDs of the players they are for.
+     * @type {Map<string, string>}
+     */
+    this.reconnectTokens = new Map()
     /**
      * This is an array containing the names of all the players in every game
      * that is being managed by this Manager.
      * @type {Array<string>}
      */
     this.playerNames = []
+    /**
+     * A Map of all the game IDs and the results of their last finished round.
+     * @type {Map<string, RoundResult>}
+     */
+    this.roundResults = new Map()
+    /**
+     * A Map of all the game IDs and the recorders that are recording the
+     * current round of each game.
+     * @type {Map<string, ReplayRecorder>}
+     */
+    this.recorders = new Map()
+    /**
+     * A Map of all the game IDs and the last few chat messages sent in them.
+     * @type {Map<string, ChatHistory>}
+     */
+    this.chatHistories = new Map()
+    /**
+     * A Map of all the game IDs and the timeouts that tear down each game if
+     * it stays empty.
+     * @type {Map<string, NodeJS.Timeout>}
+     */
+    this.idleTimers = new Map()
+    /**
+     * A Map of all the game IDs and the names of the map config files they are
+     * being played on.
+     * @type {Map<string, string>}
+     */
+    this.gameMaps = new Map()
+    /**
+     * The ID to give to the next game that is created. Game IDs are never
+     * reused, even after a game is torn down.
+     * @private
+     */
+    this._nextGameID = 1
+    /**
+     * How many games are being loaded right now.
+     * @private
+     */
+    this._pendingGames = 0
     this.updateLoop = null
     this.numClients = 0
+    this.numSpectators = 0
   }
 
   /**
@@ -134,21 +327,382 @@ export default class Manager extends events.EventEmitter {
   }
 
   /**
-   * Starts this Manager's update loop.
+   * Returns true if nobody is playing or watching the specified game.
+   * @param {import('./modes/base-game')} game The game to check.
+   * @returns {boolean}
+   * @private
+   */
+  _isEmpty (game) {
+    return game.currentPlayers === 0 && game.spectators.size === 0
+  }
+
+  /**
+   * Creates a new game if no game could accept more players, and starts (or
+   * stops) the timeouts that tear down idle games.
+   * @private
+   */
+  _balanceGames () {
+    const games = Array.from(this._games.values())
+    const canCreate = this._games.size + this._pendingGames < this.maxGames
+
+    if (canCreate && this._pendingGames === 0 && !games.some(g => g.acceptingPlayers)) {
+      debug('All games are full or closed, creating a new game.')
+      this.newGame().catch(ex => {
+        this.loggers.get('Games-logger').error(
+          `Failed to create a new game: ${ex.stack}`
+        )
+      })
+    }
+
+    for (const [gameID, game] of this._games) {
+      const idle = this._isEmpty(game) && this._games.size > this.startGames
+
+      if (idle && !this.idleTimers.has(gameID)) {
+        this.idleTimers.set(gameID, setTimeout(() => {
+          this.idleTimers.delete(gameID)
+          this._onGameIdle(gameID)
+        }, this.idleGameTimeout))
+      } else if (!idle && this.idleTimers.has(gameID)) {
+        clearTimeout(this.idleTimers.get(gameID))
+        this.idleTimers.delete(gameID)
+      }
+    }
+  }
+
+  /**
+   * Tears down a game that stayed empty for ``idleGameTimeout`` milliseconds.
+   * The game is kept if it's the only game that could accept players.
+   * @param {string} gameID The ID of the idle game.
+   * @private
+   */
+  _onGameIdle (gameID) {
+    const othersOpen = Array.from(this._games)
+      .some(([id, game]) => id !== gameID && game.acceptingPlayers)
+
+    if (othersOpen && this._games.size > this.startGames) {
+      this.removeGame(gameID)
+    } else {
+      this._balanceGames()
+    }
+  }
+
+  /**
+   * Handler for the TeamGame class's ``phase-change`` event. Lets all the
+   * clients and spectators in the game know about the new phase.
+   * @param {string} gameID The ID of the game whose phase changed.
+   * @param {import('./modes/team-game').PhaseChange} change The phase change.
+   * @private
+   */
+  _onGamePhaseChange (gameID, change) {
+    const clients = this.clients.get(gameID)
+    const data = {
+      phase: change.phase,
+      previous: change.previous,
+      duration: Number.isFinite(change.duration) ? change.duration : null
+    }
+
+    for (const conn of clients.values()) {
+      conn.send(communications.CONN_PHASE_CHANGE, data)
+    }
+    for (const conn of this.spectators.get(gameID).values()) {
+      conn.send(communications.CONN_PHASE_CHANGE, data)
+    }
+  }
+
+  /**
+   * Handler for the TeamGame class's ``round-end`` event. Records the results
+   * of the round, including the final resource totals of each team.
+   * @param {string} gameID The ID of the game whose round ended.
+   * @param {{ winner: string|null }} data The winner of the round.
+   * @private
+   */
+  _onGameRoundEnd (gameID, data) {
+    const game = this._games.get(gameID)
+
+    this.roundResults.set(gameID, {
+      id: gameID,
+      winner: data.winner,
+      endedAt: Date.now(),
+      resources: game.getTeamResources()
+    })
+
+    // The game is closed until its next round, so players might need a new one.
+    this._balanceGames()
+  }
+
+  /**
+   * Handler for the TeamGame class's ``round-over`` event. Loads the next map
+   * in the rotation into the game's slot and reopens it, keeping all the
+   * players that are currently in it. Clients are always sent the map again,
+   * since everything that they had from the last round is gone.
+   *
+   * If the map changed (or its config file was reloaded), players whose team
+   * doesn't exist on the new map are
+   * moved to another team, and players who don't fit on the new map are
+   * disconnected.
+   * @param {string} gameID The ID of the game whose round is over.
+   * @private
+   */
+  _onGameRoundOver (gameID) {
+    const previous = this._games.get(gameID)
+    const players = Array.from(previous.allPlayerInfo())
+    const recorder = this.recorders.get(gameID)
+
+    if (recorder) {
+      this._saveReplay(gameID, recorder.stop())
+    }
+
+    // Maps that failed to load are skipped.
+    const file = this.mapRotation.next(f => this.dataFilesCache.maps.has(f)) ??
+      this.gameMaps.get(gameID)
+    const loaded = this.dataFilesCache.maps.get(file)
+    const mapChanged = loaded.config !== previous.mapConfig
+    let game = previous
+
+    if (mapChanged) {
+      previous.removeAllListeners()
+      game = this._createGame(previous.id, loaded)
+      for (const [id, meta] of previous.spectators) {
+        game.addSpectator(id, meta)
+      }
+
+      this._games.set(gameID, game)
+      this.gameMaps.set(gameID, file)
+    } else {
+      game.init()
+      game.closed = false
+    }
+
+    if (recorder) {
+      this._startRecording(gameID, loaded.contents)
+    }
+
+    for (const player of players) {
+      const team = mapChanged ? this._pickTeam(game, player.team) : player.team
+      if (team === null) {
+        this._kickPlayerFrom(gameID, player.id, player.name)
+        continue
+      }
+
+      game.addPlayer(player.id, { name: player.name, team })
+      if (!player.connected) {
+        game.setPlayerConnected(player.id, false)
+      }
+    }
+
+    // Even on the same map, entities from the last round are gone and their IDs
+    // are used again, so clients have to start over.
+    this._sendMapChange(gameID)
+
+    debug('Reset game %s with %d players on map %s.', gameID, players.length, file)
+    this._balanceGames()
+  }
+
+  /**
+   * Returns the team that a player should join when the map changes, or null
+   * if there is no room for the player. Players stay on their old team if it
+   * exists on the new map, and otherwise join the emptiest team.
+   * @param {import('./modes/base-game')} game The game with the new map.
+   * @param {string} preferred The player's old team.
+   * @returns {string|null}
+   * @private
+   */
+  _pickTeam (game, preferred) {
+    const teams = Array.from(game.teams.values())
+      .filter(t => t.currentPlayers < t.maxPlayers)
+
+    if (game.full || teams.length < 1) {
+      return null
+    }
+    if (teams.some(t => t.name === preferred)) {
+      return preferred
+    }
+
+    return teams.reduce((a, b) => b.currentPlayers < a.currentPlayers ? b : a).name
+  }
+
+  /**
+   * Disconnects a player that no longer has a place in its game.
+   * @param {string} gameID The game's ID.
+   * @param {string} playerID The ID of the player.
+   * @param {string} playerName The name of the player.
+   * @private
+   */
+  _kickPlayerFrom (gameID, playerID, playerName) {
+    const conn = this.clients.get(gameID).get(playerID)
+
+    this._detachClient(gameID, playerID)
+    this._endSession(playerID)
+    this.playerNames.splice(this.playerNames.indexOf(playerName), 1)
+    this.numClients--
+
+    if (conn) {
+      conn.terminate(closeCodes.NO_ROOM, 'No room on the next map')
+    }
+    debug('Player %s did not fit on the next map of game %s', playerID, gameID)
+  }
+
+  /**
+   * Sends the data of a game's new map to all of its clients, along with the
+   * team each player is on now.
+   * @param {string} gameID The game's ID.
+   * @private
+   */
+  _sendMapChange (gameID) {
+    const game = this._games.get(gameID)
+    const mapData = this._getMapData(game)
+    const teams = new Map(
+      Array.from(game.allPlayerInfo()).map(p => [p.id, p.team])
+    )
+
+    // Everything the clients had is gone, so they need keyframes.
+    for (const [id, conn] of this.clients.get(gameID)) {
+      this.snapshots.get(id).requestKeyframe()
+      conn.send(communications.CONN_MAP_CHANGE, { ...mapData, team: teams.get(id) })
+    }
+    for (const [id, conn] of this.spectators.get(gameID)) {
+      this.snapshots.get(id).requestKeyframe()
+      conn.send(communications.CONN_MAP_CHANGE, { ...mapData, team: null })
+    }
+  }
+
+  /**
+   * Returns the map data that is sent to clients.
+   * @param {import('./modes/base-game')} game The game to get the map data of.
+   * @returns {MapData}
+   * @private
+   */
+  _getMapData (game) {
+    const { obstacles, decorations, resourceNodes } = game.getMapObjects()
+
+    return {
+      obstacles,
+      decorations,
+      resourceNodes,
+      tileType: game.tileType,
+      worldLimits: game.worldLimits
+    }
+  }
+
+  /**
+   * Sends the current state of each game to all of its clients.
+   * @private
+   */
+  _sendUpdates () {
+    const now = Date.now()
+
+    for (const game of this._games.values()) {
+      const clients = this.clients.get(`game-${game.id}`)
+
+      for (const state of game.serializeState()) {
+        const conn = clients.get(state.id)
+        if (!conn) {
+          // The player is disconnected.
+          continue
+        }
+
+        const clock = this.clocks.get(state.id)
+        const update = this.snapshots.get(state.id).makeUpdate(state.contents)
+
+        if (clock.shouldSync(now)) {
+          conn.send(communications.CONN_TIME_SYNC, clock.makeRequest(now))
+        }
+
+        for (const id of state.removed) {
+          conn.send(communications.CONN_REMOVE_PLAYER, { id })
+        }
+        for (const id of state.removedUnits) {
+          conn.send(communications.CONN_REMOVE_UNIT, { id })
+        }
+        for (const id of state.removedBuildings) {
+          conn.send(communications.CONN_REMOVE_BUILDING, { id })
+        }
+        conn.send(communications.CONN_UPDATE, {
+          ...update,
+          tick: state.tick,
+          lastProcessedInput: state.lastProcessedInput,
+          added: state.added,
+          addedUnits: state.addedUnits,
+          addedBuildings: state.addedBuildings
+        })
+      }
+
+      const spectators = this.spectators.get(`game-${game.id}`)
+
+      for (const state of game.serializeSpectatorState()) {
+        const conn = spectators.get(state.id)
+        const update = this.snapshots.get(state.id).makeUpdate(state.contents)
+
+        for (const id of state.removed) {
+          conn.send(communications.CONN_REMOVE_PLAYER, { id })
+        }
+        for (const id of state.removedUnits) {
+          conn.send(communications.CONN_REMOVE_UNIT, { id })
+        }
+        for (const id of state.removedBuildings) {
+          conn.send(communications.CONN_REMOVE_BUILDING, { id })
+        }
+        conn.send(communications.CONN_UPDATE, {
+          ...update,
+          tick: state.tick,
+          added: state.added,
+          addedUnits: state.addedUnits,
+          addedBuildings: state.addedBuildings
+        })
+      }
+    }
+  }
+
+  /**
+   * Starts recording a replay of the specified game.
+   * @param {string} gameID The ID of the game to record.
+   * @param {string} map The contents of the game's map config file.
+   * @private
+   */
+  _startRecording (gameID, map) {
+    this.recorders.set(gameID, new ReplayRecorder(this._games.get(gameID), { map }))
+  }
+
+  /**
+   * Saves a finished replay to the replay directory. Errors are logged instead
+   * of thrown, since a missing replay shouldn't affect the game.
+   * @param {string} gameID The ID of the game that was recorded.
+   * @param {import('./replays').Replay} replay The finished replay.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _saveReplay (gameID, replay) {
+    const file = path.join(this.replayDir, `${gameID}-${Date.now()}.cwreplay`)
+
+    try {
+      await fs.mkdir(this.replayDir, { recursive: true })
+      await fs.writeFile(file, await encodeReplay(replay))
+      debug('Saved replay of game %s to %s', gameID, file)
+    } catch (ex) {
+      this.loggers.get('Games-logger').error(
+        `Failed to save replay of game ${gameID}: ${ex.stack}`
+      )
+    }
+  }
+
+  /**
+   * Starts this Manager's update loop. Games are updated ``tickRate`` times per
+   * second, while state updates are sent to clients ``updateLoopFrequency``
+   * times per second.
    */
   startUpdateLoop () {
     this.updateLoop = setInterval(() => {
       for (const game of this._games.values()) {
-        const clients = this.clients.get(`game-${game.id}`)
-
         game.update()
-
-        for (const state of game.serializeState()) {
-          clients.get(state.id).send(communications.CONN_UPDATE, state.contents)
-        }
       }
-    }, 1000 / this.updateLoopFrequency)
-    debug('Started update loop at %d updates/sec', this.updateLoopFrequency)
+    }, 1000 / this.tickRate)
+    this.sendLoop = setInterval(
+      this._sendUpdates.bind(this), 1000 / this.updateLoopFrequency
+    )
+    debug(
+      'Started update loop at %d ticks/sec, sending %d updates/sec',
+      this.tickRate, this.updateLoopFrequency
+    )
   }
 
   /**
@@ -156,26 +710,127 @@ export default class Manager extends events.EventEmitter {
    */
   stopUpdateLoop () {
     clearInterval(this.updateLoop)
+    clearInterval(this.sendLoop)
     this.updateLoop = null
+    this.sendLoop = null
     debug('Stopped update loop.')
   }
 
   /**
-   * Adds a new client to a game.
+   * Returns the ID of the player that the specified client connection controls,
+   * or null if it doesn't control any player.
+   * @param {string} connID The ID of the client connection.
+   * @returns {string|null}
+   * @private
+   */
+  _playerIDOf (connID) {
+    return this.playerIDs.get(connID) ?? null
+  }
+
+  /**
+   * Starts keeping track of a client that controls a player.
+   * @param {string} gameID The game's ID.
+   * @param {InstanceType<import('../cwdtp/conn')>} conn The WSConn object associated with the client.
+   * @param {string} playerID The ID of the player.
+   * @private
+   */
+  _attachClient (gameID, conn, playerID) {
+    this.clients.get(gameID).set(playerID, conn)
+    this.snapshots.set(playerID, new SnapshotHistory())
+    this.clocks.set(playerID, new ClockSync({
+      maxCompensation: this._games.get(gameID).maxLagCompensation
+    }))
+    this.playerIDs.set(conn.id, playerID)
+  }
+
+  /**
+   * Stops keeping track of the client that controls a player, if there is one.
+   * @param {string} gameID The game's ID.
+   * @param {string} playerID The ID of the player.
+   * @private
+   */
+  _detachClient (gameID, playerID) {
+    const conn = this.clients.get(gameID).get(playerID)
+
+    if (conn && this.playerIDs.get(conn.id) === playerID) {
+      this.playerIDs.delete(conn.id)
+    }
+    this.clients.get(gameID).delete(playerID)
+    this.snapshots.delete(playerID)
+    this.clocks.delete(playerID)
+  }
+
+  /**
+   * Gives a player a new reconnect token, and returns the token.
+   * @param {string} gameID The game's ID.
+   * @param {string} playerID The ID of the player.
+   * @returns {string}
+   * @private
+   */
+  _newSession (gameID, playerID) {
+    const token = nanoid()
+
+    this._endSession(playerID)
+    this.sessions.set(playerID, { gameID, token, expiry: null })
+    this.reconnectTokens.set(token, playerID)
+
+    return token
+  }
+
+  /**
+   * Invalidates a player's reconnect token, and stops the player from being
+   * removed once their grace period is over.
+   * @param {string} playerID The ID of the player.
+   * @private
+   */
+  _endSession (playerID) {
+    const session = this.sessions.get(playerID)
+    if (!session) {
+      return
+    }
+
+    clearTimeout(session.expiry)
+    this.reconnectTokens.delete(session.token)
+    this.sessions.delete(playerID)
+  }
+
+  /**
+   * Removes a player from a game, along with its client.
+   * @param {string} gameID The game's ID.
+   * @param {string} playerID The ID of the player.
+   * @private
+   */
+  _removePlayerFrom (gameID, playerID) {
+    const playerName = this._games.get(gameID).removePlayer(playerID)
+    if (playerName === null) {
+      return
+    }
+
+    this._detachClient(gameID, playerID)
+    this._endSession(playerID)
+
+    this.playerNames.splice(this.playerNames.indexOf(playerName), 1)
+    this.numClients--
+    this._balanceGames()
+  }
+
+  /**
+   * Adds a new client to a game, and returns a token that the client could use
+   * to reconnect to its player if it loses its connection.
    * @param {string} gameID The game's ID.
    * @param {InstanceType<import('../cwdtp/conn')>} conn The WSConn object associated with the client.
    * @param {import('./modes/base-game').PlayerMeta} playerMeta Player information.
+   * @returns {string}
    */
   addClientTo (gameID, conn, playerMeta) {
     if (this._games.has(gameID)) {
-      const game = this._games.get(gameID)
-      game.addPlayer(conn.id, playerMeta)
-
-      this.clients.get(gameID).set(conn.id, conn)
+      this._games.get(gameID).addPlayer(conn.id, playerMeta)
+      this._attachClient(gameID, conn, conn.id)
 
       this.playerNames.push(playerMeta.name)
       this.numClients++
-      return
+      this._balanceGames()
+      return this._newSession(gameID, conn.id)
     }
     throw new Error('Game does not exist; cannot add client to game')
   }
@@ -186,15 +841,85 @@ export default class Manager extends events.EventEmitter {
    * @param {InstanceType<import('../cwdtp/conn')>} conn The WSConn object associated with the client.
    */
   removeClientFrom (gameID, conn) {
-    if (this._games.has(gameID)) {
-      const game = this._games.get(gameID)
-      const playerName = game.removePlayer(conn.id)
+    const playerID = this._playerIDOf(conn.id)
 
-      this.clients.get(gameID).delete(conn.id)
+    if (this._games.has(gameID) && playerID !== null) {
+      this._removePlayerFrom(gameID, playerID)
+    }
+  }
 
-      this.playerNames.splice(this.playerNames.indexOf(playerName), 1)
-      this.numClients--
+  /**
+   * Handles a client that lost its connection. The client's player stays in
+   * the game for ``reconnectGracePeriod`` milliseconds, and is removed if the
+   * client doesn't reconnect in time.
+   * @param {string} gameID The game's ID.
+   * @param {InstanceType<import('../cwdtp/conn')>} conn The WSConn object associated with the client.
+   */
+  disconnectClientFrom (gameID, conn) {
+    const playerID = this._playerIDOf(conn.id)
+    const session = this.sessions.get(playerID)
+
+    if (!this._games.has(gameID) || playerID === null) {
+      return
+    }
+    if (!session || this.reconnectGracePeriod <= 0) {
+      this._removePlayerFrom(gameID, playerID)
+      return
+    }
+
+    this._games.get(gameID).setPlayerConnected(playerID, false)
+    this._detachClient(gameID, playerID)
+    session.expiry = setTimeout(() => {
+      debug('Player %s did not reconnect in time', playerID)
+      this._removePlayerFrom(gameID, playerID)
+    }, this.reconnectGracePeriod)
+
+    debug('Player %s disconnected from game %s', playerID, gameID)
+  }
+
+  /**
+   * Returns true if the specified reconnect token could be used to reconnect
+   * to a player in the specified game.
+   * @param {string} gameID The game's ID.
+   * @param {string} token The reconnect token.
+   * @returns {boolean}
+   */
+  canReconnect (gameID, token) {
+    const playerID = this.reconnectTokens.get(token)
+
+    return playerID !== undefined && this.sessions.get(playerID).gameID === gameID
+  }
+
+  /**
+   * Lets a client take back control of a player with a reconnect token. If
+   * another client still controls the player, that client is disconnected.
+   *
+   * Returns a new reconnect token (the old one can't be used again), or null
+   * if the token is not valid for the specified game.
+   * @param {string} gameID The game's ID.
+   * @param {InstanceType<import('../cwdtp/conn')>} conn The WSConn object associated with the client.
+   * @param {string} token The reconnect token.
+   * @returns {string|null}
+   */
+  reconnectClientTo (gameID, conn, token) {
+    if (!this.canReconnect(gameID, token)) {
+      return null
     }
+
+    const playerID = this.reconnectTokens.get(token)
+    const previous = this.clients.get(gameID).get(playerID)
+
+    this._detachClient(gameID, playerID)
+    this._attachClient(gameID, conn, playerID)
+    if (previous && previous !== conn) {
+      // Otherwise, the old client would keep getting updates for a player it
+      // no longer controls.
+      previous.terminate(closeCodes.REPLACED, 'Reconnected from another connection')
+    }
+    this._games.get(gameID).setPlayerConnected(playerID, true)
+
+    debug('Player %s reconnected to game %s', playerID, gameID)
+    return this._newSession(gameID, playerID)
   }
 
   /**
@@ -205,18 +930,140 @@ export default class Manager extends events.EventEmitter {
     if (this._games.has(gameID)) {
       const game = this._games.get(gameID)
 
-      for (const name of game.allPlayerNames()) {
+      for (const { id, name } of game.allPlayerInfo()) {
+        this._detachClient(gameID, id)
+        this._endSession(id)
         this.playerNames.splice(this.playerNames.indexOf(name), 1)
         this.numClients--
       }
       game.clearPlayers()
+      this._balanceGames()
+    }
+  }
 
-      this.clients.get(gameID).clear()
+  /**
+   * Adds a new spectator to a game. Spectators receive the full state of the
+   * game, but can't do anything in it.
+   * @param {string} gameID The game's ID.
+   * @param {InstanceType<import('../cwdtp/conn')>} conn The WSConn object associated with the spectator.
+   * @param {SpectatorMeta} spectatorMeta Spectator information.
+   */
+  addSpectatorTo (gameID, conn, spectatorMeta) {
+    if (this._games.has(gameID)) {
+      this._games.get(gameID).addSpectator(conn.id, spectatorMeta)
+
+      this.spectators.get(gameID).set(conn.id, conn)
+      this.snapshots.set(conn.id, new SnapshotHistory())
+
+      this.playerNames.push(spectatorMeta.name)
+      this.numSpectators++
+      this._balanceGames()
+      return
     }
+    throw new Error('Game does not exist; cannot add spectator to game')
   }
 
   /**
-   * Returns true if a player exists.
+   * Removes the specified spectator from the specified game.
+   * @param {string} gameID The game's ID.
+   * @param {InstanceType<import('../cwdtp/conn')>} conn The WSConn object associated with the spectator.
+   */
+  removeSpectatorFrom (gameID, conn) {
+    if (this._games.has(gameID)) {
+      const name = this._games.get(gameID).removeSpectator(conn.id)
+      if (name === null) {
+        return
+      }
+
+      this.spectators.get(gameID).delete(conn.id)
+      this.snapshots.delete(conn.id)
+
+      this.playerNames.splice(this.playerNames.indexOf(name), 1)
+      this.numSpectators--
+      this._balanceGames()
+    }
+  }
+
+  /**
+   * Sends a chat message from a client to the other players in its game. Team
+   * messages are only sent to the sender's team, while messages to everyone
+   * are sent to spectators as well.
+   *
+   * Returns false if the client doesn't control a player, or if the message
+   * was blocked by the chat filter.
+   * @param {string} gameID The game's ID.
+   * @param {InstanceType<import('../cwdtp/conn')>} conn The WSConn object associated with the client.
+   * @param {import('./chat').ChatRequest} request The message to send.
+   * @returns {boolean}
+   */
+  sendChatFrom (gameID, conn, request) {
+    const playerID = this._playerIDOf(conn.id)
+    if (!this._games.has(gameID) || playerID === null) {
+      return false
+    }
+
+    const game = this._games.get(gameID)
+    const sender = Array.from(game.allPlayerInfo()).find(p => p.id === playerID)
+    const message = {
+      from: sender.name,
+      team: sender.team,
+      scope: request.scope,
+      message: request.message,
+      sentAt: Date.now()
+    }
+
+    const filtered = this.chatFilter({ ...message })
+    if (typeof filtered !== 'string') {
+      debug('Chat message from player %s was blocked', playerID)
+      return false
+    }
+    // The filter could have changed the message, so check it again.
+    message.message = filtered.trim()
+    if (!isValidChatLength(message.message, this.chatMaxLength)) {
+      debug('Filtered chat message from player %s is empty or too long', playerID)
+      return false
+    }
+
+    this.chatHistories.get(gameID).add(message)
+
+    const teams = new Map(
+      Array.from(game.allPlayerInfo()).map(p => [p.id, p.team])
+    )
+    for (const [id, client] of this.clients.get(gameID)) {
+      if (message.scope === 'all' || teams.get(id) === message.team) {
+        client.send(communications.CONN_CHAT, message)
+      }
+    }
+    if (message.scope === 'all') {
+      for (const spectator of this.spectators.get(gameID).values()) {
+        spectator.send(communications.CONN_CHAT, message)
+      }
+    }
+
+    return true
+  }
+
+  /**
+   * Returns the last few chat messages that the specified client could see.
+   * Spectators could only see messages that were sent to everyone.
+   * @param {string} gameID The game's ID.
+   * @param {InstanceType<import('../cwdtp/conn')>} conn The WSConn object associated with the client.
+   * @returns {Array<import('./chat').ChatMessage>}
+   */
+  getChatHistoryOf (gameID, conn) {
+    if (!this._games.has(gameID)) {
+      return []
+    }
+
+    const playerID = this._playerIDOf(conn.id)
+    const player = Array.from(this._games.get(gameID).allPlayerInfo())
+      .find(p => p.id === playerID)
+
+    return this.chatHistories.get(gameID).visibleTo(player ? player.team : null)
+  }
+
+  /**
+   * Returns true if a player or spectator with the specified name exists.
    * @param {string} name The name of the player.
    * @returns {boolean}
    */
@@ -243,115 +1090,401 @@ export default class Manager extends events.EventEmitter {
    * @returns {GameHandle}
    */
   getGame (gameID) {
-    const game = this._games.get(gameID)
+    // The game is replaced when the next map in the rotation is loaded, so it
+    // has to be looked up every time.
+    const game = () => this._games.get(gameID)
 
     if (this._games.has(gameID)) {
       return {
         get maxPlayers () {
-          return game.maxPlayers
+          return game().maxPlayers
         },
         get currentPlayers () {
-          return game.currentPlayers
+          return game().currentPlayers
+        },
+        get currentSpectators () {
+          return game().spectators.size
+        },
+        getSpectators: () => {
+          return Array.from(game().allSpectatorNames())
         },
         hasTeam: name => {
-          return game.teams.has(name)
+          return game().teams.has(name)
         },
         teamFull: name => {
-          const team = game.teams.get(name)
+          const team = game().teams.get(name)
 
           return team.currentPlayers === team.maxPlayers
         },
         getInfo: () => {
           return {
-            id: game.id,
-            name: game.name,
-            mode: game.mode,
-            description: game.description
+            id: game().id,
+            name: game().name,
+            mode: game().mode,
+            description: game().description
           }
         },
+        getModeState: () => {
+          return game().getModeState()
+        },
+        getPlayerScores: () => {
+          return Array.from(game().allPlayerScores())
+        },
         getTeams: () => {
-          return Array.from(game.teams.values())
+          return Array.from(game().teams.values())
             .map(t => ({ name: t.name, full: t.currentPlayers === t.maxPlayers }))
         },
         getMapData: () => {
-          return {
-            // Hard-coded for now.
-            obstacles: [],
-            decorations: [],
-            tileType: game.tileType,
-            worldLimits: game.worldLimits
-          }
+          return this._getMapData(game())
         },
         addInputTo: (id, input) => {
-          game.addInputTo(id, input)
+          const playerID = this._playerIDOf(id)
+          const clock = this.clocks.get(playerID)
+          const now = Date.now()
+
+          game().addInputTo(playerID, {
+            ...input,
+            timestamp: clock ? clock.toServerTime(input.timestamp, now) : now
+          })
+        },
+        orderUnits: (id, orders) => {
+          return game().orderUnits(this._playerIDOf(id), orders)
+        },
+        placeBuilding: (id, placement) => {
+          return game().placeBuilding(this._playerIDOf(id), placement)
         },
         addPlayer: (...args) => {
-          this.addClientTo(gameID, ...args)
+          return this.addClientTo(gameID, ...args)
         },
         removePlayer: conn => {
           this.removeClientFrom(gameID, conn)
         },
+        disconnectPlayer: conn => {
+          this.disconnectClientFrom(gameID, conn)
+        },
+        canReconnect: token => {
+          return this.canReconnect(gameID, token)
+        },
+        reconnectPlayer: (conn, token) => {
+          return this.reconnectClientTo(gameID, conn, token)
+        },
+        addSpectator: (...args) => {
+          this.addSpectatorTo(gameID, ...args)
+        },
+        removeSpectator: conn => {
+          this.removeSpectatorFrom(gameID, conn)
+        },
         clearPlayers: () => {
           this.clearClientsFrom(gameID)
+        },
+        ackUpdate: (conn, seq) => {
+          // Spectators don't control a player.
+          const history = this.snapshots.get(this._playerIDOf(conn.id) ?? conn.id)
+
+          return history ? history.ack(seq) : false
+        },
+        requestKeyframe: conn => {
+          const history = this.snapshots.get(this._playerIDOf(conn.id) ?? conn.id)
+
+          if (history) {
+            history.requestKeyframe()
+          }
+        },
+        syncClock: (conn, response) => {
+          const clock = this.clocks.get(this._playerIDOf(conn.id))
+
+          return clock ? clock.addResponse(response, Date.now()) : false
+        },
+        sendChat: (conn, request) => {
+          return this.sendChatFrom(gameID, conn, request)
+        },
+        getChatHistory: conn => {
+          return this.getChatHistoryOf(gameID, conn)
         }
       }
     }
   }
 
   /**
-   * Creates a new game, with its configurations randomly selected from
-   * the list of available configuration paths.
-   * @returns {Promise<import('./gameloader').GameInstances>}
+   * Creates a new game on the next map in the map rotation. Kept for
+   * compatibility; same as calling ``newGame()`` without options.
+   * @returns {Promise<import('./modes/base-game')>}
    */
   async newRandomGame () {
-    const location = this.dataFiles.location
+    return this.newGame()
+  }
+
+  /**
+   * Creates a new game. The game's map is the next map in the map rotation,
+   * unless a specific map is requested.
+   * @param {NewGameOptions} [opts] Options.
+   * @returns {Promise<import('./modes/base-game')>}
+   */
+  async newGame (opts = {}) {
     const availableFiles = this.dataFiles.availableMaps
 
-    if ((this._games.size + 1) > this.maxGames) {
+    if ((this._games.size + this._pendingGames + 1) > this.maxGames) {
       throw new RangeError('Maximum amount of games reached!')
     }
     if (!(availableFiles instanceof Array)) {
       throw new TypeError('Game configurations must be an array!')
     }
-    const index = Math.floor(Math.random() * availableFiles.length)
-    const file = availableFiles[index]
-
-    // Retrieve map config from cache if possible, otherwise laod
-    // it from disk.
-    const config = await (async () => {
-      if (this.dataFilesCache.maps.has(file)) {
-        return this.dataFilesCache.maps.get(file)
-      } else {
-        // const _config = await MapConfig.fromFile(path.join(location, file))
-        const _config = new ReadonlyMapConfig(await fs.readFile(
-          path.join(location, file), { encoding: 'utf-8' }
-        ))
-        this.dataFilesCache.maps.set(file, _config)
-        return _config
+    if (opts.map && !availableFiles.includes(opts.map)) {
+      throw new TypeError(`Map ${opts.map} does not exist!`)
+    }
+
+    // The game counts towards the maximum while its map loads.
+    this._pendingGames++
+    const { file, loaded } = await (async () => {
+      if (opts.map) {
+        return { file: opts.map, loaded: await this._loadMap(opts.map) }
       }
-    })()
 
-    const game = games.createWithMode(config.mode, {
-      id: this._games.size + 1,
-      stepsPerUpdate: 2,
-      mapConfig: config
+      // Maps that failed to load are skipped.
+      const file = this.mapRotation.next(f => this._hasMode(f, opts.mode))
+      if (file === null) {
+        throw new TypeError(opts.mode ? `No map has the ${opts.mode} mode!` : 'No valid maps!')
+      }
+
+      return { file, loaded: await this._loadMap(file) }
+    })().finally(() => {
+      this._pendingGames--
     })
 
-    game.on('capacity-change', this._onGameCapacityChange.bind(this))
-    this._games.set(`game-${game.id}`, game)
-    this.clients.set(`game-${game.id}`, new Map())
+    if (!this._hasMode(file, opts.mode)) {
+      throw new TypeError(`Map ${file} does not have the ${opts.mode} mode!`)
+    }
+
+    const game = this._createGame(this._nextGameID++, loaded)
+    const gameID = `game-${game.id}`
+
+    this._games.set(gameID, game)
+    this.gameMaps.set(gameID, file)
+    this.clients.set(gameID, new Map())
+    this.spectators.set(gameID, new Map())
+    this.chatHistories.set(gameID, new ChatHistory(this.chatHistorySize))
+    if (this.replayDir) {
+      this._startRecording(gameID, loaded.contents)
+    }
     this.emit('new-game', game)
+    this._balanceGames()
+    return game
+  }
+
+  /**
+   * Loads a map config file, or returns it from the cache if it had already
+   * been loaded.
+   * @param {string} file The name of the map config file.
+   * @returns {Promise<LoadedMap>}
+   * @private
+   */
+  async _loadMap (file) {
+    if (this.dataFilesCache.maps.has(file)) {
+      return this.dataFilesCache.maps.get(file)
+    }
+
+    const loaded = await this._parseMap(file)
+    this.dataFilesCache.maps.set(file, loaded)
+    return loaded
+  }
+
+  /**
+   * Reads, validates, and parses a map config file. Throws a
+   * MapValidationError if the map is invalid.
+   * @param {string} file The name of the map config file.
+   * @returns {Promise<LoadedMap>}
+   * @private
+   */
+  async _parseMap (file) {
+    const contents = await fs.readFile(
+      path.join(this.dataFiles.location, file), { encoding: 'utf-8' }
+    )
+    const problems = validateMap(contents)
+    if (problems.length > 0) {
+      throw new MapValidationError(file, problems)
+    }
+
+    return {
+      contents,
+      config: new ReadonlyMapConfig(contents),
+      extras: parseMapExtras(JSON.parse(contents))
+    }
+  }
+
+  /**
+   * Loads the latest version of a map config file. Games created after this
+   * are played on the new version, while running games keep playing on the
+   * old version until their round is over. If the new version is invalid, it
+   * is logged and the old version is kept.
+   * @param {string} file The name of the map config file.
+   * @returns {Promise<boolean>} Whether the map was reloaded.
+   */
+  async reloadMap (file) {
+    let loaded = null
+    try {
+      loaded = await this._parseMap(file)
+    } catch (ex) {
+      this.loggers.get('Games-logger').error(
+        `Failed to reload map ${file}: ${ex.message}`
+      )
+      return false
+    }
+
+    this.dataFilesCache.maps.set(file, loaded)
+    debug('Reloaded map %s.', file)
+    this.emit('map-reload', file)
+    return true
+  }
+
+  /**
+   * Starts watching the map config directory, and reloads map config files
+   * whenever they change.
+   */
+  watchMaps () {
+    if (this.mapWatcher) {
+      return
+    }
+
+    this.mapWatcher = watch(this.dataFiles.location, (_, file) => {
+      if (!file || !this.dataFiles.availableMaps.includes(file)) {
+        return
+      }
+
+      clearTimeout(this._reloadTimers.get(file))
+      this._reloadTimers.set(file, setTimeout(() => {
+        this._reloadTimers.delete(file)
+        this.reloadMap(file)
+      }, MAP_RELOAD_DELAY))
+    })
+    this.mapWatcher.on('error', err => {
+      this.loggers.get('Games-logger').error(
+        `Failed to watch map configs: ${err.message}`
+      )
+      this.unwatchMaps()
+    })
+    debug('Watching %s for map changes.', this.dataFiles.location)
+  }
+
+  /**
+   * Stops watching the map config directory.
+   */
+  unwatchMaps () {
+    if (!this.mapWatcher) {
+      return
+    }
+
+    this.mapWatcher.close()
+    this.mapWatcher = null
+    for (const timer of this._reloadTimers.values()) {
+      clearTimeout(timer)
+    }
+    this._reloadTimers.clear()
+    debug('Stopped watching for map changes.')
+  }
+
+  /**
+   * Returns true if the specified map has been loaded, and is played with the
+   * specified mode. All modes match if ``mode`` is not specified.
+   * @param {string} file The name of the map config file.
+   * @param {string} [mode] The game mode.
+   * @returns {boolean}
+   * @private
+   */
+  _hasMode (file, mode) {
+    const loaded = this.dataFilesCache.maps.get(file)
+    if (!loaded) {
+      return false
+    }
+
+    return !mode || loaded.config.mode.toLowerCase() === mode.toLowerCase()
+  }
+
+  /**
+   * Creates a game with the specified ID and map, and starts listening to its
+   * events.
+   * @param {number} id The ID of the game.
+   * @param {LoadedMap} loaded The map to play on.
+   * @returns {import('./modes/base-game')}
+   * @private
+   */
+  _createGame (id, loaded) {
+    const gameID = `game-${id}`
+    const game = games.createWithMode(loaded.config.mode, {
+      id,
+      tickRate: this.tickRate,
+      mapConfig: loaded.config,
+      mapExtras: loaded.extras,
+      viewRadius: this.viewRadius,
+      maxQueuedInputs: this.maxQueuedInputs
+    })
+
+    game.on('capacity-change', this._onGameCapacityChange.bind(this))
+    game.on('phase-change', this._onGamePhaseChange.bind(this, gameID))
+    game.on('round-end', this._onGameRoundEnd.bind(this, gameID))
+    game.on('round-over', this._onGameRoundOver.bind(this, gameID))
+
     return game
   }
 
+  /**
+   * Tears down the specified game. Any players that are still in the game are
+   * removed first, and the replay of the unfinished round is saved.
+   * @param {string} gameID The ID of the game to tear down.
+   */
+  removeGame (gameID) {
+    const game = this._games.get(gameID)
+    if (!game) {
+      return
+    }
+
+    const recorder = this.recorders.get(gameID)
+    if (recorder) {
+      this._saveReplay(gameID, recorder.stop())
+    }
+
+    this.clearClientsFrom(gameID)
+    for (const conn of Array.from(this.spectators.get(gameID).values())) {
+      this.removeSpectatorFrom(gameID, conn)
+    }
+
+    clearTimeout(this.idleTimers.get(gameID))
+    game.removeAllListeners()
+    this._games.delete(gameID)
+    this.clients.delete(gameID)
+    this.spectators.delete(gameID)
+    this.chatHistories.delete(gameID)
+    this.roundResults.delete(gameID)
+    this.recorders.delete(gameID)
+    this.idleTimers.delete(gameID)
+    this.gameMaps.delete(gameID)
+
+    debug('Removed game %s.', gameID)
+    this.emit('game-removed', gameID)
+  }
+
   /**
    * Initializes this Manager instance.
    */
   async init () {
-    // First, create the starting amount of games.
+    // Load all the maps first, so that the next map in the rotation could be
+    // loaded as soon as a round is over.
+    for (const file of this.dataFiles.availableMaps) {
+      try {
+        await this._loadMap(file)
+      } catch (ex) {
+        this.loggers.get('Games-logger').error(
+          `Failed to load map ${file}: ${ex.message}`
+        )
+      }
+    }
+    if (this.dataFilesCache.maps.size < 1) {
+      throw new Error('None of the map configs are valid!')
+    }
+
+    // Then, create the starting amount of games.
     debug('Creating %d games on initialization.', this.startGames)
     for (let i = 0; i < this.startGames; i++) {
-      await this.newRandomGame()
+      await this.newGame()
     }
   }
 
@@ -0,0 +1,325 @@
+/* eslint-env node */
+/**
+ * @fileoverview Functions to load server-side map data that is not handled
+ * by ``ReadonlyMapConfig``.
+ */
+
+import Joi from 'joi'
+
+import { deepFreeze } from '../utils/utils.js'
+
+/**
+ * @typedef {import('colonialwars-lib/math').Vector2DLike} Vector2DLike
+ *
+ * @typedef {Object} HillZone
+ * @prop {Vector2DLike} position The centre of the hill.
+ * @prop {number} radius The radius of the hill.
+ *
+ * @typedef {Object} KothModeData
+ * @prop {HillZone} hill
+ * @prop {number} scoreToWin How many seconds a team must hold the hill to win.
+ *
+ * @typedef {Object} SiegeObjective
+ * @prop {string} id
+ * @prop {Vector2DLike} position
+ * @prop {number} hitPoints The starting hit points of the objective.
+ *
+ * @typedef {Object} SiegeModeData
+ * @prop {Array<string>} attackers The names of the attacking teams.
+ * @prop {Array<string>} defenders The names of the defending teams.
+ * @prop {Array<SiegeObjective>} objectives
+ * @prop {number} roundDuration How long (in seconds) the defenders must hold out.
+ *
+ * @typedef {Object} RoundData
+ * @prop {number} minPlayers Players required before a round can start.
+ * @prop {number} countdownDuration Length of the countdown, in seconds.
+ * @prop {number} roundDuration Length of a round, in seconds.
+ * @prop {number} finishedDuration How long to wait after a round ends, in seconds.
+ * @prop {number} [scoreToWin] The score a team must reach to win.
+ *
+ * @typedef {Object} ModeData
+ * @prop {RoundData} rounds Round lifecycle data shared by all team modes.
+ * @prop {KothModeData} [koth]
+ * @prop {SiegeModeData} [siege]
+ *
+ * @typedef {Object} MapObjectData
+ * @prop {Vector2DLike} position The centre of the object.
+ * @prop {Vector2DLike} size The width (x) and height (y) of the object.
+ * @prop {string} img The ID of the graphics to draw the object with.
+ *
+ * @typedef {Record<string, number>} Resources An amount of each type of
+ * resource, keyed by the name of the resource.
+ *
+ * @typedef {Object} ResourceNodeData
+ * @prop {Vector2DLike} position
+ * @prop {string} resource The type of resource the node gives.
+ * @prop {number} income How much of the resource the node gives each income tick.
+ * @prop {number} radius How close a team's finished building must be for the
+ * team to control the node.
+ * @prop {string} img The ID of the graphics to draw the node with.
+ *
+ * @typedef {Object} UnitData
+ * @prop {string} name
+ * @prop {string} description
+ * @prop {string} img The ID of the graphics to draw the unit with.
+ * @prop {number} speed How fast the unit moves, in world units per millisecond.
+ * @prop {number} mass
+ * @prop {number} radius The radius of the unit's collider.
+ * @prop {number} hitPoints The starting hit points of the unit.
+ * @prop {number} damage How much damage the unit deals with each attack.
+ * @prop {number} attackRange How close the unit must be to its target to attack it.
+ * @prop {number} attackCooldown How long (in seconds) the unit waits between attacks.
+ * @prop {Resources} cost
+ *
+ * @typedef {Object} BuildingData
+ * @prop {string} name
+ * @prop {string} description
+ * @prop {string} img The ID of the graphics to draw the building with.
+ * @prop {Vector2DLike} size The width (x) and height (y) of the building.
+ * @prop {number} hitPoints The hit points of the building once it is built.
+ * @prop {number} buildTime How long (in seconds) the building takes to build.
+ * @prop {number} territoryRadius How far the building extends its team's
+ * territory once it is built.
+ * @prop {Resources} cost
+ *
+ * @typedef {'speed'|'damage'} ModifiableStat
+ *
+ * @typedef {Object} ModifierEffect
+ * @prop {ModifiableStat} stat The stat to modify.
+ * @prop {'add'|'multiply'} type Whether to add the value to the stat, or to
+ * multiply the stat by the value.
+ * @prop {number} value
+ *
+ * @typedef {Object} ModifierData
+ * @prop {string} name
+ * @prop {string} description
+ * @prop {string} [img] The ID of the graphics to show the modifier with.
+ * @prop {Array<ModifierEffect>} effects
+ * @prop {number} [duration] How long (in seconds) the modifier lasts. Modifiers
+ * without a duration last forever.
+ * @prop {'refresh'|'stack'|'ignore'} stacking What happens when the modifier is
+ * applied to an entity that already has it. ``refresh`` resets the duration,
+ * ``stack`` adds another stack (up to ``maxStacks``) and resets the duration,
+ * and ``ignore`` does nothing.
+ * @prop {number} maxStacks
+ *
+ * @typedef {Object} MapExtras
+ * @prop {ModeData} modeData Mode-specific map data.
+ * @prop {Record<string, UnitData>} unitData All the types of units, keyed by
+ * their IDs.
+ * @prop {Array<string>} startingUnits The types of the units that each player
+ * starts with.
+ * @prop {Record<string, BuildingData>} buildingData All the types of buildings,
+ * keyed by their IDs.
+ * @prop {number} territoryRadius How far from their spawn position teams could
+ * place buildings.
+ * @prop {number} playerHitPoints The maximum hit points of players.
+ * @prop {number} respawnDelay How long (in seconds) players stay dead before
+ * respawning.
+ * @prop {Record<string, ModifierData>} modifiersData All the modifiers, keyed
+ * by their IDs.
+ * @prop {Resources} startingResources The resources each team starts with.
+ * @prop {Resources} baseIncome The resources each team gets every income tick.
+ * @prop {number} incomeInterval How long (in seconds) an income tick is.
+ * @prop {Array<ResourceNodeData>} resourceNodes
+ * @prop {Array<MapObjectData>} obstacles Objects that entities cannot move through.
+ * @prop {Array<MapObjectData>} decorations Purely visual objects.
+ */
+
+const vectorSchema = Joi.object({
+  x: Joi.number().required(),
+  y: Joi.number().required()
+})
+
+const kothSchema = Joi.object({
+  hill: Joi.object({
+    position: vectorSchema.required(),
+    radius: Joi.number().positive().required()
+  }).required(),
+  scoreToWin: Joi.number().positive().required()
+})
+
+const siegeSchema = Joi.object({
+  attackers: Joi.array().items(Joi.string()).min(1).unique().required(),
+  defenders: Joi.array().items(Joi.string()).min(1).unique().required(),
+  objectives: Joi.array().items(Joi.object({
+    id: Joi.string().required(),
+    position: vectorSchema.required(),
+    hitPoints: Joi.number().positive().required()
+  })).min(1).unique('id').required(),
+  roundDuration: Joi.number().positive().required()
+})
+
+const roundSchema = Joi.object({
+  minPlayers: Joi.number().integer().min(1).default(2),
+  countdownDuration: Joi.number().min(0).default(10),
+  roundDuration: Joi.number().positive().default(600),
+  finishedDuration: Joi.number().min(0).default(10),
+  scoreToWin: Joi.number().positive()
+})
+
+const sizeSchema = Joi.object({
+  x: Joi.number().positive().required(),
+  y: Joi.number().positive().required()
+})
+
+const mapObjectSchema = Joi.object({
+  position: vectorSchema.required(),
+  size: sizeSchema.required(),
+  img: Joi.string().required()
+})
+
+const resourcesSchema = Joi.object().pattern(Joi.string(), Joi.number().min(0))
+
+const resourceNodeSchema = Joi.object({
+  position: vectorSchema.required(),
+  resource: Joi.string().required(),
+  income: Joi.number().positive().required(),
+  radius: Joi.number().positive().required(),
+  img: Joi.string().required()
+})
+
+const unitSchema = Joi.object({
+  name: Joi.string().required(),
+  description: Joi.string().allow('').default(''),
+  img: Joi.string().required(),
+  speed: Joi.number().positive().required(),
+  mass: Joi.number().positive().default(1),
+  radius: Joi.number().positive().default(10),
+  hitPoints: Joi.number().positive().required(),
+  damage: Joi.number().min(0).default(0),
+  attackRange: Joi.number().positive().default(50),
+  attackCooldown: Joi.number().positive().default(1),
+  cost: resourcesSchema.default({})
+})
+
+const buildingSchema = Joi.object({
+  name: Joi.string().required(),
+  description: Joi.string().allow('').default(''),
+  img: Joi.string().required(),
+  size: sizeSchema.required(),
+  hitPoints: Joi.number().positive().required(),
+  buildTime: Joi.number().positive().default(10),
+  territoryRadius: Joi.number().min(0).default(0),
+  cost: resourcesSchema.default({})
+})
+
+const modifierSchema = Joi.object({
+  name: Joi.string().required(),
+  description: Joi.string().allow('').default(''),
+  img: Joi.string(),
+  effects: Joi.array().items(Joi.object({
+    stat: Joi.string().valid('speed', 'damage').required(),
+    type: Joi.string().valid('add', 'multiply').required(),
+    value: Joi.number().required()
+  })).min(1).required(),
+  duration: Joi.number().positive(),
+  stacking: Joi.string().valid('refresh', 'stack', 'ignore').default('refresh'),
+  maxStacks: Joi.number().integer().min(1).default(1)
+})
+
+const extrasSchema = Joi.object({
+  modeData: Joi.object({
+    rounds: roundSchema.default(),
+    koth: kothSchema,
+    siege: siegeSchema
+  }).default(),
+  unitData: Joi.object().pattern(Joi.string(), unitSchema).default({}),
+  startingUnits: Joi.array().items(Joi.string()).default([]),
+  buildingData: Joi.object().pattern(Joi.string(), buildingSchema).default({}),
+  territoryRadius: Joi.number().positive().default(500),
+  playerHitPoints: Joi.number().positive().default(100),
+  respawnDelay: Joi.number().min(0).default(5),
+  modifiersData: Joi.object().pattern(Joi.string(), modifierSchema).default({}),
+  startingResources: resourcesSchema.default({}),
+  baseIncome: resourcesSchema.default({}),
+  incomeInterval: Joi.number().positive().default(5),
+  resourceNodes: Joi.array().items(resourceNodeSchema).default([]),
+  obstacles: Joi.array().items(mapObjectSchema).default([]),
+  decorations: Joi.array().items(mapObjectSchema).default([])
+}).unknown(true)
+
+/**
+ * Returns the ``meta`` keys of a parsed map config that extend unit or building
+ * data from elsewhere. The server only knows about the unit and building data
+ * in the map config itself, so maps that use these can't be loaded.
+ * @param {Record<string, any>} [meta] The ``meta`` section of the map config.
+ * @returns {Array<string>}
+ */
+export function findUnsupportedExtends (meta) {
+  return ['unitDataExtends', 'buildingDataExtends'].filter(key => {
+    return meta?.[key] !== undefined && meta[key] !== 'none'
+  })
+}
+
+/**
+ * Finds everything that is wrong with the server-side extras of a parsed map
+ * config file, instead of stopping at the first problem like
+ * ``parseMapExtras()`` does. The path of each problem is relative to the
+ * ``data`` section of the map config.
+ * @param {Record<string, any>} raw The parsed map config file.
+ * @returns {Array<{ path: Array<string|number>, message: string }>}
+ */
+export function findMapExtrasProblems (raw) {
+  const { value, error } = extrasSchema.validate(raw?.data || {}, { abortEarly: false })
+  const problems = (error?.details || []).map(detail => ({
+    path: detail.path,
+    message: detail.message
+  }))
+  const unitData = value?.unitData || {}
+
+  if (Array.isArray(value?.startingUnits)) {
+    value.startingUnits.forEach((type, i) => {
+      if (typeof type === 'string' && !unitData[type]) {
+        problems.push({ path: ['startingUnits', i], message: `unit type ${type} does not exist` })
+      }
+    })
+  }
+
+  return problems
+}
+
+/**
+ * Parses the server-side extras out of a parsed map config file.
+ *
+ * The extras live in the ``data`` section of a map config, alongside the data
+ * that ``ReadonlyMapConfig`` understands. Throws a TypeError if the extras are
+ * invalid, or if the map extends unit or building data from elsewhere. The
+ * returned object is deep-frozen.
+ * @param {Record<string, any>} raw The parsed map config file.
+ * @returns {Readonly<MapExtras>}
+ */
+export function parseMapExtras (raw) {
+  const { value, error } = extrasSchema.validate(raw?.data || {})
+
+  if (error) {
+    throw new TypeError(`Invalid map extras: ${error.message}`)
+  }
+
+  const [unsupported] = findUnsupportedExtends(raw?.meta)
+  if (unsupported) {
+    throw new TypeError(`Invalid map extras: ${unsupported} is not supported, use "none" instead`)
+  }
+
+  const unknownUnit = value.startingUnits.find(type => !value.unitData[type])
+  if (unknownUnit) {
+    throw new TypeError(`Invalid map extras: unit type ${unknownUnit} does not exist`)
+  }
+
+  return deepFreeze({
+    modeData: value.modeData,
+    unitData: value.unitData,
+    startingUnits: value.startingUnits,
+    buildingData: value.buildingData,
+    territoryRadius: value.territoryRadius,
+    playerHitPoints: value.playerHitPoints,
+    respawnDelay: value.respawnDelay,
+    modifiersData: value.modifiersData,
+    startingResources: value.startingResources,
+    baseIncome: value.baseIncome,
+    incomeInterval: value.incomeInterval,
+    resourceNodes: value.resourceNodes,
+    obstacles: value.obstacles,
+    decorations: value.decorations
+  })
+}
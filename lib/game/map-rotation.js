@@ -0,0 +1,113 @@
+/* eslint-env node */
+/**
+ * @fileoverview MapRotation class to decide which map each game is played on.
+ */
+
+/**
+ * @typedef {'random'|'round-robin'|'weighted'|'playlist'} RotationStrategy
+ *
+ * @typedef {Object} MapRotationOptions
+ * @prop {RotationStrategy} [strategy] How to pick the next map. Defaults to
+ * ``random``.
+ * @prop {Array<string>} maps All the maps that are available.
+ * @prop {Record<string, number>} [weights] How likely each map is to be picked
+ * with the ``weighted`` strategy. Maps without a weight have a weight of 1.
+ * @prop {Array<string>} [playlist] The maps to go through, in order, with the
+ * ``playlist`` strategy. Maps could appear more than once.
+ * @prop {() => number} [random] The function to get random numbers from.
+ * Defaults to ``Math.random``.
+ */
+
+export const STRATEGIES = ['random', 'round-robin', 'weighted', 'playlist']
+
+/**
+ * MapRotation class.
+ *
+ * Picks the map of each new game, and the map that is loaded once a round is
+ * over. Maps are picked at random by default, but they could also be picked
+ * in order (``round-robin``), at random based on their weights
+ * (``weighted``), or in the order of an explicit playlist (``playlist``).
+ */
+export default class MapRotation {
+  /**
+   * Constructor for a MapRotation class.
+   * @param {MapRotationOptions} opts Options.
+   */
+  constructor (opts) {
+    this.strategy = opts.strategy || 'random'
+    this.weights = opts.weights || {}
+    this.random = opts.random || Math.random
+
+    if (!STRATEGIES.includes(this.strategy)) {
+      throw new TypeError(`Unknown map rotation strategy ${this.strategy}!`)
+    }
+
+    /**
+     * The maps to pick from, in order.
+     * @type {Array<string>}
+     */
+    this.maps = this.strategy === 'playlist'
+      ? Array.from(opts.playlist || [])
+      : Array.from(opts.maps)
+
+    if (this.maps.length < 1) {
+      throw new RangeError('Map rotation must have at least one map!')
+    }
+
+    /**
+     * The index of the next map, for the strategies that go in order.
+     * @private
+     */
+    this._index = 0
+  }
+
+  /**
+   * Picks the next map from this rotation, or returns null if no maps pass
+   * the filter.
+   * @param {(map: string) => boolean} [filter] Only maps that pass this
+   * filter could be picked.
+   * @returns {string|null}
+   */
+  next (filter = () => true) {
+    if (this.strategy === 'round-robin' || this.strategy === 'playlist') {
+      // Skip the maps that don't pass the filter.
+      for (let i = 0; i < this.maps.length; i++) {
+        const map = this.maps[this._index]
+
+        this._index = (this._index + 1) % this.maps.length
+        if (filter(map)) {
+          return map
+        }
+      }
+
+      return null
+    }
+
+    const candidates = this.maps.filter(filter)
+    const weights = candidates.map(map => {
+      return this.strategy === 'weighted' ? this.weights[map] ?? 1 : 1
+    })
+    const total = weights.reduce((sum, weight) => sum + weight, 0)
+
+    if (total <= 0) {
+      return null
+    }
+
+    let target = this.random() * total
+    for (let i = 0; i < candidates.length; i++) {
+      target -= weights[i]
+      if (target < 0) {
+        return candidates[i]
+      }
+    }
+
+    // Floating point errors could leave a tiny bit of the target.
+    for (let i = candidates.length - 1; i >= 0; i--) {
+      if (weights[i] > 0) {
+        return candidates[i]
+      }
+    }
+
+    return null
+  }
+}
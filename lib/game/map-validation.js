@@ -0,0 +1,224 @@
+/* eslint-env node */
+/**
+ * @fileoverview Functions to check map config files for mistakes before any
+ * games are played on them.
+ */
+
+import debugFactory from 'debug'
+import { ReadonlyMapConfig } from 'colonialwars-lib/mapconfig'
+
+import { findMapExtrasProblems, findUnsupportedExtends } from './map-extras.js'
+
+const debug = debugFactory('colonialwars:map-validation')
+
+/**
+ * @typedef {Object} MapProblem
+ * @prop {string} path The JSON path of the value that is wrong, e.g.
+ * ``$.meta.teams[0].spawnPosition``.
+ * @prop {string} message What is wrong with the value.
+ */
+
+const MODES = ['teams', 'koth', 'siege']
+
+/**
+ * Returns true if the value is a plain object.
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isObject (value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+/**
+ * Returns true if the position is inside the world.
+ * @param {any} position
+ * @param {import('colonialwars-lib/math').Vector2DLike} worldLimits
+ * @returns {boolean}
+ */
+function isInside (position, worldLimits) {
+  return isObject(position) &&
+    position.x >= 0 && position.x <= worldLimits.x &&
+    position.y >= 0 && position.y <= worldLimits.y
+}
+
+/**
+ * Appends the keys of a Joi error path to a JSON path, e.g. ``['teams', 0]``
+ * becomes ``$.meta.teams[0]`` when appended to ``$.meta``.
+ * @param {string} base The JSON path to append to.
+ * @param {Array<string|number>} keys The keys to append.
+ * @returns {string}
+ */
+function toJSONPath (base, keys) {
+  return keys.reduce(
+    (path, key) => typeof key === 'number' ? `${path}[${key}]` : `${path}.${key}`,
+    base
+  )
+}
+
+/**
+ * Finds the problems that stop ``ReadonlyMapConfig`` from loading a map
+ * config.
+ * @param {string} contents The contents of the map config file.
+ * @returns {Array<MapProblem>}
+ */
+function findMapConfigProblems (contents) {
+  try {
+    const config = new ReadonlyMapConfig(contents)
+    debug('Loaded map config for %s.', config.mapName)
+    return []
+  } catch (ex) {
+    if (!Array.isArray(ex.details)) {
+      return [{ path: '$', message: ex.message }]
+    }
+
+    // Validation errors from Joi say which value is wrong.
+    return ex.details.map(detail => ({
+      path: toJSONPath('$', detail.path),
+      message: detail.message
+    }))
+  }
+}
+
+/**
+ * Finds the problems with the ``meta`` section of a map config.
+ * @param {Record<string, any>} meta
+ * @returns {Array<MapProblem>}
+ */
+function checkMeta (meta) {
+  const problems = []
+  const teams = Array.isArray(meta.teams) ? meta.teams : []
+  const worldLimits = meta.worldLimits
+
+  if (typeof meta.mode !== 'string' || !MODES.includes(meta.mode.toLowerCase())) {
+    problems.push({ path: '$.meta.mode', message: `must be one of ${MODES.join(', ')}` })
+  }
+  if (!isObject(worldLimits) || !(worldLimits.x > 0) || !(worldLimits.y > 0)) {
+    problems.push({ path: '$.meta.worldLimits', message: 'must have a positive x and y' })
+  } else {
+    teams.forEach((team, i) => {
+      if (!isInside(team?.spawnPosition, worldLimits)) {
+        problems.push({
+          path: `$.meta.teams[${i}].spawnPosition`,
+          message: 'must be inside the world limits'
+        })
+      }
+    })
+  }
+
+  for (const key of findUnsupportedExtends(meta)) {
+    problems.push({ path: `$.meta.${key}`, message: 'is not supported, use "none" instead' })
+  }
+
+  const teamPlayers = teams.reduce((sum, team) => sum + (Number(team?.maxPlayers) || 0), 0)
+  if (teamPlayers > meta.maxPlayers) {
+    problems.push({
+      path: '$.meta.teams',
+      message: `teams allow ${teamPlayers} players, but the map only allows ${meta.maxPlayers}`
+    })
+  }
+
+  return problems
+}
+
+/**
+ * Finds the graphics IDs that are used but not defined in a map config. Maps
+ * that extend other graphics data are not checked, since the extended graphics
+ * are not in the map config.
+ * @param {Record<string, any>} meta
+ * @param {Record<string, any>} data
+ * @returns {Array<MapProblem>}
+ */
+function checkGraphics (meta, data) {
+  if (meta.graphicsDataExtends !== 'none') {
+    return []
+  }
+
+  const graphics = isObject(data.graphicsData) ? data.graphicsData : {}
+  const problems = []
+  const check = (path, img) => {
+    if (img !== undefined && !Object.prototype.hasOwnProperty.call(graphics, img)) {
+      problems.push({ path, message: `graphics ${img} does not exist` })
+    }
+  }
+
+  check('$.data.playerData.img', data.playerData?.img)
+  for (const section of ['unitData', 'buildingData', 'modifiersData']) {
+    for (const [id, entry] of Object.entries(isObject(data[section]) ? data[section] : {})) {
+      check(`$.data.${section}.${id}.img`, entry?.img)
+    }
+  }
+  for (const section of ['obstacles', 'decorations', 'resourceNodes']) {
+    (Array.isArray(data[section]) ? data[section] : []).forEach((entry, i) => {
+      check(`$.data.${section}[${i}].img`, entry?.img)
+    })
+  }
+
+  return problems
+}
+
+/**
+ * Finds the problems with the mode-specific data of a map config.
+ * @param {Record<string, any>} meta
+ * @param {Record<string, any>} data
+ * @returns {Array<MapProblem>}
+ */
+function checkModeData (meta, data) {
+  const mode = typeof meta.mode === 'string' ? meta.mode.toLowerCase() : null
+  const modeData = isObject(data.modeData) ? data.modeData : {}
+  const teams = (Array.isArray(meta.teams) ? meta.teams : []).map(t => t?.name)
+  const problems = []
+
+  if (mode === 'koth' && !isObject(modeData.koth)) {
+    problems.push({ path: '$.data.modeData.koth', message: 'is required for KOTH maps' })
+  }
+  if (mode === 'siege') {
+    if (!isObject(modeData.siege)) {
+      return [{ path: '$.data.modeData.siege', message: 'is required for Siege maps' }]
+    }
+
+    for (const role of ['attackers', 'defenders']) {
+      const roleTeams = Array.isArray(modeData.siege[role]) ? modeData.siege[role] : []
+      roleTeams.forEach((team, i) => {
+        if (!teams.includes(team)) {
+          problems.push({
+            path: `$.data.modeData.siege.${role}[${i}]`,
+            message: `team ${team} does not exist`
+          })
+        }
+      })
+    }
+  }
+
+  return problems
+}
+
+/**
+ * Checks the contents of a map config file, and returns everything that is
+ * wrong with it. The map is valid if nothing is returned.
+ * @param {string} contents The contents of the map config file.
+ * @returns {Array<MapProblem>}
+ */
+export function validateMap (contents) {
+  let raw = null
+  try {
+    raw = JSON.parse(contents)
+  } catch (ex) {
+    return [{ path: '$', message: `is not valid JSON: ${ex.message}` }]
+  }
+  if (!isObject(raw) || !isObject(raw.meta)) {
+    return [{ path: '$.meta', message: 'is required' }]
+  }
+
+  const problems = findMapConfigProblems(contents)
+  const data = isObject(raw.data) ? raw.data : {}
+
+  for (const problem of findMapExtrasProblems(raw)) {
+    problems.push({ path: toJSONPath('$.data', problem.path), message: problem.message })
+  }
+
+  return problems.concat(
+    checkMeta(raw.meta),
+    checkGraphics(raw.meta, data),
+    checkModeData(raw.meta, data)
+  )
+}
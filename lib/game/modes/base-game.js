@@ -4,31 +4,72 @@
  */
 
 import events from 'events'
+import crypto from 'crypto'
 
 import debugFactory from 'debug'
 
 import World from 'colonialwars-lib/ecs'
 import PlayerComponent from '../components/player.js'
+import UnitComponent from '../components/unit.js'
+import BuildingComponent from '../components/building.js'
+import HealthComponent from '../components/health.js'
+import ModifiersComponent from '../components/modifiers.js'
 import * as PhysicsComponents from '../components/physics.js'
+import * as MapObjectComponents from '../components/map-objects.js'
 import * as PlayerSystems from '../systems/player.js'
+import * as UnitSystems from '../systems/unit.js'
+import * as BuildingSystems from '../systems/building.js'
+import * as HealthSystems from '../systems/health.js'
+import * as ModifierSystems from '../systems/modifiers.js'
+import * as EconomySystems from '../systems/economy.js'
+import * as MapObjectSystems from '../systems/map-objects.js'
+import * as CollisionSystems from '../systems/collision.js'
+import * as VisibilitySystems from '../systems/visibility.js'
 import * as SerializeSystems from '../systems/serialize.js'
+import { parseMapExtras } from '../map-extras.js'
+import { createRandom } from '../../utils/utils.js'
 
 import { Vector2D } from 'colonialwars-lib/math'
 
 const debug = debugFactory('colonialwars:basegame')
 
+/**
+ * The radius of the collider that all players have.
+ */
+const PLAYER_RADIUS = 20
+
 const COMPONENT_MAP = {
   physicalProps: PhysicsComponents.PhysicalProps,
   transform2d: PhysicsComponents.Transform2d,
   velocity2d: PhysicsComponents.Velocity2d,
-  player: PlayerComponent
+  collider: PhysicsComponents.Collider,
+  health: HealthComponent,
+  modifiers: ModifiersComponent,
+  player: PlayerComponent,
+  unit: UnitComponent,
+  building: BuildingComponent,
+  obstacle: MapObjectComponents.Obstacle,
+  decoration: MapObjectComponents.Decoration,
+  resourceNode: MapObjectComponents.ResourceNode
+}
+
+/**
+ * The components that get serialized for each kind of entity.
+ */
+const ENTITY_COMPONENTS = {
+  player: ['physicalProps', 'transform2d', 'velocity2d', 'health', 'modifiers', 'player'],
+  unit: ['transform2d', 'velocity2d', 'health', 'modifiers', 'unit'],
+  building: ['transform2d', 'health', 'building'],
+  obstacle: ['transform2d', 'obstacle'],
+  decoration: ['transform2d', 'decoration'],
+  resourceNode: ['transform2d', 'resourceNode']
 }
 
 /**
  * @typedef {import('colonialwars-lib/cwdtp').WSConn<string>} WSConnInstance
  * @typedef {import('../components/player').PlayerInput} PlayerInput
  *
- * @typedef {Omit<PlayerInput, 'timestamp'>} RawPlayerInput
+ * @typedef {Omit<PlayerInput, 'timestamp'> & { timestamp?: number }} RawPlayerInput
  *
  * @typedef {Object} Communications
  * @prop {string} CONN_UPDATE
@@ -36,8 +77,19 @@ const COMPONENT_MAP = {
  *
  * @typedef {Object} BaseGameConfig
  * @prop {string} id
- * @prop {number} stepsPerUpdate
+ * @prop {number} [tickRate] How many steps to run per second. Defaults to 20.
+ * @prop {number} [maxStepsPerUpdate] The maximum amount of steps to run in one
+ * update. Defaults to 5.
  * @prop {import('../map-config')} mapConfig
+ * @prop {import('../map-extras').MapExtras} [mapExtras] Server-side map data.
+ * @prop {number} [viewRadius] How far away players could see other players.
+ * Defaults to infinity.
+ * @prop {number} [maxQueuedInputs] How many inputs each player could have
+ * waiting to be processed. Defaults to 30.
+ * @prop {number} [maxLagCompensation] How far back in time (in milliseconds)
+ * late inputs could be replayed. Defaults to 250.
+ * @prop {number} [seed] The seed for the game's random number generator.
+ * Defaults to a random seed.
  *
  * @typedef {Object} WorldLimits
  * @prop {number} x
@@ -47,15 +99,93 @@ const COMPONENT_MAP = {
  * @prop {string} name
  * @prop {string} team
  *
+ * @typedef {Object} SpectatorMeta
+ * @prop {string} name
+ *
  * @typedef {Object} PlayerStats
  * @prop {number} PLAYER_SPEED
  *
  * @typedef {Object} GraphicsData
  * @prop {'grass'|'sand'} theme
  *
+ * @typedef {Object} MapObjects
+ * @prop {Array<Record<string, any>>} obstacles
+ * @prop {Array<Record<string, any>>} decorations
+ * @prop {Array<Record<string, any>>} resourceNodes
+ *
  * @typedef {Object} SerializedState
  * @prop {string} id The ID of the player.
- * @prop {string} contents The actual serialized state.
+ * @prop {Record<string, any>} contents The actual serialized state.
+ * @prop {Record<string, Record<string, any>>} added The full states of the
+ * other players that came into view since the last time state was serialized.
+ * @prop {Array<string>} removed The IDs of the other players that went out of
+ * view (or left the game) since the last time state was serialized.
+ * @prop {Record<string, Record<string, any>>} addedUnits The full states of the
+ * units that came into view since the last time state was serialized.
+ * @prop {Array<string>} removedUnits The IDs of the units that went out of view
+ * (or were destroyed) since the last time state was serialized.
+ * @prop {Record<string, Record<string, any>>} addedBuildings The full states of
+ * the buildings that came into view since the last time state was serialized.
+ * @prop {Array<string>} removedBuildings The IDs of the buildings that went out
+ * of view (or were destroyed) since the last time state was serialized.
+ * @prop {number} tick The number of steps the game has run.
+ * @prop {number} lastProcessedInput The sequence number of the last input of
+ * the player's that was processed.
+ *
+ * @typedef {Object} SerializedSpectatorState
+ * @prop {string} id The ID of the spectator.
+ * @prop {Record<string, any>} contents The full state of the game.
+ * @prop {Record<string, Record<string, any>>} added The full states of the
+ * players that joined since the last time state was serialized.
+ * @prop {Array<string>} removed The IDs of the players that left since the
+ * last time state was serialized.
+ * @prop {Record<string, Record<string, any>>} addedUnits
+ * @prop {Array<string>} removedUnits
+ * @prop {Record<string, Record<string, any>>} addedBuildings
+ * @prop {Array<string>} removedBuildings
+ * @prop {number} tick The number of steps the game has run.
+ *
+ * @typedef {Object} UnitOrders
+ * @prop {Array<string>} units The IDs of the units to give the order to.
+ * @prop {import('../components/unit').UnitOrder} order
+ *
+ * @typedef {Object} Damage
+ * @prop {string} target The ID of the player, unit, or building being damaged.
+ * @prop {import('../systems/health').TargetKind} targetKind
+ * @prop {string|null} source The ID of the unit dealing the damage, if any.
+ * @prop {string|null} attacker The ID of the player who controls the source
+ * of the damage, if any.
+ * @prop {number} amount
+ *
+ * @typedef {Object} DeathEvent
+ * @prop {string} id The ID of the player, unit, or building that died.
+ * @prop {import('../systems/health').TargetKind} kind
+ * @prop {string} team
+ * @prop {string|null} killer The ID of the player who got the kill, if any.
+ * @prop {string|null} killerTeam The team of the player who got the kill, if any.
+ *
+ * @typedef {Object} PlayerScore
+ * @prop {string} name
+ * @prop {string} team
+ * @prop {number} kills
+ * @prop {number} deaths
+ *
+ * @typedef {Object} BuildingPlacement
+ * @prop {string} type The ID of the building's type in the map data.
+ * @prop {import('colonialwars-lib/math').Vector2DLike} position Where to
+ * place the centre of the building.
+ *
+ * @typedef {Object} VisibleEntity
+ * @prop {string} id
+ * @prop {Record<string, any>} contents The serialized entity.
+ *
+ * @typedef {Object} VisibilityChanges
+ * @prop {Record<string, Record<string, any>>} added
+ * @prop {Array<string>} removed
+ *
+ * @typedef {Object} GameAction
+ * @prop {string} type The name of the public method that was called.
+ * @prop {Array<any>} args The arguments that the method was called with.
  */
 
 /**
@@ -69,14 +199,31 @@ export default class BaseGame extends events.EventEmitter {
    */
   constructor (config) {
     const {
-      id, mapConfig, stepsPerUpdate
+      id, mapConfig, mapExtras, tickRate, maxStepsPerUpdate, viewRadius,
+      maxQueuedInputs, maxLagCompensation, seed
     } = config
 
     super()
 
     this.id = id
     this.mapConfig = mapConfig
-    this.stepsPerUpdate = stepsPerUpdate || 1
+    this.mapExtras = mapExtras || parseMapExtras({})
+    this.tickRate = tickRate || 20
+    /**
+     * How long (in milliseconds) each step is.
+     */
+    this.timestep = 1000 / this.tickRate
+    this.maxStepsPerUpdate = maxStepsPerUpdate || 5
+    this.viewRadius = viewRadius || Infinity
+    this.maxQueuedInputs = maxQueuedInputs || 30
+    this.maxLagCompensation = maxLagCompensation ?? 250
+    this.seed = seed ?? crypto.randomInt(0xFFFFFFFF)
+    /**
+     * The game's random number generator. All randomness in the game should
+     * come from here, so that games could be replayed exactly.
+     * @type {() => number}
+     */
+    this.random = createRandom(this.seed)
     this.mode = mapConfig.mode
     this.name = mapConfig.mapName
     this.tileType = mapConfig.tileType
@@ -91,7 +238,12 @@ export default class BaseGame extends events.EventEmitter {
       {
         ...t,
         spawnPosition: Vector2D.fromObject(t.spawnPosition),
-        currentPlayers: 0
+        currentPlayers: 0,
+        /**
+         * The team's resource stockpile.
+         * @type {import('../map-extras').Resources}
+         */
+        resources: {}
       }
     ]))
 
@@ -109,6 +261,50 @@ export default class BaseGame extends events.EventEmitter {
     this._serializers = {}
     this._serializersInitialized = false
 
+    /**
+     * The bounds of all the obstacles in the world. Obstacles never move, so
+     * these are only calculated on initialization.
+     * @type {Array<import('../systems/map-objects').Bounds>}
+     * @private
+     */
+    this._obstacleBounds = []
+
+    /**
+     * The IDs of the other players that each player could see the last time
+     * state was serialized.
+     * @type {Map<string, Set<string>>}
+     * @private
+     */
+    this._visiblePlayers = new Map()
+    /**
+     * The IDs of the units that each player could see the last time state
+     * was serialized.
+     * @type {Map<string, Set<string>>}
+     * @private
+     */
+    this._visibleUnits = new Map()
+    /**
+     * The IDs of the buildings that each player could see the last time state
+     * was serialized.
+     * @type {Map<string, Set<string>>}
+     * @private
+     */
+    this._visibleBuildings = new Map()
+    this._nextUnitID = 1
+    this._nextBuildingID = 1
+    /**
+     * How much time has passed since the last income tick.
+     * @private
+     */
+    this._incomeTimer = 0
+
+    /**
+     * All the spectators watching this game, keyed by ID. Spectators are not
+     * part of the game, so they don't count towards the maximum player count.
+     * @type {Map<string, SpectatorMeta>}
+     */
+    this.spectators = new Map()
+
     this.currentPlayers = 0
     this.lastUpdateTime = 0
     /**
@@ -163,6 +359,80 @@ export default class BaseGame extends events.EventEmitter {
     this._serializersInitialized = true
   }
 
+  /**
+   * Adds all the obstacles, decorations, and resource nodes specified in the
+   * map config.
+   * @private
+   */
+  _initMapObjects () {
+    for (const obstacle of this.mapExtras.obstacles) {
+      MapObjectSystems.addObstacleTo(this._world, obstacle)
+    }
+    for (const decoration of this.mapExtras.decorations) {
+      MapObjectSystems.addDecorationTo(this._world, decoration)
+    }
+    for (const node of this.mapExtras.resourceNodes) {
+      EconomySystems.addResourceNodeTo(this._world, node)
+    }
+
+    this._obstacleBounds = MapObjectSystems.getObstacleBounds(this._world)
+  }
+
+  /**
+   * Serializes all the entities of the specified kind.
+   *
+   * Returns a Map of the entities, and their IDs and serialized states.
+   * @param {'player'|'unit'|'building'} kind The kind of entity.
+   * @returns {Map<import('../../ecs/world').EntityType, VisibleEntity>}
+   * @private
+   */
+  _serializeAll (kind) {
+    const world = this._world
+    const serialized = SerializeSystems.serializeEntities(world.allWith(kind), {
+      world, serializers: this._serializersFor(kind)
+    })
+
+    return new Map(Array.from(serialized, item => [item.entity, {
+      id: world.getComponent(kind, { from: item.entity }).id,
+      contents: item.contents
+    }]))
+  }
+
+  /**
+   * Records which entities a player could see, and returns which of them came
+   * into view or went out of view since the last time this was called.
+   * @param {Map<string, Set<string>>} record The record of visible entities.
+   * @param {string} id The ID of the player.
+   * @param {Array<VisibleEntity>} entities The entities the player could see.
+   * @returns {VisibilityChanges}
+   * @private
+   */
+  _trackVisible (record, id, entities) {
+    const previous = record.get(id) || new Set()
+    const current = new Set(entities.map(e => e.id))
+
+    record.set(id, current)
+
+    return {
+      added: Object.fromEntries(entities
+        .filter(e => !previous.has(e.id))
+        .map(e => [e.id, e.contents])),
+      removed: Array.from(previous).filter(prevId => !current.has(prevId))
+    }
+  }
+
+  /**
+   * Returns the serializers for the specified kind of entity.
+   * @param {keyof ENTITY_COMPONENTS} kind The kind of entity.
+   * @returns {Record<string, import('../systems/serialize').SerializeFunc<any>>}
+   * @private
+   */
+  _serializersFor (kind) {
+    return Object.fromEntries(
+      ENTITY_COMPONENTS[kind].map(name => [name, this._serializers[name]])
+    )
+  }
+
   // ============ Private bookkeeping ============ //
 
   /**
@@ -175,7 +445,15 @@ export default class BaseGame extends events.EventEmitter {
    * @private
    */
   _removePlayer (entity, info) {
+    const owned = Array.from(this._world.allInstancesOf('unit'))
+      .concat(Array.from(this._world.allInstancesOf('building')))
+      .filter(entry => entry.component.owner === info.id)
+
+    owned.forEach(entry => this._world.destroy(entry.entity))
     this._world.destroy(entity)
+    this._visiblePlayers.delete(info.id)
+    this._visibleUnits.delete(info.id)
+    this._visibleBuildings.delete(info.id)
 
     debug('Removed player %s from game %s', info.id, this.id)
 
@@ -194,6 +472,20 @@ export default class BaseGame extends events.EventEmitter {
     return info.name
   }
 
+  /**
+   * Emits an ``action`` event for a call to a public method that changed the
+   * game state. Replaying the same actions on the same steps recreates the game.
+   * @param {string} type The name of the method.
+   * @param {Array<any>} args The arguments that the method was called with.
+   * @private
+   */
+  _recordAction (type, args) {
+    /** @type {GameAction} */
+    const action = { type, args }
+
+    this.emit('action', action)
+  }
+
   // ============ Public initialization ============ //
 
   /**
@@ -201,13 +493,26 @@ export default class BaseGame extends events.EventEmitter {
    */
   init () {
     this.lastUpdateTime = Date.now()
+    this.random = createRandom(this.seed)
     this.currentPlayers = 0
     this.full = false
 
+    for (const team of this.teams.values()) {
+      team.currentPlayers = 0
+      team.resources = { ...this.mapExtras.startingResources }
+    }
+    this._incomeTimer = 0
+
     this._initWorld()
     this._initSerializers()
 
     this._world.clear()
+    this._visiblePlayers.clear()
+    this._visibleUnits.clear()
+    this._visibleBuildings.clear()
+    this._nextUnitID = 1
+    this._nextBuildingID = 1
+    this._initMapObjects()
   }
 
   // ============ Public player manipulation ============ //
@@ -244,9 +549,17 @@ export default class BaseGame extends events.EventEmitter {
       /**
        * TODO: Add configuration option for player mass.
        * (07/14/2022) Take-Some-Bytes */
-      mass: 2
+      mass: 2,
+      radius: PLAYER_RADIUS,
+      hitPoints: this.mapExtras.playerHitPoints
     })
 
+    for (const type of this.mapExtras.startingUnits) {
+      this._spawnUnit(id, type, false)
+    }
+
+    this._recordAction('addPlayer', [id, { name: meta.name, team: meta.team }])
+
     if (this.currentPlayers === this.maxPlayers) {
       this.full = true
       this.emit('capacity-change', {
@@ -274,11 +587,50 @@ export default class BaseGame extends events.EventEmitter {
       return null
     }
 
+    this._recordAction('removePlayer', [id])
+
     return this._removePlayer(entity, this._world.getComponent(
       'player', { from: entity }
     ))
   }
 
+  /**
+   * Marks the specified player as connected or disconnected. Disconnected
+   * players stay in the game, but their pending inputs are dropped and they
+   * stop moving. Throws an Error if the player does not exist.
+   * @param {string} id The ID associated with the player.
+   * @param {boolean} connected Whether the player is connected.
+   */
+  setPlayerConnected (id, connected) {
+    const entity = this._world.query().with('player').find(e => {
+      const info = this._world.getComponent('player', { from: e })
+
+      return info.id === id
+    }).one()
+
+    if (!this._world.isValid(entity)) {
+      throw new Error('Player does not exist!')
+    }
+
+    const player = this._world.getComponent('player', { from: entity })
+
+    player.connected = connected
+    if (connected) {
+      // The player's new client doesn't have anything yet.
+      this._visiblePlayers.delete(id)
+      this._visibleUnits.delete(id)
+      this._visibleBuildings.delete(id)
+    } else {
+      const velocity = this._world.getComponent('velocity2d', { from: entity }).velocity
+
+      player.inputQueue.length = 0
+      velocity.x = 0
+      velocity.y = 0
+    }
+
+    this._recordAction('setPlayerConnected', [id, connected])
+  }
+
   /**
    * Clears all players currently in this BaseGame.
    */
@@ -289,6 +641,8 @@ export default class BaseGame extends events.EventEmitter {
     for (const entry of entries) {
       this._removePlayer(entry.entity, entry.component)
     }
+
+    this._recordAction('clearPlayers', [])
   }
 
   /**
@@ -314,6 +668,28 @@ export default class BaseGame extends events.EventEmitter {
     return this._world.getComponent('player', { from: entity }).name
   }
 
+  /**
+   * Gets an iterator over the ID, name, team, and connection status of all the
+   * players in this game.
+   * @returns {Generator<PlayerMeta & { id: string, connected: boolean }, void, void>}
+   */
+  * allPlayerInfo () {
+    for (const { component: info } of this._world.allInstancesOf('player')) {
+      yield { id: info.id, name: info.name, team: info.team, connected: info.connected }
+    }
+  }
+
+  /**
+   * Gets an iterator over the name, team, and kill and death counts of all the
+   * players in this game.
+   * @returns {Generator<PlayerScore, void, void>}
+   */
+  * allPlayerScores () {
+    for (const { component: info } of this._world.allInstancesOf('player')) {
+      yield { name: info.name, team: info.team, kills: info.kills, deaths: info.deaths }
+    }
+  }
+
   /**
    * Gets an iterator over the names of all the players in thsi game.
    * @returns {Generator<string, void, void>}
@@ -324,10 +700,56 @@ export default class BaseGame extends events.EventEmitter {
     }
   }
 
+  // ============ Public spectator management ============ //
+
+  /**
+   * Adds a new spectator to this game. Spectators could watch the game even
+   * when it's full or closed.
+   * @param {string} id The ID associated with the spectator.
+   * @param {SpectatorMeta} meta Metadata about the spectator.
+   */
+  addSpectator (id, meta) {
+    this.spectators.set(id, { name: meta.name })
+  }
+
+  /**
+   * Removes the specified spectator from this game, and returns the name of
+   * the spectator that was removed.
+   * @param {string} id The ID associated with the spectator.
+   * @returns {string|null}
+   */
+  removeSpectator (id) {
+    const spectator = this.spectators.get(id)
+    if (!spectator) {
+      return null
+    }
+
+    this.spectators.delete(id)
+    this._visiblePlayers.delete(id)
+    this._visibleUnits.delete(id)
+    this._visibleBuildings.delete(id)
+
+    return spectator.name
+  }
+
+  /**
+   * Gets an iterator over the names of all the spectators in this game.
+   * @returns {Generator<string, void, void>}
+   */
+  * allSpectatorNames () {
+    for (const spectator of this.spectators.values()) {
+      yield spectator.name
+    }
+  }
+
   // ============ Public input managment ============ //
 
   /**
-   * Adds an input to the input queue of the specified player.
+   * Adds an input to the input queue of the specified player. Inputs from dead
+   * players are ignored. Throws a RangeError if the player's input queue is full.
+   *
+   * If the input has a timestamp, it must already be converted to server time.
+   * Otherwise, the input is timestamped with the current time.
    * @param {string} id The ID of the player to add the input to.
    * @param {RawPlayerInput} input The input to add to the player.
    */
@@ -342,12 +764,446 @@ export default class BaseGame extends events.EventEmitter {
       throw new Error('Player does not exist!')
     }
 
+    if (HealthSystems.isDead(this._world, playerEntity)) {
+      return
+    }
+
     const queue = this._world.getComponent('player', { from: playerEntity }).inputQueue
 
-    queue.push({
+    if (queue.length >= this.maxQueuedInputs) {
+      throw new RangeError('Input queue is full!')
+    }
+
+    const queued = {
       ...input,
-      timestamp: Date.now()
+      timestamp: input.timestamp ?? Date.now()
+    }
+
+    queue.push(queued)
+    this._recordAction('addInputTo', [id, queued])
+  }
+
+  // ============ Public unit management ============ //
+
+  /**
+   * Spawns a new unit next to the specified player, and returns the ID of the
+   * new unit. The unit is owned by the player, and is paid for by the player's
+   * team. Returns null if the team can't afford the unit.
+   * @param {string} owner The ID of the player that will own the unit.
+   * @param {string} type The ID of the unit's type in the map data.
+   * @returns {string|null}
+   */
+  spawnUnit (owner, type) {
+    const id = this._spawnUnit(owner, type, true)
+
+    if (id !== null) {
+      this._recordAction('spawnUnit', [owner, type])
+    }
+
+    return id
+  }
+
+  /**
+   * Spawns a new unit next to the specified player.
+   * @param {string} owner The ID of the player that will own the unit.
+   * @param {string} type The ID of the unit's type in the map data.
+   * @param {boolean} charge Whether the player's team has to pay for the unit.
+   * @returns {string|null}
+   * @private
+   */
+  _spawnUnit (owner, type, charge) {
+    const data = this.mapExtras.unitData[type]
+    if (!data) {
+      throw new TypeError('Unit type does not exist!')
+    }
+
+    const playerEntity = this._world.query().with('player').find(e => {
+      const info = this._world.getComponent('player', { from: e })
+
+      return info.id === owner
+    }).one()
+
+    if (!this._world.isValid(playerEntity)) {
+      throw new Error('Player does not exist!')
+    }
+
+    const team = this._world.getComponent('player', { from: playerEntity }).team
+    if (charge && !EconomySystems.spend(this.teams.get(team).resources, data.cost)) {
+      debug('Team %s could not afford unit %s', team, type)
+      return null
+    }
+
+    const id = `unit-${this._nextUnitID++}`
+    const transform = this._world.getComponent('transform2d', { from: playerEntity })
+
+    UnitSystems.addUnitTo(this._world, {
+      id,
+      type,
+      owner,
+      team,
+      position: transform.position.copy(),
+      data
+    })
+
+    return id
+  }
+
+  /**
+   * Gives an order to the specified units. Only units owned by the specified
+   * player will receive the order. Throws a TypeError if the order is malformed.
+   *
+   * Returns the amount of units that received the order.
+   * @param {string} id The ID of the player giving the order.
+   * @param {UnitOrders} orders The units, and the order to give them.
+   * @returns {number}
+   */
+  orderUnits (id, orders) {
+    const ordered = UnitSystems.giveOrder(this._world, {
+      owner: id,
+      units: orders.units,
+      order: orders.order,
+      objectives: this.getObjectives()
     })
+
+    if (ordered > 0) {
+      this._recordAction('orderUnits', [id, { units: orders.units, order: orders.order }])
+    }
+
+    return ordered
+  }
+
+  // ============ Public building management ============ //
+
+  /**
+   * Places a new building for the specified player, and returns the ID of the
+   * new building. The building starts out under construction.
+   *
+   * Throws a TypeError if the building type does not exist or the position is
+   * malformed. Returns null if the building could not be placed there, or if
+   * the player's team can't afford the building.
+   * @param {string} owner The ID of the player placing the building.
+   * @param {BuildingPlacement} placement The type and position of the building.
+   * @returns {string|null}
+   */
+  placeBuilding (owner, placement) {
+    const { type, position } = placement
+    const data = this.mapExtras.buildingData[type]
+    if (!data) {
+      throw new TypeError('Building type does not exist!')
+    }
+    if (!position || !Number.isFinite(position.x) || !Number.isFinite(position.y)) {
+      throw new TypeError('Building position must be a vector!')
+    }
+
+    const playerEntity = this._world.query().with('player').find(e => {
+      const info = this._world.getComponent('player', { from: e })
+
+      return info.id === owner
+    }).one()
+
+    if (!this._world.isValid(playerEntity)) {
+      throw new Error('Player does not exist!')
+    }
+
+    const team = this._world.getComponent('player', { from: playerEntity }).team
+    const error = BuildingSystems.checkPlacement(this._world, {
+      team,
+      position,
+      size: data.size,
+      worldLimits: this.mapConfig.worldLimits,
+      obstacles: this._obstacleBounds,
+      spawnPosition: this.teams.get(team).spawnPosition,
+      territoryRadius: this.mapExtras.territoryRadius
+    })
+
+    if (error) {
+      debug('Player %s could not place building %s: %s', owner, type, error)
+      return null
+    }
+    if (!EconomySystems.spend(this.teams.get(team).resources, data.cost)) {
+      debug('Team %s could not afford building %s', team, type)
+      return null
+    }
+
+    const id = `building-${this._nextBuildingID++}`
+
+    BuildingSystems.addBuildingTo(this._world, {
+      id,
+      type,
+      owner,
+      team,
+      position: Vector2D.fromObject(position),
+      data
+    })
+    this._recordAction('placeBuilding', [owner, { type, position: { x: position.x, y: position.y } }])
+
+    return id
+  }
+
+  // ============ Public damage ============ //
+
+  /**
+   * Deals damage to the specified player, unit, or building, and returns true
+   * if the damage killed it. The damage is passed through the ``modifyDamage()`` hook first.
+   *
+   * Throws an Error if the target does not exist.
+   * @param {string} target The ID of the player, unit, or building to damage.
+   * @param {number} amount How much damage to deal.
+   * @param {string|null} [source] The ID of the unit dealing the damage, if any.
+   * @returns {boolean}
+   */
+  damage (target, amount, source = null) {
+    const targets = HealthSystems.findTargets(this._world)
+
+    if (!targets.has(target)) {
+      throw new Error('Damage target does not exist!')
+    }
+
+    this._recordAction('damage', [target, amount, source])
+
+    return this._dealDamage(targets, { target, amount, source }, this.lastUpdateTime)
+  }
+
+  /**
+   * Custom, overridable damage hook.
+   *
+   * Override this method to change how much damage is dealt (e.g. to turn off
+   * friendly fire). Returns the amount of damage to actually deal.
+   * @param {Damage} damage The damage that is about to be dealt.
+   * @returns {number}
+   */
+  modifyDamage (damage) {
+    return damage.amount
+  }
+
+  /**
+   * Custom, overridable death hook.
+   *
+   * Override this method to react to players, units, and buildings dying (e.g.
+   * to score kills). Called after the ``death`` event is emitted.
+   * @param {DeathEvent} death The player, unit, or building that died.
+   */
+  onDeath (death) {}
+
+  /**
+   * Custom, overridable objective hook.
+   *
+   * Override this method to let units attack objectives that aren't players,
+   * units, or buildings (e.g. Siege objectives). Objectives that can't be
+   * attacked anymore should be left out.
+   * @returns {Map<string, import('../systems/unit').Objective>}
+   */
+  getObjectives () {
+    return new Map()
+  }
+
+  /**
+   * Custom, overridable objective damage hook.
+   *
+   * Called for every attack that a unit makes on one of the objectives from
+   * ``getObjectives()``. Override this method to damage the objective.
+   * @param {import('../systems/unit').Attack} attack The attack on the objective.
+   */
+  hitObjective (attack) {}
+
+  // ============ Public modifier management ============ //
+
+  /**
+   * Applies a modifier to the specified player or unit, following the
+   * modifier's stacking rules. Returns true if the modifier was applied.
+   *
+   * Throws a TypeError if the modifier does not exist, or an Error if the
+   * target does not exist. Buildings can't have modifiers.
+   * @param {string} target The ID of the player or unit.
+   * @param {string} modifier The ID of the modifier in the map data.
+   * @returns {boolean}
+   */
+  applyModifier (target, modifier) {
+    const data = this.mapExtras.modifiersData[modifier]
+    if (!data) {
+      throw new TypeError('Modifier does not exist!')
+    }
+
+    const entry = HealthSystems.findTargets(this._world).get(target)
+    if (!entry || entry.kind === 'building') {
+      throw new Error('Modifier target does not exist!')
+    }
+
+    const applied = ModifierSystems.addModifierTo(this._world, {
+      entity: entry.entity,
+      id: modifier,
+      data,
+      currentTime: this.lastUpdateTime
+    })
+
+    if (applied) {
+      this._recordAction('applyModifier', [target, modifier])
+    }
+
+    return applied
+  }
+
+  /**
+   * Removes a modifier from the specified player or unit. Returns true if the
+   * target had the modifier. Throws an Error if the target does not exist.
+   * @param {string} target The ID of the player or unit.
+   * @param {string} modifier The ID of the modifier in the map data.
+   * @returns {boolean}
+   */
+  removeModifier (target, modifier) {
+    const entry = HealthSystems.findTargets(this._world).get(target)
+    if (!entry || entry.kind === 'building') {
+      throw new Error('Modifier target does not exist!')
+    }
+
+    const removed = ModifierSystems.removeModifierFrom(this._world, entry.entity, modifier)
+
+    if (removed) {
+      this._recordAction('removeModifier', [target, modifier])
+    }
+
+    return removed
+  }
+
+  // ============ Private damage ============ //
+
+  /**
+   * Passes an attack through the damage pipeline, and returns true if the
+   * attack killed its target. Attacks on targets that no longer exist are ignored.
+   * @param {Map<string, import('../systems/health').Target>} targets All the
+   * players, units, and buildings in the game.
+   * @param {import('../systems/unit').Attack} attack The attack to deal.
+   * @param {number} currentTime The current time.
+   * @returns {boolean}
+   * @private
+   */
+  _dealDamage (targets, attack, currentTime) {
+    const target = targets.get(attack.target)
+    if (!target || !this._world.isValid(target.entity)) {
+      return false
+    }
+
+    const source = targets.get(attack.source)
+    /** @type {Damage} */
+    const damage = {
+      target: attack.target,
+      targetKind: target.kind,
+      source: attack.source,
+      attacker: source ? source.owner : null,
+      amount: attack.amount
+    }
+
+    damage.amount = this.modifyDamage(damage)
+
+    const killed = HealthSystems.applyDamage(this._world, {
+      target: target.entity,
+      amount: damage.amount
+    })
+
+    this.emit('damage', damage)
+    if (killed) {
+      this._onDeath(targets, damage, currentTime)
+    }
+
+    return killed
+  }
+
+  /**
+   * Handles the death of a player, unit, or building. Dead units and buildings
+   * are removed, while dead players are scheduled to respawn.
+   * @param {Map<string, import('../systems/health').Target>} targets All the
+   * players, units, and buildings in the game.
+   * @param {Damage} damage The damage that killed the target.
+   * @param {number} currentTime The current time.
+   * @private
+   */
+  _onDeath (targets, damage, currentTime) {
+    const world = this._world
+    const target = targets.get(damage.target)
+    const killer = targets.get(damage.attacker)
+
+    if (killer && killer.kind === 'player' && killer.team !== target.team) {
+      world.getComponent('player', { from: killer.entity }).kills++
+    }
+
+    if (target.kind === 'player') {
+      const player = world.getComponent('player', { from: target.entity })
+      const velocity = world.getComponent('velocity2d', { from: target.entity }).velocity
+
+      player.deaths++
+      player.inputQueue.length = 0
+      player.positionHistory.length = 0
+      ModifierSystems.clearModifiersFrom(world, target.entity)
+      velocity.x = 0
+      velocity.y = 0
+      world.getComponent('health', { from: target.entity }).respawnTime =
+        currentTime + this.mapExtras.respawnDelay * 1000
+    } else {
+      world.destroy(target.entity)
+    }
+
+    debug('%s %s was killed by %s', target.kind, damage.target, damage.attacker)
+
+    /** @type {DeathEvent} */
+    const event = {
+      id: damage.target,
+      kind: target.kind,
+      team: target.team,
+      killer: killer ? damage.attacker : null,
+      killerTeam: killer ? killer.team : null
+    }
+
+    this.emit('death', event)
+    this.onDeath(event)
+  }
+
+  /**
+   * Gives each team its income once every income interval.
+   * @param {number} deltaTime The time passed since the last step.
+   * @private
+   */
+  _collectIncome (deltaTime) {
+    const interval = this.mapExtras.incomeInterval * 1000
+
+    this._incomeTimer += deltaTime
+
+    while (this._incomeTimer >= interval) {
+      this._incomeTimer -= interval
+
+      const income = EconomySystems.collectIncome(this._world, {
+        teams: Array.from(this.teams.keys()),
+        baseIncome: this.mapExtras.baseIncome
+      })
+
+      for (const [name, earned] of income) {
+        EconomySystems.addResources(this.teams.get(name).resources, earned)
+      }
+    }
+  }
+
+  /**
+   * Respawns all the dead players whose respawn delay is over at their team's
+   * spawn position.
+   * @param {number} currentTime The current time.
+   * @private
+   */
+  _respawnPlayers (currentTime) {
+    const world = this._world
+
+    for (const entity of HealthSystems.findRespawning(world, currentTime)) {
+      const player = world.getComponent('player', { from: entity })
+      const position = world.getComponent('transform2d', { from: entity }).position
+      const spawnPosition = this.teams.get(player.team).spawnPosition
+
+      position.x = spawnPosition.x
+      position.y = spawnPosition.y
+      // Late inputs shouldn't move the player back to where it died.
+      player.positionHistory.length = 0
+      HealthSystems.revive(world, entity)
+
+      debug('Player %s respawned', player.id)
+      this.emit('respawn', { id: player.id, team: player.team })
+    }
   }
 
   // ============ Private update ============ //
@@ -369,8 +1225,35 @@ export default class BaseGame extends events.EventEmitter {
   _step (lastUpdateTime, deltaTime) {
     const currentTime = lastUpdateTime + deltaTime
 
+    ModifierSystems.processModifiers(this._world, { currentTime })
     PlayerSystems.processInputs(this._world, {
       currentTime,
+      maxRewind: this.maxLagCompensation,
+      worldLimits: this.mapConfig.worldLimits,
+      obstacles: this._obstacleBounds.concat(
+        BuildingSystems.getBuildingBounds(this._world)
+      )
+    })
+    const objectives = this.getObjectives()
+    const attacks = UnitSystems.processOrders(this._world, {
+      currentTime,
+      deltaTime,
+      worldLimits: this.mapConfig.worldLimits,
+      objectives
+    })
+    const targets = HealthSystems.findTargets(this._world)
+
+    for (const attack of attacks) {
+      if (!targets.has(attack.target) && objectives.has(attack.target)) {
+        this.hitObjective(attack)
+      } else {
+        this._dealDamage(targets, attack, currentTime)
+      }
+    }
+    this._respawnPlayers(currentTime)
+    BuildingSystems.processConstruction(this._world, { deltaTime })
+    this._collectIncome(deltaTime)
+    CollisionSystems.resolveCollisions(this._world, {
       worldLimits: this.mapConfig.worldLimits
     })
   }
@@ -386,11 +1269,34 @@ export default class BaseGame extends events.EventEmitter {
   /**
    * Updates the game state.
    *
-   * An update is made up of one or more steps. The number of steps run per update
-   * is determined via the ``game.stepsPerUpdate`` property. The step hook is passed
-   * a delta which represents the time passed since the last step.
+   * An update runs as many steps as fit in the time that passed since the last
+   * step, and the time that is left over is carried over to the next update. If
+   * more than ``game.maxStepsPerUpdate`` steps are due (e.g. because the server
+   * is overloaded), the extra steps are dropped so that the game doesn't keep
+   * falling further behind.
+   */
+  update () {
+    const elapsed = Date.now() - this.lastUpdateTime
+    let steps = Math.floor(elapsed / this.timestep)
+
+    if (steps > this.maxStepsPerUpdate) {
+      const dropped = steps - this.maxStepsPerUpdate
+
+      debug('Game %s is overloaded; dropped %d steps', this.id, dropped)
+      this.lastUpdateTime += dropped * this.timestep
+      steps = this.maxStepsPerUpdate
+    }
+
+    this.runSteps(steps)
+  }
+
+  /**
+   * Runs the specified amount of steps. Each step moves the game forward by
+   * exactly ``game.timestep`` milliseconds, no matter how much real time has
+   * passed, so this could be used to step the game deterministically. The step
+   * hook is passed the time of the last step, and the length of the step.
    *
-   * This method does things in the following order.
+   * Each step does things in the following order.
    *  - ``_preStep()``: private pre-step.
    *  - ``preStep()``: custom, overridable pre-step.
    *  - ``_step()``: private step; handles input & physics.
@@ -398,14 +1304,13 @@ export default class BaseGame extends events.EventEmitter {
    *  - ``postStep()``: custom, overridable post-step.
    *  - ``_postStep()``: private post-step.
    *
-   * The above is repeated as many times as necessary.
+   * The above is repeated ``count`` times.
+   * @param {number} count How many steps to run.
    */
-  update () {
-    const currentTime = Date.now()
-    const deltaTime = currentTime - this.lastUpdateTime
-    const dtPerStep = deltaTime / this.stepsPerUpdate
+  runSteps (count) {
+    const dtPerStep = this.timestep
 
-    for (let i = 0; i < this.stepsPerUpdate; i++) {
+    for (let i = 0; i < count; i++) {
       this.emit('preStep')
       this._preStep()
       this.preStep()
@@ -453,6 +1358,67 @@ export default class BaseGame extends events.EventEmitter {
 
   // ============ Public state serialization ============ //
 
+  /**
+   * Returns the state that is specific to this game's mode (e.g. scores), or
+   * null if the mode has no such state.
+   *
+   * Override this method to send mode-specific state to clients.
+   * @returns {Record<string, any>|null}
+   */
+  getModeState () {
+    return null
+  }
+
+  /**
+   * Returns a hash of the players, units, buildings, team resources, and mode
+   * state of this game. Two games that started from the same map and ran the
+   * same actions on the same steps have the same state hash.
+   * @returns {string}
+   */
+  getStateHash () {
+    const serialize = kind => Array.from(this._serializeAll(kind).values())
+    const state = JSON.stringify({
+      players: serialize('player'),
+      units: serialize('unit'),
+      buildings: serialize('building'),
+      resources: this.getTeamResources(),
+      modeState: this.getModeState()
+    })
+
+    return crypto.createHash('sha256').update(state).digest('hex')
+  }
+
+  /**
+   * Returns the resource stockpile of each team, keyed by team name.
+   * @returns {Record<string, import('../map-extras').Resources>}
+   */
+  getTeamResources () {
+    return Object.fromEntries(Array.from(
+      this.teams.values(), team => [team.name, { ...team.resources }]
+    ))
+  }
+
+  /**
+   * Returns all the obstacles, decorations, and resource nodes in this game,
+   * in serialized form.
+   * @returns {MapObjects}
+   */
+  getMapObjects () {
+    const world = this._world
+    const serialize = kind => Array.from(
+      SerializeSystems.serializeEntities(world.allWith(kind), {
+        world, serializers: this._serializersFor(kind)
+      }),
+      item => item.contents
+    )
+
+    return {
+      obstacles: serialize('obstacle'),
+      decorations: serialize('decoration'),
+      resourceNodes: serialize('resourceNode')
+    }
+  }
+
   /**
    * Returns an iterator that iterates over the serialized states for all the
    * players.
@@ -460,20 +1426,86 @@ export default class BaseGame extends events.EventEmitter {
    */
   * serializeState () {
     const world = this._world
-    const serializers = this._serializers
-    const playerEntities = this._world.allWith('player')
+    const modeState = this.getModeState()
+    const opts = { viewRadius: this.viewRadius }
+    const visiblePlayers = VisibilitySystems.findVisiblePlayers(world, opts)
+    const visibleUnits = VisibilitySystems.findVisibleUnits(world, opts)
+    const visibleBuildings = VisibilitySystems.findVisibleBuildings(world, opts)
+    const players = this._serializeAll('player')
+    const units = this._serializeAll('unit')
+    const buildings = this._serializeAll('building')
+
+    for (const [entity, player] of players) {
+      const others = visiblePlayers.get(entity).map(e => players.get(e))
+      const seenUnits = visibleUnits.get(entity).map(e => units.get(e))
+      const playerChanges = this._trackVisible(this._visiblePlayers, player.id, others)
+      const seenBuildings = visibleBuildings.get(entity).map(e => buildings.get(e))
+      const unitChanges = this._trackVisible(this._visibleUnits, player.id, seenUnits)
+      const buildingChanges = this._trackVisible(
+        this._visibleBuildings, player.id, seenBuildings
+      )
 
-    // This only serializes the players right now.
-    const serialized = SerializeSystems.serializeEntities(
-      playerEntities, { world, serializers }
-    )
+      yield {
+        id: player.id,
+        contents: {
+          self: player.contents,
+          others: Object.fromEntries(others.map(o => [o.id, o.contents])),
+          units: Object.fromEntries(seenUnits.map(u => [u.id, u.contents])),
+          buildings: Object.fromEntries(seenBuildings.map(b => [b.id, b.contents])),
+          resources: { ...this.teams.get(player.contents.team).resources },
+          modeState
+        },
+        added: playerChanges.added,
+        removed: playerChanges.removed,
+        addedUnits: unitChanges.added,
+        removedUnits: unitChanges.removed,
+        addedBuildings: buildingChanges.added,
+        removedBuildings: buildingChanges.removed,
+        tick: this.stepCount,
+        lastProcessedInput: player.contents.lastProcessedInput
+      }
+    }
+  }
+
+  /**
+   * Returns an iterator that iterates over the serialized states for all the
+   * spectators. Spectators see everything in the game, including the resources
+   * of every team.
+   * @returns {Generator<SerializedSpectatorState, void, void>}
+   */
+  * serializeSpectatorState () {
+    if (this.spectators.size === 0) {
+      return
+    }
+
+    const modeState = this.getModeState()
+    const resources = this.getTeamResources()
+    const players = Array.from(this._serializeAll('player').values())
+    const units = Array.from(this._serializeAll('unit').values())
+    const buildings = Array.from(this._serializeAll('building').values())
+    const toObject = entries => Object.fromEntries(entries.map(e => [e.id, e.contents]))
+
+    for (const id of this.spectators.keys()) {
+      const playerChanges = this._trackVisible(this._visiblePlayers, id, players)
+      const unitChanges = this._trackVisible(this._visibleUnits, id, units)
+      const buildingChanges = this._trackVisible(this._visibleBuildings, id, buildings)
 
-    for (const item of serialized) {
       yield {
-        id: this._world.getComponent('player', { from: item.entity }).id,
+        id,
         contents: {
-          self: item.contents
-        }
+          players: toObject(players),
+          units: toObject(units),
+          buildings: toObject(buildings),
+          resources,
+          modeState
+        },
+        added: playerChanges.added,
+        removed: playerChanges.removed,
+        addedUnits: unitChanges.added,
+        removedUnits: unitChanges.removed,
+        addedBuildings: buildingChanges.added,
+        removedBuildings: buildingChanges.removed,
+        tick: this.stepCount
       }
     }
   }
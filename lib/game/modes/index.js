@@ -4,15 +4,25 @@
  */
 
 import _TeamGame from './team-game.js'
+import _KothGame from './koth-game.js'
+import _SiegeGame from './siege-game.js'
 
 export { default as BaseGame } from './base-game.js'
 export { _TeamGame as TeamGame }
+export { Phases } from './team-game.js'
+export { _KothGame as KothGame }
+export { _SiegeGame as SiegeGame }
 
 /**
  * @typedef {Object} CreateGameOpts
  * @prop {string} id
- * @prop {number} stepsPerUpdate
+ * @prop {number} [tickRate]
  * @prop {import('colonialwars-lib/mapconfig').ReadonlyMapConfig} mapConfig
+ * @prop {import('../map-extras').MapExtras} mapExtras
+ * @prop {number} [viewRadius]
+ * @prop {number} [maxQueuedInputs]
+ * @prop {number} [maxLagCompensation]
+ * @prop {number} [seed]
  */
 
 /**
@@ -20,7 +30,7 @@ export { _TeamGame as TeamGame }
  * ``mode`` parameter.
  * @param {string} mode The game mode.
  * @param {CreateGameOpts} opts Options.
- * @returns {_TeamGame}
+ * @returns {_TeamGame|_KothGame|_SiegeGame}
  */
 export function createWithMode (mode, opts) {
   switch (mode.toLowerCase()) {
@@ -30,8 +40,18 @@ export function createWithMode (mode, opts) {
 
       return game
     }
-    case 'koth':
-    case 'siege':
+    case 'koth': {
+      const game = new _KothGame(opts)
+      game.init()
+
+      return game
+    }
+    case 'siege': {
+      const game = new _SiegeGame(opts)
+      game.init()
+
+      return game
+    }
     default:
       throw new Error('Unrecognized game mode!')
   }
@@ -0,0 +1,121 @@
+/* eslint-env node */
+/**
+ * @fileoverview KothGame class to manage the ``KOTH`` (King of the Hill) game mode.
+ */
+
+import TeamGame from './team-game.js'
+
+/**
+ * @typedef {import('./base-game').BaseGameConfig} BaseGameConfig
+ * @typedef {import('./team-game').TeamState} TeamState
+ *
+ * @typedef {Object} KothExtraState
+ * @prop {string|null} controllingTeam The team that controls the hill.
+ * @prop {boolean} contested Whether more than one team is on the hill.
+ *
+ * @typedef {TeamState & KothExtraState} KothState
+ */
+
+/**
+ * KothGame class.
+ *
+ * Teams score one point for every second they hold the hill.
+ * @extends TeamGame
+ */
+export default class KothGame extends TeamGame {
+  /**
+   * Constructor for a KothGame class.
+   * @param {BaseGameConfig} config Configurations.
+   */
+  constructor (config) {
+    super(config)
+
+    const kothData = this.mapExtras.modeData.koth
+    if (!kothData) {
+      throw new TypeError('KOTH games require a hill zone in the map config!')
+    }
+
+    this.hill = {
+      position: kothData.hill.position,
+      radius: kothData.hill.radius
+    }
+    this.scoreToWin = kothData.scoreToWin
+
+    /** @type {string|null} */
+    this.controllingTeam = null
+    this.contested = false
+  }
+
+  /**
+   * Returns the names of all the teams that have players on the hill.
+   * @returns {Set<string>}
+   * @private
+   */
+  _teamsOnHill () {
+    const teams = new Set()
+    const radiusSquared = this.hill.radius ** 2
+
+    for (const { entity, component: info } of this._world.allInstancesOf('player')) {
+      const { position } = this._world.getComponent('transform2d', { from: entity })
+      const dx = position.x - this.hill.position.x
+      const dy = position.y - this.hill.position.y
+
+      if (dx * dx + dy * dy <= radiusSquared) {
+        teams.add(info.team)
+      }
+    }
+
+    return teams
+  }
+
+  /**
+   * Initializes the game state.
+   */
+  init () {
+    super.init()
+
+    this.controllingTeam = null
+    this.contested = false
+  }
+
+  /**
+   * Kills don't score in KOTH; only holding the hill does.
+   */
+  onDeath () {}
+
+  /**
+   * Updates hill control, and adds to the score of the team holding the hill.
+   * @param {number} lastUpdateTime The time of the last update.
+   * @param {number} deltaTime The time passed since the last update.
+   */
+  step (lastUpdateTime, deltaTime) {
+    super.step(lastUpdateTime, deltaTime)
+
+    if (!this.inProgress) {
+      return
+    }
+
+    const teams = this._teamsOnHill()
+
+    this.contested = teams.size > 1
+    this.controllingTeam = teams.size === 1
+      ? teams.values().next().value
+      : null
+
+    if (this.controllingTeam) {
+      this.addScore(this.controllingTeam, deltaTime / 1000)
+    }
+  }
+
+  /**
+   * Returns the current state of the hill and the scores of all teams.
+   * @returns {KothState}
+   */
+  getModeState () {
+    return {
+      ...super.getModeState(),
+      controllingTeam: this.controllingTeam,
+      contested: this.contested
+    }
+  }
+}
@@ -0,0 +1,186 @@
+/* eslint-env node */
+/**
+ * @fileoverview SiegeGame class to manage the ``Siege`` game mode.
+ */
+
+import TeamGame from './team-game.js'
+
+/**
+ * @typedef {import('./base-game').BaseGameConfig} BaseGameConfig
+ * @typedef {import('./team-game').TeamState} TeamState
+ * @typedef {import('../map-extras').SiegeObjective} SiegeObjectiveData
+ *
+ * @typedef {'attackers'|'defenders'} SiegeRole
+ *
+ * @typedef {Object} SiegeObjective
+ * @prop {string} id
+ * @prop {import('colonialwars-lib/math').Vector2DLike} position
+ * @prop {number} hitPoints
+ * @prop {number} maxHitPoints
+ *
+ * @typedef {Object} SiegeExtraState
+ * @prop {Record<string, SiegeRole>} roles The role of each team.
+ * @prop {Array<SiegeObjective>} objectives
+ *
+ * @typedef {TeamState & SiegeExtraState} SiegeState
+ */
+
+/**
+ * SiegeGame class.
+ *
+ * The winner of a Siege round is a role (``attackers`` or ``defenders``),
+ * instead of a team.
+ * @extends TeamGame
+ */
+export default class SiegeGame extends TeamGame {
+  /**
+   * Constructor for a SiegeGame class.
+   * @param {BaseGameConfig} config Configurations.
+   */
+  constructor (config) {
+    super(config)
+
+    const siegeData = this.mapExtras.modeData.siege
+    if (!siegeData) {
+      throw new TypeError('Siege games require siege data in the map config!')
+    }
+
+    /**
+     * The role of each team.
+     * @type {Map<string, SiegeRole>}
+     */
+    this.roles = new Map()
+    siegeData.attackers.forEach(team => this._assignRole(team, 'attackers'))
+    siegeData.defenders.forEach(team => this._assignRole(team, 'defenders'))
+
+    /** @type {Array<SiegeObjectiveData>} */
+    this.objectiveData = siegeData.objectives
+    this.roundDuration = siegeData.roundDuration * 1000
+
+    /** @type {Map<string, SiegeObjective>} */
+    this.objectives = new Map()
+  }
+
+  /**
+   * Assigns a role to a team.
+   * @param {string} team The name of the team.
+   * @param {SiegeRole} role The role to assign.
+   * @private
+   */
+  _assignRole (team, role) {
+    if (!this.teams.has(team)) {
+      throw new TypeError(`Team ${team} does not exist!`)
+    }
+    if (this.roles.has(team)) {
+      throw new TypeError(`Team ${team} cannot be both attacker and defender!`)
+    }
+
+    this.roles.set(team, role)
+  }
+
+  /**
+   * Initializes the game state.
+   */
+  init () {
+    super.init()
+
+    this.objectives = new Map(this.objectiveData.map(o => [o.id, {
+      id: o.id,
+      position: o.position,
+      hitPoints: o.hitPoints,
+      maxHitPoints: o.hitPoints
+    }]))
+  }
+
+  /**
+   * Gets the role of the specified team, or null if the team does not exist.
+   * @param {string} team The name of the team.
+   * @returns {SiegeRole|null}
+   */
+  getRoleOf (team) {
+    return this.roles.get(team) || null
+  }
+
+  /**
+   * Deals damage to the specified objective. Once all objectives have been
+   * destroyed, the attackers win. Objectives can only be damaged while a round
+   * is in progress.
+   * @param {string} id The ID of the objective.
+   * @param {number} amount The amount of damage to deal.
+   */
+  damageObjective (id, amount) {
+    if (!this.objectives.has(id)) {
+      throw new Error('Objective does not exist!')
+    }
+    if (!this.inProgress) {
+      return
+    }
+
+    this._recordAction('damageObjective', [id, amount])
+    this._damageObjective(id, amount)
+  }
+
+  /**
+   * Lets attacking units attack the objectives that haven't been destroyed yet.
+   * @returns {Map<string, import('../systems/unit').Objective>}
+   */
+  getObjectives () {
+    const defenders = Array.from(this.roles)
+      .filter(([, role]) => role === 'defenders')
+      .map(([team]) => team)
+
+    return new Map(Array.from(this.objectives.values())
+      .filter(o => o.hitPoints > 0)
+      .map(o => [o.id, { position: o.position, teams: defenders }]))
+  }
+
+  /**
+   * Damages an objective that was attacked by a unit.
+   * @param {import('../systems/unit').Attack} attack The attack on the objective.
+   */
+  hitObjective (attack) {
+    if (this.inProgress) {
+      this._damageObjective(attack.target, attack.amount)
+    }
+  }
+
+  /**
+   * Deals damage to an objective, and ends the round once all objectives have
+   * been destroyed.
+   * @param {string} id The ID of the objective.
+   * @param {number} amount The amount of damage to deal.
+   * @private
+   */
+  _damageObjective (id, amount) {
+    const objective = this.objectives.get(id)
+
+    objective.hitPoints = Math.max(0, objective.hitPoints - amount)
+
+    const allDestroyed = Array.from(this.objectives.values())
+      .every(o => o.hitPoints === 0)
+
+    if (allDestroyed) {
+      this.endRound('attackers')
+    }
+  }
+
+  /**
+   * The defenders win if they hold out until the round timer expires.
+   * @returns {SiegeRole}
+   */
+  timeoutWinner () {
+    return 'defenders'
+  }
+
+  /**
+   * Returns the round timer, the state of all objectives, and the winner.
+   * @returns {SiegeState}
+   */
+  getModeState () {
+    return {
+      ...super.getModeState(),
+      roles: Object.fromEntries(this.roles),
+      objectives: Array.from(this.objectives.values()).map(o => ({ ...o }))
+    }
+  }
+}
@@ -3,10 +3,273 @@
  * @fileoverview TeamGame class to manage the ``Teams`` game mode.
  */
 
+import debugFactory from 'debug'
+
 import BaseGame from './base-game.js'
 
+const debug = debugFactory('colonialwars:teamgame')
+
+/**
+ * @typedef {import('./base-game').BaseGameConfig} BaseGameConfig
+ *
+ * @typedef {'waiting'|'countdown'|'in-progress'|'finished'} Phase
+ *
+ * @typedef {Object} PhaseChange
+ * @prop {Phase} phase The new phase.
+ * @prop {Phase|null} previous The previous phase.
+ * @prop {number} duration How long (in milliseconds) the new phase will last.
+ * Infinity if the phase does not end by itself.
+ *
+ * @typedef {Object} TeamState
+ * @prop {Phase} phase
+ * @prop {number|null} phaseTimeLeft Time left in the current phase, in milliseconds.
+ * Null if the phase does not end by itself.
+ * @prop {Record<string, number>} scores The score of each team.
+ * @prop {number|null} scoreToWin
+ * @prop {string|null} winner The winner of the round, if any.
+ */
+
+/**
+ * All the phases a round goes through, in order.
+ */
+export const Phases = Object.freeze({
+  WAITING: 'waiting',
+  COUNTDOWN: 'countdown',
+  IN_PROGRESS: 'in-progress',
+  FINISHED: 'finished'
+})
+
 /**
  * TeamGame class
+ *
+ * A TeamGame is played in rounds. Each round waits for enough players to join,
+ * counts down, runs until a team wins or the round timer expires, then stays
+ * finished for a while before emitting ``round-over``.
  * @extends BaseGame
  */
-export default class TeamGame extends BaseGame {}
+export default class TeamGame extends BaseGame {
+  /**
+   * Constructor for a TeamGame class.
+   * @param {BaseGameConfig} config Configurations.
+   */
+  constructor (config) {
+    super(config)
+
+    const roundData = this.mapExtras.modeData.rounds
+
+    this.minPlayers = roundData.minPlayers
+    this.countdownDuration = roundData.countdownDuration * 1000
+    this.roundDuration = roundData.roundDuration * 1000
+    this.finishedDuration = roundData.finishedDuration * 1000
+    this.scoreToWin = roundData.scoreToWin || null
+
+    /** @type {Phase} */
+    this.phase = Phases.WAITING
+    this.phaseTimeLeft = Infinity
+    /**
+     * The score of each team.
+     * @type {Map<string, number>}
+     */
+    this.scores = new Map()
+    /** @type {string|null} */
+    this.winner = null
+    /**
+     * Whether the ``round-over`` event has been emitted for the current round.
+     * @private
+     */
+    this._roundOver = false
+  }
+
+  /**
+   * Returns the duration of the specified phase.
+   * @param {Phase} phase The phase.
+   * @returns {number}
+   * @private
+   */
+  _durationOf (phase) {
+    switch (phase) {
+      case Phases.COUNTDOWN: return this.countdownDuration
+      case Phases.IN_PROGRESS: return this.roundDuration
+      case Phases.FINISHED: return this.finishedDuration
+      default: return Infinity
+    }
+  }
+
+  /**
+   * Switches this game to the specified phase.
+   * @param {Phase} phase The phase to switch to.
+   * @private
+   */
+  _setPhase (phase) {
+    const previous = this.phase
+
+    this.phase = phase
+    this.phaseTimeLeft = this._durationOf(phase)
+    this._roundOver = false
+
+    debug('Game %s switched from phase %s to %s', this.id, previous, phase)
+    this.emit('phase-change', {
+      phase,
+      previous,
+      duration: this.phaseTimeLeft
+    })
+  }
+
+  /**
+   * Returns the team with the highest score, or null if there is a tie.
+   * @returns {string|null}
+   * @private
+   */
+  _leadingTeam () {
+    const sorted = Array.from(this.scores.entries()).sort((a, b) => b[1] - a[1])
+
+    if (sorted.length > 1 && sorted[0][1] === sorted[1][1]) {
+      return null
+    }
+
+    return sorted[0] ? sorted[0][0] : null
+  }
+
+  /**
+   * Initializes the game state, and starts waiting for players.
+   */
+  init () {
+    super.init()
+
+    this.scores = new Map(this.availableTeams.map(team => [team, 0]))
+    this.winner = null
+    this._setPhase(Phases.WAITING)
+  }
+
+  /**
+   * Returns true if a round is currently in progress.
+   * @returns {boolean}
+   */
+  get inProgress () {
+    return this.phase === Phases.IN_PROGRESS
+  }
+
+  /**
+   * Adds to the score of the specified team. Scores can only change while a
+   * round is in progress.
+   * @param {string} team The name of the team.
+   * @param {number} amount The amount to add.
+   */
+  addScore (team, amount) {
+    if (!this.scores.has(team)) {
+      throw new TypeError('Team does not exist!')
+    }
+    if (!this.inProgress) {
+      return
+    }
+
+    const score = this.scores.get(team) + amount
+    this.scores.set(team, score)
+
+    if (this.scoreToWin !== null && score >= this.scoreToWin) {
+      this.endRound(team)
+    }
+  }
+
+  /**
+   * Ends the current round with the specified winner, or with no winner if
+   * ``winner`` is null. Does nothing if no round is in progress.
+   * @param {string|null} winner The winner of the round.
+   */
+  endRound (winner) {
+    if (!this.inProgress) {
+      return
+    }
+
+    this.winner = winner
+    this.closed = true
+
+    debug('Round in game %s ended, winner is %s', this.id, winner)
+    this._setPhase(Phases.FINISHED)
+    this.emit('round-end', { winner })
+  }
+
+  /**
+   * Runs the round lifecycle.
+   * @param {number} lastUpdateTime The time of the last update.
+   * @param {number} deltaTime The time passed since the last update.
+   */
+  step (lastUpdateTime, deltaTime) {
+    const enoughPlayers = this.currentPlayers >= this.minPlayers
+
+    switch (this.phase) {
+      case Phases.WAITING: {
+        if (enoughPlayers) {
+          this._setPhase(Phases.COUNTDOWN)
+        }
+        break
+      }
+      case Phases.COUNTDOWN: {
+        if (!enoughPlayers) {
+          this._setPhase(Phases.WAITING)
+          break
+        }
+
+        this.phaseTimeLeft = Math.max(0, this.phaseTimeLeft - deltaTime)
+        if (this.phaseTimeLeft === 0) {
+          this._setPhase(Phases.IN_PROGRESS)
+        }
+        break
+      }
+      case Phases.IN_PROGRESS: {
+        this.phaseTimeLeft = Math.max(0, this.phaseTimeLeft - deltaTime)
+        if (this.phaseTimeLeft === 0) {
+          this.endRound(this.timeoutWinner())
+        }
+        break
+      }
+      case Phases.FINISHED: {
+        this.phaseTimeLeft = Math.max(0, this.phaseTimeLeft - deltaTime)
+        if (this.phaseTimeLeft === 0 && !this._roundOver) {
+          this._roundOver = true
+          this.emit('round-over', { winner: this.winner })
+        }
+        break
+      }
+    }
+  }
+
+  /**
+   * Scores a point for the killer's team whenever an enemy player, unit, or
+   * building is killed. Kills only count while a round is in progress.
+   * @param {import('./base-game').DeathEvent} death The player, unit, or
+   * building that died.
+   */
+  onDeath (death) {
+    if (death.killerTeam !== null && death.killerTeam !== death.team) {
+      this.addScore(death.killerTeam, 1)
+    }
+  }
+
+  /**
+   * Custom, overridable hook that decides who wins when the round timer runs out.
+   *
+   * By default, the team with the highest score wins, and a tie means no one wins.
+   * @returns {string|null}
+   */
+  timeoutWinner () {
+    return this._leadingTeam()
+  }
+
+  /**
+   * Returns the current phase, the scores of all teams, and the winner.
+   * @returns {TeamState}
+   */
+  getModeState () {
+    return {
+      phase: this.phase,
+      phaseTimeLeft: Number.isFinite(this.phaseTimeLeft) ? this.phaseTimeLeft : null,
+      // Scores may be fractional (e.g. seconds spent holding a hill).
+      scores: Object.fromEntries(Array.from(this.scores.entries()).map(
+        ([team, score]) => [team, Math.floor(score)]
+      )),
+      scoreToWin: this.scoreToWin,
+      winner: this.winner
+    }
+  }
+}
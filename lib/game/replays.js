@@ -0,0 +1,280 @@
+/* eslint-env node */
+/**
+ * @fileoverview Functions to record games into replays, and to re-simulate
+ * replays to check that they still produce the same game.
+ */
+
+import debugFactory from 'debug'
+
+import util from 'util'
+import zlib from 'zlib'
+
+import * as games from './modes/index.js'
+
+import { parseMapExtras } from './map-extras.js'
+import { ReadonlyMapConfig } from 'colonialwars-lib/mapconfig'
+
+const debug = debugFactory('colonialwars:replays')
+
+const gzip = util.promisify(zlib.gzip)
+const gunzip = util.promisify(zlib.gunzip)
+
+/**
+ * @typedef {import('./modes/base-game').default} BaseGame
+ *
+ * @typedef {[number, string, Array<any>]} ReplayAction The tick the action
+ * happened on, the name of the method that was called, and its arguments.
+ * @typedef {[number, string]} Checkpoint The tick of the checkpoint, and the
+ * state hash of the game at the end of that tick.
+ *
+ * @typedef {Object} ReplayOptions
+ * @prop {number} tickRate
+ * @prop {number} maxQueuedInputs
+ * @prop {number} maxLagCompensation
+ *
+ * @typedef {Object} Replay
+ * @prop {number} version The version of the replay format.
+ * @prop {string} mode The game mode.
+ * @prop {string} map The contents of the map config file.
+ * @prop {number} seed The game's initial random seed.
+ * @prop {ReplayOptions} options
+ * @prop {number} startTick The game's step count when recording started.
+ * @prop {number} startTime The game's time when its first recorded step ran.
+ * @prop {number} endTick The game's step count when recording stopped.
+ * @prop {Array<ReplayAction>} actions
+ * @prop {Array<Checkpoint>} checkpoints
+ *
+ * @typedef {Object} ReplayRecorderOptions
+ * @prop {string} map The contents of the game's map config file.
+ * @prop {number} [checkpointInterval] How many ticks to wait between each
+ * state hash checkpoint. Defaults to 100.
+ *
+ * @typedef {Object} Desync
+ * @prop {number} tick The tick of the checkpoint that did not match.
+ * @prop {string} expected The recorded state hash.
+ * @prop {string} actual The state hash of the re-simulated game.
+ *
+ * @typedef {Object} ReplayResult
+ * @prop {boolean} ok Whether every checkpoint matched.
+ * @prop {number} ticks How many ticks were re-simulated.
+ * @prop {number} checked How many checkpoints were compared.
+ * @prop {Array<Desync>} desyncs The checkpoints that did not match.
+ */
+
+export const REPLAY_VERSION = 1
+const DEFAULT_CHECKPOINT_INTERVAL = 100
+
+/**
+ * ReplayRecorder class.
+ *
+ * Records everything that is done to a game through its public methods, along
+ * with the tick it was done on. Every few ticks, the recorder also saves a
+ * hash of the game's state, so that a re-simulation of the replay could be
+ * checked against the real game.
+ *
+ * Actions are assumed to happen between steps. A recording should be stopped
+ * before the game is reset.
+ */
+export class ReplayRecorder {
+  /**
+   * Constructor for a ReplayRecorder class. Recording starts immediately.
+   * @param {BaseGame} game The game to record.
+   * @param {ReplayRecorderOptions} opts Options.
+   */
+  constructor (game, opts) {
+    this.game = game
+    this.map = opts.map
+    this.checkpointInterval = opts.checkpointInterval || DEFAULT_CHECKPOINT_INTERVAL
+    this.stopped = false
+
+    /**
+     * @type {Replay}
+     * @private
+     */
+    this._replay = {
+      version: REPLAY_VERSION,
+      mode: game.mode,
+      map: opts.map,
+      seed: game.seed,
+      options: {
+        tickRate: game.tickRate,
+        maxQueuedInputs: game.maxQueuedInputs,
+        maxLagCompensation: game.maxLagCompensation
+      },
+      startTick: game.stepCount,
+      startTime: game.lastUpdateTime,
+      endTick: game.stepCount,
+      actions: [],
+      checkpoints: []
+    }
+    this._started = false
+    this._stepping = false
+
+    this._onAction = this._onAction.bind(this)
+    this._onPreStep = this._onPreStep.bind(this)
+    this._onPostStep = this._onPostStep.bind(this)
+
+    game.on('action', this._onAction)
+    game.on('preStep', this._onPreStep)
+    game.on('postStep', this._onPostStep)
+  }
+
+  /**
+   * Handler for the game's ``action`` event.
+   * @param {import('./modes/base-game').GameAction} action
+   * @private
+   */
+  _onAction (action) {
+    this._replay.actions.push([this.game.stepCount, action.type, action.args])
+  }
+
+  /**
+   * Handler for the game's ``preStep`` event.
+   * @private
+   */
+  _onPreStep () {
+    if (!this._started) {
+      // The game's time only matters once it starts stepping.
+      this._replay.startTime = this.game.lastUpdateTime
+      this._started = true
+    }
+
+    this._stepping = true
+  }
+
+  /**
+   * Handler for the game's ``postStep`` event.
+   * @private
+   */
+  _onPostStep () {
+    const tick = this.game.stepCount
+    const elapsed = tick - this._replay.startTick
+
+    this._stepping = false
+    if (elapsed > 0 && elapsed % this.checkpointInterval === 0) {
+      this._replay.checkpoints.push([tick, this.game.getStateHash()])
+    }
+  }
+
+  /**
+   * Stops recording, and returns the finished replay. If the game isn't in the
+   * middle of a step, the final state of the game is saved as a checkpoint.
+   * @returns {Replay}
+   */
+  stop () {
+    const game = this.game
+    const checkpoints = this._replay.checkpoints
+
+    if (!this.stopped) {
+      this.stopped = true
+      this._replay.endTick = game.stepCount
+      if (!this._stepping) {
+        // The final state replaces the checkpoint from the end of the last step.
+        if (checkpoints.length > 0 && checkpoints[checkpoints.length - 1][0] === game.stepCount) {
+          checkpoints.pop()
+        }
+        checkpoints.push([game.stepCount, game.getStateHash()])
+      }
+
+      game.off('action', this._onAction)
+      game.off('preStep', this._onPreStep)
+      game.off('postStep', this._onPostStep)
+    }
+
+    return this._replay
+  }
+}
+
+/**
+ * Encodes a replay into a compact buffer that could be saved to a file.
+ * @param {Replay} replay The replay to encode.
+ * @returns {Promise<Buffer>}
+ */
+export async function encodeReplay (replay) {
+  return await gzip(JSON.stringify(replay))
+}
+
+/**
+ * Decodes a replay that was encoded with ``encodeReplay()``. Throws a TypeError
+ * if the buffer isn't a replay of a supported version.
+ * @param {Buffer} buf The encoded replay.
+ * @returns {Promise<Replay>}
+ */
+export async function decodeReplay (buf) {
+  const replay = JSON.parse((await gunzip(buf)).toString('utf-8'))
+
+  if (!replay || replay.version !== REPLAY_VERSION) {
+    throw new TypeError('Unsupported replay version!')
+  }
+
+  return replay
+}
+
+/**
+ * Re-simulates a replay without any networking, and checks the state of the
+ * re-simulated game against the replay's checkpoints. The re-simulated game
+ * runs as fast as possible, instead of in real time.
+ * @param {Replay} replay The replay to run.
+ * @returns {ReplayResult}
+ */
+export function runReplay (replay) {
+  const game = games.createWithMode(replay.mode, {
+    id: 'replay',
+    mapConfig: new ReadonlyMapConfig(replay.map),
+    mapExtras: parseMapExtras(JSON.parse(replay.map)),
+    seed: replay.seed,
+    ...replay.options
+  })
+  const checkpoints = new Map(replay.checkpoints)
+  /** @type {Array<Desync>} */
+  const desyncs = []
+  let checked = 0
+  let next = 0
+
+  const check = tick => {
+    if (!checkpoints.has(tick)) {
+      return
+    }
+
+    const expected = checkpoints.get(tick)
+    const actual = game.getStateHash()
+
+    checkpoints.delete(tick)
+    checked++
+    if (actual !== expected) {
+      debug('Replay desynced at tick %d', tick)
+      desyncs.push({ tick, expected, actual })
+    }
+  }
+  const applyActions = tick => {
+    for (; next < replay.actions.length && replay.actions[next][0] === tick; next++) {
+      const [, type, args] = replay.actions[next]
+
+      game[type](...args)
+    }
+  }
+
+  game.stepCount = replay.startTick
+  applyActions(replay.startTick)
+  game.lastUpdateTime = replay.startTime
+  game.on('postStep', () => {
+    // The checkpoint for the last tick is taken after its actions.
+    if (game.stepCount < replay.endTick) {
+      check(game.stepCount)
+    }
+  })
+
+  while (game.stepCount < replay.endTick) {
+    game.runSteps(1)
+    applyActions(game.stepCount)
+  }
+  // Whatever is left is the final state of the game.
+  check(game.stepCount)
+
+  return {
+    ok: desyncs.length === 0,
+    ticks: replay.endTick - replay.startTick,
+    checked,
+    desyncs
+  }
+}
@@ -0,0 +1,168 @@
+/* eslint-env node */
+/**
+ * @fileoverview Functions and classes for delta-compressing game state updates.
+ */
+
+/**
+ * @typedef {Record<string, any>} Snapshot
+ *
+ * @typedef {Object} StateUpdate
+ * @prop {number} seq The sequence number of this update. Clients acknowledge
+ * updates by sending this number back.
+ * @prop {number|null} baseSeq The sequence number of the update that this
+ * update is a delta of, or null if this update is a keyframe.
+ * @prop {boolean} keyframe Whether ``state`` contains the full state.
+ * @prop {Snapshot} state The full state if this update is a keyframe, otherwise
+ * only the properties that changed since the base update.
+ *
+ * @typedef {Object} SnapshotHistoryOptions
+ * @prop {number} [maxHistory] The maximum amount of unacknowledged snapshots
+ * to keep. If the client does not acknowledge any of them in time, a keyframe
+ * is sent. Defaults to 32.
+ */
+
+const DEFAULT_MAX_HISTORY = 32
+
+/**
+ * Returns true if the value is a plain object (i.e. not an array or null).
+ * @param {any} val The value to test.
+ * @returns {boolean}
+ * @private
+ */
+function _isPlainObject (val) {
+  return typeof val === 'object' && val !== null && !Array.isArray(val)
+}
+
+/**
+ * Returns a deep copy of a snapshot, with everything converted to plain JSON
+ * data. This is needed because component properties are mutated in place.
+ * @param {Snapshot} contents The snapshot to copy.
+ * @returns {Snapshot}
+ */
+export function cloneSnapshot (contents) {
+  return JSON.parse(JSON.stringify(contents))
+}
+
+/**
+ * Returns the properties of ``current`` that are different from ``base``.
+ * Nested objects are compared property by property, while arrays and other
+ * values are compared as a whole. Both snapshots must only contain plain JSON
+ * data, and properties are never removed from snapshots.
+ * @param {Snapshot} base The snapshot to compare against.
+ * @param {Snapshot} current The new snapshot.
+ * @returns {Snapshot}
+ */
+export function diffSnapshots (base, current) {
+  const delta = {}
+
+  for (const [key, value] of Object.entries(current)) {
+    const baseValue = base[key]
+
+    if (_isPlainObject(value) && _isPlainObject(baseValue)) {
+      const nested = diffSnapshots(baseValue, value)
+
+      if (Object.keys(nested).length > 0) {
+        delta[key] = nested
+      }
+    } else if (JSON.stringify(value) !== JSON.stringify(baseValue)) {
+      delta[key] = value
+    }
+  }
+
+  return delta
+}
+
+/**
+ * SnapshotHistory class.
+ *
+ * Keeps track of the snapshots sent to a single client, and which one of them
+ * the client last acknowledged. Updates are sent as deltas from the last
+ * acknowledged snapshot, or as full keyframes if there is no such snapshot.
+ */
+export default class SnapshotHistory {
+  /**
+   * Constructor for a SnapshotHistory class.
+   * @param {SnapshotHistoryOptions} [opts] Options.
+   */
+  constructor (opts = {}) {
+    this.maxHistory = opts.maxHistory || DEFAULT_MAX_HISTORY
+
+    this.seq = 0
+    /** @type {number|null} */
+    this.ackedSeq = null
+
+    /**
+     * All the snapshots that were sent, but not acknowledged yet. Also
+     * includes the last acknowledged snapshot.
+     * @type {Map<number, Snapshot>}
+     * @private
+     */
+    this._history = new Map()
+  }
+
+  /**
+   * Creates the update to send to the client, and remembers the snapshot.
+   * @param {Snapshot} contents The current state.
+   * @returns {StateUpdate}
+   */
+  makeUpdate (contents) {
+    const seq = ++this.seq
+    const snapshot = cloneSnapshot(contents)
+    const baseSeq = this.ackedSeq
+    const base = this._history.get(baseSeq)
+
+    this._history.set(seq, snapshot)
+
+    if (this._history.size > this.maxHistory) {
+      // Maps iterate in insertion order, so the first key is the oldest.
+      const oldest = this._history.keys().next().value
+
+      this._history.delete(oldest)
+      if (oldest === this.ackedSeq) {
+        // The client fell too far behind, so start over with a keyframe.
+        this.ackedSeq = null
+      }
+    }
+
+    if (!base) {
+      return { seq, baseSeq: null, keyframe: true, state: snapshot }
+    }
+
+    return {
+      seq,
+      baseSeq,
+      keyframe: false,
+      state: diffSnapshots(base, snapshot)
+    }
+  }
+
+  /**
+   * Marks the specified update as received by the client. Acknowledgements of
+   * unknown or outdated updates are ignored.
+   * @param {number} seq The sequence number of the update.
+   * @returns {boolean} Whether the acknowledgement was accepted.
+   */
+  ack (seq) {
+    if (!this._history.has(seq) || (this.ackedSeq !== null && seq <= this.ackedSeq)) {
+      return false
+    }
+
+    for (const key of this._history.keys()) {
+      if (key < seq) {
+        this._history.delete(key)
+      }
+    }
+    this.ackedSeq = seq
+
+    return true
+  }
+
+  /**
+   * Forgets all snapshots, so that keyframes are sent until the client
+   * acknowledges one of them.
+   */
+  requestKeyframe () {
+    this.ackedSeq = null
+    this._history.clear()
+  }
+}
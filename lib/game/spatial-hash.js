@@ -0,0 +1,133 @@
+/* eslint-env node */
+/**
+ * @fileoverview SpatialHash class to quickly find objects that are close to
+ * each other.
+ */
+
+/**
+ * @typedef {Object} Bounds
+ * @prop {number} left
+ * @prop {number} top
+ * @prop {number} right
+ * @prop {number} bottom
+ */
+
+/**
+ * SpatialHash class.
+ *
+ * A spatial hash divides the world into a grid of equally-sized cells, and
+ * keeps track of which cells each item overlaps. Only items that share a cell
+ * could possibly be touching each other.
+ * @template T
+ */
+export default class SpatialHash {
+  /**
+   * Constructor for a SpatialHash class.
+   * @param {number} cellSize The width and height of each cell.
+   */
+  constructor (cellSize) {
+    if (!(cellSize > 0)) {
+      throw new RangeError('Cell size must be a positive number!')
+    }
+
+    this.cellSize = cellSize
+
+    /**
+     * @type {Map<string, Array<T>>}
+     * @private
+     */
+    this._cells = new Map()
+  }
+
+  /**
+   * Returns the keys of all the cells that the specified bounds overlap.
+   * @param {Bounds} bounds The bounds.
+   * @returns {Array<string>}
+   * @private
+   */
+  _keysOf (bounds) {
+    const keys = []
+    const minX = Math.floor(bounds.left / this.cellSize)
+    const minY = Math.floor(bounds.top / this.cellSize)
+    const maxX = Math.floor(bounds.right / this.cellSize)
+    const maxY = Math.floor(bounds.bottom / this.cellSize)
+
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        keys.push(`${x},${y}`)
+      }
+    }
+
+    return keys
+  }
+
+  /**
+   * Inserts an item into all the cells that the specified bounds overlap.
+   * @param {T} item The item to insert.
+   * @param {Bounds} bounds The bounds of the item.
+   */
+  insert (item, bounds) {
+    for (const key of this._keysOf(bounds)) {
+      const cell = this._cells.get(key)
+
+      if (cell) {
+        cell.push(item)
+      } else {
+        this._cells.set(key, [item])
+      }
+    }
+  }
+
+  /**
+   * Returns all the items that could be overlapping the specified bounds.
+   * Each item is only returned once.
+   * @param {Bounds} bounds The bounds to search in.
+   * @returns {Set<T>}
+   */
+  query (bounds) {
+    const found = new Set()
+
+    for (const key of this._keysOf(bounds)) {
+      const cell = this._cells.get(key) || []
+
+      cell.forEach(item => found.add(item))
+    }
+
+    return found
+  }
+
+  /**
+   * Gets an iterator over all the pairs of items that share at least one cell.
+   * Each pair is only yielded once.
+   * @returns {Generator<[T, T], void, void>}
+   */
+  * pairs () {
+    /** @type {Map<T, Set<T>>} */
+    const seen = new Map()
+
+    for (const cell of this._cells.values()) {
+      for (let i = 0; i < cell.length; i++) {
+        for (let j = i + 1; j < cell.length; j++) {
+          const [a, b] = [cell[i], cell[j]]
+
+          if (seen.get(a)?.has(b) || seen.get(b)?.has(a)) {
+            continue
+          }
+          if (!seen.has(a)) {
+            seen.set(a, new Set())
+          }
+
+          seen.get(a).add(b)
+          yield [a, b]
+        }
+      }
+    }
+  }
+
+  /**
+   * Removes all items from this SpatialHash.
+   */
+  clear () {
+    this._cells.clear()
+  }
+}
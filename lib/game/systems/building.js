@@ -0,0 +1,218 @@
+/* eslint-env node */
+/**
+ * @fileoverview Systems for building entities.
+ */
+
+/**
+ * @typedef {import('colonialwars-lib/math').Vector2DLike} Vector2DLike
+ * @typedef {import('../../ecs/world')} World
+ * @typedef {import('./map-objects').Bounds} Bounds
+ * @typedef {import('../components/building').BuildingStage} BuildingStage
+ *
+ * @typedef {Object} AddBuildingOpts
+ * @prop {string} id
+ * @prop {string} type
+ * @prop {string} owner
+ * @prop {string} team
+ * @prop {Vector2DLike} position The centre of the building.
+ * @prop {import('../map-extras').BuildingData} data The building's stats.
+ *
+ * @typedef {Object} CheckPlacementOpts
+ * @prop {string} team The team placing the building.
+ * @prop {Vector2DLike} position The centre of the building.
+ * @prop {Vector2DLike} size The width (x) and height (y) of the building.
+ * @prop {Vector2DLike} worldLimits
+ * @prop {Array<Bounds>} obstacles The bounds of all the obstacles in the world.
+ * @prop {Vector2DLike} spawnPosition The spawn position of the team.
+ * @prop {number} territoryRadius How far from their spawn position the team
+ * could place buildings.
+ *
+ * @typedef {'out-of-bounds'|'blocked'|'outside-territory'} PlacementError
+ *
+ * @typedef {Object} ProcessConstructionOpts
+ * @prop {number} deltaTime
+ */
+
+/**
+ * Returns the bounding box of a rectangle.
+ * @param {Vector2DLike} position The centre of the rectangle.
+ * @param {Vector2DLike} size The width (x) and height (y) of the rectangle.
+ * @returns {Bounds}
+ * @private
+ */
+function _boundsOf (position, size) {
+  return {
+    left: position.x - size.x / 2,
+    top: position.y - size.y / 2,
+    right: position.x + size.x / 2,
+    bottom: position.y + size.y / 2
+  }
+}
+
+/**
+ * Returns true if two bounding boxes overlap.
+ * @param {Bounds} a
+ * @param {Bounds} b
+ * @returns {boolean}
+ * @private
+ */
+function _overlaps (a, b) {
+  return a.left < b.right && a.right > b.left &&
+    a.top < b.bottom && a.bottom > b.top
+}
+
+/**
+ * Returns true if a position is within a certain distance of another position.
+ * @param {Vector2DLike} a
+ * @param {Vector2DLike} b
+ * @param {number} distance
+ * @returns {boolean}
+ * @private
+ */
+function _within (a, b, distance) {
+  const dx = a.x - b.x
+  const dy = a.y - b.y
+
+  return dx * dx + dy * dy <= distance * distance
+}
+
+/**
+ * Returns the stage that a building is in, based on its construction progress
+ * and its remaining hit points.
+ * @param {import('../components/building').default} building The building.
+ * @param {import('../components/health').default} health The building's health.
+ * @returns {BuildingStage}
+ */
+export function getBuildingStage (building, health) {
+  const hitPoints = health.hitPoints / health.maxHitPoints
+
+  if (building.progress < 1) {
+    return 'constructing1'
+  } else if (hitPoints <= 1 / 3) {
+    return 'damaged2'
+  } else if (hitPoints <= 2 / 3) {
+    return 'damaged1'
+  }
+
+  return 'main'
+}
+
+/**
+ * Adds a building entity and components to an ECS world.
+ * @param {World} world The ECS world to add the building entity to.
+ * @param {AddBuildingOpts} opts Required options.
+ */
+export function addBuildingTo (world, opts) {
+  const entity = world.create()
+  const data = opts.data
+
+  world.addComponent('transform2d', {
+    to: entity,
+    opts: {
+      position: opts.position
+    }
+  })
+  world.addComponent('collider', {
+    to: entity,
+    opts: {
+      shape: 'aabb',
+      size: data.size,
+      isStatic: true
+    }
+  })
+  world.addComponent('building', {
+    to: entity,
+    opts: {
+      id: opts.id,
+      type: opts.type,
+      owner: opts.owner,
+      team: opts.team,
+      size: data.size,
+      buildTime: data.buildTime * 1000,
+      territoryRadius: data.territoryRadius
+    }
+  })
+  world.addComponent('health', {
+    to: entity,
+    opts: {
+      hitPoints: data.hitPoints
+    }
+  })
+}
+
+/**
+ * Returns the bounding boxes of all the buildings in an ECS world.
+ * @param {World} world The ECS world to get the buildings from.
+ * @returns {Array<Bounds>}
+ */
+export function getBuildingBounds (world) {
+  return Array.from(world.allInstancesOf('building'), ({ entity, component }) => {
+    const { position } = world.getComponent('transform2d', { from: entity })
+
+    return _boundsOf(position, component.size)
+  })
+}
+
+/**
+ * Checks whether a building could be placed somewhere. Buildings must be
+ * completely within the world limits, must not overlap obstacles or other
+ * buildings, and must be placed within their team's territory.
+ *
+ * A team's territory is the area around its spawn position, plus the area
+ * around each of its finished buildings.
+ *
+ * Returns null if the building could be placed, or the reason why it couldn't.
+ * @param {World} world The ECS world to place the building in.
+ * @param {CheckPlacementOpts} opts Required options.
+ * @returns {PlacementError|null}
+ */
+export function checkPlacement (world, opts) {
+  const { position, worldLimits } = opts
+  const bounds = _boundsOf(position, opts.size)
+
+  if (
+    bounds.left < 0 || bounds.top < 0 ||
+    bounds.right > worldLimits.x || bounds.bottom > worldLimits.y
+  ) {
+    return 'out-of-bounds'
+  }
+
+  const blocked = opts.obstacles.concat(getBuildingBounds(world))
+    .some(other => _overlaps(bounds, other))
+  if (blocked) {
+    return 'blocked'
+  }
+
+  if (_within(position, opts.spawnPosition, opts.territoryRadius)) {
+    return null
+  }
+
+  for (const { entity, component } of world.allInstancesOf('building')) {
+    if (component.team !== opts.team || component.progress < 1) {
+      continue
+    }
+
+    const { position: other } = world.getComponent('transform2d', { from: entity })
+    if (_within(position, other, component.territoryRadius)) {
+      return null
+    }
+  }
+
+  return 'outside-territory'
+}
+
+/**
+ * Advances the construction of all the buildings in an ECS world, and updates
+ * the stage that each building is in.
+ * @param {World} world The ECS world that the buildings are in.
+ * @param {ProcessConstructionOpts} opts Required options.
+ */
+export function processConstruction (world, opts) {
+  for (const { entity, component: building } of world.allInstancesOf('building')) {
+    if (building.progress < 1) {
+      building.progress = Math.min(1, building.progress + opts.deltaTime / building.buildTime)
+    }
+
+    building.stage = getBuildingStage(building, world.getComponent('health', { from: entity }))
+  }
+}
@@ -0,0 +1,226 @@
+/* eslint-env node */
+/**
+ * @fileoverview Systems for detecting and resolving collisions.
+ */
+
+import SpatialHash from '../spatial-hash.js'
+
+/**
+ * @typedef {import('colonialwars-lib/math').Vector2DLike} Vector2DLike
+ * @typedef {import('../../ecs/world')} World
+ * @typedef {import('../../ecs/world').EntityType} EntityType
+ * @typedef {import('../components/physics').Collider} Collider
+ *
+ * @typedef {Object} Body
+ * @prop {EntityType} entity
+ * @prop {Vector2DLike} position
+ * @prop {Collider} collider
+ * @prop {number} inverseMass Zero for static bodies.
+ *
+ * @typedef {Object} Contact
+ * @prop {Vector2DLike} normal The direction to push the second body away from
+ * the first body in. Always has a length of one.
+ * @prop {number} depth How much the two bodies overlap.
+ *
+ * @typedef {Object} ResolveCollisionsOpts
+ * @prop {Vector2DLike} worldLimits
+ * @prop {number} [cellSize] The size of each cell in the broad-phase grid.
+ * Defaults to 128.
+ */
+
+const DEFAULT_CELL_SIZE = 128
+
+/**
+ * Returns the bounding box of a body.
+ * @param {Body} body The body.
+ * @returns {import('../spatial-hash').Bounds}
+ * @private
+ */
+function _boundsOf (body) {
+  const halfWidth = body.collider.size.x / 2
+  const halfHeight = body.collider.size.y / 2
+
+  return {
+    left: body.position.x - halfWidth,
+    top: body.position.y - halfHeight,
+    right: body.position.x + halfWidth,
+    bottom: body.position.y + halfHeight
+  }
+}
+
+/**
+ * Checks if two circles are colliding.
+ * @param {Body} a The first circle.
+ * @param {Body} b The second circle.
+ * @returns {Contact|null}
+ * @private
+ */
+function _circleVsCircle (a, b) {
+  const dx = b.position.x - a.position.x
+  const dy = b.position.y - a.position.y
+  const radii = a.collider.radius + b.collider.radius
+  const distance = Math.hypot(dx, dy)
+
+  if (distance >= radii) {
+    return null
+  }
+  if (distance === 0) {
+    // The circles are exactly on top of each other, so any direction works.
+    return { normal: { x: 1, y: 0 }, depth: radii }
+  }
+
+  return {
+    normal: { x: dx / distance, y: dy / distance },
+    depth: radii - distance
+  }
+}
+
+/**
+ * Checks if two axis-aligned bounding boxes are colliding.
+ * @param {Body} a The first box.
+ * @param {Body} b The second box.
+ * @returns {Contact|null}
+ * @private
+ */
+function _aabbVsAabb (a, b) {
+  const dx = b.position.x - a.position.x
+  const dy = b.position.y - a.position.y
+  const overlapX = (a.collider.size.x + b.collider.size.x) / 2 - Math.abs(dx)
+  const overlapY = (a.collider.size.y + b.collider.size.y) / 2 - Math.abs(dy)
+
+  if (overlapX <= 0 || overlapY <= 0) {
+    return null
+  }
+
+  // Push the boxes apart along the axis that they overlap the least in.
+  if (overlapX < overlapY) {
+    return { normal: { x: dx < 0 ? -1 : 1, y: 0 }, depth: overlapX }
+  }
+  return { normal: { x: 0, y: dy < 0 ? -1 : 1 }, depth: overlapY }
+}
+
+/**
+ * Checks if a circle and an axis-aligned bounding box are colliding.
+ * @param {Body} circle The circle.
+ * @param {Body} box The box.
+ * @returns {Contact|null}
+ * @private
+ */
+function _circleVsAabb (circle, box) {
+  const bounds = _boundsOf(box)
+  const { x, y } = circle.position
+  const radius = circle.collider.radius
+  const inside = x >= bounds.left && x <= bounds.right && y >= bounds.top && y <= bounds.bottom
+
+  if (inside) {
+    // The centre of the circle is inside (or on the edge of) the box, so push
+    // the circle out through the closest edge of the box.
+    const edges = [
+      { normal: { x: 1, y: 0 }, distance: x - bounds.left },
+      { normal: { x: -1, y: 0 }, distance: bounds.right - x },
+      { normal: { x: 0, y: 1 }, distance: y - bounds.top },
+      { normal: { x: 0, y: -1 }, distance: bounds.bottom - y }
+    ]
+    const closest = edges.reduce((prev, curr) => {
+      return curr.distance < prev.distance ? curr : prev
+    })
+
+    return { normal: closest.normal, depth: closest.distance + radius }
+  }
+
+  const closestX = Math.min(Math.max(x, bounds.left), bounds.right)
+  const closestY = Math.min(Math.max(y, bounds.top), bounds.bottom)
+  const dx = closestX - x
+  const dy = closestY - y
+  const distance = Math.hypot(dx, dy)
+
+  if (distance >= radius) {
+    return null
+  }
+
+  return {
+    normal: { x: dx / distance, y: dy / distance },
+    depth: radius - distance
+  }
+}
+
+/**
+ * Checks if two bodies are colliding.
+ * @param {Body} a The first body.
+ * @param {Body} b The second body.
+ * @returns {Contact|null}
+ */
+export function getContact (a, b) {
+  const shapes = `${a.collider.shape}-${b.collider.shape}`
+
+  switch (shapes) {
+    case 'circle-circle':
+      return _circleVsCircle(a, b)
+    case 'aabb-aabb':
+      return _aabbVsAabb(a, b)
+    case 'circle-aabb':
+      return _circleVsAabb(a, b)
+    case 'aabb-circle': {
+      const contact = _circleVsAabb(b, a)
+
+      return contact && {
+        normal: { x: -contact.normal.x, y: -contact.normal.y },
+        depth: contact.depth
+      }
+    }
+    default:
+      throw new TypeError(`Cannot check collisions between shapes ${shapes}!`)
+  }
+}
+
+/**
+ * Finds all the colliding entities in an ECS world, and pushes them apart.
+ *
+ * Entities are pushed apart in proportion to their mass, so lighter entities
+ * are moved further than heavier ones. Entities with static colliders are never
+ * moved, and non-static entities must have a ``physicalProps`` component.
+ * @param {World} world The ECS world to resolve collisions in.
+ * @param {ResolveCollisionsOpts} opts Required options.
+ */
+export function resolveCollisions (world, opts) {
+  /** @type {SpatialHash<Body>} */
+  const grid = new SpatialHash(opts.cellSize || DEFAULT_CELL_SIZE)
+
+  for (const { entity, component: collider } of world.allInstancesOf('collider')) {
+    const { position } = world.getComponent('transform2d', { from: entity })
+    const inverseMass = collider.isStatic
+      ? 0
+      : 1 / world.getComponent('physicalProps', { from: entity }).mass
+    const body = { entity, position, collider, inverseMass }
+
+    grid.insert(body, _boundsOf(body))
+  }
+
+  for (const [a, b] of grid.pairs()) {
+    const totalInverseMass = a.inverseMass + b.inverseMass
+    if (totalInverseMass === 0) {
+      // Two static bodies; neither one could be moved.
+      continue
+    }
+
+    const contact = getContact(a, b)
+    if (!contact) {
+      continue
+    }
+
+    const { normal, depth } = contact
+    const moveA = depth * a.inverseMass / totalInverseMass
+    const moveB = depth * b.inverseMass / totalInverseMass
+
+    a.position.x -= normal.x * moveA
+    a.position.y -= normal.y * moveA
+    b.position.x += normal.x * moveB
+    b.position.y += normal.y * moveB
+  }
+
+  for (const { entity, component: collider } of world.allInstancesOf('collider')) {
+    if (!collider.isStatic) {
+      world.getComponent('transform2d', { from: entity }).position.boundTo(opts.worldLimits)
+    }
+  }
+}
@@ -0,0 +1,143 @@
+/* eslint-env node */
+/**
+ * @fileoverview Systems for resources and team income.
+ */
+
+/**
+ * @typedef {import('../../ecs/world')} World
+ * @typedef {import('../../ecs/world').EntityType} EntityType
+ * @typedef {import('../map-extras').Resources} Resources
+ *
+ * @typedef {Object} CollectIncomeOpts
+ * @prop {Array<string>} teams The names of all the teams.
+ * @prop {Resources} baseIncome The resources each team gets regardless of
+ * the nodes it controls.
+ */
+
+/**
+ * Adds a resource node entity and components to an ECS world.
+ * @param {World} world The ECS world to add the resource node to.
+ * @param {import('../map-extras').ResourceNodeData} opts Required options.
+ */
+export function addResourceNodeTo (world, opts) {
+  const entity = world.create()
+
+  world.addComponent('transform2d', {
+    to: entity,
+    opts: { position: opts.position }
+  })
+  world.addComponent('resourceNode', {
+    to: entity,
+    opts: {
+      resource: opts.resource,
+      income: opts.income,
+      radius: opts.radius,
+      img: opts.img
+    }
+  })
+}
+
+/**
+ * Finds the team that controls each resource node in an ECS world. A team
+ * controls a node if it has a finished building within the node's radius, and
+ * no other team does.
+ *
+ * Returns a Map of resource node entities and the name of the team that
+ * controls them, or null if no team (or more than one team) has a building
+ * near the node.
+ * @param {World} world The ECS world that the resource nodes are in.
+ * @returns {Map<EntityType, string|null>}
+ */
+export function findNodeControllers (world) {
+  const buildings = Array.from(world.allInstancesOf('building'))
+    .filter(({ component }) => component.progress >= 1)
+    .map(({ entity, component }) => ({
+      team: component.team,
+      position: world.getComponent('transform2d', { from: entity }).position
+    }))
+  /** @type {Map<EntityType, string|null>} */
+  const controllers = new Map()
+
+  for (const { entity, component: node } of world.allInstancesOf('resourceNode')) {
+    const { position } = world.getComponent('transform2d', { from: entity })
+    const teams = new Set(buildings
+      .filter(b => {
+        const dx = b.position.x - position.x
+        const dy = b.position.y - position.y
+
+        return dx * dx + dy * dy <= node.radius * node.radius
+      })
+      .map(b => b.team))
+
+    controllers.set(entity, teams.size === 1 ? teams.values().next().value : null)
+  }
+
+  return controllers
+}
+
+/**
+ * Calculates how much income each team gets for one income tick.
+ *
+ * Returns a Map of team names and the resources they earned.
+ * @param {World} world The ECS world that the resource nodes are in.
+ * @param {CollectIncomeOpts} opts Required options.
+ * @returns {Map<string, Resources>}
+ */
+export function collectIncome (world, opts) {
+  const income = new Map(opts.teams.map(team => [team, { ...opts.baseIncome }]))
+
+  for (const [entity, team] of findNodeControllers(world)) {
+    if (team === null || !income.has(team)) {
+      continue
+    }
+
+    const node = world.getComponent('resourceNode', { from: entity })
+
+    addResources(income.get(team), { [node.resource]: node.income })
+  }
+
+  return income
+}
+
+/**
+ * Adds resources to a stockpile.
+ * @param {Resources} stockpile The stockpile to add to.
+ * @param {Resources} amounts The resources to add.
+ */
+export function addResources (stockpile, amounts) {
+  for (const [resource, amount] of Object.entries(amounts)) {
+    stockpile[resource] = (stockpile[resource] || 0) + amount
+  }
+}
+
+/**
+ * Returns true if a stockpile has enough resources to pay the specified cost.
+ * @param {Resources} stockpile The stockpile to check.
+ * @param {Resources} cost The cost to pay.
+ * @returns {boolean}
+ */
+export function canAfford (stockpile, cost) {
+  return Object.entries(cost)
+    .every(([resource, amount]) => (stockpile[resource] || 0) >= amount)
+}
+
+/**
+ * Takes resources out of a stockpile to pay the specified cost. Nothing is
+ * taken if the stockpile can't afford the cost.
+ *
+ * Returns true if the cost was paid.
+ * @param {Resources} stockpile The stockpile to pay with.
+ * @param {Resources} cost The cost to pay.
+ * @returns {boolean}
+ */
+export function spend (stockpile, cost) {
+  if (!canAfford(stockpile, cost)) {
+    return false
+  }
+
+  for (const [resource, amount] of Object.entries(cost)) {
+    stockpile[resource] = (stockpile[resource] || 0) - amount
+  }
+
+  return true
+}
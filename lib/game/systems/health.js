@@ -0,0 +1,109 @@
+/* eslint-env node */
+/**
+ * @fileoverview Systems for entities with health.
+ */
+
+/**
+ * @typedef {import('../../ecs/world')} World
+ * @typedef {import('../../ecs/world').EntityType} EntityType
+ *
+ * @typedef {'player'|'unit'|'building'} TargetKind
+ *
+ * @typedef {Object} Target
+ * @prop {EntityType} entity
+ * @prop {TargetKind} kind
+ * @prop {string} team
+ * @prop {string} owner The ID of the player that controls the target. For
+ * players, this is their own ID.
+ *
+ * @typedef {Object} ApplyDamageOpts
+ * @prop {EntityType} target The entity to damage.
+ * @prop {number} amount How much damage to deal.
+ */
+
+/**
+ * Returns a Map of the IDs of all the entities that could be damaged in an ECS
+ * world (i.e. players, units, and buildings), and information about them.
+ * @param {World} world The ECS world.
+ * @returns {Map<string, Target>}
+ */
+export function findTargets (world) {
+  /** @type {Map<string, Target>} */
+  const targets = new Map()
+
+  for (const { entity, component } of world.allInstancesOf('player')) {
+    targets.set(component.id, {
+      entity, kind: 'player', team: component.team, owner: component.id
+    })
+  }
+  for (const { entity, component } of world.allInstancesOf('unit')) {
+    targets.set(component.id, {
+      entity, kind: 'unit', team: component.team, owner: component.owner
+    })
+  }
+  for (const { entity, component } of world.allInstancesOf('building')) {
+    targets.set(component.id, {
+      entity, kind: 'building', team: component.team, owner: component.owner
+    })
+  }
+
+  return targets
+}
+
+/**
+ * Returns true if the specified entity is dead.
+ * @param {World} world The ECS world that the entity is in.
+ * @param {EntityType} entity The entity to check.
+ * @returns {boolean}
+ */
+export function isDead (world, entity) {
+  return world.getComponent('health', { from: entity }).dead
+}
+
+/**
+ * Deals damage to an entity. Dead entities can't be damaged.
+ *
+ * Returns true if the damage killed the entity.
+ * @param {World} world The ECS world that the entity is in.
+ * @param {ApplyDamageOpts} opts Required options.
+ * @returns {boolean}
+ */
+export function applyDamage (world, opts) {
+  const health = world.getComponent('health', { from: opts.target })
+
+  if (health.dead || opts.amount <= 0) {
+    return false
+  }
+
+  health.hitPoints = Math.max(0, health.hitPoints - opts.amount)
+  health.dead = health.hitPoints === 0
+
+  return health.dead
+}
+
+/**
+ * Brings an entity back to life with full hit points.
+ * @param {World} world The ECS world that the entity is in.
+ * @param {EntityType} entity The entity to revive.
+ */
+export function revive (world, entity) {
+  const health = world.getComponent('health', { from: entity })
+
+  health.hitPoints = health.maxHitPoints
+  health.dead = false
+  health.respawnTime = null
+}
+
+/**
+ * Returns all the dead entities in an ECS world that are due to respawn.
+ * @param {World} world The ECS world.
+ * @param {number} currentTime The current time.
+ * @returns {Array<EntityType>}
+ */
+export function findRespawning (world, currentTime) {
+  return Array.from(world.allInstancesOf('health'))
+    .filter(({ component: health }) => {
+      return health.dead && health.respawnTime !== null && health.respawnTime <= currentTime
+    })
+    .map(({ entity }) => entity)
+}
@@ -0,0 +1,84 @@
+/* eslint-env node */
+/**
+ * @fileoverview Systems for static objects that are placed on a map.
+ */
+
+/**
+ * @typedef {import('colonialwars-lib/math').Vector2DLike} Vector2DLike
+ * @typedef {import('../../ecs/world')} World
+ *
+ * @typedef {Object} AddMapObjectOpts
+ * @prop {Vector2DLike} position The centre of the object.
+ * @prop {Vector2DLike} size The width (x) and height (y) of the object.
+ * @prop {string} img The ID of the graphics to draw the object with.
+ *
+ * @typedef {Object} Bounds
+ * @prop {number} left
+ * @prop {number} top
+ * @prop {number} right
+ * @prop {number} bottom
+ */
+
+/**
+ * Adds an obstacle entity and components to an ECS world.
+ * @param {World} world The ECS world to add the obstacle to.
+ * @param {AddMapObjectOpts} opts Required options.
+ */
+export function addObstacleTo (world, opts) {
+  const entity = world.create()
+
+  world.addComponent('transform2d', {
+    to: entity,
+    opts: { position: opts.position }
+  })
+  world.addComponent('obstacle', {
+    to: entity,
+    opts: { size: opts.size, img: opts.img }
+  })
+  world.addComponent('collider', {
+    to: entity,
+    opts: { shape: 'aabb', size: opts.size, isStatic: true }
+  })
+}
+
+/**
+ * Adds a decoration entity and components to an ECS world.
+ * @param {World} world The ECS world to add the decoration to.
+ * @param {AddMapObjectOpts} opts Required options.
+ */
+export function addDecorationTo (world, opts) {
+  const entity = world.create()
+
+  world.addComponent('transform2d', {
+    to: entity,
+    opts: { position: opts.position }
+  })
+  world.addComponent('decoration', {
+    to: entity,
+    opts: { size: opts.size, img: opts.img }
+  })
+}
+
+/**
+ * Returns the bounding boxes of all the obstacles in an ECS world.
+ * @param {World} world The ECS world to get the obstacles from.
+ * @returns {Array<Bounds>}
+ */
+export function getObstacleBounds (world) {
+  const bounds = []
+
+  for (const { entity, component: obstacle } of world.allInstancesOf('obstacle')) {
+    const { position } = world.getComponent('transform2d', { from: entity })
+    const halfWidth = obstacle.size.x / 2
+    const halfHeight = obstacle.size.y / 2
+
+    bounds.push({
+      left: position.x - halfWidth,
+      top: position.y - halfHeight,
+      right: position.x + halfWidth,
+      bottom: position.y + halfHeight
+    })
+  }
+
+  return bounds
+}
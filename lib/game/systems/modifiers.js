@@ -0,0 +1,138 @@
+/* eslint-env node */
+/**
+ * @fileoverview Systems for applying stat modifiers to entities.
+ */
+
+/**
+ * @typedef {import('../../ecs/world')} World
+ * @typedef {import('../../ecs/world').EntityType} EntityType
+ * @typedef {import('../map-extras').ModifiableStat} ModifiableStat
+ * @typedef {import('../map-extras').ModifierData} ModifierData
+ *
+ * @typedef {Object} AddModifierOpts
+ * @prop {EntityType} entity The entity to apply the modifier to.
+ * @prop {string} id The ID of the modifier in the map data.
+ * @prop {ModifierData} data
+ * @prop {number} currentTime
+ *
+ * @typedef {Object} ProcessModifiersOpts
+ * @prop {number} currentTime
+ */
+
+/**
+ * Where each modifiable stat is stored.
+ * @type {Record<ModifiableStat, { component: string, property: string }>}
+ */
+const STATS = {
+  speed: { component: 'physicalProps', property: 'speed' },
+  damage: { component: 'unit', property: 'damage' }
+}
+
+/**
+ * Calculates the modified value of a stat. Added values are applied first,
+ * then the stat is multiplied. Stats never go below zero.
+ * @param {ModifiableStat} stat The stat to calculate.
+ * @param {number} base The unmodified value of the stat.
+ * @param {Array<import('../components/modifiers').ActiveModifier>} active
+ * The modifiers to apply.
+ * @returns {number}
+ * @private
+ */
+function _calculateStat (stat, base, active) {
+  let added = 0
+  let multiplier = 1
+
+  for (const modifier of active) {
+    for (const effect of modifier.effects) {
+      if (effect.stat !== stat) {
+        continue
+      }
+
+      if (effect.type === 'add') {
+        added += effect.value * modifier.stacks
+      } else {
+        multiplier *= effect.value ** modifier.stacks
+      }
+    }
+  }
+
+  return Math.max(0, (base + added) * multiplier)
+}
+
+/**
+ * Applies a modifier to an entity, following the modifier's stacking rules.
+ *
+ * Returns true if the modifier was applied.
+ * @param {World} world The ECS world that the entity is in.
+ * @param {AddModifierOpts} opts Required options.
+ * @returns {boolean}
+ */
+export function addModifierTo (world, opts) {
+  const { data, currentTime } = opts
+  const modifiers = world.getComponent('modifiers', { from: opts.entity })
+  const existing = modifiers.active.find(m => m.id === opts.id)
+  const expiresAt = data.duration ? currentTime + data.duration * 1000 : null
+
+  if (!existing) {
+    modifiers.active.push({ id: opts.id, stacks: 1, expiresAt, effects: data.effects })
+    return true
+  }
+
+  switch (data.stacking) {
+    case 'ignore':
+      return false
+    case 'stack':
+      existing.stacks = Math.min(data.maxStacks, existing.stacks + 1)
+      existing.expiresAt = expiresAt
+      return true
+    default:
+      existing.expiresAt = expiresAt
+      return true
+  }
+}
+
+/**
+ * Removes a modifier from an entity. Returns true if the entity had the modifier.
+ * @param {World} world The ECS world that the entity is in.
+ * @param {EntityType} entity The entity to remove the modifier from.
+ * @param {string} id The ID of the modifier to remove.
+ * @returns {boolean}
+ */
+export function removeModifierFrom (world, entity, id) {
+  const modifiers = world.getComponent('modifiers', { from: entity })
+  const before = modifiers.active.length
+
+  modifiers.active = modifiers.active.filter(m => m.id !== id)
+
+  return modifiers.active.length !== before
+}
+
+/**
+ * Removes all the modifiers from an entity.
+ * @param {World} world The ECS world that the entity is in.
+ * @param {EntityType} entity The entity to remove the modifiers from.
+ */
+export function clearModifiersFrom (world, entity) {
+  world.getComponent('modifiers', { from: entity }).active = []
+}
+
+/**
+ * Removes expired modifiers from all the entities in an ECS world, and updates
+ * the stats of each entity to match the modifiers that are still active.
+ * @param {World} world The ECS world to process the modifiers in.
+ * @param {ProcessModifiersOpts} opts Required options.
+ */
+export function processModifiers (world, opts) {
+  for (const { entity, component: modifiers } of world.allInstancesOf('modifiers')) {
+    modifiers.active = modifiers.active.filter(m => {
+      return m.expiresAt === null || m.expiresAt > opts.currentTime
+    })
+
+    for (const [stat, base] of Object.entries(modifiers.base)) {
+      const { component, property } = STATS[stat]
+
+      world.getComponent(component, { from: entity })[property] =
+        _calculateStat(stat, base, modifiers.active)
+    }
+  }
+}
@@ -19,11 +19,17 @@ const debug = debugFactory('colonialwars:systems:player')
  * @prop {string} team
  * @prop {number} mass
  * @prop {number} speed
+ * @prop {number} radius The radius of the player's collider.
+ * @prop {number} hitPoints
  * @prop {Vector2DLike} position
  *
  * @typedef {Object} ProcessInputsOpts
  * @prop {number} currentTime
  * @prop {Vector2DLike} worldLimits
+ * @prop {Array<import('./map-objects').Bounds>} [obstacles] The bounds of
+ * obstacles that players cannot move through.
+ * @prop {number} [maxRewind] How far back in time (in milliseconds) inputs
+ * could be replayed, to make up for client latency. Defaults to 0.
  *
  * @typedef {Object} GetVelocityOpts
  * @prop {number} speed
@@ -55,6 +61,109 @@ function _getVelocity (data, opts) {
   return velocity
 }
 
+/**
+ * Moves a position along a single axis, stopping at the edge of the first
+ * obstacle in the way.
+ * @param {InstanceType<Vector2D>} position The position to move.
+ * @param {'x'|'y'} axis The axis to move along.
+ * @param {number} distance How far to move.
+ * @param {Array<import('./map-objects').Bounds>} obstacles The obstacles in the way.
+ * @private
+ */
+function _moveAlongAxis (position, axis, distance, obstacles) {
+  const other = axis === 'x' ? 'y' : 'x'
+  const [min, max] = axis === 'x' ? ['left', 'right'] : ['top', 'bottom']
+  const [otherMin, otherMax] = axis === 'x' ? ['top', 'bottom'] : ['left', 'right']
+  const start = position[axis]
+  let end = start + distance
+
+  for (const bounds of obstacles) {
+    // Positions on the edge of an obstacle are not in the way, so that
+    // players can slide along obstacles.
+    const inTheWay = position[other] > bounds[otherMin] && position[other] < bounds[otherMax]
+    if (!inTheWay) {
+      continue
+    }
+
+    if (start <= bounds[min] && end > bounds[min]) {
+      end = bounds[min]
+    } else if (start >= bounds[max] && end < bounds[max]) {
+      end = bounds[max]
+    }
+  }
+
+  position[axis] = end
+}
+
+/**
+ * Moves a position by the given delta, without going out of the world or
+ * through any obstacles.
+ * @param {InstanceType<Vector2D>} position The position to move.
+ * @param {Vector2DLike} delta How much to move.
+ * @param {ProcessInputsOpts} opts Options.
+ * @private
+ */
+function _moveBy (position, delta, opts) {
+  const obstacles = opts.obstacles || []
+
+  _moveAlongAxis(position, 'x', delta.x, obstacles)
+  _moveAlongAxis(position, 'y', delta.y, obstacles)
+  position.boundTo(opts.worldLimits)
+}
+
+/**
+ * Records where a player is, and how it is moving from there.
+ * @param {import('../components/player').default} player The player component.
+ * @param {number} time The current time of the player.
+ * @param {InstanceType<Vector2D>} position The position of the player.
+ * @param {InstanceType<Vector2D>} velocity The velocity of the player.
+ * @private
+ */
+function _recordPosition (player, time, position, velocity) {
+  player.positionHistory.push({
+    time,
+    position: Vector2D.fromObject(position),
+    velocity: Vector2D.fromObject(velocity)
+  })
+}
+
+/**
+ * Moves a player back to where it was at the specified time, using the
+ * positions that were recorded. Positions that were recorded after that time
+ * are forgotten, since they are about to be replayed. Does nothing if nothing
+ * was recorded that far back.
+ * @param {import('../components/player').default} player The player component.
+ * @param {InstanceType<Vector2D>} position The position of the player.
+ * @param {number} time The time to move the player back to.
+ * @param {ProcessInputsOpts} opts Options.
+ * @private
+ */
+function _rewindTo (player, position, time, opts) {
+  const history = player.positionHistory
+  let i = history.length - 1
+
+  while (i >= 0 && history[i].time > time) {
+    i--
+  }
+  if (i < 0) {
+    return
+  }
+
+  const record = history[i]
+
+  history.length = i + 1
+  position.x = record.position.x
+  position.y = record.position.y
+  // Move forwards from the record, so that the player is stopped by the same
+  // things that stopped it the first time.
+  _moveBy(
+    position,
+    Vector2D.floorAxes(Vector2D.scale(record.velocity, time - record.time)),
+    opts
+  )
+  player.lastUpdateTime = time
+}
+
 /**
  * Adds a player entity and components to an ECS world.
  * @param {World} world The ECS world to add the player entity to.
@@ -88,10 +197,34 @@ export function addPlayerTo (world, opts) {
   world.addComponent('velocity2d', {
     to: entity
   })
+  world.addComponent('collider', {
+    to: entity,
+    opts: {
+      shape: 'circle',
+      radius: opts.radius
+    }
+  })
+  world.addComponent('health', {
+    to: entity,
+    opts: {
+      hitPoints: opts.hitPoints
+    }
+  })
+  world.addComponent('modifiers', {
+    to: entity,
+    opts: {
+      base: { speed: opts.speed }
+    }
+  })
 }
 
 /**
  * Processes all the inputs of all the player entities in an ECS world.
+ *
+ * Inputs that happened before the last update (but not before the player's
+ * last input, or more than ``opts.maxRewind`` milliseconds before the last
+ * update) are replayed at the time they happened, from where the player was at
+ * that time.
  * @param {World} world The ECS world to process the inputs in.
  * @param {ProcessInputsOpts} opts Required options.
  */
@@ -105,8 +238,15 @@ export function processInputs (world, opts) {
     const props = world.getComponent('physicalProps', { from: entity })
 
     const inputs = player.inputQueue
+    const history = player.positionHistory
     let nextInput = inputs.shift()
 
+    // Remember where the player was for as long as inputs could be replayed.
+    _recordPosition(player, player.lastUpdateTime, transform.position, velocity.velocity)
+    while (history.length > 1 && history[1].time <= player.lastUpdateTime - (opts.maxRewind || 0)) {
+      history.shift()
+    }
+
     for (; nextInput && nextInput.timestamp <= opts.currentTime; nextInput = inputs.shift()) {
       if (nextInput.inputNum <= player.lastProcessedInput) {
         // Input sequence number is smaller than last processed input,
@@ -117,25 +257,40 @@ export function processInputs (world, opts) {
           player.lastProcessedInput, nextInput.inputNum
         )
         continue
-      } else if (nextInput.timestamp < player.lastUpdateTime) {
-        // Input happened earlier than the occurance of the last update,
-        // which should not happen. SKIP!
+      } else if (
+        nextInput.timestamp < player.lastInputTime ||
+        nextInput.timestamp < player.lastUpdateTime - (opts.maxRewind || 0)
+      ) {
+        // Input happened earlier than the last input, or too long before the
+        // last update to be replayed. SKIP!
         debug(
           'Received invalid input timestamp! ' +
-            'Timestamp records an earlier time than last update time.'
+            'Timestamp records an earlier time than the last input or update.'
         )
         continue
       }
 
+      if (nextInput.timestamp < player.lastUpdateTime) {
+        // The input was delayed by the client's latency, so move the player
+        // back to where it was when the input happened, and replay from there.
+        _rewindTo(player, transform.position, nextInput.timestamp, opts)
+      }
+
       velocity.velocity = _getVelocity(nextInput, { speed: props.speed })
 
-      const deltaTime = nextInput.timestamp - player.lastUpdateTime
-      player.lastUpdateTime = nextInput.timestamp
+      // If the player couldn't be moved back, the input happens now instead.
+      const deltaTime = Math.max(0, nextInput.timestamp - player.lastUpdateTime)
+      player.lastUpdateTime += deltaTime
 
-      transform.position.add(Vector2D.floorAxes(Vector2D.scale(velocity.velocity, deltaTime)))
-      transform.position.boundTo(opts.worldLimits)
+      _moveBy(
+        transform.position,
+        Vector2D.floorAxes(Vector2D.scale(velocity.velocity, deltaTime)),
+        opts
+      )
+      _recordPosition(player, player.lastUpdateTime, transform.position, velocity.velocity)
 
       player.lastProcessedInput = nextInput.inputNum
+      player.lastInputTime = nextInput.timestamp
     }
 
     if (nextInput) {
@@ -152,8 +307,11 @@ export function processInputs (world, opts) {
     // Whatever the reason, we must continue the simulation.
     const deltaTime = opts.currentTime - player.lastUpdateTime
 
-    transform.position.add(Vector2D.floorAxes(Vector2D.scale(velocity.velocity, deltaTime)))
-    transform.position.boundTo(opts.worldLimits)
+    _moveBy(
+      transform.position,
+      Vector2D.floorAxes(Vector2D.scale(velocity.velocity, deltaTime)),
+      opts
+    )
     player.lastUpdateTime = opts.currentTime
   }
 }
@@ -0,0 +1,315 @@
+/* eslint-env node */
+/**
+ * @fileoverview Systems for unit entities.
+ */
+
+import debugFactory from 'debug'
+
+import * as HealthSystems from './health.js'
+
+const debug = debugFactory('colonialwars:systems:unit')
+
+/**
+ * @typedef {import('colonialwars-lib/math').Vector2DLike} Vector2DLike
+ * @typedef {import('../../ecs/world')} World
+ * @typedef {import('../components/unit').UnitOrder} UnitOrder
+ *
+ * @typedef {Object} AddUnitOpts
+ * @prop {string} id
+ * @prop {string} type
+ * @prop {string} owner
+ * @prop {string} team
+ * @prop {Vector2DLike} position
+ * @prop {import('../map-extras').UnitData} data The unit's stats.
+ *
+ * @typedef {Object} Objective
+ * @prop {Vector2DLike} position
+ * @prop {Array<string>} teams The teams that the objective belongs to. Units
+ * on these teams can't attack the objective.
+ *
+ * @typedef {Object} GiveOrderOpts
+ * @prop {string} owner The ID of the player giving the order.
+ * @prop {Array<string>} units The IDs of the units to give the order to.
+ * @prop {UnitOrder} order
+ * @prop {Map<string, Objective>} [objectives] Objectives that could be
+ * attacked, besides players, units, and buildings.
+ *
+ * @typedef {Object} ProcessOrdersOpts
+ * @prop {number} currentTime
+ * @prop {number} deltaTime
+ * @prop {Vector2DLike} worldLimits
+ * @prop {Map<string, Objective>} [objectives] Objectives that could be
+ * attacked, besides players, units, and buildings.
+ *
+ * @typedef {Object} Attack
+ * @prop {string} source The ID of the attacking unit.
+ * @prop {string} target The ID of the unit, player, or objective being attacked.
+ * @prop {number} amount How much damage the attack deals.
+ */
+
+const ORDER_KINDS = ['move', 'attack', 'stop']
+
+/**
+ * Sets the velocity of a unit so that it moves towards the target, without
+ * overshooting it.
+ * @param {Record<'position'|'velocity', import('colonialwars-lib/math').Vector2D>} body
+ * The position and velocity of the unit.
+ * @param {Vector2DLike} target The position to move towards.
+ * @param {number} speed The speed of the unit.
+ * @param {number} deltaTime How much time will pass this step.
+ * @returns {boolean} Whether the unit will reach the target this step.
+ * @private
+ */
+function _moveTowards (body, target, speed, deltaTime) {
+  const dx = target.x - body.position.x
+  const dy = target.y - body.position.y
+  const distance = Math.hypot(dx, dy)
+
+  if (distance <= speed * deltaTime) {
+    body.velocity.x = deltaTime > 0 ? dx / deltaTime : 0
+    body.velocity.y = deltaTime > 0 ? dy / deltaTime : 0
+    return true
+  }
+
+  body.velocity.x = dx / distance * speed
+  body.velocity.y = dy / distance * speed
+  return false
+}
+
+/**
+ * Throws a TypeError if the specified order is malformed.
+ * @param {UnitOrder} order The order to check.
+ * @private
+ */
+function _checkOrder (order) {
+  if (!order || !ORDER_KINDS.includes(order.kind)) {
+    throw new TypeError('Unknown order!')
+  }
+  if (order.kind === 'move') {
+    const target = order.target
+    if (!target || !Number.isFinite(target.x) || !Number.isFinite(target.y)) {
+      throw new TypeError('Move orders require a target position!')
+    }
+  }
+  if (order.kind === 'attack' && typeof order.target !== 'string') {
+    throw new TypeError('Attack orders require a target unit or player!')
+  }
+}
+
+/**
+ * Returns the position of an attack target, or null if the target is gone.
+ * @param {World} world The ECS world that the target is in.
+ * @param {Map<string, import('./health').Target>} targets All the players, units,
+ * and buildings.
+ * @param {Map<string, Objective>} objectives All the objectives.
+ * @param {string} id The ID of the target.
+ * @returns {Vector2DLike|null}
+ * @private
+ */
+function _positionOf (world, targets, objectives, id) {
+  const target = targets.get(id)
+  if (target) {
+    return HealthSystems.isDead(world, target.entity)
+      ? null
+      : world.getComponent('transform2d', { from: target.entity }).position
+  }
+
+  return objectives.has(id) ? objectives.get(id).position : null
+}
+
+/**
+ * Returns a copy of an order, without any unknown properties.
+ * @param {UnitOrder} order The order to copy.
+ * @returns {UnitOrder}
+ * @private
+ */
+function _copyOrder (order) {
+  switch (order.kind) {
+    case 'move':
+      return { kind: 'move', target: { x: order.target.x, y: order.target.y } }
+    case 'attack':
+      return { kind: 'attack', target: order.target }
+    default:
+      return { kind: 'stop' }
+  }
+}
+
+/**
+ * Adds a unit entity and components to an ECS world.
+ * @param {World} world The ECS world to add the unit entity to.
+ * @param {AddUnitOpts} opts Required options.
+ */
+export function addUnitTo (world, opts) {
+  const entity = world.create()
+  const data = opts.data
+
+  world.addComponent('physicalProps', {
+    to: entity,
+    opts: {
+      mass: data.mass,
+      speed: data.speed
+    }
+  })
+  world.addComponent('transform2d', {
+    to: entity,
+    opts: {
+      position: opts.position
+    }
+  })
+  world.addComponent('velocity2d', {
+    to: entity
+  })
+  world.addComponent('collider', {
+    to: entity,
+    opts: {
+      shape: 'circle',
+      radius: data.radius
+    }
+  })
+  world.addComponent('health', {
+    to: entity,
+    opts: {
+      hitPoints: data.hitPoints
+    }
+  })
+  world.addComponent('modifiers', {
+    to: entity,
+    opts: {
+      base: { speed: data.speed, damage: data.damage }
+    }
+  })
+  world.addComponent('unit', {
+    to: entity,
+    opts: {
+      id: opts.id,
+      type: opts.type,
+      owner: opts.owner,
+      team: opts.team,
+      damage: data.damage,
+      attackRange: data.attackRange,
+      attackCooldown: data.attackCooldown * 1000
+    }
+  })
+}
+
+/**
+ * Gives an order to units in an ECS world. Only units owned by the player
+ * giving the order will receive it, and attack orders are ignored if the target
+ * (a unit, a player, or an objective) does not exist or is on the same team.
+ *
+ * Throws a TypeError if the order is malformed. Returns the amount of units
+ * that received the order.
+ * @param {World} world The ECS world that the units are in.
+ * @param {GiveOrderOpts} opts Required options.
+ * @returns {number}
+ */
+export function giveOrder (world, opts) {
+  const { owner, units, order } = opts
+
+  if (!Array.isArray(units)) {
+    throw new TypeError('Units must be an array of unit IDs!')
+  }
+  _checkOrder(order)
+
+  const targets = HealthSystems.findTargets(world)
+  const objectives = opts.objectives || new Map()
+  /** @type {Array<string>} */
+  let targetTeams = []
+
+  if (order.kind === 'attack') {
+    if (targets.has(order.target)) {
+      targetTeams = [targets.get(order.target).team]
+    } else if (objectives.has(order.target)) {
+      targetTeams = objectives.get(order.target).teams
+    } else {
+      debug('Ignoring attack order on non-existent target %s', order.target)
+      return 0
+    }
+  }
+
+  let ordered = 0
+
+  for (const id of new Set(units)) {
+    const entry = targets.get(id)
+    if (!entry || entry.kind !== 'unit') {
+      continue
+    }
+
+    const unit = world.getComponent('unit', { from: entry.entity })
+    if (unit.owner !== owner || targetTeams.includes(unit.team)) {
+      continue
+    }
+
+    unit.order = _copyOrder(order)
+    ordered++
+  }
+
+  return ordered
+}
+
+/**
+ * Carries out the orders of all the units in an ECS world.
+ *
+ * Units don't deal damage themselves. Instead, this returns all the attacks
+ * that were made, so that the damage could be dealt by the caller.
+ * @param {World} world The ECS world to process the orders in.
+ * @param {ProcessOrdersOpts} opts Required options.
+ * @returns {Array<Attack>}
+ */
+export function processOrders (world, opts) {
+  const { currentTime, deltaTime } = opts
+  const targets = HealthSystems.findTargets(world)
+  const objectives = opts.objectives || new Map()
+  /** @type {Array<Attack>} */
+  const attacks = []
+
+  for (const { entity } of world.allInstancesOf('unit')) {
+    const unit = world.getComponent('unit', { from: entity })
+    const props = world.getComponent('physicalProps', { from: entity })
+    const body = {
+      position: world.getComponent('transform2d', { from: entity }).position,
+      velocity: world.getComponent('velocity2d', { from: entity }).velocity
+    }
+
+    if (unit.order.kind === 'move') {
+      if (_moveTowards(body, unit.order.target, props.speed, deltaTime)) {
+        unit.order = { kind: 'stop' }
+      }
+    } else if (unit.order.kind === 'attack') {
+      const targetPosition = _positionOf(world, targets, objectives, unit.order.target)
+
+      if (!targetPosition) {
+        // Target is gone.
+        unit.order = { kind: 'stop' }
+        body.velocity.x = 0
+        body.velocity.y = 0
+      } else {
+        const distance = Math.hypot(
+          targetPosition.x - body.position.x,
+          targetPosition.y - body.position.y
+        )
+
+        if (distance > unit.attackRange) {
+          _moveTowards(body, targetPosition, props.speed, deltaTime)
+        } else {
+          body.velocity.x = 0
+          body.velocity.y = 0
+
+          if (currentTime - unit.lastAttackTime >= unit.attackCooldown) {
+            unit.lastAttackTime = currentTime
+            attacks.push({ source: unit.id, target: unit.order.target, amount: unit.damage })
+          }
+        }
+      }
+    } else {
+      body.velocity.x = 0
+      body.velocity.y = 0
+    }
+
+    body.position.x += body.velocity.x * deltaTime
+    body.position.y += body.velocity.y * deltaTime
+    body.position.boundTo(opts.worldLimits)
+  }
+
+  return attacks
+}
@@ -0,0 +1,166 @@
+/* eslint-env node */
+/**
+ * @fileoverview Systems for finding out which entities could see each other.
+ */
+
+import SpatialHash from '../spatial-hash.js'
+
+/**
+ * @typedef {import('../../ecs/world')} World
+ * @typedef {import('../../ecs/world').EntityType} EntityType
+ *
+ * @typedef {Object} Located
+ * @prop {EntityType} entity
+ * @prop {import('colonialwars-lib/math').Vector2DLike} position
+ *
+ * @typedef {Object} FindVisibleOpts
+ * @prop {number} viewRadius How far away players could see other entities.
+ */
+
+/**
+ * Returns the entity and position of all the entities with the specified component.
+ * @param {World} world The ECS world that the entities are in.
+ * @param {string} component The name of the component.
+ * @returns {Array<Located>}
+ * @private
+ */
+function _locateAll (world, component) {
+  return Array.from(world.allWith(component), entity => ({
+    entity,
+    position: world.getComponent('transform2d', { from: entity }).position
+  }))
+}
+
+/**
+ * Finds all the targets within the view radius of each viewer.
+ *
+ * Returns a Map of viewer entities and the target entities they could see.
+ * @param {Array<Located>} viewers The entities that are looking.
+ * @param {Array<Located>} targets The entities that could be seen.
+ * @param {number} viewRadius How far away viewers could see.
+ * @returns {Map<EntityType, Array<EntityType>>}
+ * @private
+ */
+function _findNearby (viewers, targets, viewRadius) {
+  const visible = new Map(viewers.map(v => [v.entity, []]))
+
+  if (!Number.isFinite(viewRadius)) {
+    // Everyone could see everything; no need to check distances.
+    for (const viewer of viewers) {
+      visible.set(viewer.entity, targets.map(target => target.entity))
+    }
+
+    return visible
+  }
+
+  /** @type {SpatialHash<Located>} */
+  const grid = new SpatialHash(viewRadius)
+
+  for (const target of targets) {
+    const { x, y } = target.position
+
+    grid.insert(target, { left: x, top: y, right: x, bottom: y })
+  }
+
+  for (const viewer of viewers) {
+    const { x, y } = viewer.position
+    const nearby = grid.query({
+      left: x - viewRadius,
+      top: y - viewRadius,
+      right: x + viewRadius,
+      bottom: y + viewRadius
+    })
+
+    for (const target of nearby) {
+      const dx = target.position.x - x
+      const dy = target.position.y - y
+
+      if (dx * dx + dy * dy <= viewRadius * viewRadius) {
+        visible.get(viewer.entity).push(target.entity)
+      }
+    }
+  }
+
+  return visible
+}
+
+/**
+ * Finds all the entities with the specified component that each player could
+ * see. The component must have an ``owner`` property. Players could always see
+ * the entities they own, and every other entity within their view radius.
+ * @param {World} world The ECS world that the players and entities are in.
+ * @param {string} component The name of the component.
+ * @param {number} viewRadius How far away players could see.
+ * @returns {Map<EntityType, Array<EntityType>>}
+ * @private
+ */
+function _findVisibleOwned (world, component, viewRadius) {
+  const players = _locateAll(world, 'player')
+  const targets = _locateAll(world, component)
+  const visible = _findNearby(players, targets, viewRadius)
+  /** @type {Map<string, Array<EntityType>>} */
+  const owned = new Map()
+
+  for (const target of targets) {
+    const owner = world.getComponent(component, { from: target.entity }).owner
+
+    owned.set(owner, (owned.get(owner) || []).concat(target.entity))
+  }
+
+  for (const player of players) {
+    const id = world.getComponent('player', { from: player.entity }).id
+    const seen = new Set(visible.get(player.entity).concat(owned.get(id) || []))
+
+    visible.set(player.entity, Array.from(seen))
+  }
+
+  return visible
+}
+
+/**
+ * Finds all the other players that each player could see. Players could see
+ * every other player whose position is within their view radius.
+ *
+ * Returns a Map of player entities and the player entities they could see.
+ * @param {World} world The ECS world that the players are in.
+ * @param {FindVisibleOpts} opts Required options.
+ * @returns {Map<EntityType, Array<EntityType>>}
+ */
+export function findVisiblePlayers (world, opts) {
+  const players = _locateAll(world, 'player')
+  const visible = _findNearby(players, players, opts.viewRadius)
+
+  for (const [entity, others] of visible) {
+    visible.set(entity, others.filter(other => other !== entity))
+  }
+
+  return visible
+}
+
+/**
+ * Finds all the units that each player could see. Players could always see
+ * their own units, and they could see every other unit whose position is
+ * within their view radius.
+ *
+ * Returns a Map of player entities and the unit entities they could see.
+ * @param {World} world The ECS world that the players and units are in.
+ * @param {FindVisibleOpts} opts Required options.
+ * @returns {Map<EntityType, Array<EntityType>>}
+ */
+export function findVisibleUnits (world, opts) {
+  return _findVisibleOwned(world, 'unit', opts.viewRadius)
+}
+
+/**
+ * Finds all the buildings that each player could see. Players could always see
+ * the buildings they placed, and they could see every other building whose
+ * position is within their view radius.
+ *
+ * Returns a Map of player entities and the building entities they could see.
+ * @param {World} world The ECS world that the players and buildings are in.
+ * @param {FindVisibleOpts} opts Required options.
+ * @returns {Map<EntityType, Array<EntityType>>}
+ */
+export function findVisibleBuildings (world, opts) {
+  return _findVisibleOwned(world, 'building', opts.viewRadius)
+}
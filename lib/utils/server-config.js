@@ -12,6 +12,7 @@ import path from 'path'
 import isValidHostname from 'is-valid-hostname'
 
 import { deepFreeze } from './utils.js'
+import { STRATEGIES as MAP_ROTATION_STRATEGIES } from '../game/map-rotation.js'
 
 const debug = debugFactory('colonialwars:server-config')
 
@@ -100,10 +101,57 @@ export default class ServerConfig {
      */
     this.STARTING_GAME_NUM = this._opts.STARTING_GAME_NUM
     /**
-     * How many times to update per second.
+     * How long (in milliseconds) games above the starting number of games
+     * could stay empty before they are torn down.
+     * @type {number}
+     */
+    this.IDLE_GAME_TIMEOUT = this._opts.IDLE_GAME_TIMEOUT
+    /**
+     * How many state updates to send to clients per second.
      * @type {number}
      */
     this.UPDATE_LOOP_FREQUENCY = this._opts.UPDATE_LOOP_FREQUENCY
+    /**
+     * How many game steps to run per second.
+     * @type {number}
+     */
+    this.TICK_RATE = this._opts.TICK_RATE
+    /**
+     * How far away (in world units) players could see other players.
+     * @type {number}
+     */
+    this.VIEW_RADIUS = this._opts.VIEW_RADIUS
+    /**
+     * How many inputs each player could have waiting to be processed.
+     * @type {number}
+     */
+    this.MAX_QUEUED_INPUTS = this._opts.MAX_QUEUED_INPUTS
+    /**
+     * How many client actions each connection could send per second.
+     * @type {number}
+     */
+    this.CLIENT_ACTION_RATE_LIMIT = this._opts.CLIENT_ACTION_RATE_LIMIT
+    /**
+     * How long (in milliseconds) players who lost their connection could take
+     * to reconnect before they are removed from their game.
+     * @type {number}
+     */
+    this.RECONNECT_GRACE_PERIOD = this._opts.RECONNECT_GRACE_PERIOD
+    /**
+     * How many chat messages each player could send per second.
+     * @type {number}
+     */
+    this.CHAT_RATE_LIMIT = this._opts.CHAT_RATE_LIMIT
+    /**
+     * The maximum length of each chat message.
+     * @type {number}
+     */
+    this.CHAT_MAX_LENGTH = this._opts.CHAT_MAX_LENGTH
+    /**
+     * How many of the latest chat messages to send to players when they join.
+     * @type {number}
+     */
+    this.CHAT_HISTORY_SIZE = this._opts.CHAT_HISTORY_SIZE
     /**
      * The base directory for game configuration files (i.e. CW Map Save File).
      * @type {string}
@@ -115,22 +163,73 @@ export default class ServerConfig {
      */
     this.GAME_CONFS = this._opts.GAME_CONFS
     /**
-     * The string to sign game authorization HMACs with.
+     * How to pick the map of each game. Could be ``random``, ``round-robin``,
+     * ``weighted`` or ``playlist``.
+     * @type {import('../game/map-rotation').RotationStrategy}
+     */
+    this.MAP_ROTATION = this._opts.MAP_ROTATION
+    /**
+     * How likely each game configuration file is to be picked with the
+     * ``weighted`` map rotation.
+     * @type {Record<string, number>}
+     */
+    this.MAP_WEIGHTS = this._opts.MAP_WEIGHTS
+    /**
+     * The game configuration files to go through with the ``playlist`` map
+     * rotation.
+     * @type {Array<string>}
+     */
+    this.MAP_PLAYLIST = this._opts.MAP_PLAYLIST
+    /**
+     * Whether to reload game configuration files when they change.
+     * @type {boolean}
+     */
+    this.WATCH_GAME_CONFS = this._opts.WATCH_GAME_CONFS
+    /**
+     * The directory to save game replays to. Replays are not recorded if this
+     * is empty.
+     * @type {string}
+     */
+    this.REPLAY_DIR = this._opts.REPLAY_DIR
+    /**
+     * The string to sign game authorization tokens with.
      * @type {string}
      */
     this.GAME_AUTH_SECRET = this._opts.GAME_AUTH_SECRET
     /**
-     * The maximum amount of game authorizations to give out concurrently.
+     * Other secrets that game authorization tokens could be signed with. Used
+     * to accept tokens signed with the old secret while the secret is changed.
+     * @type {Array<string>}
+     */
+    this.GAME_AUTH_ACCEPTED_SECRETS = this._opts.GAME_AUTH_ACCEPTED_SECRETS
+    /**
+     * The maximum amount of used game authorizations to remember.
      * NO-OP as of 2022-04-23
      * @type {number}
      */
     this.AUTH_STORE_MAX_ENTRIES = this._opts.AUTH_STORE_MAX_ENTRIES
     /**
-     * The maximum amount of time (in milliseconds) that this server will retain
-     * valid game authorizations for.
+     * The amount of time (in milliseconds) that game authorizations are valid
+     * for.
      * @type {number}
      */
     this.AUTH_STORE_MAX_ENTRY_AGE = this._opts.AUTH_STORE_MAX_ENTRY_AGE
+    /**
+     * The JSON file to store registered player accounts in. Players can't
+     * register accounts if this is empty.
+     * @type {string}
+     */
+    this.ACCOUNTS_FILE = this._opts.ACCOUNTS_FILE
+    /**
+     * How long (in milliseconds) players stay logged in to their accounts.
+     * @type {number}
+     */
+    this.ACCOUNT_SESSION_MAX_AGE = this._opts.ACCOUNT_SESSION_MAX_AGE
+    /**
+     * How many times each IP address could try to log in per minute.
+     * @type {number}
+     */
+    this.LOGIN_RATE_LIMIT = this._opts.LOGIN_RATE_LIMIT
 
     deepFreeze(this)
   }
@@ -158,12 +257,30 @@ export default class ServerConfig {
        * (04/21/2022) Take-Some-Bytes */
       opts.PLAYER_SPEED = Number(opts.PLAYER_SPEED)
       opts.STARTING_GAME_NUM = Number(opts.STARTING_GAME_NUM)
+      opts.IDLE_GAME_TIMEOUT = Number(opts.IDLE_GAME_TIMEOUT)
       opts.UPDATE_LOOP_FREQUENCY = Number(opts.UPDATE_LOOP_FREQUENCY)
+      opts.TICK_RATE = Number(opts.TICK_RATE)
+      opts.VIEW_RADIUS = Number(opts.VIEW_RADIUS)
+      opts.MAX_QUEUED_INPUTS = Number(opts.MAX_QUEUED_INPUTS)
+      opts.CLIENT_ACTION_RATE_LIMIT = Number(opts.CLIENT_ACTION_RATE_LIMIT)
+      opts.RECONNECT_GRACE_PERIOD = Number(opts.RECONNECT_GRACE_PERIOD)
+      opts.CHAT_RATE_LIMIT = Number(opts.CHAT_RATE_LIMIT)
+      opts.CHAT_MAX_LENGTH = Number(opts.CHAT_MAX_LENGTH)
+      opts.CHAT_HISTORY_SIZE = Number(opts.CHAT_HISTORY_SIZE)
       opts.GAME_CONF_BASE_DIR = String(opts.GAME_CONF_BASE_DIR)
       opts.GAME_CONFS = tryToArray(opts.GAME_CONFS)
+      opts.MAP_ROTATION = String(opts.MAP_ROTATION)
+      opts.MAP_WEIGHTS = tryToObject(opts.MAP_WEIGHTS)
+      opts.MAP_PLAYLIST = tryToArray(opts.MAP_PLAYLIST)
+      opts.WATCH_GAME_CONFS = String(opts.WATCH_GAME_CONFS) === 'true'
+      opts.REPLAY_DIR = String(opts.REPLAY_DIR)
       opts.GAME_AUTH_SECRET = String(opts.GAME_AUTH_SECRET)
+      opts.GAME_AUTH_ACCEPTED_SECRETS = tryToArray(opts.GAME_AUTH_ACCEPTED_SECRETS)
       opts.AUTH_STORE_MAX_ENTRIES = Number(opts.AUTH_STORE_MAX_ENTRIES)
       opts.AUTH_STORE_MAX_ENTRY_AGE = Number(opts.AUTH_STORE_MAX_ENTRY_AGE)
+      opts.ACCOUNTS_FILE = String(opts.ACCOUNTS_FILE)
+      opts.ACCOUNT_SESSION_MAX_AGE = Number(opts.ACCOUNT_SESSION_MAX_AGE)
+      opts.LOGIN_RATE_LIMIT = Number(opts.LOGIN_RATE_LIMIT)
     } catch (ex) {
       debug(ex.stack)
     } finally {
@@ -186,16 +303,37 @@ export default class ServerConfig {
     assert.ok(typeof opts.MAX_CLIENTS === 'number', 'MAX_CLIENTS is not a number')
     assert.ok(typeof opts.MAX_GAMES === 'number', 'MAX_GAMES is not a number')
     assert.ok(typeof opts.STARTING_GAME_NUM === 'number', 'STARTING_GAME_NUM is not a number')
+    assert.ok(typeof opts.IDLE_GAME_TIMEOUT === 'number', 'IDLE_GAME_TIMEOUT is not a number')
     assert.ok(typeof opts.UPDATE_LOOP_FREQUENCY === 'number', 'UPDATE_LOOP_FREQUENCY is not a number')
+    assert.ok(typeof opts.TICK_RATE === 'number', 'TICK_RATE is not a number')
+    assert.ok(typeof opts.VIEW_RADIUS === 'number', 'VIEW_RADIUS is not a number')
+    assert.ok(typeof opts.MAX_QUEUED_INPUTS === 'number', 'MAX_QUEUED_INPUTS is not a number')
+    assert.ok(typeof opts.CLIENT_ACTION_RATE_LIMIT === 'number', 'CLIENT_ACTION_RATE_LIMIT is not a number')
+    assert.ok(typeof opts.RECONNECT_GRACE_PERIOD === 'number', 'RECONNECT_GRACE_PERIOD is not a number')
+    assert.ok(typeof opts.CHAT_RATE_LIMIT === 'number', 'CHAT_RATE_LIMIT is not a number')
+    assert.ok(typeof opts.CHAT_MAX_LENGTH === 'number', 'CHAT_MAX_LENGTH is not a number')
+    assert.ok(typeof opts.CHAT_HISTORY_SIZE === 'number', 'CHAT_HISTORY_SIZE is not a number')
     assert.ok(typeof opts.GAME_CONF_BASE_DIR === 'string', 'GAME_CONF_BASE_DIR is not a string')
     assert.ok(typeof opts.GAME_CONFS === 'object', 'GAME_CONFS is not an object')
+    assert.ok(typeof opts.MAP_ROTATION === 'string', 'MAP_ROTATION is not a string')
+    assert.ok(typeof opts.MAP_WEIGHTS === 'object', 'MAP_WEIGHTS is not an object')
+    assert.ok(typeof opts.MAP_PLAYLIST === 'object', 'MAP_PLAYLIST is not an object')
+    assert.ok(typeof opts.WATCH_GAME_CONFS === 'boolean', 'WATCH_GAME_CONFS is not a boolean')
+    assert.ok(typeof opts.REPLAY_DIR === 'string', 'REPLAY_DIR is not a string')
     assert.ok(typeof opts.ALLOWED_ORIGINS === 'object', 'ALLOWED_ORIGINS is not an object')
     assert.ok(typeof opts.LOGGING_TRANSPORTS === 'object', 'LOGGING_TRANSPORTS is not an object')
     assert.ok(typeof opts.TRUSTED_IPS === 'object', 'TRUSTED_IPS is not an object')
     assert.ok(typeof opts.GAME_AUTH_SECRET === 'string', 'GAME_AUTH_SECRET is not a string')
+    assert.ok(Array.isArray(opts.GAME_AUTH_ACCEPTED_SECRETS), 'GAME_AUTH_ACCEPTED_SECRETS is not an array')
+    assert.ok(opts.GAME_AUTH_ACCEPTED_SECRETS.every(s => typeof s === 'string'), 'GAME_AUTH_ACCEPTED_SECRETS is not an array of strings')
     assert.ok(typeof opts.AUTH_STORE_MAX_ENTRIES === 'number', 'AUTH_STORE_MAX_ENTRIES is not a number')
     assert.ok(typeof opts.AUTH_STORE_MAX_ENTRY_AGE === 'number', 'AUTH_STORE_MAX_ENTRY_AGE is not a number')
+    assert.ok(typeof opts.ACCOUNTS_FILE === 'string', 'ACCOUNTS_FILE is not a string')
+    assert.ok(typeof opts.ACCOUNT_SESSION_MAX_AGE === 'number', 'ACCOUNT_SESSION_MAX_AGE is not a number')
+    assert.ok(typeof opts.LOGIN_RATE_LIMIT === 'number', 'LOGIN_RATE_LIMIT is not a number')
     assert.ok(Array.isArray(opts.GAME_CONFS), 'GAME_CONFS is not an array')
+    assert.ok(Array.isArray(opts.MAP_PLAYLIST), 'MAP_PLAYLIST is not an array')
+    assert.ok(opts.MAP_WEIGHTS !== null && !Array.isArray(opts.MAP_WEIGHTS), 'MAP_WEIGHTS is not an object')
     assert.ok(Array.isArray(opts.LOGGING_TRANSPORTS), 'GAME_CONFS is not an array')
     assert.ok(Array.isArray(opts.TRUSTED_IPS), 'GAME_CONFS is not an array')
     assert.ok(Array.isArray(opts.ALLOWED_ORIGINS), 'ALLOWED_ORIGINS is not an array')
@@ -206,9 +344,20 @@ export default class ServerConfig {
     assert.ok(!isNaN(opts.MAX_CLIENTS), 'MAX_CLIENTS is NaN')
     assert.ok(!isNaN(opts.MAX_GAMES), 'MAX_GAMES is NaN')
     assert.ok(!isNaN(opts.STARTING_GAME_NUM), 'STARTING_GAME_NUM is NaN')
+    assert.ok(!isNaN(opts.IDLE_GAME_TIMEOUT), 'IDLE_GAME_TIMEOUT is NaN')
     assert.ok(!isNaN(opts.UPDATE_LOOP_FREQUENCY), 'UPDATE_LOOP_FREQUENCY is NaN')
+    assert.ok(!isNaN(opts.TICK_RATE), 'TICK_RATE is NaN')
+    assert.ok(!isNaN(opts.VIEW_RADIUS), 'VIEW_RADIUS is NaN')
+    assert.ok(!isNaN(opts.MAX_QUEUED_INPUTS), 'MAX_QUEUED_INPUTS is NaN')
+    assert.ok(!isNaN(opts.CLIENT_ACTION_RATE_LIMIT), 'CLIENT_ACTION_RATE_LIMIT is NaN')
+    assert.ok(!isNaN(opts.RECONNECT_GRACE_PERIOD), 'RECONNECT_GRACE_PERIOD is NaN')
+    assert.ok(!isNaN(opts.CHAT_RATE_LIMIT), 'CHAT_RATE_LIMIT is NaN')
+    assert.ok(!isNaN(opts.CHAT_MAX_LENGTH), 'CHAT_MAX_LENGTH is NaN')
+    assert.ok(!isNaN(opts.CHAT_HISTORY_SIZE), 'CHAT_HISTORY_SIZE is NaN')
     assert.ok(!isNaN(opts.AUTH_STORE_MAX_ENTRIES), 'AUTH_STORE_MAX_ENTRIES is NaN')
     assert.ok(!isNaN(opts.AUTH_STORE_MAX_ENTRY_AGE), 'AUTH_STORE_MAX_ENTRY_AGE is NaN')
+    assert.ok(!isNaN(opts.ACCOUNT_SESSION_MAX_AGE), 'ACCOUNT_SESSION_MAX_AGE is NaN')
+    assert.ok(!isNaN(opts.LOGIN_RATE_LIMIT), 'LOGIN_RATE_LIMIT is NaN')
 
     /// Range check ///
     assert.ok(opts.PORT > 1024 && opts.PORT <= 65535, 'PORT is not in range')
@@ -216,13 +365,41 @@ export default class ServerConfig {
     assert.ok(opts.MAX_CLIENTS > 2 && opts.MAX_CLIENTS < 10000, 'MAX_CLIENTS is not in range')
     assert.ok(opts.MAX_GAMES > 0 && opts.MAX_GAMES < 1000, 'MAX_GAMES is not in range')
     assert.ok(opts.STARTING_GAME_NUM > 0 && opts.STARTING_GAME_NUM <= 1000, 'STARTING_GAME_NUM is not in range')
+    assert.ok(opts.IDLE_GAME_TIMEOUT >= 1000 && opts.IDLE_GAME_TIMEOUT <= 86400000, 'IDLE_GAME_TIMEOUT is not in range')
     assert.ok(opts.UPDATE_LOOP_FREQUENCY > 0 && opts.UPDATE_LOOP_FREQUENCY <= 60, 'UPDATE_LOOP_FREQUENCY is not in range')
+    assert.ok(opts.TICK_RATE > 0 && opts.TICK_RATE <= 120, 'TICK_RATE is not in range')
+    assert.ok(opts.VIEW_RADIUS > 0 && opts.VIEW_RADIUS <= 100000, 'VIEW_RADIUS is not in range')
+    assert.ok(opts.MAX_QUEUED_INPUTS > 0 && opts.MAX_QUEUED_INPUTS <= 1000, 'MAX_QUEUED_INPUTS is not in range')
+    assert.ok(opts.CLIENT_ACTION_RATE_LIMIT > 0 && opts.CLIENT_ACTION_RATE_LIMIT <= 1000, 'CLIENT_ACTION_RATE_LIMIT is not in range')
+    assert.ok(opts.RECONNECT_GRACE_PERIOD >= 0 && opts.RECONNECT_GRACE_PERIOD <= 600000, 'RECONNECT_GRACE_PERIOD is not in range')
+    assert.ok(opts.CHAT_RATE_LIMIT >= 1 && opts.CHAT_RATE_LIMIT <= 100, 'CHAT_RATE_LIMIT is not in range')
+    assert.ok(opts.CHAT_MAX_LENGTH > 0 && opts.CHAT_MAX_LENGTH <= 2000, 'CHAT_MAX_LENGTH is not in range')
+    assert.ok(opts.CHAT_HISTORY_SIZE >= 0 && opts.CHAT_HISTORY_SIZE <= 1000, 'CHAT_HISTORY_SIZE is not in range')
     assert.ok(opts.AUTH_STORE_MAX_ENTRIES > 10 && opts.AUTH_STORE_MAX_ENTRIES <= 11000, 'AUTH_STORE_MAX_ENTRIES is not in range')
     assert.ok(opts.AUTH_STORE_MAX_ENTRY_AGE > 1000 && opts.AUTH_STORE_MAX_ENTRY_AGE <= 86400000, 'AUTH_STORE_MAX_ENTRY_AGE is not in range')
+    assert.ok(opts.ACCOUNT_SESSION_MAX_AGE >= 60000 && opts.ACCOUNT_SESSION_MAX_AGE <= 604800000, 'ACCOUNT_SESSION_MAX_AGE is not in range')
+    assert.ok(opts.LOGIN_RATE_LIMIT >= 1 && opts.LOGIN_RATE_LIMIT <= 1000, 'LOGIN_RATE_LIMIT is not in range')
 
     /// String checks ///
     assert.ok(isValidPath(opts.GAME_CONF_BASE_DIR), 'GAME_CONF_BASE_DIR is not a valid path')
+    assert.ok(isValidPath(opts.REPLAY_DIR), 'REPLAY_DIR is not a valid path')
+    assert.ok(isValidPath(opts.ACCOUNTS_FILE), 'ACCOUNTS_FILE is not a valid path')
     assert.ok(isIpOrHostname(opts.HOST), 'HOST is not an IP or hostname')
+
+    /// Map rotation checks ///
+    assert.ok(MAP_ROTATION_STRATEGIES.includes(opts.MAP_ROTATION), 'MAP_ROTATION is not a valid strategy')
+    assert.ok(
+      Object.values(opts.MAP_WEIGHTS).every(w => typeof w === 'number' && w >= 0),
+      'MAP_WEIGHTS has invalid weights'
+    )
+    assert.ok(
+      opts.MAP_PLAYLIST.every(map => opts.GAME_CONFS.includes(map)),
+      'MAP_PLAYLIST has maps that are not in GAME_CONFS'
+    )
+    assert.ok(
+      opts.MAP_ROTATION !== 'playlist' || opts.MAP_PLAYLIST.length > 0,
+      'MAP_PLAYLIST is empty'
+    )
   }
 }
 
@@ -260,6 +437,32 @@ function tryToArray (unknown) {
 
   return null
 }
+/**
+ * Try to convert a piece of data to a plain object. If it cannot be converted,
+ * returns null. ``null`` and ``undefined`` are converted to the empty object.
+ * @param {unknown} unknown The data to convert.
+ * @returns {Record<string, any> | null}
+ */
+function tryToObject (unknown) {
+  if (unknown === null || unknown === undefined) {
+    return {}
+  }
+  if (typeof unknown === 'string') {
+    try {
+      unknown = JSON.parse(unknown)
+    } catch (ex) {
+      debug(ex.stack)
+      return null
+    }
+  }
+  if (typeof unknown === 'object' && unknown !== null && !Array.isArray(unknown)) {
+    return unknown
+  }
+
+  debug('Could not convert %O to an object', unknown)
+
+  return null
+}
 /**
  * Returns true if ``path.parse`` doesn't complain.
  * @param {string} str The string to test.
@@ -59,3 +59,53 @@ export function filterEnv (env) {
 
   return _env
 }
+
+/**
+ * Creates a function that returns true if an action is allowed to happen.
+ * Allows bursts of up to ``limit`` actions, which are refilled at a rate of
+ * ``limit`` actions per ``interval`` milliseconds.
+ * @param {number} limit How many actions are allowed per interval.
+ * @param {number} [interval] The length of the interval in milliseconds.
+ * Defaults to one second.
+ * @returns {() => boolean}
+ */
+export function createRateLimiter (limit, interval = 1000) {
+  let allowance = limit
+  let lastCheck = Date.now()
+
+  return function allowed () {
+    const now = Date.now()
+
+    allowance = Math.min(limit, allowance + (now - lastCheck) / interval * limit)
+    lastCheck = now
+
+    if (allowance < 1) {
+      return false
+    }
+
+    allowance -= 1
+    return true
+  }
+}
+
+/**
+ * Creates a seeded pseudorandom number generator. The generator returns numbers
+ * in the range [0, 1), like ``Math.random()``, and always returns the same
+ * sequence of numbers for the same seed.
+ * @param {number} seed A 32-bit integer to seed the generator with.
+ * @returns {() => number}
+ */
+export function createRandom (seed) {
+  let state = seed >>> 0
+
+  // This is the mulberry32 generator.
+  return function random () {
+    state = (state + 0x6D2B79F5) >>> 0
+
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
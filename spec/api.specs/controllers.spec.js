@@ -6,8 +6,6 @@
  * @typedef {import('jasmine')} jasmine
  */
 
-import crypto from 'crypto'
-
 import MockGame from '../mocks/internal/mock-game.js'
 import MockLoggers from '../mocks/internal/mock-loggers.js'
 import MockManager from '../mocks/internal/mock-manager.js'
@@ -15,21 +13,41 @@ import MockHttpRequest from '../mocks/external/mock-http-request.js'
 import MockHttpResponse from '../mocks/external/mock-http-response.js'
 
 import Controllers from '../../lib/controllers/controllers.js'
+import { verifyGameAuth } from '../../lib/game-auth.js'
 
 const SPEC_SECRET = 'very secrety'
 
 /**
  * Creates a controllers instance for specs.
- * @param {import('../../lib/controllers/controllers').IStringDB} db The auth DB.
+ * @param {any} [accounts] The registered player accounts.
+ * @param {number} [loginRateLimit] How many login attempts are allowed per minute.
  * @returns {Controllers}
  */
-function createCtlrs (db) {
+function createCtlrs (accounts, loginRateLimit) {
   return new Controllers({
     gameAuthSecret: SPEC_SECRET,
-    authDB: db,
+    gameAuthMaxAge: 60000,
+    accounts,
+    loginRateLimit,
     loggers: new MockLoggers()
   })
 }
+/**
+ * Creates mock player accounts, where only ``Bob`` (password ``hunter22``)
+ * is registered.
+ * @returns {any}
+ */
+function createMockAccounts () {
+  return {
+    register: async credentials => credentials.name.toLowerCase() !== 'bob',
+    login: async credentials => {
+      const correct = credentials.name === 'Bob' && credentials.password === 'hunter22'
+      return correct ? 'bob-token' : null
+    },
+    isRegistered: async name => name.toLowerCase() === 'bob',
+    owns: (token, name) => token === 'bob-token' && name.toLowerCase() === 'bob'
+  }
+}
 /**
  * Creates a URLSearchParams object with the specified parameters
  * @param {string} name The name of the player.
@@ -46,22 +64,20 @@ function createQueryWith (name, team, game) {
 }
 
 describe('The Controllers class,', () => {
-  const mockDB = new Map()
-  mockDB.del = mockDB.delete
-
-  afterEach(() => mockDB.clear())
-
-  it('should have 4 methods for handling routes', () => {
-    const ctlrs = createCtlrs(mockDB)
+  it('should have 7 methods for handling routes', () => {
+    const ctlrs = createCtlrs()
 
     expect(ctlrs.statusReport).toBeInstanceOf(Function)
     expect(ctlrs.gamesInfo).toBeInstanceOf(Function)
+    expect(ctlrs.roundResults).toBeInstanceOf(Function)
     expect(ctlrs.gameAuth).toBeInstanceOf(Function)
+    expect(ctlrs.register).toBeInstanceOf(Function)
+    expect(ctlrs.login).toBeInstanceOf(Function)
     expect(ctlrs.unhandled).toBeInstanceOf(Function)
   })
 
   it('should have an endpoint that details the server status', () => {
-    const ctlrs = createCtlrs(mockDB)
+    const ctlrs = createCtlrs()
     const mockRes = new MockHttpResponse()
     const reporter = {
       getStatus () {
@@ -90,7 +106,7 @@ describe('The Controllers class,', () => {
   })
 
   it('should have an endpoint that handles all unhandled routes', () => {
-    const ctlrs = createCtlrs(mockDB)
+    const ctlrs = createCtlrs()
     const mockReq = new MockHttpRequest({ id: '10', url: '/404' })
     const mockRes = new MockHttpResponse()
     let logged = false
@@ -113,10 +129,8 @@ describe('The Controllers class,', () => {
   })
 
   describe('the /games-info handler,', () => {
-    afterEach(() => mockDB.clear())
-
     it('should send an array listing the games that are hosted', () => {
-      const ctlrs = createCtlrs(mockDB)
+      const ctlrs = createCtlrs()
       const mockRes = new MockHttpResponse()
       const definitelyAManager = {
         games: [
@@ -150,6 +164,9 @@ describe('The Controllers class,', () => {
             { name: 'Rouge', full: false },
             { name: 'Bleu', full: false }
           ],
+          modeState: null,
+          players: [],
+          spectators: [],
           description: 'Oi there. How ya doin',
           capacity: {
             max: 12,
@@ -160,7 +177,7 @@ describe('The Controllers class,', () => {
     })
 
     it('should send games even if they are full', () => {
-      const ctlrs = createCtlrs(mockDB)
+      const ctlrs = createCtlrs()
       const mockRes = new MockHttpResponse()
       const definitelyAManager = {
         games: [
@@ -194,6 +211,9 @@ describe('The Controllers class,', () => {
             { name: 'Rouge', full: false },
             { name: 'Bleu', full: false }
           ],
+          modeState: null,
+          players: [],
+          spectators: [],
           description: 'Oi there. How ya doin',
           capacity: {
             max: 12,
@@ -202,13 +222,133 @@ describe('The Controllers class,', () => {
         }]
       })
     })
+
+    it('should send mode-specific state of games', () => {
+      const ctlrs = createCtlrs()
+      const mockRes = new MockHttpResponse()
+      const definitelyAManager = {
+        games: [
+          new MockGame({
+            id: 'fjfj',
+            name: 'Hey there',
+            mode: 'KOTH',
+            teams: [
+              { name: 'Rouge', currentPlayers: 0, maxPlayers: 1 },
+              { name: 'Bleu', currentPlayers: 1, maxPlayers: 1 }
+            ],
+            description: 'Oi there. How ya doin',
+            maxPlayers: 2,
+            currentPlayers: 1,
+            modeState: {
+              controllingTeam: 'Bleu',
+              scores: { Rouge: 0, Bleu: 10 }
+            }
+          })
+        ]
+      }
+
+      ctlrs.gamesInfo(definitelyAManager)(null, mockRes)
+
+      const data = JSON.parse(mockRes.responseContent.toString('utf-8')).data
+
+      expect(mockRes.statusCode).toBe(200)
+      expect(data[0].modeState).toEqual({
+        controllingTeam: 'Bleu',
+        scores: { Rouge: 0, Bleu: 10 }
+      })
+    })
+
+    it('should send the kill and death counts of players', () => {
+      const ctlrs = createCtlrs()
+      const mockRes = new MockHttpResponse()
+      const players = [
+        { name: 'GENERAL LOUDSPEAKER', team: 'Rouge', kills: 3, deaths: 1 },
+        { name: 'FBIOPENUP', team: 'Bleu', kills: 1, deaths: 3 }
+      ]
+      const definitelyAManager = {
+        games: [
+          new MockGame({
+            id: 'fjfj',
+            name: 'Hey there',
+            mode: 'Teams',
+            teams: [
+              { name: 'Rouge', currentPlayers: 1, maxPlayers: 1 },
+              { name: 'Bleu', currentPlayers: 1, maxPlayers: 1 }
+            ],
+            description: 'Oi there. How ya doin',
+            maxPlayers: 2,
+            currentPlayers: 2,
+            players
+          })
+        ]
+      }
+
+      ctlrs.gamesInfo(definitelyAManager)(null, mockRes)
+
+      const data = JSON.parse(mockRes.responseContent.toString('utf-8')).data
+
+      expect(mockRes.statusCode).toBe(200)
+      expect(data[0].players).toEqual(players)
+    })
+
+    it('should list spectators separately from players', () => {
+      const ctlrs = createCtlrs()
+      const mockRes = new MockHttpResponse()
+      const definitelyAManager = {
+        games: [
+          new MockGame({
+            id: 'fjfj',
+            name: 'Hey there',
+            mode: 'Teams',
+            teams: [
+              { name: 'Rouge', currentPlayers: 1, maxPlayers: 1 },
+              { name: 'Bleu', currentPlayers: 0, maxPlayers: 1 }
+            ],
+            description: 'Oi there. How ya doin',
+            maxPlayers: 2,
+            currentPlayers: 1,
+            players: [{ name: 'GENERAL LOUDSPEAKER', team: 'Rouge', kills: 0, deaths: 0 }],
+            spectators: ['Watcher']
+          })
+        ]
+      }
+
+      ctlrs.gamesInfo(definitelyAManager)(null, mockRes)
+
+      const data = JSON.parse(mockRes.responseContent.toString('utf-8')).data
+
+      expect(data[0].spectators).toEqual(['Watcher'])
+      expect(data[0].players.map(p => p.name)).toEqual(['GENERAL LOUDSPEAKER'])
+      expect(data[0].capacity).toEqual({ max: 2, current: 1 })
+    })
   })
 
-  describe('the /game-auth handler,', () => {
-    afterEach(() => mockDB.clear())
+  it('should have an endpoint that sends the results of finished rounds', () => {
+    const ctlrs = createCtlrs()
+    const mockRes = new MockHttpResponse()
+    const result = {
+      id: 'game-1',
+      winner: 'Rouge',
+      endedAt: 1000,
+      resources: { Rouge: { gold: 300 }, Bleu: { gold: 150 } }
+    }
+    const definitelyAManager = {
+      roundResults: new Map([['game-1', result]])
+    }
+
+    ctlrs.roundResults(definitelyAManager)(null, mockRes)
+
+    expect(mockRes.writableEnded).toBeTrue()
+    expect(mockRes.statusCode).toBe(200)
+    expect(JSON.parse(mockRes.responseContent.toString('utf-8'))).toEqual({
+      status: 'ok',
+      data: [result]
+    })
+  })
 
+  describe('the /game-auth handler,', () => {
     it('should return an error if no query is given', async () => {
-      const ctlrs = createCtlrs(mockDB)
+      const ctlrs = createCtlrs()
       const mockReq = new MockHttpRequest({
         url: '/game-auth/get',
         method: 'GET'
@@ -225,7 +365,7 @@ describe('The Controllers class,', () => {
     })
 
     it('should return an error if query does not include required fields', async () => {
-      const ctlrs = createCtlrs(mockDB)
+      const ctlrs = createCtlrs()
       const mockReq = new MockHttpRequest({
         url: `/game-auth/get?player=${encodeURIComponent('[object Object]')}`,
         query: new URLSearchParams(`?player=${encodeURIComponent('[object Object]')}`),
@@ -242,31 +382,8 @@ describe('The Controllers class,', () => {
       })
     })
 
-    it('should return an error if the player has already requested auth', async () => {
-      const ctlrs = createCtlrs(mockDB)
-      const query = createQueryWith('NOPE', 'Franch', '7H3_B357_G4M3_0N_7H15_53RV3R')
-      const mockReq = new MockHttpRequest({
-        url: `/game-auth/get?${query.toString()}`,
-        query,
-        method: 'GET'
-      })
-      const mockRes = new MockHttpResponse()
-
-      mockDB.set('NOPE', {})
-
-      await ctlrs.gameAuth()(mockReq, mockRes)
-
-      expect(mockRes.statusCode).toBe(409)
-      expect(mockRes.headers['Content-Type']).toBe('application/json')
-      expect(mockRes.responseContent).toBeInstanceOf(Buffer)
-      expect(JSON.parse(mockRes.responseContent.toString('utf-8'))).toEqual({
-        status: 'error',
-        error: { message: 'Player already exists.' }
-      })
-    })
-
     it('should return an error if the player already exists in a game', async () => {
-      const ctlrs = createCtlrs(mockDB)
+      const ctlrs = createCtlrs()
       const query = createQueryWith('NOPE', 'Franch', '7H3_B357_G4M3_0N_7H15_53RV3R')
       const mockReq = new MockHttpRequest({
         url: `/game-auth/get?${query.toString()}`,
@@ -291,7 +408,7 @@ describe('The Controllers class,', () => {
     })
 
     it('should return an error if the game does not exist', async () => {
-      const ctlrs = createCtlrs(mockDB)
+      const ctlrs = createCtlrs()
       const query = createQueryWith('NOPE', 'Franch', 'no_exist')
       const mockReq = new MockHttpRequest({
         url: `/game-auth/get?${query.toString()}`,
@@ -316,7 +433,7 @@ describe('The Controllers class,', () => {
     })
 
     it('should return an error if the game is full', async () => {
-      const ctlrs = createCtlrs(mockDB)
+      const ctlrs = createCtlrs()
       const query = createQueryWith('NOPE', 'Franch', 'exists')
       const mockReq = new MockHttpRequest({
         url: `/game-auth/get?${query.toString()}`,
@@ -346,7 +463,7 @@ describe('The Controllers class,', () => {
     })
 
     it('should return an error if the team does not exist', async () => {
-      const ctlrs = createCtlrs(mockDB)
+      const ctlrs = createCtlrs()
       const query = createQueryWith('NOPE', 'Franch', 'exists')
       const mockReq = new MockHttpRequest({
         url: `/game-auth/get?${query.toString()}`,
@@ -377,7 +494,7 @@ describe('The Controllers class,', () => {
     })
 
     it('should return an error if the team is full', async () => {
-      const ctlrs = createCtlrs(mockDB)
+      const ctlrs = createCtlrs()
       const query = createQueryWith('NOPE', 'Franch', 'exists')
       const mockReq = new MockHttpRequest({
         url: `/game-auth/get?${query.toString()}`,
@@ -407,13 +524,8 @@ describe('The Controllers class,', () => {
       })
     })
 
-    it('should return the SHA-256 HMAC of the passed-in fields', async () => {
-      const ctlrs = createCtlrs(mockDB)
-      const data = {
-        playerName: 'NOPE',
-        playerTeam: 'Franch',
-        playerGame: '7H3_B357_G4M3_0N_7H15_53RV3R'
-      }
+    it('should return a signed token that holds the passed-in fields', async () => {
+      const ctlrs = createCtlrs()
       const query = createQueryWith('NOPE', 'Franch', '7H3_B357_G4M3_0N_7H15_53RV3R')
       const mockReq = new MockHttpRequest({
         url: `/game-auth/get?${query.toString()}`,
@@ -431,28 +543,231 @@ describe('The Controllers class,', () => {
           })
         ]])
       })
-      const unexpectedHmac = crypto.createHmac('sha256', 'game-auth-secret')
-        .update(JSON.stringify(data))
-        .digest()
-        .toString('hex')
 
       await ctlrs.gameAuth(mockManager)(mockReq, mockRes)
 
+      const auth = JSON.parse(mockRes.responseContent.toString('utf-8')).data.auth
+      const claims = verifyGameAuth(auth, [SPEC_SECRET])
+
       expect(mockRes.statusCode).toBe(200)
       expect(mockRes.headers['Content-Type']).toBe('application/json')
       expect(mockRes.responseContent).toBeInstanceOf(Buffer)
-      expect(JSON.parse(mockRes.responseContent.toString('utf-8'))).not.toEqual({
+      expect(verifyGameAuth(auth, ['game-auth-secret'])).toBeNull()
+      expect(claims).toEqual({
+        id: jasmine.any(String),
+        exp: jasmine.any(Number),
+        type: 'player',
+        name: 'NOPE',
+        team: 'Franch',
+        game: '7H3_B357_G4M3_0N_7H15_53RV3R'
+      })
+      expect(claims.exp).toBeGreaterThan(Date.now())
+    })
+
+    it('should give spectators authorization to watch full games', async () => {
+      const ctlrs = createCtlrs()
+      const query = new URLSearchParams({
+        type: 'spectator',
+        playername: 'Watcher',
+        playergame: 'exists'
+      })
+      const mockReq = new MockHttpRequest({
+        url: `/game-auth/get?${query.toString()}`,
+        query,
+        method: 'GET'
+      })
+      const mockRes = new MockHttpResponse()
+      const mockManager = new MockManager({
+        games: new Map([
+          ['game-exists', new MockGame({
+            teams: [{ name: 'Franch', maxPlayers: 1, currentPlayers: 1 }],
+            currentPlayers: 1,
+            maxPlayers: 1
+          })]
+        ])
+      })
+
+      await ctlrs.gameAuth(mockManager)(mockReq, mockRes)
+
+      const auth = JSON.parse(mockRes.responseContent.toString('utf-8')).data.auth
+
+      expect(mockRes.statusCode).toBe(200)
+      expect(verifyGameAuth(auth, [SPEC_SECRET])).toEqual(jasmine.objectContaining({
+        type: 'spectator',
+        name: 'Watcher',
+        team: null,
+        game: 'exists'
+      }))
+    })
+
+    it('should not let players use names that are registered to someone else', async () => {
+      const ctlrs = createCtlrs(createMockAccounts())
+      const query = createQueryWith('BOB', 'Franch', 'exists')
+      const mockReq = new MockHttpRequest({
+        url: `/game-auth/get?${query.toString()}`,
+        query,
+        method: 'GET'
+      })
+      const mockRes = new MockHttpResponse()
+
+      await ctlrs.gameAuth(new MockManager({ games: new Map() }))(mockReq, mockRes)
+
+      expect(mockRes.statusCode).toBe(403)
+      expect(JSON.parse(mockRes.responseContent.toString('utf-8'))).toEqual({
+        status: 'error',
+        error: { message: 'Player name is registered.' }
+      })
+    })
+
+    it('should let players use their registered names with their account token', async () => {
+      const ctlrs = createCtlrs(createMockAccounts())
+      const query = createQueryWith('Bob', 'Franch', 'exists')
+      query.set('accounttoken', 'bob-token')
+      const mockReq = new MockHttpRequest({
+        url: `/game-auth/get?${query.toString()}`,
+        query,
+        method: 'GET'
+      })
+      const mockRes = new MockHttpResponse()
+      const mockManager = new MockManager({
+        games: new Map([
+          ['game-exists', new MockGame({
+            teams: [{ name: 'Franch', maxPlayers: 1, currentPlayers: 0 }],
+            currentPlayers: 0,
+            maxPlayers: 1
+          })]
+        ])
+      })
+
+      await ctlrs.gameAuth(mockManager)(mockReq, mockRes)
+
+      const auth = JSON.parse(mockRes.responseContent.toString('utf-8')).data.auth
+
+      expect(mockRes.statusCode).toBe(200)
+      expect(verifyGameAuth(auth, [SPEC_SECRET]).name).toBe('Bob')
+    })
+
+    it('should return an error if the authorization type is unknown', async () => {
+      const ctlrs = createCtlrs()
+      const query = createQueryWith('NOPE', 'Franch', 'exists')
+      query.set('type', 'admin')
+      const mockReq = new MockHttpRequest({
+        url: `/game-auth/get?${query.toString()}`,
+        query,
+        method: 'GET'
+      })
+      const mockRes = new MockHttpResponse()
+
+      await ctlrs.gameAuth(new MockManager({ games: new Map() }))(mockReq, mockRes)
+
+      expect(mockRes.statusCode).toBe(400)
+      expect(JSON.parse(mockRes.responseContent.toString('utf-8'))).toEqual({
+        status: 'error',
+        error: { message: 'Unknown authorization type.' }
+      })
+    })
+  })
+
+  describe('the account handlers,', () => {
+    it('should register new accounts', async () => {
+      const ctlrs = createCtlrs(createMockAccounts())
+      const mockReq = new MockHttpRequest({
+        url: '/accounts/register',
+        method: 'POST',
+        body: { name: 'Alice', password: 'hunter22' }
+      })
+      const mockRes = new MockHttpResponse()
+
+      await ctlrs.register()(mockReq, mockRes)
+
+      expect(mockRes.statusCode).toBe(201)
+      expect(JSON.parse(mockRes.responseContent.toString('utf-8'))).toEqual({
         status: 'ok',
-        data: {
-          auth: unexpectedHmac
-        }
+        data: { name: 'Alice' }
+      })
+    })
+
+    it('should not register names that are taken or malformed credentials', async () => {
+      const ctlrs = createCtlrs(createMockAccounts())
+      const takenReq = new MockHttpRequest({
+        url: '/accounts/register',
+        method: 'POST',
+        body: { name: 'bob', password: 'hunter22' }
+      })
+      const invalidReq = new MockHttpRequest({
+        url: '/accounts/register',
+        method: 'POST',
+        body: { name: 'Alice' }
       })
+      const takenRes = new MockHttpResponse()
+      const invalidRes = new MockHttpResponse()
+
+      await ctlrs.register()(takenReq, takenRes)
+      await ctlrs.register()(invalidReq, invalidRes)
+
+      expect(takenRes.statusCode).toBe(409)
+      expect(JSON.parse(takenRes.responseContent.toString('utf-8'))).toEqual({
+        status: 'error',
+        error: { message: 'Player name is registered.' }
+      })
+      expect(invalidRes.statusCode).toBe(400)
+    })
+
+    it('should give players a token once they log in', async () => {
+      const ctlrs = createCtlrs(createMockAccounts())
+      const mockReq = new MockHttpRequest({
+        url: '/accounts/login',
+        method: 'POST',
+        body: { name: 'Bob', password: 'hunter22' }
+      })
+      const mockRes = new MockHttpResponse()
+
+      await ctlrs.login()(mockReq, mockRes)
+
+      expect(mockRes.statusCode).toBe(200)
       expect(JSON.parse(mockRes.responseContent.toString('utf-8'))).toEqual({
         status: 'ok',
-        data: {
-          auth: JSON.parse(mockDB.get('NOPE')).auth
-        }
+        data: { token: 'bob-token' }
       })
     })
+
+    it('should return an error if the name or password is wrong', async () => {
+      const ctlrs = createCtlrs(createMockAccounts())
+      const mockReq = new MockHttpRequest({
+        url: '/accounts/login',
+        method: 'POST',
+        body: { name: 'Bob', password: 'hunter23' }
+      })
+      const mockRes = new MockHttpResponse()
+
+      await ctlrs.login()(mockReq, mockRes)
+
+      expect(mockRes.statusCode).toBe(401)
+      expect(JSON.parse(mockRes.responseContent.toString('utf-8'))).toEqual({
+        status: 'error',
+        error: { message: 'Wrong name or password.' }
+      })
+    })
+
+    it('should limit how many times each IP address could try to log in', async () => {
+      const login = createCtlrs(createMockAccounts(), 2).login()
+      const tryLogin = async ip => {
+        const mockReq = new MockHttpRequest({
+          ip,
+          url: '/accounts/login',
+          method: 'POST',
+          body: { name: 'Bob', password: 'hunter23' }
+        })
+        const mockRes = new MockHttpResponse()
+
+        await login(mockReq, mockRes)
+        return mockRes.statusCode
+      }
+
+      expect(await tryLogin('1.2.3.4')).toBe(401)
+      expect(await tryLogin('1.2.3.4')).toBe(401)
+      expect(await tryLogin('1.2.3.4')).toBe(429)
+      expect(await tryLogin('5.6.7.8')).toBe(401)
+    })
   })
 })
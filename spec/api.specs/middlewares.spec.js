@@ -6,6 +6,8 @@
  * @typedef {import('jasmine')} jasmine
  */
 
+import stream from 'stream'
+
 import Middlewares from '../../lib/controllers/middlewares.js'
 
 import createNullStream from '../helpers/nullstream.js'
@@ -233,6 +235,72 @@ describe('The checkpoint middlewares,', () => {
   })
 })
 
+describe("The Middlewares class's jsonBodyParser method,", () => {
+  const middlewares = new Middlewares({
+    URL_MAX_LEN: 100,
+    loggers: new MockLoggers(),
+    corsOpts: { origin: 'http://localhost:3000' },
+    requestLoggerStream: createNullStream()
+  })
+
+  /**
+   * Creates a mock request with the specified body.
+   * @param {string} contentType The type of the body.
+   * @param {Array<string>} chunks The chunks of the body.
+   * @returns {any}
+   */
+  function createReqWith (contentType, chunks) {
+    const req = stream.Readable.from(chunks.map(c => Buffer.from(c)))
+    req.headers = { 'content-type': contentType }
+    return req
+  }
+
+  /**
+   * Runs the body parser, and resolves once it has called ``next()`` or sent
+   * a response.
+   * @param {any} req The mock request.
+   * @param {MockHttpResponse} res The mock response.
+   * @returns {Promise<boolean>} Whether ``next()`` was called.
+   */
+  function parse (req, res) {
+    return new Promise((resolve, reject) => {
+      res.on('finish', () => resolve(false))
+      middlewares.jsonBodyParser(16)(req, res, err => {
+        if (err) reject(err)
+        resolve(true)
+      })
+    })
+  }
+
+  it('should parse JSON bodies', async () => {
+    const req = createReqWith('application/json; charset=utf-8', ['{"a":', '1}'])
+
+    expect(await parse(req, new MockHttpResponse())).toBeTrue()
+    expect(req.body).toEqual({ a: 1 })
+  })
+
+  it('should reject bodies that are not JSON', async () => {
+    const typeRes = new MockHttpResponse()
+    const syntaxRes = new MockHttpResponse()
+
+    expect(await parse(createReqWith('text/plain', ['{}']), typeRes)).toBeFalse()
+    expect(await parse(createReqWith('application/json', ['{a']), syntaxRes)).toBeFalse()
+    expect(typeRes.statusCode).toBe(415)
+    expect(syntaxRes.statusCode).toBe(400)
+  })
+
+  it('should reject bodies that are too large', async () => {
+    const res = new MockHttpResponse()
+
+    expect(await parse(createReqWith('application/json', ['{"a":"', 'aaaaaaaaaaaaaaa"}']), res)).toBeFalse()
+    expect(res.statusCode).toBe(413)
+    expect(JSON.parse(res.responseContent.toString('utf-8'))).toEqual({
+      status: 'error',
+      error: { message: 'Request body too large.' }
+    })
+  })
+})
+
 describe("The Middlewares class's getClientIP method,", () => {
   let middlewares = null
 
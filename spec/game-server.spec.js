@@ -10,6 +10,7 @@
 import events from 'events'
 
 import GameServer from '../lib/game-server.js'
+import { createGameAuth } from '../lib/game-auth.js'
 
 import MockLoggers from './mocks/internal/mock-loggers.js'
 import MockRequest from './mocks/external/mock-http-request.js'
@@ -17,7 +18,32 @@ import MockRequest from './mocks/external/mock-http-request.js'
 const mockDB = new Map()
 mockDB.del = mockDB.delete
 
-const mockConfig = { get: () => null }
+const mockConfig = {
+  get: () => null,
+  CLIENT_ACTION_RATE_LIMIT: 5,
+  CHAT_RATE_LIMIT: 2,
+  CHAT_MAX_LENGTH: 20,
+  GAME_AUTH_SECRET: 'spec-secret',
+  GAME_AUTH_ACCEPTED_SECRETS: ['old-spec-secret']
+}
+
+/**
+ * Creates a game authorization token for the specs.
+ * @param {Partial<import('../lib/game-auth').GameAuthClaims>} [claims] Claims
+ * to override.
+ * @param {string} [secret] The secret to sign with.
+ * @param {number} [maxAge] How long the token is valid for.
+ * @returns {string}
+ */
+function createAuth (claims, secret, maxAge) {
+  return encodeURIComponent(createGameAuth({
+    type: 'player',
+    name: 'Hi',
+    team: 'british',
+    game: '1',
+    ...claims
+  }, secret || mockConfig.GAME_AUTH_SECRET, maxAge || 60000))
+}
 
 /**
  * @typedef {Object} MockWSConn
@@ -47,22 +73,25 @@ function createMockConn () {
 /**
  * Creates and returns a mock GameServer and request for testing the _onConnection method.
  * @param {any} mockGame The mock game instance.
+ * @param {string} [url] The URL of the request.
  * @returns {[InstanceType<GameServer>, InstanceType<MockRequest>]}
  */
-function createMockServerAndReq (mockGame) {
+function createMockServerAndReq (mockGame, url) {
   const mockReq = new MockRequest({
-    url: '/play?auth=match_today&game=1&playername=Hi&playerteam=british'
+    url: url || '/play?auth=match_today&game=1&playername=Hi&playerteam=british'
   })
   const gmServer = new GameServer({
     config: mockConfig,
     authStore: mockDB,
     gamelogger: new MockLoggers().get('gamelogger'),
+    securitylogger: new MockLoggers().get('securitylogger'),
     middlewares: {
       forwardedParser: () => () => {},
       getClientIP: () => () => {}
     },
     manager: {
-      getGame: _ => mockGame,
+      // Most specs don't care about chat.
+      getGame: _ => ({ getChatHistory: () => [], hasTeam: _ => true, ...mockGame }),
       playerExists: _ => false,
       hasTeam: (..._) => true
     }
@@ -113,7 +142,7 @@ describe('The GameServer class,', () => {
       })
     })
 
-    it('should not succeed if no auth entry is present', done => {
+    it('should not succeed if the auth token is not valid', done => {
       const mockReq = new MockRequest({
         url: '/play?auth=100&game=1&playername=Hi&playerteam=british'
       })
@@ -134,11 +163,30 @@ describe('The GameServer class,', () => {
       })
     })
 
-    it('should not succeed if auth tokens do not match', done => {
-      mockDB.set('Hi', JSON.stringify({ auth: 'haha_no_match' }))
+    it('should not succeed if the auth token was signed with another secret', done => {
+      const mockReq = new MockRequest({
+        url: `/play?auth=${createAuth({}, 'haha_no_match')}&game=1&playername=Hi&playerteam=british`
+      })
+      const gmServer = new GameServer({
+        config: mockConfig,
+        authStore: mockDB,
+        middlewares: {
+          forwardedParser: () => () => {},
+          getClientIP: () => () => {}
+        }
+      })
 
+      gmServer._verifyClient(mockReq, e => {
+        expect(e).toBeInstanceOf(Error)
+        expect(e.code).toBe('ENOTAUTH')
+        expect(e.status).toBe(401)
+        done()
+      })
+    })
+
+    it('should not succeed if the auth token expired', done => {
       const mockReq = new MockRequest({
-        url: '/play?auth=nomatch&game=1&playername=Hi&playerteam=british'
+        url: `/play?auth=${createAuth({}, null, -1)}&game=1&playername=Hi&playerteam=british`
       })
       const gmServer = new GameServer({
         config: mockConfig,
@@ -158,15 +206,9 @@ describe('The GameServer class,', () => {
     })
 
     it('should not succeed if requested parameters do not match', done => {
-      mockDB.set('Hi', JSON.stringify({
-        auth: 'match_today',
-        game: 2,
-        name: 'nomatch!',
-        team: 'not british'
-      }))
-
+      const auth = createAuth({ game: '2', name: 'nomatch!', team: 'not british' })
       const mockReq = new MockRequest({
-        url: '/play?auth=match_today&game=1&playername=Hi&playerteam=british'
+        url: `/play?auth=${auth}&game=1&playername=Hi&playerteam=british`
       })
       const gmServer = new GameServer({
         config: mockConfig,
@@ -186,15 +228,8 @@ describe('The GameServer class,', () => {
     })
 
     it('should succeed if all checks pass', done => {
-      mockDB.set('Hi', JSON.stringify({
-        auth: 'match_today',
-        game: '1',
-        name: 'Hi',
-        team: 'british'
-      }))
-
       const mockReq = new MockRequest({
-        url: '/play?auth=match_today&game=1&playername=Hi&playerteam=british'
+        url: `/play?auth=${createAuth()}&game=1&playername=Hi&playerteam=british`
       })
       const gmServer = new GameServer({
         config: mockConfig,
@@ -204,7 +239,7 @@ describe('The GameServer class,', () => {
           getClientIP: () => () => {}
         },
         manager: {
-          getGame: id => ({ closed: false }),
+          getGame: id => ({ closed: false, hasTeam: _ => true }),
           playerExists: _ => false,
           hasTeam: (..._) => true
         }
@@ -215,6 +250,126 @@ describe('The GameServer class,', () => {
         done()
       })
     })
+
+    it('should accept auth tokens signed with an old secret', done => {
+      const [gmServer, mockReq] = createMockServerAndReq(
+        {}, `/play?auth=${createAuth({}, 'old-spec-secret')}&game=1&playername=Hi&playerteam=british`
+      )
+
+      gmServer._verifyClient(mockReq, e => {
+        expect(e).toBeNull()
+        done()
+      })
+    })
+
+    it('should not let auth tokens be used more than once', done => {
+      const [gmServer, mockReq] = createMockServerAndReq(
+        {}, `/play?auth=${createAuth()}&game=1&playername=Hi&playerteam=british`
+      )
+
+      gmServer._verifyClient(mockReq, e => {
+        expect(e).toBeNull()
+
+        gmServer._verifyClient(mockReq, e => {
+          expect(e).toBeInstanceOf(Error)
+          expect(e.code).toBe('ENOTAUTH')
+          expect(e.status).toBe(401)
+          done()
+        })
+      })
+    })
+
+    it('should not succeed if the player already exists', done => {
+      const [gmServer, mockReq] = createMockServerAndReq(
+        {}, `/play?auth=${createAuth()}&game=1&playername=Hi&playerteam=british`
+      )
+      gmServer.manager.playerExists = name => name === 'Hi'
+
+      gmServer._verifyClient(mockReq, e => {
+        expect(e).toBeInstanceOf(Error)
+        expect(e.code).toBe('EEXISTS')
+        expect(e.status).toBe(409)
+        done()
+      })
+    })
+
+    it('should not succeed if the team is not in the current map anymore', done => {
+      // E.g. the map rotation loaded a map with other teams.
+      const [gmServer, mockReq] = createMockServerAndReq(
+        { hasTeam: team => team === 'french' },
+        `/play?auth=${createAuth()}&game=1&playername=Hi&playerteam=british`
+      )
+
+      gmServer._verifyClient(mockReq, e => {
+        expect(e).toBeInstanceOf(Error)
+        expect(e.code).toBe('ESTALE')
+        expect(e.status).toBe(409)
+        done()
+      })
+    })
+
+    it('should not succeed if the game does not exist anymore', done => {
+      const [gmServer, mockReq] = createMockServerAndReq(
+        {}, `/play?auth=${createAuth()}&game=1&playername=Hi&playerteam=british`
+      )
+      gmServer.manager.getGame = _ => undefined
+
+      gmServer._verifyClient(mockReq, e => {
+        expect(e).toBeInstanceOf(Error)
+        expect(e.code).toBe('ESTALE')
+        done()
+      })
+    })
+
+    it('should let spectators connect without a team', done => {
+      const auth = createAuth({ type: 'spectator', name: 'Watcher', team: null })
+      const [gmServer, mockReq] = createMockServerAndReq(
+        {}, `/play?auth=${auth}&game=1&playername=Watcher&spectate=true`
+      )
+
+      gmServer._verifyClient(mockReq, e => {
+        expect(e).toBeNull()
+        done()
+      })
+    })
+
+    it('should let clients with a valid reconnect token reconnect', done => {
+      const canReconnect = jasmine.createSpy('canReconnectMock', token => token === 'valid').and.callThrough()
+      const [gmServer, mockReq] = createMockServerAndReq(
+        { canReconnect }, '/play?game=1&reconnect=valid'
+      )
+
+      gmServer._verifyClient(mockReq, e => {
+        expect(e).toBeNull()
+        expect(canReconnect).toHaveBeenCalledOnceWith('valid')
+        done()
+      })
+    })
+
+    it('should not let clients reconnect with an invalid reconnect token', done => {
+      const [gmServer, mockReq] = createMockServerAndReq(
+        { canReconnect: () => false }, '/play?game=1&reconnect=invalid'
+      )
+
+      gmServer._verifyClient(mockReq, e => {
+        expect(e).toBeInstanceOf(Error)
+        expect(e.code).toBe('ENOTAUTH')
+        expect(e.status).toBe(401)
+        done()
+      })
+    })
+
+    it('should not let players connect as spectators', done => {
+      const [gmServer, mockReq] = createMockServerAndReq(
+        {}, `/play?auth=${createAuth()}&game=1&playername=Hi&spectate=true`
+      )
+
+      gmServer._verifyClient(mockReq, e => {
+        expect(e).toBeInstanceOf(Error)
+        expect(e.code).toBe('ENOMATCH')
+        done()
+      })
+    })
   })
 
   describe('when a new connection is received,', () => {
@@ -236,17 +391,101 @@ describe('The GameServer class,', () => {
       const mockConn = createMockConn()
       const mockGame = {
         closed: false,
-        addPlayer: jasmine.createSpy('addPlayerMock', (conn, meta) => {}),
+        addPlayer: jasmine.createSpy('addPlayerMock', (conn, meta) => 'token').and.callThrough(),
         getMapData: jasmine.createSpy('getMapDataMock', () => ({})).and.callThrough()
       }
       const [gmServer, mockReq] = createMockServerAndReq(mockGame)
+      const readySpy = jasmine.createSpy('readySpy')
 
+      mockConn.on('ready-ack', readySpy)
       gmServer._onConnection(mockConn, mockReq)
 
       mockConn.messages.emit('ready')
 
       expect(mockGame.addPlayer).toHaveBeenCalled()
       expect(mockGame.getMapData).toHaveBeenCalled()
+      expect(readySpy).toHaveBeenCalledOnceWith({ reconnectToken: 'token' })
+    })
+
+    it('should terminate the connection if the player could not be added', () => {
+      const mockConn = createMockConn()
+      const mockGame = {
+        addPlayer: jasmine.createSpy('addPlayerMock', (conn, meta) => {
+          // E.g. the round ended, or the next map does not have the team.
+          throw new RangeError('Could not add player. Game is either full or closed.')
+        }).and.callThrough(),
+        getMapData: jasmine.createSpy('getMapDataMock', () => ({})).and.callThrough()
+      }
+      const [gmServer, mockReq] = createMockServerAndReq(mockGame)
+      const readySpy = jasmine.createSpy('readySpy')
+
+      mockConn.on('ready-ack', readySpy)
+      gmServer._onConnection(mockConn, mockReq)
+
+      expect(() => mockConn.messages.emit('ready')).not.toThrow()
+      expect(mockGame.addPlayer).toHaveBeenCalled()
+      expect(mockConn.terminate).toHaveBeenCalledOnceWith(4009, 'Could not join game')
+      expect(readySpy).not.toHaveBeenCalled()
+    })
+
+    it('should terminate the connection if the game does not exist', () => {
+      jasmine.clock().install()
+
+      const mockConn = createMockConn()
+      const [gmServer, mockReq] = createMockServerAndReq({})
+
+      gmServer.manager.getGame = _ => undefined
+      gmServer._onConnection(mockConn, mockReq)
+
+      expect(() => mockConn.messages.emit('ready')).not.toThrow()
+      expect(mockConn.terminate).toHaveBeenCalledOnceWith(4009, 'Game does not exist')
+
+      // No ready timeout should be left behind.
+      jasmine.clock().tick(11000)
+      jasmine.clock().uninstall()
+
+      expect(mockConn.terminate).toHaveBeenCalledTimes(1)
+    })
+
+    it('should let clients with a reconnect token take back their player', () => {
+      const mockConn = createMockConn()
+      const mockGame = {
+        closed: false,
+        addPlayer: jasmine.createSpy('addPlayerMock', (conn, meta) => {}),
+        reconnectPlayer: jasmine.createSpy('reconnectPlayerMock', (conn, token) => 'new-token').and.callThrough(),
+        getMapData: jasmine.createSpy('getMapDataMock', () => ({})).and.callThrough()
+      }
+      const [gmServer, mockReq] = createMockServerAndReq(
+        mockGame, '/play?game=1&reconnect=old-token'
+      )
+      const readySpy = jasmine.createSpy('readySpy')
+
+      mockConn.on('ready-ack', readySpy)
+      gmServer._onConnection(mockConn, mockReq)
+
+      mockConn.messages.emit('ready')
+
+      expect(mockGame.addPlayer).not.toHaveBeenCalled()
+      expect(mockGame.reconnectPlayer).toHaveBeenCalledOnceWith(mockConn, 'old-token')
+      expect(readySpy).toHaveBeenCalledOnceWith({ reconnectToken: 'new-token' })
+    })
+
+    it('should terminate the connection if the reconnect token expired', () => {
+      const mockConn = createMockConn()
+      const mockGame = {
+        closed: false,
+        reconnectPlayer: jasmine.createSpy('reconnectPlayerMock', (conn, token) => null).and.callThrough(),
+        getMapData: jasmine.createSpy('getMapDataMock', () => ({})).and.callThrough()
+      }
+      const [gmServer, mockReq] = createMockServerAndReq(
+        mockGame, '/play?game=1&reconnect=old-token'
+      )
+
+      gmServer._onConnection(mockConn, mockReq)
+
+      mockConn.messages.emit('ready')
+
+      expect(mockConn.terminate).toHaveBeenCalledWith(4001, jasmine.any(String))
     })
 
     describe('when a client action is received,', () => {
@@ -286,16 +525,229 @@ describe('The GameServer class,', () => {
 
         mockConn.messages.emit('ready')
         mockConn.messages.emit('client-action', {
-          up: true
+          inputNum: 1,
+          direction: { up: true, down: false, left: false, right: false }
         })
 
         expect(mockGame.addInputTo).toHaveBeenCalledWith('1', {
-          up: true
+          inputNum: 1,
+          direction: { up: true, down: false, left: false, right: false }
+        })
+      })
+
+      it('should disconnect clients that send malformed actions', () => {
+        const mockConn = createMockConn()
+        const mockGame = {
+          closed: false,
+          addPlayer: jasmine.createSpy('addPlayerMock', (conn, meta) => {}),
+          addInputTo: jasmine.createSpy('addInputToMock', input => {}),
+          placeBuilding: jasmine.createSpy('placeBuildingMock', (id, opts) => {}),
+          removePlayer: jasmine.createSpy('removePlayerMock', conn => {}),
+          getMapData: jasmine.createSpy('getMapDataMock', () => ({})).and.callThrough()
+        }
+        const [gmServer, mockReq] = createMockServerAndReq(mockGame)
+        const logSpy = spyOn(gmServer.securitylogger, 'warning')
+
+        gmServer._onConnection(mockConn, mockReq)
+
+        mockConn.messages.emit('ready')
+        mockConn.messages.emit('client-action', {
+          type: 'place-building', building: 'tower', position: { x: 'a lot' }
+        })
+
+        expect(mockGame.placeBuilding).not.toHaveBeenCalled()
+        expect(mockGame.removePlayer).toHaveBeenCalledWith(mockConn)
+        expect(mockConn.terminate).toHaveBeenCalledWith(4008, jasmine.any(String))
+        expect(logSpy).toHaveBeenCalled()
+      })
+
+      it('should disconnect clients whose input queue is full', () => {
+        const mockConn = createMockConn()
+        const mockGame = {
+          closed: false,
+          addPlayer: jasmine.createSpy('addPlayerMock', (conn, meta) => {}),
+          addInputTo: jasmine.createSpy('addInputToMock', input => {
+            throw new RangeError('Input queue is full!')
+          }).and.callThrough(),
+          removePlayer: jasmine.createSpy('removePlayerMock', conn => {}),
+          getMapData: jasmine.createSpy('getMapDataMock', () => ({})).and.callThrough()
+        }
+        const [gmServer, mockReq] = createMockServerAndReq(mockGame)
+
+        gmServer._onConnection(mockConn, mockReq)
+
+        mockConn.messages.emit('ready')
+        mockConn.messages.emit('client-action', {
+          inputNum: 1,
+          direction: { up: true, down: false, left: false, right: false }
+        })
+
+        expect(mockGame.removePlayer).toHaveBeenCalledWith(mockConn)
+        expect(mockConn.terminate).toHaveBeenCalledWith(4008, 'Input queue is full!')
+      })
+
+      it('should disconnect clients that send too many actions', () => {
+        const mockConn = createMockConn()
+        const mockGame = {
+          closed: false,
+          addPlayer: jasmine.createSpy('addPlayerMock', (conn, meta) => {}),
+          addInputTo: jasmine.createSpy('addInputToMock', input => {}),
+          removePlayer: jasmine.createSpy('removePlayerMock', conn => {}),
+          getMapData: jasmine.createSpy('getMapDataMock', () => ({})).and.callThrough()
+        }
+        const [gmServer, mockReq] = createMockServerAndReq(mockGame)
+
+        spyOn(Date, 'now').and.returnValue(0)
+        gmServer._onConnection(mockConn, mockReq)
+
+        mockConn.messages.emit('ready')
+        // The rate limit in the mock config is 5 actions per second.
+        for (let i = 0; i < 6; i++) {
+          mockConn.messages.emit('client-action', {
+            inputNum: i,
+            direction: { up: true, down: false, left: false, right: false }
+          })
+        }
+
+        expect(mockGame.addInputTo).toHaveBeenCalledTimes(5)
+        expect(mockConn.terminate).toHaveBeenCalledWith(4029, 'Too many client actions')
+      })
+    })
+
+    it('should pass valid time sync responses to the game', () => {
+      const mockConn = createMockConn()
+      const mockGame = {
+        closed: false,
+        addPlayer: jasmine.createSpy('addPlayerMock', (conn, meta) => {}),
+        syncClock: jasmine.createSpy('syncClockMock', (conn, response) => true),
+        getMapData: jasmine.createSpy('getMapDataMock', () => ({})).and.callThrough()
+      }
+      const [gmServer, mockReq] = createMockServerAndReq(mockGame)
+
+      gmServer._onConnection(mockConn, mockReq)
+
+      mockConn.messages.emit('ready')
+      mockConn.messages.emit('time-sync', { serverTime: 100, clientTime: 'now' })
+      mockConn.messages.emit('time-sync', { serverTime: 100, clientTime: 5000 })
+
+      expect(mockGame.syncClock).toHaveBeenCalledOnceWith(mockConn, {
+        serverTime: 100, clientTime: 5000
+      })
+    })
+
+    describe('when a chat message is received,', () => {
+      it('should send valid chat messages to the game', () => {
+        const mockConn = createMockConn()
+        const mockGame = {
+          closed: false,
+          addPlayer: jasmine.createSpy('addPlayerMock', (conn, meta) => {}),
+          sendChat: jasmine.createSpy('sendChatMock', (conn, request) => true),
+          getMapData: jasmine.createSpy('getMapDataMock', () => ({})).and.callThrough()
+        }
+        const [gmServer, mockReq] = createMockServerAndReq(mockGame)
+
+        gmServer._onConnection(mockConn, mockReq)
+
+        mockConn.messages.emit('ready')
+        mockConn.messages.emit('chat', { scope: 'team', message: ' hello ' })
+
+        expect(mockGame.sendChat).toHaveBeenCalledOnceWith(mockConn, {
+          scope: 'team', message: 'hello'
         })
       })
+
+      it('should drop chat messages that go over the rate limit', () => {
+        const mockConn = createMockConn()
+        const mockGame = {
+          closed: false,
+          addPlayer: jasmine.createSpy('addPlayerMock', (conn, meta) => {}),
+          sendChat: jasmine.createSpy('sendChatMock', (conn, request) => true),
+          getMapData: jasmine.createSpy('getMapDataMock', () => ({})).and.callThrough()
+        }
+        const [gmServer, mockReq] = createMockServerAndReq(mockGame)
+
+        spyOn(Date, 'now').and.returnValue(0)
+        gmServer._onConnection(mockConn, mockReq)
+
+        mockConn.messages.emit('ready')
+        // The chat rate limit in the mock config is 2 messages per second.
+        for (let i = 0; i < 3; i++) {
+          mockConn.messages.emit('chat', { scope: 'all', message: 'spam' })
+        }
+
+        expect(mockGame.sendChat).toHaveBeenCalledTimes(2)
+        expect(mockConn.terminate).not.toHaveBeenCalled()
+      })
+
+      it('should reject long messages without disconnecting the client', () => {
+        const mockConn = createMockConn()
+        const mockGame = {
+          closed: false,
+          addPlayer: jasmine.createSpy('addPlayerMock', (conn, meta) => {}),
+          removePlayer: jasmine.createSpy('removePlayerMock', conn => {}),
+          sendChat: jasmine.createSpy('sendChatMock', (conn, request) => true),
+          getMapData: jasmine.createSpy('getMapDataMock', () => ({})).and.callThrough()
+        }
+        const [gmServer, mockReq] = createMockServerAndReq(mockGame)
+        const rejectedSpy = jasmine.createSpy('rejectedSpy', data => {})
+
+        gmServer._onConnection(mockConn, mockReq)
+        mockConn.on('chat-rejected', rejectedSpy)
+
+        mockConn.messages.emit('ready')
+        // The maximum message length in the mock config is 20.
+        mockConn.messages.emit('chat', { scope: 'all', message: 'a'.repeat(21) })
+
+        expect(mockGame.sendChat).not.toHaveBeenCalled()
+        expect(rejectedSpy).toHaveBeenCalledWith({ reason: jasmine.any(String) })
+        expect(mockGame.removePlayer).not.toHaveBeenCalled()
+        expect(mockConn.terminate).not.toHaveBeenCalled()
+      })
+
+      it('should disconnect clients that send malformed messages', () => {
+        const mockConn = createMockConn()
+        const mockGame = {
+          closed: false,
+          addPlayer: jasmine.createSpy('addPlayerMock', (conn, meta) => {}),
+          removePlayer: jasmine.createSpy('removePlayerMock', conn => {}),
+          sendChat: jasmine.createSpy('sendChatMock', (conn, request) => true),
+          getMapData: jasmine.createSpy('getMapDataMock', () => ({})).and.callThrough()
+        }
+        const [gmServer, mockReq] = createMockServerAndReq(mockGame)
+
+        gmServer._onConnection(mockConn, mockReq)
+
+        mockConn.messages.emit('ready')
+        mockConn.messages.emit('chat', { scope: 'enemy', message: 12 })
+
+        expect(mockGame.sendChat).not.toHaveBeenCalled()
+        expect(mockGame.removePlayer).toHaveBeenCalledWith(mockConn)
+        expect(mockConn.terminate).toHaveBeenCalledWith(4008, jasmine.any(String))
+      })
+
+      it('should send the chat history once the client is ready', () => {
+        const mockConn = createMockConn()
+        const history = [{ from: 'A', team: 'british', scope: 'all', message: 'hi', sentAt: 0 }]
+        const mockGame = {
+          closed: false,
+          addPlayer: jasmine.createSpy('addPlayerMock', (conn, meta) => {}),
+          getChatHistory: jasmine.createSpy('getChatHistoryMock', conn => history).and.callThrough(),
+          getMapData: jasmine.createSpy('getMapDataMock', () => ({})).and.callThrough()
+        }
+        const [gmServer, mockReq] = createMockServerAndReq(mockGame)
+        const historySpy = jasmine.createSpy('historySpy')
+
+        mockConn.on('chat-history', historySpy)
+        gmServer._onConnection(mockConn, mockReq)
+
+        mockConn.messages.emit('ready')
+
+        expect(mockGame.getChatHistory).toHaveBeenCalledOnceWith(mockConn)
+        expect(historySpy).toHaveBeenCalledOnceWith({ messages: history })
+      })
     })
 
-    it('should remove a player when disconnect happens', () => {
+    it('should disconnect a player when disconnect happens', () => {
       const mockConn = createMockConn()
       mockConn.id = '1'
       const mockPlayer = {
@@ -305,7 +757,7 @@ describe('The GameServer class,', () => {
         closed: false,
         addPlayer: jasmine.createSpy('addPlayerMock', (conn, meta) => {}),
         getPlayerByID: () => mockPlayer,
-        removePlayer: jasmine.createSpy('removePlayerMock', (connId, reason, sendReason) => {}),
+        disconnectPlayer: jasmine.createSpy('disconnectPlayerMock', conn => {}),
         getMapData: jasmine.createSpy('getMapDataMock', () => ({})).and.callThrough()
       }
       const [gmServer, mockReq] = createMockServerAndReq(mockGame)
@@ -315,7 +767,42 @@ describe('The GameServer class,', () => {
       mockConn.messages.emit('ready')
       mockConn.emit('close')
 
-      expect(mockGame.removePlayer).toHaveBeenCalledWith(mockConn)
+      expect(mockGame.disconnectPlayer).toHaveBeenCalledWith(mockConn)
+    })
+
+    it('should give spectators a read-only connection', () => {
+      const mockConn = createMockConn()
+      mockConn.id = '1'
+      const mockGame = {
+        closed: false,
+        addPlayer: jasmine.createSpy('addPlayerMock', (conn, meta) => {}),
+        addSpectator: jasmine.createSpy('addSpectatorMock', (conn, meta) => {}),
+        removeSpectator: jasmine.createSpy('removeSpectatorMock', conn => {}),
+        addInputTo: jasmine.createSpy('addInputToMock', (id, input) => {}),
+        ackUpdate: jasmine.createSpy('ackUpdateMock', (conn, seq) => true),
+        getMapData: jasmine.createSpy('getMapDataMock', () => ({})).and.callThrough()
+      }
+      const [gmServer, mockReq] = createMockServerAndReq(
+        mockGame, '/play?auth=match_today&game=1&playername=Watcher&spectate=true'
+      )
+
+      gmServer._onConnection(mockConn, mockReq)
+
+      mockConn.messages.emit('ready')
+      mockConn.messages.emit('client-action', {
+        inputNum: 1,
+        direction: { up: true, down: false, left: false, right: false }
+      })
+      mockConn.messages.emit('update-ack', { seq: 1 })
+      mockConn.emit('close')
+
+      expect(mockGame.addSpectator).toHaveBeenCalledOnceWith(mockConn, { name: 'Watcher' })
+      expect(mockGame.addPlayer).not.toHaveBeenCalled()
+      expect(mockGame.getMapData).toHaveBeenCalled()
+      expect(mockGame.addInputTo).not.toHaveBeenCalled()
+      expect(mockConn.terminate).not.toHaveBeenCalled()
+      expect(mockGame.ackUpdate).toHaveBeenCalledOnceWith(mockConn, 1)
+      expect(mockGame.removeSpectator).toHaveBeenCalledOnceWith(mockConn)
     })
   })
 })
@@ -10,6 +10,7 @@ import { nanoid } from 'nanoid'
 
 import { Vector2D } from 'colonialwars-lib/math'
 import { BaseGame } from '../../lib/game/modes/index.js'
+import { parseMapExtras } from '../../lib/game/map-extras.js'
 
 const TESTING_PLAYERS = [
   { meta: { name: 'GENERAL LOUDSPEAKER', team: 'one' }, id: nanoid() },
@@ -51,8 +52,32 @@ function createBaseGame () {
   const game = new BaseGame({
     id: 'V3RY-UN1QU3-1D',
     mapConfig: MOCK_GAME_CONFIG,
-    stepsPerUpdate: 1,
-    stepLength: 100
+    tickRate: 10
+  })
+  game.init()
+
+  return game
+}
+
+/**
+ * Creates a BaseGame instance with an obstacle and a decoration for testing.
+ * @returns {BaseGame}
+ */
+function createBaseGameWithMapObjects () {
+  const game = new BaseGame({
+    id: 'V3RY-UN1QU3-1D',
+    mapConfig: MOCK_GAME_CONFIG,
+    mapExtras: parseMapExtras({
+      data: {
+        obstacles: [
+          { position: { x: 100, y: 0 }, size: { x: 20, y: 400 }, img: 'wall' }
+        ],
+        decorations: [
+          { position: { x: 50, y: 50 }, size: { x: 10, y: 10 }, img: 'flower' }
+        ]
+      }
+    }),
+    tickRate: 1
   })
   game.init()
 
@@ -119,7 +144,7 @@ describe('The BaseGame class,', () => {
       baseGame.on('step', () => events.push('step'))
       baseGame.on('postStep', () => events.push('postStep'))
 
-      baseGame.update()
+      baseGame.runSteps(1)
 
       expect(events).toHaveSize(3)
       expect(events[0]).toBe('preStep')
@@ -132,12 +157,12 @@ describe('The BaseGame class,', () => {
 
       expect(baseGame.stepCount).toBe(0)
 
-      baseGame.update()
-      baseGame.update()
+      baseGame.runSteps(1)
+      baseGame.runSteps(1)
 
       expect(baseGame.stepCount).toBe(2)
 
-      baseGame.update()
+      baseGame.runSteps(1)
 
       expect(baseGame.stepCount).toBe(3)
     })
@@ -148,7 +173,7 @@ describe('The BaseGame class,', () => {
       const baseGame = new BaseGame({
         id: 'V3RY-UN1QU3-1D',
         mapConfig: MOCK_GAME_CONFIG,
-        stepsPerUpdate: 1
+        tickRate: 10
       })
       baseGame.init()
 
@@ -164,11 +189,10 @@ describe('The BaseGame class,', () => {
       expect(step).toHaveBeenCalledOnceWith(100, 100)
     })
 
-    it('should be able to run multiple steps per update', () => {
+    it('should be able to run multiple steps at once', () => {
       const baseGame = new BaseGame({
         id: 'V3RY-UN1QU3-1D',
-        mapConfig: MOCK_GAME_CONFIG,
-        stepsPerUpdate: 10
+        mapConfig: MOCK_GAME_CONFIG
       })
       baseGame.init()
 
@@ -179,7 +203,7 @@ describe('The BaseGame class,', () => {
       const post = spyOn(baseGame, 'postStep')
       const _post = spyOn(baseGame, '_postStep')
 
-      baseGame.update()
+      baseGame.runSteps(10)
 
       expect(baseGame.stepCount).toBe(10)
       expect(pre).toHaveBeenCalledTimes(10)
@@ -190,32 +214,52 @@ describe('The BaseGame class,', () => {
       expect(_post).toHaveBeenCalledTimes(10)
     })
 
-    it('should split deltaTime into increments when processing multiple steps', () => {
-      spyOn(Date, 'now').and.returnValues(100, 200)
+    it('should run fixed-length steps and carry left-over time to the next update', () => {
+      spyOn(Date, 'now').and.returnValues(100, 270, 300)
 
       const baseGame = new BaseGame({
         id: 'V3RY-UN1QU3-1D',
         mapConfig: MOCK_GAME_CONFIG,
-        stepsPerUpdate: 5
+        tickRate: 20
       })
       baseGame.init()
 
-      expect(baseGame.stepCount).toBe(0)
-      expect(baseGame.lastUpdateTime).toBe(100)
-
       const step = spyOn(baseGame, 'step')
 
       baseGame.update()
 
-      expect(baseGame.stepCount).toBe(5)
-      expect(baseGame.lastUpdateTime).toBe(200)
-      expect(step).toHaveBeenCalledTimes(5)
+      expect(baseGame.stepCount).toBe(3)
+      expect(baseGame.lastUpdateTime).toBe(250)
+      expect(step.calls.argsFor(0)).toEqual([100, 50])
+      expect(step.calls.argsFor(1)).toEqual([150, 50])
+      expect(step.calls.argsFor(2)).toEqual([200, 50])
 
-      expect(step.calls.argsFor(0)).toEqual([100, 20])
-      expect(step.calls.argsFor(1)).toEqual([120, 20])
-      expect(step.calls.argsFor(2)).toEqual([140, 20])
-      expect(step.calls.argsFor(3)).toEqual([160, 20])
-      expect(step.calls.argsFor(4)).toEqual([180, 20])
+      // The 20ms left over from the last update adds up to another step.
+      baseGame.update()
+
+      expect(baseGame.stepCount).toBe(4)
+      expect(step.calls.argsFor(3)).toEqual([250, 50])
+    })
+
+    it('should drop steps if too many steps are due in one update', () => {
+      spyOn(Date, 'now').and.returnValues(100, 1100)
+
+      const baseGame = new BaseGame({
+        id: 'V3RY-UN1QU3-1D',
+        mapConfig: MOCK_GAME_CONFIG,
+        tickRate: 10,
+        maxStepsPerUpdate: 3
+      })
+      baseGame.init()
+
+      const step = spyOn(baseGame, 'step')
+
+      baseGame.update()
+
+      // Only the last 3 of the 10 steps that were due are run.
+      expect(baseGame.stepCount).toBe(3)
+      expect(baseGame.lastUpdateTime).toBe(1100)
+      expect(step.calls.argsFor(0)).toEqual([800, 100])
     })
   })
 
@@ -344,6 +388,25 @@ describe('The BaseGame class,', () => {
         direction: { up: true }
       })
     })
+
+    it('should throw an error if the input queue is full', () => {
+      const baseGame = new BaseGame({
+        id: 'V3RY-UN1QU3-1D',
+        mapConfig: MOCK_GAME_CONFIG,
+        maxQueuedInputs: 2
+      })
+      const player = TESTING_PLAYERS[0]
+
+      baseGame.init()
+      baseGame.addPlayer(player.id, player.meta)
+      baseGame.addInputTo(player.id, { inputNum: 1, direction: { up: true } })
+      baseGame.addInputTo(player.id, { inputNum: 2, direction: { up: true } })
+
+      expect(() => {
+        baseGame.addInputTo(player.id, { inputNum: 3, direction: { up: true } })
+      }).toThrowError(RangeError)
+      expect(getInputQueue(baseGame._world, player.id)).toHaveSize(2)
+    })
   })
 
   it("should be able to get a player's name by their ID", () => {
@@ -377,6 +440,46 @@ describe('The BaseGame class,', () => {
     expect(baseGame.getPlayerNameByID(playerToRemove.id)).toBeFalsy()
   })
 
+  it('should keep disconnected players, but drop their pending inputs', () => {
+    const baseGame = createBaseGame()
+    const player = TESTING_PLAYERS[0]
+
+    baseGame.addPlayer(player.id, player.meta)
+    baseGame.addInputTo(player.id, { inputNum: 1, direction: { up: true } })
+    baseGame.setPlayerConnected(player.id, false)
+
+    expect(baseGame.currentPlayers).toBe(1)
+    expect(getInputQueue(baseGame._world, player.id)).toHaveSize(0)
+    expect(Array.from(baseGame.allPlayerInfo())[0].connected).toBeFalse()
+
+    baseGame.setPlayerConnected(player.id, true)
+
+    expect(Array.from(baseGame.allPlayerInfo())[0].connected).toBeTrue()
+    expect(() => baseGame.setPlayerConnected('no_exist', true)).toThrowError(Error)
+  })
+
+  it('should stop disconnected players from moving', () => {
+    const baseGame = createBaseGame()
+    const player = TESTING_PLAYERS[0]
+    const positionOf = () => Array.from(baseGame.serializeState())[0].contents.self.position
+
+    baseGame.addPlayer(player.id, player.meta)
+    baseGame.addInputTo(player.id, {
+      inputNum: 1,
+      direction: { right: true },
+      timestamp: baseGame.lastUpdateTime
+    })
+    baseGame.runSteps(5)
+
+    const { x, y } = positionOf()
+    expect(x).toBeGreaterThan(0)
+
+    baseGame.setPlayerConnected(player.id, false)
+    baseGame.runSteps(5)
+
+    expect(positionOf()).toEqual(jasmine.objectContaining({ x, y }))
+  })
+
   it('should be able to clear all players', () => {
     const baseGame = createBaseGame()
 
@@ -416,6 +519,633 @@ describe('The BaseGame class,', () => {
     })
   })
 
+  it('should be able to iterate over the info of all players', () => {
+    const baseGame = createBaseGame()
+
+    TESTING_PLAYERS.forEach(player => {
+      baseGame.addPlayer(player.id, player.meta)
+    })
+
+    const arr = Array.from(baseGame.allPlayerInfo())
+
+    expect(arr).toHaveSize(4)
+    TESTING_PLAYERS.forEach(player => {
+      expect(arr).toContain({ id: player.id, ...player.meta, connected: true })
+    })
+  })
+
+  it('should reset team capacity on initialization', () => {
+    const baseGame = createBaseGame()
+
+    TESTING_PLAYERS.forEach(player => {
+      baseGame.addPlayer(player.id, player.meta)
+    })
+    baseGame.init()
+
+    for (const team of baseGame.teams.values()) {
+      expect(team.currentPlayers).toBe(0)
+    }
+  })
+
+  describe('when the map has obstacles and decorations,', () => {
+    it('should add them to the game on initialization', () => {
+      const baseGame = createBaseGameWithMapObjects()
+      const mapObjects = baseGame.getMapObjects()
+
+      expect(mapObjects.obstacles).toEqual([{
+        position: new Vector2D(100, 0),
+        size: new Vector2D(20, 400),
+        img: 'wall'
+      }])
+      expect(mapObjects.decorations).toEqual([{
+        position: new Vector2D(50, 50),
+        size: new Vector2D(10, 10),
+        img: 'flower'
+      }])
+    })
+
+    it('should not serialize them as players', () => {
+      const baseGame = createBaseGameWithMapObjects()
+
+      baseGame.addPlayer(TESTING_PLAYERS[0].id, TESTING_PLAYERS[0].meta)
+
+      expect(Array.from(baseGame.serializeState())).toHaveSize(1)
+    })
+
+    it('should not let players move through obstacles', () => {
+      const baseGame = createBaseGameWithMapObjects()
+      const player = TESTING_PLAYERS[0]
+
+      spyOn(Date, 'now').and.returnValues(0, 1000)
+      baseGame.lastUpdateTime = 0
+      baseGame.addPlayer(player.id, player.meta)
+      baseGame.addInputTo(player.id, { inputNum: 1, direction: { right: true } })
+      baseGame.update()
+
+      const state = Array.from(baseGame.serializeState())[0]
+
+      // The player is stopped at the edge of the obstacle, then pushed out
+      // until its collider no longer overlaps the obstacle.
+      expect(state.contents.self.position).toEqual(new Vector2D(70, 0))
+    })
+  })
+
+  describe('when serializing the state of other players,', () => {
+    /**
+     * Creates a BaseGame with a view radius for testing.
+     * @returns {BaseGame}
+     */
+    function createGameWithViewRadius () {
+      const game = new BaseGame({
+        id: 'V3RY-UN1QU3-1D',
+        mapConfig: MOCK_GAME_CONFIG,
+        viewRadius: 100
+      })
+      game.init()
+
+      return game
+    }
+
+    /**
+     * Returns the serialized state of the specified player.
+     * @param {BaseGame} game The game.
+     * @param {string} id The ID of the player.
+     * @returns {import('../../lib/game/modes/base-game').SerializedState}
+     */
+    function stateOf (game, id) {
+      return Array.from(game.serializeState()).find(s => s.id === id)
+    }
+
+    it('should only include players within the view radius', () => {
+      const baseGame = createGameWithViewRadius()
+      const [p1, p2, p3] = TESTING_PLAYERS
+
+      // Players 1 and 3 spawn at (0, 0), and player 2 spawns at (200, 200).
+      baseGame.addPlayer(p1.id, p1.meta)
+      baseGame.addPlayer(p2.id, p2.meta)
+      baseGame.addPlayer(p3.id, p3.meta)
+
+      const state = stateOf(baseGame, p1.id)
+
+      expect(Object.keys(state.contents.others)).toEqual([p3.id])
+      expect(state.contents.others[p3.id].name).toBe(p3.meta.name)
+    })
+
+    it('should have entries for players entering and leaving view', () => {
+      const baseGame = createGameWithViewRadius()
+      const [p1, , p3] = TESTING_PLAYERS
+
+      baseGame.addPlayer(p1.id, p1.meta)
+      baseGame.addPlayer(p3.id, p3.meta)
+
+      let state = stateOf(baseGame, p1.id)
+
+      expect(Object.keys(state.added)).toEqual([p3.id])
+      expect(state.removed).toEqual([])
+
+      state = stateOf(baseGame, p1.id)
+
+      expect(state.added).toEqual({})
+      expect(state.removed).toEqual([])
+
+      baseGame.removePlayer(p3.id)
+      state = stateOf(baseGame, p1.id)
+
+      expect(state.contents.others).toEqual({})
+      expect(state.removed).toEqual([p3.id])
+    })
+  })
+
+  describe('when managing units,', () => {
+    /**
+     * Creates a BaseGame with unit data for testing.
+     * @returns {BaseGame}
+     */
+    function createGameWithUnits () {
+      const game = new BaseGame({
+        id: 'V3RY-UN1QU3-1D',
+        mapConfig: MOCK_GAME_CONFIG,
+        mapExtras: parseMapExtras({
+          data: {
+            unitData: {
+              infantry: {
+                name: 'Infantry',
+                img: 'infantry_img',
+                speed: 0.1,
+                hitPoints: 100,
+                damage: 10
+              }
+            },
+            startingUnits: ['infantry']
+          }
+        })
+      })
+      game.init()
+
+      return game
+    }
+
+    it('should give players their starting units', () => {
+      const baseGame = createGameWithUnits()
+      const player = TESTING_PLAYERS[0]
+
+      baseGame.addPlayer(player.id, player.meta)
+
+      const state = Array.from(baseGame.serializeState())[0]
+
+      expect(Object.keys(state.contents.units)).toEqual(['unit-1'])
+      expect(state.contents.units['unit-1'].owner).toBe(player.id)
+      expect(state.contents.units['unit-1'].team).toBe(player.meta.team)
+      expect(state.contents.units['unit-1'].hitPoints).toBe(100)
+      expect(Object.keys(state.addedUnits)).toEqual(['unit-1'])
+    })
+
+    it('should be able to spawn units for players', () => {
+      const baseGame = createGameWithUnits()
+      const player = TESTING_PLAYERS[0]
+
+      baseGame.addPlayer(player.id, player.meta)
+
+      expect(baseGame.spawnUnit(player.id, 'infantry')).toBe('unit-2')
+      expect(() => {
+        baseGame.spawnUnit(player.id, 'tank')
+      }).toThrowError(TypeError)
+      expect(() => {
+        baseGame.spawnUnit('nobody', 'infantry')
+      }).toThrowError(Error, 'Player does not exist!')
+    })
+
+    it('should only let players order their own units', () => {
+      const baseGame = createGameWithUnits()
+      const [p1, p2] = TESTING_PLAYERS
+
+      baseGame.addPlayer(p1.id, p1.meta)
+      baseGame.addPlayer(p2.id, p2.meta)
+
+      const order = { kind: 'move', target: { x: 100, y: 100 } }
+
+      expect(baseGame.orderUnits(p1.id, { units: ['unit-1', 'unit-2'], order })).toBe(1)
+      expect(baseGame.orderUnits(p1.id, { units: ['unit-2'], order })).toBe(0)
+    })
+
+    it("should remove a player's units when the player leaves", () => {
+      const baseGame = createGameWithUnits()
+      const [p1, , p3] = TESTING_PLAYERS
+
+      baseGame.addPlayer(p1.id, p1.meta)
+      baseGame.addPlayer(p3.id, p3.meta)
+      Array.from(baseGame.serializeState())
+
+      baseGame.removePlayer(p3.id)
+
+      const state = Array.from(baseGame.serializeState())[0]
+
+      expect(Object.keys(state.contents.units)).toEqual(['unit-1'])
+      expect(state.removedUnits).toEqual(['unit-2'])
+    })
+  })
+
+  describe('when dealing damage,', () => {
+    /**
+     * Creates a BaseGame with players that could be damaged for testing.
+     * @returns {BaseGame}
+     */
+    function createGameWithHealth () {
+      const game = new BaseGame({
+        id: 'V3RY-UN1QU3-1D',
+        mapConfig: MOCK_GAME_CONFIG,
+        mapExtras: parseMapExtras({
+          data: {
+            unitData: {
+              infantry: { name: 'Infantry', img: 'infantry_img', speed: 0.1, hitPoints: 10 }
+            },
+            startingUnits: ['infantry'],
+            playerHitPoints: 50,
+            respawnDelay: 1
+          }
+        }),
+        tickRate: 1
+      })
+      game.init()
+
+      return game
+    }
+
+    it('should kill players, record kills and deaths, and respawn them', () => {
+      const baseGame = createGameWithHealth()
+      const [p1, p2] = TESTING_PLAYERS
+      const deaths = []
+
+      spyOn(Date, 'now').and.returnValue(1000)
+      baseGame.lastUpdateTime = 0
+      baseGame.addPlayer(p1.id, p1.meta)
+      baseGame.addPlayer(p2.id, p2.meta)
+      baseGame.on('death', death => deaths.push(death))
+
+      // Unit 1 belongs to player 1.
+      expect(baseGame.damage(p2.id, 20, 'unit-1')).toBeFalse()
+      expect(baseGame.damage(p2.id, 30, 'unit-1')).toBeTrue()
+      expect(deaths).toEqual([{
+        id: p2.id, kind: 'player', team: 'two', killer: p1.id, killerTeam: 'one'
+      }])
+      expect(Array.from(baseGame.allPlayerScores())).toEqual([
+        { name: p1.meta.name, team: 'one', kills: 1, deaths: 0 },
+        { name: p2.meta.name, team: 'two', kills: 0, deaths: 1 }
+      ])
+
+      let state = Array.from(baseGame.serializeState()).find(s => s.id === p2.id)
+
+      expect(state.contents.self.dead).toBeTrue()
+
+      baseGame.update()
+      state = Array.from(baseGame.serializeState()).find(s => s.id === p2.id)
+
+      expect(state.contents.self.dead).toBeFalse()
+      expect(state.contents.self.hitPoints).toBe(50)
+      expect(state.contents.self.position).toEqual(new Vector2D(200, 200))
+    })
+
+    it('should remove units that are killed', () => {
+      const baseGame = createGameWithHealth()
+      const [p1, p2] = TESTING_PLAYERS
+
+      baseGame.addPlayer(p1.id, p1.meta)
+      baseGame.addPlayer(p2.id, p2.meta)
+
+      expect(baseGame.damage('unit-2', 10, 'unit-1')).toBeTrue()
+      expect(() => baseGame.damage('unit-2', 10)).toThrowError(Error)
+
+      const state = Array.from(baseGame.serializeState()).find(s => s.id === p1.id)
+
+      expect(Object.keys(state.contents.units)).toEqual(['unit-1'])
+    })
+
+    it('should let game modes change the damage that is dealt', () => {
+      const baseGame = createGameWithHealth()
+      const [p1] = TESTING_PLAYERS
+
+      baseGame.addPlayer(p1.id, p1.meta)
+      baseGame.modifyDamage = damage => damage.targetKind === 'player' ? 0 : damage.amount
+
+      expect(baseGame.damage(p1.id, 100)).toBeFalse()
+      expect(baseGame.damage('unit-1', 100)).toBeTrue()
+    })
+  })
+
+  describe('when applying modifiers,', () => {
+    it('should modify the stats of players until the modifier expires', () => {
+      const baseGame = new BaseGame({
+        id: 'V3RY-UN1QU3-1D',
+        mapConfig: MOCK_GAME_CONFIG,
+        mapExtras: parseMapExtras({
+          data: {
+            modifiersData: {
+              speed_boost: {
+                name: 'Speed Boost',
+                effects: [{ stat: 'speed', type: 'multiply', value: 2 }],
+                duration: 1
+              }
+            }
+          }
+        }),
+        tickRate: 2
+      })
+      const player = TESTING_PLAYERS[0]
+      const stateOf = () => Array.from(baseGame.serializeState())[0].contents.self
+
+      baseGame.init()
+      spyOn(Date, 'now').and.returnValues(500, 1000)
+      baseGame.lastUpdateTime = 0
+      baseGame.addPlayer(player.id, player.meta)
+
+      expect(baseGame.applyModifier(player.id, 'speed_boost')).toBeTrue()
+      expect(() => baseGame.applyModifier(player.id, 'slow')).toThrowError(TypeError)
+
+      baseGame.update()
+
+      expect(stateOf().speed).toBe(0.8)
+      expect(stateOf().modifiers).toEqual([
+        { id: 'speed_boost', stacks: 1, expiresAt: 1000 }
+      ])
+
+      baseGame.update()
+
+      expect(stateOf().speed).toBe(0.4)
+      expect(stateOf().modifiers).toEqual([])
+    })
+  })
+
+  describe('when placing buildings,', () => {
+    /**
+     * Creates a BaseGame with building data for testing.
+     * @returns {BaseGame}
+     */
+    function createGameWithBuildings () {
+      const game = new BaseGame({
+        id: 'V3RY-UN1QU3-1D',
+        mapConfig: MOCK_GAME_CONFIG,
+        mapExtras: parseMapExtras({
+          data: {
+            buildingData: {
+              tower: {
+                name: 'Tower',
+                img: 'tower_img',
+                size: { x: 20, y: 20 },
+                hitPoints: 100,
+                buildTime: 1
+              }
+            },
+            territoryRadius: 100
+          }
+        }),
+        tickRate: 2
+      })
+      game.init()
+
+      return game
+    }
+
+    it('should place buildings and construct them over time', () => {
+      const baseGame = createGameWithBuildings()
+      const player = TESTING_PLAYERS[0]
+
+      spyOn(Date, 'now').and.returnValue(500)
+      baseGame.lastUpdateTime = 0
+      baseGame.addPlayer(player.id, player.meta)
+
+      const id = baseGame.placeBuilding(player.id, {
+        type: 'tower', position: { x: 50, y: 50 }
+      })
+
+      expect(id).toBe('building-1')
+
+      let state = Array.from(baseGame.serializeState())[0]
+
+      expect(state.contents.buildings[id].progress).toBe(0)
+      expect(state.contents.buildings[id].stage).toBe('constructing1')
+      expect(Object.keys(state.addedBuildings)).toEqual([id])
+
+      baseGame.update()
+      state = Array.from(baseGame.serializeState())[0]
+
+      expect(state.contents.buildings[id].progress).toBe(0.5)
+    })
+
+    it('should not place buildings in invalid positions', () => {
+      const baseGame = createGameWithBuildings()
+      const player = TESTING_PLAYERS[0]
+
+      baseGame.addPlayer(player.id, player.meta)
+
+      // Outside of team one's territory.
+      expect(baseGame.placeBuilding(player.id, {
+        type: 'tower', position: { x: 150, y: 150 }
+      })).toBeNull()
+      // Partly outside of the world.
+      expect(baseGame.placeBuilding(player.id, {
+        type: 'tower', position: { x: 5, y: 50 }
+      })).toBeNull()
+    })
+
+    it('should throw if the building type or position is invalid', () => {
+      const baseGame = createGameWithBuildings()
+      const player = TESTING_PLAYERS[0]
+
+      baseGame.addPlayer(player.id, player.meta)
+
+      expect(() => {
+        baseGame.placeBuilding(player.id, { type: 'castle', position: { x: 50, y: 50 } })
+      }).toThrowError(TypeError)
+      expect(() => {
+        baseGame.placeBuilding(player.id, { type: 'tower', position: 'here' })
+      }).toThrowError(TypeError)
+    })
+
+    it('should let enemy units damage and destroy buildings', () => {
+      const baseGame = new BaseGame({
+        id: 'V3RY-UN1QU3-1D',
+        mapConfig: MOCK_GAME_CONFIG,
+        mapExtras: parseMapExtras({
+          data: {
+            unitData: {
+              infantry: {
+                name: 'Infantry',
+                img: 'infantry_img',
+                speed: 0.5,
+                hitPoints: 100,
+                damage: 40,
+                attackRange: 50,
+                attackCooldown: 1
+              }
+            },
+            buildingData: {
+              tower: {
+                name: 'Tower',
+                img: 'tower_img',
+                size: { x: 20, y: 20 },
+                hitPoints: 100,
+                buildTime: 0.5
+              }
+            },
+            modifiersData: {
+              slow: {
+                name: 'Slow',
+                effects: [{ stat: 'speed', type: 'multiply', value: 0.5 }],
+                duration: 1
+              }
+            },
+            startingUnits: ['infantry'],
+            territoryRadius: 100
+          }
+        }),
+        tickRate: 10
+      })
+      const [p1, p2] = TESTING_PLAYERS
+      const deaths = []
+      const stateOf = () => Array.from(baseGame.serializeState()).find(s => s.id === p2.id)
+
+      baseGame.init()
+      baseGame.lastUpdateTime = 0
+      baseGame.addPlayer(p1.id, p1.meta)
+      baseGame.addPlayer(p2.id, p2.meta)
+      baseGame.on('death', death => deaths.push(death))
+
+      const id = baseGame.placeBuilding(p2.id, {
+        type: 'tower', position: { x: 150, y: 150 }
+      })
+
+      expect(baseGame.orderUnits(p2.id, {
+        units: ['unit-2'], order: { kind: 'attack', target: id }
+      })).toBe(0)
+      expect(baseGame.orderUnits(p1.id, {
+        units: ['unit-1'], order: { kind: 'attack', target: id }
+      })).toBe(1)
+      // Buildings can be damaged, but they can't have modifiers.
+      expect(() => baseGame.applyModifier(id, 'slow')).toThrowError(/does not exist/)
+
+      // 1 second is enough for the unit to reach the tower and hit it once.
+      baseGame.runSteps(Math.ceil(1000 / baseGame.timestep))
+      let state = stateOf()
+
+      expect(state.contents.buildings[id].hitPoints).toBe(60)
+      expect(state.contents.buildings[id].stage).toBe('damaged1')
+
+      baseGame.runSteps(Math.ceil(1000 / baseGame.timestep))
+      state = stateOf()
+
+      expect(state.contents.buildings[id].hitPoints).toBe(20)
+      expect(state.contents.buildings[id].stage).toBe('damaged2')
+
+      baseGame.runSteps(Math.ceil(1000 / baseGame.timestep))
+      state = stateOf()
+
+      expect(state.contents.buildings[id]).toBeUndefined()
+      expect(state.removedBuildings).toEqual([id])
+      expect(deaths).toEqual([{
+        id, kind: 'building', team: 'two', killer: p1.id, killerTeam: 'one'
+      }])
+    })
+  })
+
+  describe('when managing resources,', () => {
+    /**
+     * Creates a BaseGame with an economy for testing.
+     * @returns {BaseGame}
+     */
+    function createGameWithEconomy () {
+      const game = new BaseGame({
+        id: 'V3RY-UN1QU3-1D',
+        mapConfig: MOCK_GAME_CONFIG,
+        mapExtras: parseMapExtras({
+          data: {
+            unitData: {
+              infantry: {
+                name: 'Infantry',
+                img: 'infantry_img',
+                speed: 0.1,
+                hitPoints: 100,
+                damage: 10,
+                cost: { gold: 60 }
+              }
+            },
+            buildingData: {
+              tower: {
+                name: 'Tower',
+                img: 'tower_img',
+                size: { x: 20, y: 20 },
+                hitPoints: 100,
+                cost: { gold: 30, wood: 10 }
+              }
+            },
+            startingResources: { gold: 100, wood: 10 },
+            baseIncome: { gold: 5 },
+            incomeInterval: 1,
+            territoryRadius: 100
+          }
+        }),
+        tickRate: 1
+      })
+      game.init()
+
+      return game
+    }
+
+    it('should send the resources of the player\'s team', () => {
+      const baseGame = createGameWithEconomy()
+      const player = TESTING_PLAYERS[0]
+
+      baseGame.addPlayer(player.id, player.meta)
+
+      const state = Array.from(baseGame.serializeState())[0]
+
+      expect(state.contents.resources).toEqual({ gold: 100, wood: 10 })
+    })
+
+    it('should give teams income at every income interval', () => {
+      const baseGame = createGameWithEconomy()
+
+      spyOn(Date, 'now').and.returnValue(2500)
+      baseGame.lastUpdateTime = 0
+      baseGame.update()
+
+      expect(baseGame.getTeamResources()).toEqual({
+        one: { gold: 110, wood: 10 },
+        two: { gold: 110, wood: 10 }
+      })
+    })
+
+    it('should charge teams for units and buildings', () => {
+      const baseGame = createGameWithEconomy()
+      const player = TESTING_PLAYERS[0]
+
+      baseGame.addPlayer(player.id, player.meta)
+
+      expect(baseGame.spawnUnit(player.id, 'infantry')).toBe('unit-1')
+      expect(baseGame.placeBuilding(player.id, {
+        type: 'tower', position: { x: 50, y: 50 }
+      })).toBe('building-1')
+      expect(baseGame.getTeamResources().one).toEqual({ gold: 10, wood: 0 })
+      expect(baseGame.getTeamResources().two).toEqual({ gold: 100, wood: 10 })
+    })
+
+    it('should not spawn units or place buildings that can\'t be afforded', () => {
+      const baseGame = createGameWithEconomy()
+      const player = TESTING_PLAYERS[0]
+
+      baseGame.addPlayer(player.id, player.meta)
+      baseGame.spawnUnit(player.id, 'infantry')
+
+      expect(baseGame.spawnUnit(player.id, 'infantry')).toBeNull()
+      expect(baseGame.placeBuilding(player.id, {
+        type: 'tower', position: { x: 50, y: 50 }
+      })).toBe('building-1')
+      expect(baseGame.placeBuilding(player.id, {
+        type: 'tower', position: { x: 80, y: 50 }
+      })).toBeNull()
+      expect(baseGame.getTeamResources().one).toEqual({ gold: 10, wood: 0 })
+    })
+  })
+
   it('should be able to serialize state for all players', () => {
     const baseGame = createBaseGame()
 
@@ -437,6 +1167,108 @@ describe('The BaseGame class,', () => {
       expect(state.contents).toBeInstanceOf(Object)
       expect(state.contents.self.position).toEqual(expectedPosition)
       expect(state.contents.self.velocity).toEqual(Vector2D.zero())
+      expect(state.contents.modeState).toBeNull()
+      expect(state.tick).toBe(baseGame.stepCount)
+      expect(state.lastProcessedInput).toBe(0)
     }
   })
+
+  describe('when managing spectators,', () => {
+    it('should not count spectators as players', () => {
+      const baseGame = createBaseGame()
+
+      TESTING_PLAYERS.forEach(player => {
+        baseGame.addPlayer(player.id, player.meta)
+      })
+      baseGame.addSpectator('spectator', { name: 'Watcher' })
+
+      expect(baseGame.full).toBeTrue()
+      expect(baseGame.currentPlayers).toBe(4)
+      expect(Array.from(baseGame.allSpectatorNames())).toEqual(['Watcher'])
+      expect(Array.from(baseGame.serializeState()).map(s => s.id))
+        .not.toContain('spectator')
+      expect(baseGame.removeSpectator('spectator')).toBe('Watcher')
+      expect(baseGame.removeSpectator('spectator')).toBeNull()
+    })
+
+    it('should serialize the full state of the game for spectators', () => {
+      const baseGame = createBaseGameWithMapObjects()
+      const [p1, p2] = TESTING_PLAYERS
+
+      baseGame.addPlayer(p1.id, p1.meta)
+      baseGame.addPlayer(p2.id, p2.meta)
+      baseGame.addSpectator('spectator', { name: 'Watcher' })
+
+      const [state] = Array.from(baseGame.serializeSpectatorState())
+
+      expect(state.id).toBe('spectator')
+      expect(Object.keys(state.contents.players)).toEqual([p1.id, p2.id])
+      expect(Object.keys(state.contents.resources)).toEqual(['one', 'two'])
+      expect(Object.keys(state.added)).toEqual([p1.id, p2.id])
+      expect(state.tick).toBe(baseGame.stepCount)
+
+      baseGame.removePlayer(p2.id)
+
+      const [next] = Array.from(baseGame.serializeSpectatorState())
+
+      expect(Object.keys(next.contents.players)).toEqual([p1.id])
+      expect(next.added).toEqual({})
+      expect(next.removed).toEqual([p2.id])
+    })
+  })
+
+  describe('when recording actions,', () => {
+    it('should emit an event for every change made through public methods', () => {
+      const baseGame = createBaseGame()
+      const [p1, p2] = TESTING_PLAYERS
+      const actions = []
+      const direction = { up: true, down: false, left: false, right: false }
+
+      baseGame.on('action', action => actions.push(action))
+      baseGame.addPlayer(p1.id, p1.meta)
+      baseGame.addPlayer(p2.id, p2.meta)
+      baseGame.addInputTo(p1.id, { inputNum: 1, direction })
+      baseGame.removePlayer(p2.id)
+      baseGame.removePlayer('nobody')
+
+      expect(actions.map(a => a.type)).toEqual([
+        'addPlayer', 'addPlayer', 'addInputTo', 'removePlayer'
+      ])
+      expect(actions[0].args).toEqual([p1.id, p1.meta])
+      expect(actions[2].args).toEqual([p1.id, getInputQueue(baseGame._world, p1.id)[0]])
+    })
+
+    it('should have the same state hash as a game with the same actions', () => {
+      const [first, second] = [createBaseGame(), createBaseGame()]
+      const direction = { up: false, down: true, left: false, right: true }
+      const player = TESTING_PLAYERS[0]
+
+      for (const game of [first, second]) {
+        game.addPlayer(player.id, player.meta)
+        game.addInputTo(player.id, { inputNum: 1, direction, timestamp: game.lastUpdateTime })
+        game.runSteps(3)
+      }
+
+      expect(first.getStateHash()).toBe(second.getStateHash())
+
+      second.addInputTo(player.id, { inputNum: 2, direction, timestamp: second.lastUpdateTime })
+      first.runSteps(1)
+      second.runSteps(1)
+
+      expect(first.getStateHash()).not.toBe(second.getStateHash())
+    })
+
+    it('should have a seeded random number generator', () => {
+      const first = new BaseGame({ id: 'one', mapConfig: MOCK_GAME_CONFIG, seed: 42 })
+      const second = new BaseGame({ id: 'two', mapConfig: MOCK_GAME_CONFIG, seed: 42 })
+      const numbers = [first.random(), first.random()]
+
+      expect(first.seed).toBe(42)
+      expect([second.random(), second.random()]).toEqual(numbers)
+
+      first.init()
+
+      expect(first.random()).toBe(numbers[0])
+    })
+  })
 })
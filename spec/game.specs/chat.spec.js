@@ -0,0 +1,66 @@
+/* eslint-env jasmine */
+/**
+ * @fileoverview Specs for the in-game chat.
+ */
+/**
+ * @typedef {import('jasmine')} jasmine
+ */
+
+import { ChatHistory, parseChatRequest } from '../../lib/game/chat.js'
+
+/**
+ * Creates a chat message for testing.
+ * @param {string} team The team of the sender.
+ * @param {'team'|'all'} scope Who should receive the message.
+ * @param {string} message The message.
+ * @returns {import('../../lib/game/chat').ChatMessage}
+ */
+function makeMessage (team, scope, message) {
+  return { from: 'Someone', team, scope, message, sentAt: 0 }
+}
+
+describe('The parseChatRequest() function,', () => {
+  it('should accept valid chat messages and trim them', () => {
+    expect(parseChatRequest({ scope: 'team', message: '  hi  ' }, 10)).toEqual({
+      scope: 'team', message: 'hi'
+    })
+    expect(parseChatRequest({ scope: 'all', message: 'hello' }, 10)).toEqual({
+      scope: 'all', message: 'hello'
+    })
+  })
+
+  it('should reject malformed chat messages with a TypeError', () => {
+    expect(() => parseChatRequest(null, 10)).toThrowError(TypeError)
+    expect(() => parseChatRequest({ scope: 'enemy', message: 'hi' }, 10)).toThrowError(TypeError)
+    expect(() => parseChatRequest({ scope: 'all', message: 12 }, 10)).toThrowError(TypeError)
+  })
+
+  it('should reject empty and long chat messages with a RangeError', () => {
+    expect(() => parseChatRequest({ scope: 'all', message: '   ' }, 10)).toThrowError(RangeError)
+    expect(() => parseChatRequest({ scope: 'all', message: 'a'.repeat(11) }, 10)).toThrowError(RangeError)
+    expect(parseChatRequest({ scope: 'all', message: ` ${'a'.repeat(10)} ` }, 10).message).toHaveSize(10)
+  })
+})
+
+describe('The ChatHistory class,', () => {
+  it('should only keep the latest messages', () => {
+    const history = new ChatHistory(2)
+
+    history.add(makeMessage('one', 'all', '1'))
+    history.add(makeMessage('one', 'all', '2'))
+    history.add(makeMessage('one', 'all', '3'))
+
+    expect(history.visibleTo('one').map(m => m.message)).toEqual(['2', '3'])
+  })
+
+  it("should not show other teams' messages", () => {
+    const history = new ChatHistory()
+
+    history.add(makeMessage('one', 'team', 'secret'))
+    history.add(makeMessage('two', 'all', 'hello'))
+
+    expect(history.visibleTo('one').map(m => m.message)).toEqual(['secret', 'hello'])
+    expect(history.visibleTo('two').map(m => m.message)).toEqual(['hello'])
+    expect(history.visibleTo(null).map(m => m.message)).toEqual(['hello'])
+  })
+})
@@ -0,0 +1,77 @@
+/* eslint-env jasmine */
+/**
+ * @fileoverview Specs for validating client actions.
+ */
+/**
+ * @typedef {import('jasmine')} jasmine
+ */
+
+import { parseClientAction } from '../../lib/game/client-actions.js'
+
+describe('The parseClientAction() function,', () => {
+  it('should treat actions without a type as movement inputs', () => {
+    const action = parseClientAction({
+      inputNum: 3,
+      direction: { up: true, down: false, left: false, right: true }
+    })
+
+    expect(action).toEqual({
+      type: 'input',
+      input: {
+        inputNum: 3,
+        direction: { up: true, down: false, left: false, right: true }
+      }
+    })
+  })
+
+  it('should accept valid unit orders and building placements', () => {
+    const order = {
+      type: 'unit-order',
+      units: ['unit-1', 'unit-2'],
+      order: { kind: 'move', target: { x: 10, y: 20 } }
+    }
+    const placement = {
+      type: 'place-building',
+      building: 'tower',
+      position: { x: 50, y: 50 }
+    }
+
+    expect(parseClientAction(order)).toEqual(order)
+    expect(parseClientAction(placement)).toEqual(placement)
+  })
+
+  it('should throw if the action is not an object', () => {
+    expect(() => parseClientAction(undefined)).toThrowError(TypeError)
+    expect(() => parseClientAction('up')).toThrowError(TypeError)
+    expect(() => parseClientAction([])).toThrowError(TypeError)
+  })
+
+  it('should throw if the action type does not exist', () => {
+    expect(() => parseClientAction({ type: 'teleport' })).toThrowError(TypeError)
+  })
+
+  it('should throw if the action is malformed', () => {
+    // Missing input number.
+    expect(() => parseClientAction({
+      direction: { up: true, down: false, left: false, right: false }
+    })).toThrowError(TypeError)
+    // Unknown properties.
+    expect(() => parseClientAction({
+      inputNum: 1,
+      direction: { up: true, down: false, left: false, right: false },
+      speed: 9001
+    })).toThrowError(TypeError)
+    // Attack orders need the ID of the target.
+    expect(() => parseClientAction({
+      type: 'unit-order',
+      units: ['unit-1'],
+      order: { kind: 'attack', target: { x: 0, y: 0 } }
+    })).toThrowError(TypeError)
+    // Positions must be finite.
+    expect(() => parseClientAction({
+      type: 'place-building',
+      building: 'tower',
+      position: { x: 0, y: Infinity }
+    })).toThrowError(TypeError)
+  })
+})
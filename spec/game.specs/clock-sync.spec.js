@@ -0,0 +1,69 @@
+/* eslint-env jasmine */
+/**
+ * @fileoverview Specs for the ClockSync class, which estimates the clock offset
+ * and round-trip time of clients.
+ */
+/**
+ * @typedef {import('jasmine')} jasmine
+ */
+
+import ClockSync from '../../lib/game/clock-sync.js'
+
+describe('The ClockSync class,', () => {
+  it('should send sync requests at every sync interval', () => {
+    const clock = new ClockSync({ syncInterval: 1000 })
+
+    expect(clock.shouldSync(0)).toBeTrue()
+    expect(clock.makeRequest(0)).toEqual({ serverTime: 0 })
+    expect(clock.shouldSync(999)).toBeFalse()
+    expect(clock.shouldSync(1000)).toBeTrue()
+  })
+
+  it('should estimate the clock offset and round-trip time', () => {
+    const clock = new ClockSync()
+
+    clock.makeRequest(1000)
+
+    // The client's clock is 5000ms ahead, and it took 50ms to respond.
+    expect(clock.addResponse({ serverTime: 1000, clientTime: 6025 }, 1050)).toBeTrue()
+    expect(clock.rtt).toBe(50)
+    expect(clock.offset).toBe(5000)
+
+    clock.makeRequest(2000)
+    clock.addResponse({ serverTime: 2000, clientTime: 7075 }, 2150)
+
+    // New measurements are smoothed.
+    expect(clock.rtt).toBe(70)
+    expect(clock.offset).toBe(5000)
+  })
+
+  it('should ignore responses that are not for the last sync request', () => {
+    const clock = new ClockSync()
+
+    expect(clock.addResponse({ serverTime: 0, clientTime: 0 }, 10)).toBeFalse()
+
+    clock.makeRequest(1000)
+    clock.makeRequest(2000)
+
+    expect(clock.addResponse({ serverTime: 1000, clientTime: 0 }, 2010)).toBeFalse()
+    expect(clock.addResponse({ serverTime: 2000, clientTime: 2005 }, 2010)).toBeTrue()
+    // Each request could only be responded to once.
+    expect(clock.addResponse({ serverTime: 2000, clientTime: 2005 }, 2010)).toBeFalse()
+    expect(clock.rtt).toBe(10)
+  })
+
+  it('should convert client times to server times within the compensation limit', () => {
+    const clock = new ClockSync({ maxCompensation: 200 })
+
+    // The client's clock hasn't been measured yet.
+    expect(clock.toServerTime(500, 1000)).toBe(1000)
+
+    clock.makeRequest(1000)
+    clock.addResponse({ serverTime: 1000, clientTime: 6025 }, 1050)
+
+    expect(clock.toServerTime(5900, 1050)).toBe(900)
+    expect(clock.toServerTime(5100, 1050)).toBe(850)
+    expect(clock.toServerTime(9000, 1050)).toBe(1050)
+    expect(clock.toServerTime(undefined, 1050)).toBe(1050)
+  })
+})
@@ -0,0 +1,189 @@
+/* eslint-env jasmine */
+/**
+ * @fileoverview Specs for the KothGame class.
+ */
+/**
+ * @typedef {import('jasmine')} jasmine
+ */
+
+import { nanoid } from 'nanoid'
+
+import { Vector2D } from 'colonialwars-lib/math'
+import { KothGame } from '../../lib/game/modes/index.js'
+import { parseMapExtras } from '../../lib/game/map-extras.js'
+
+const TESTING_PLAYERS = [
+  { meta: { name: 'GENERAL LOUDSPEAKER', team: 'one' }, id: nanoid() },
+  { meta: { name: 'THISISTHEPOLICE', team: 'two' }, id: nanoid() }
+]
+const MOCK_GAME_CONFIG = {
+  mapName: 'KOTH Game 1',
+  mode: 'KOTH',
+  maxPlayers: 4,
+  description: 'Testing this game.',
+  worldLimits: { x: 200, y: 200 },
+  teams: [
+    {
+      name: 'one',
+      spawnPosition: new Vector2D(0, 0),
+      description: 'Team one.',
+      maxPlayers: 2
+    },
+    {
+      name: 'two',
+      spawnPosition: new Vector2D(200, 200),
+      description: 'Team two.',
+      maxPlayers: 2
+    }
+  ],
+  tileType: 'grass',
+  player: {
+    speed: 0.4
+  }
+}
+const MOCK_MAP_EXTRAS = parseMapExtras({
+  data: {
+    modeData: {
+      rounds: { minPlayers: 1, countdownDuration: 0 },
+      koth: {
+        hill: { position: { x: 0, y: 0 }, radius: 50 },
+        scoreToWin: 2
+      }
+    }
+  }
+})
+
+/**
+ * Creates a KothGame instance for testing.
+ * @returns {KothGame}
+ */
+function createKothGame () {
+  const game = new KothGame({
+    id: 'V3RY-UN1QU3-1D',
+    mapConfig: MOCK_GAME_CONFIG,
+    mapExtras: MOCK_MAP_EXTRAS
+  })
+  game.init()
+
+  return game
+}
+
+/**
+ * Takes a game from the waiting phase to the in-progress phase.
+ * @param {KothGame} game The game to start.
+ */
+function startRound (game) {
+  // Waiting -> countdown -> in progress.
+  game.step(0, 0)
+  game.step(0, 0)
+}
+
+describe('The KothGame class,', () => {
+  it('should require a hill zone', () => {
+    expect(() => {
+      return new KothGame({
+        id: 'V3RY-UN1QU3-1D',
+        mapConfig: MOCK_GAME_CONFIG
+      })
+    }).toThrowError(TypeError)
+  })
+
+  it('should start with no scores and no controlling team', () => {
+    const game = createKothGame()
+
+    expect(game.getModeState()).toEqual({
+      phase: 'waiting',
+      phaseTimeLeft: null,
+      controllingTeam: null,
+      contested: false,
+      scores: { one: 0, two: 0 },
+      scoreToWin: 2,
+      winner: null
+    })
+  })
+
+  it('should not score before the round is in progress', () => {
+    const game = createKothGame()
+
+    TESTING_PLAYERS.forEach(p => game.addPlayer(p.id, p.meta))
+
+    game.step(0, 1000)
+
+    expect(game.phase).toBe('countdown')
+    expect(game.getModeState().scores).toEqual({ one: 0, two: 0 })
+  })
+
+  it('should give control of the hill to the only team on it', () => {
+    const game = createKothGame()
+
+    TESTING_PLAYERS.forEach(p => game.addPlayer(p.id, p.meta))
+
+    startRound(game)
+    game.step(0, 1000)
+
+    const state = game.getModeState()
+
+    expect(state.controllingTeam).toBe('one')
+    expect(state.contested).toBeFalse()
+    expect(state.scores).toEqual({ one: 1, two: 0 })
+  })
+
+  it('should not give control of a contested hill to anyone', () => {
+    const game = createKothGame()
+
+    TESTING_PLAYERS.forEach(p => game.addPlayer(p.id, p.meta))
+
+    // Move the player from team two onto the hill.
+    const entity = game._world.query().with('player').find(e => {
+      return game._world.getComponent('player', { from: e }).team === 'two'
+    }).one()
+    game._world.getComponent('transform2d', { from: entity }).position = new Vector2D(10, 10)
+
+    startRound(game)
+    game.step(0, 1000)
+
+    const state = game.getModeState()
+
+    expect(state.controllingTeam).toBeNull()
+    expect(state.contested).toBeTrue()
+    expect(state.scores).toEqual({ one: 0, two: 0 })
+  })
+
+  it('should end the round when a team reaches the score to win', () => {
+    const game = createKothGame()
+    const onRoundEnd = jasmine.createSpy('onRoundEnd')
+
+    game.on('round-end', onRoundEnd)
+    TESTING_PLAYERS.forEach(p => game.addPlayer(p.id, p.meta))
+
+    startRound(game)
+    game.step(0, 1000)
+
+    expect(onRoundEnd).not.toHaveBeenCalled()
+
+    game.step(1000, 1000)
+
+    expect(onRoundEnd).toHaveBeenCalledOnceWith({ winner: 'one' })
+    expect(game.phase).toBe('finished')
+    expect(game.getModeState().winner).toBe('one')
+    expect(game.acceptingPlayers).toBeFalse()
+
+    // Scores should not change after the round has ended.
+    game.step(2000, 1000)
+
+    expect(game.getModeState().scores).toEqual({ one: 2, two: 0 })
+  })
+
+  it('should include the mode state in serialized state', () => {
+    const game = createKothGame()
+
+    TESTING_PLAYERS.forEach(p => game.addPlayer(p.id, p.meta))
+    startRound(game)
+    game.step(0, 1000)
+
+    for (const state of game.serializeState()) {
+      expect(state.contents.modeState.controllingTeam).toBe('one')
+      expect(state.contents.modeState.scores.one).toBe(1)
+    }
+  })
+})
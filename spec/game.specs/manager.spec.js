@@ -6,9 +6,11 @@
  * @typedef {import('jasmine')} jasmine
  */
 
+import os from 'os'
 import url from 'url'
 import path from 'path'
 import events from 'events'
+import fs from 'fs/promises'
 
 import Manager from '../../lib/game/manager.js'
 import { Vector2D } from 'colonialwars-lib/math'
@@ -27,17 +29,20 @@ const TEST_PLAYERS = [
 
 /**
  * Initializes a manager for a spec.
+ * @param {Partial<import('../../lib/game/manager').ManagerConfig>} [opts] Extra options.
  * @returns {Promise<InstanceType<Manager>>}
  */
-async function initManager () {
+async function initManager (opts = {}) {
   const manager = new Manager({
+    loggers: new MockLoggers(),
+    ...opts,
     maxGames: 2,
     startGames: 1,
-    loggers: new MockLoggers(),
     updateLoopFrequency: 40,
     dataFiles: {
       location: path.join(DIRNAME, '../mocks/external/mock-game-confs'),
-      availableMaps: ['valid-config.json']
+      availableMaps: ['valid-config.json'],
+      ...opts.dataFiles
     }
   })
 
@@ -55,6 +60,25 @@ describe('The Manager class,', () => {
     expect(createdGame).toBeInstanceOf(TeamGame)
   })
 
+  it('should skip invalid maps on initialization', async () => {
+    const logSpy = jasmine.createSpy('logSpy')
+    const loggers = new MockLoggers()
+
+    loggers.on('log', logSpy)
+
+    const manager = await initManager({
+      loggers,
+      dataFiles: { availableMaps: ['invalid-config.json', 'valid-config.json'] }
+    })
+
+    expect(manager.gameMaps.get('game-1')).toBe('valid-config.json')
+    expect(manager.dataFilesCache.maps.has('invalid-config.json')).toBeFalse()
+    expect(logSpy).toHaveBeenCalledOnceWith(jasmine.stringContaining('invalid-config.json'))
+    await expectAsync(initManager({
+      dataFiles: { availableMaps: ['invalid-config.json'] }
+    })).toBeRejectedWithError(/map configs/)
+  })
+
   it('should be able to return all running games', async () => {
     const manager = await initManager()
 
@@ -86,6 +110,179 @@ describe('The Manager class,', () => {
       await expectAsync(promise()).toBeRejectedWithError(RangeError)
       expect(manager._games.size).toBe(2)
     })
+
+    it('should count games that are still loading towards the maximum', async () => {
+      const manager = await initManager()
+      const first = manager.newRandomGame()
+
+      await expectAsync(manager.newRandomGame()).toBeRejectedWithError(RangeError)
+      await expectAsync(first).toBeResolved()
+      expect(manager._games.size).toBe(2)
+    })
+  })
+
+  describe('The .newGame() method,', () => {
+    const MAPS = { dataFiles: { availableMaps: ['valid-config.json', 'valid-config2.json'] } }
+
+    it('should create a game on the specified map', async () => {
+      const manager = await initManager(MAPS)
+      const game = await manager.newGame({ map: 'valid-config2.json' })
+
+      expect(game.name).toBe('Mock Game 2')
+      expect(manager.gameMaps.get('game-2')).toBe('valid-config2.json')
+    })
+
+    it('should reject maps that do not exist or do not have the specified mode', async () => {
+      const manager = await initManager(MAPS)
+
+      await expectAsync(manager.newGame({ map: 'nope.json' })).toBeRejectedWithError(TypeError)
+      await expectAsync(manager.newGame({ mode: 'koth' })).toBeRejectedWithError(TypeError)
+      await expectAsync(manager.newGame({ map: 'valid-config2.json', mode: 'koth' }))
+        .toBeRejectedWithError(TypeError)
+      expect(manager._games.size).toBe(1)
+    })
+  })
+
+  describe('when managing games dynamically,', () => {
+    afterEach(() => {
+      jasmine.clock().uninstall()
+    })
+
+    it('should create a new game once every game is full', async () => {
+      const manager = await initManager()
+      const created = events.once(manager, 'new-game')
+
+      TEST_PLAYERS.forEach(player => manager.addClientTo('game-1', player.socket, player.meta))
+
+      const [game] = await created
+
+      expect(manager._games.size).toBe(2)
+      expect(manager._games.get('game-2')).toBe(game)
+      expect(game.acceptingPlayers).toBeTrue()
+
+      manager.clearClientsFrom('game-1')
+    })
+
+    it('should create a new game once every game is closed', async () => {
+      const manager = await initManager()
+      const game = manager._games.get('game-1')
+      const created = events.once(manager, 'new-game')
+
+      game.closed = true
+      game.emit('round-end', { winner: null })
+
+      await created
+
+      expect(manager._games.size).toBe(2)
+    })
+
+    it('should tear down extra games that stay empty, without reusing their IDs', async () => {
+      jasmine.clock().install()
+
+      const manager = await initManager({ idleGameTimeout: 1000 })
+      const removedSpy = jasmine.createSpy('removedSpy')
+      let created = events.once(manager, 'new-game')
+
+      manager.on('game-removed', removedSpy)
+      TEST_PLAYERS.forEach(player => manager.addClientTo('game-1', player.socket, player.meta))
+      await created
+
+      jasmine.clock().tick(1001)
+      // Game 2 is the only game that could accept players.
+      expect(manager._games.has('game-2')).toBeTrue()
+
+      manager.removeClientFrom('game-1', TEST_PLAYERS[0].socket)
+      jasmine.clock().tick(1001)
+
+      expect(removedSpy).toHaveBeenCalledOnceWith('game-2')
+      expect(manager._games.has('game-2')).toBeFalse()
+      // Game 1 is never torn down, since it's one of the starting games.
+      manager.clearClientsFrom('game-1')
+      jasmine.clock().tick(1001)
+      expect(manager._games.has('game-1')).toBeTrue()
+
+      created = events.once(manager, 'new-game')
+      TEST_PLAYERS.forEach(player => manager.addClientTo('game-1', player.socket, player.meta))
+      await created
+
+      expect(manager._games.has('game-3')).toBeTrue()
+
+      manager.clearClientsFrom('game-1')
+    })
+  })
+
+  describe('when reloading maps,', () => {
+    const MOCK_MAP = path.join(DIRNAME, '../mocks/external/mock-game-confs/valid-config.json')
+    let location = ''
+
+    /**
+     * Writes a new version of the mock map to the temporary map directory.
+     * @param {(map: any) => void} modify A function to modify the map with.
+     */
+    async function editMap (modify) {
+      const map = JSON.parse(await fs.readFile(MOCK_MAP, 'utf-8'))
+      modify(map)
+      await fs.writeFile(path.join(location, 'valid-config.json'), JSON.stringify(map))
+    }
+
+    beforeEach(async () => {
+      location = await fs.mkdtemp(path.join(os.tmpdir(), 'cw-maps-'))
+      await fs.copyFile(MOCK_MAP, path.join(location, 'valid-config.json'))
+    })
+    afterEach(async () => {
+      await fs.rm(location, { recursive: true, force: true })
+    })
+
+    it('should create new games on the new version of the map', async () => {
+      const manager = await initManager({ dataFiles: { location } })
+      const running = manager._games.get('game-1')
+
+      await editMap(map => { map.meta.name = 'Edited Game' })
+
+      expect(await manager.reloadMap('valid-config.json')).toBeTrue()
+      expect(running.name).toBe('Mock Game')
+      expect((await manager.newGame()).name).toBe('Edited Game')
+    })
+
+    it('should switch running games to the new version once their round is over', async () => {
+      const manager = await initManager({ dataFiles: { location } })
+
+      await editMap(map => { map.meta.name = 'Edited Game' })
+      await manager.reloadMap('valid-config.json')
+      manager._games.get('game-1').emit('round-over', { winner: 'one' })
+
+      expect(manager._games.get('game-1').name).toBe('Edited Game')
+    })
+
+    it('should keep the old version of the map if the new version is invalid', async () => {
+      const manager = await initManager({ dataFiles: { location } })
+      const logSpy = jasmine.createSpy('logSpy')
+      const loaded = manager.dataFilesCache.maps.get('valid-config.json')
+
+      manager.loggers.on('log', logSpy)
+      await fs.writeFile(path.join(location, 'valid-config.json'), '{ "configType": ')
+
+      expect(await manager.reloadMap('valid-config.json')).toBeFalse()
+      await editMap(map => { map.meta.mode = 'not-a-mode' })
+      expect(await manager.reloadMap('valid-config.json')).toBeFalse()
+      expect(logSpy).toHaveBeenCalledTimes(2)
+      expect(manager.dataFilesCache.maps.get('valid-config.json')).toBe(loaded)
+    })
+
+    it('should reload maps when they change if the map directory is watched', async () => {
+      const manager = await initManager({ dataFiles: { location } })
+      const reloaded = events.once(manager, 'map-reload')
+
+      manager.watchMaps()
+      await editMap(map => { map.meta.name = 'Edited Game' })
+
+      const [file] = await reloaded
+
+      manager.unwatchMaps()
+      expect(file).toBe('valid-config.json')
+      expect(manager.mapWatcher).toBeNull()
+      expect(manager.dataFilesCache.maps.get(file).config.mapName).toBe('Edited Game')
+    })
   })
 
   describe('The .addClientTo() method,', () => {
@@ -308,6 +505,7 @@ describe('The Manager class,', () => {
         manager.stopUpdateLoop()
 
         expect(manager.updateLoop).toBeNull()
+        expect(manager.sendLoop).toBeNull()
 
         resolve()
       })
@@ -330,6 +528,518 @@ describe('The Manager class,', () => {
     expect(manager._games.get('game-1').currentPlayers).toBe(0)
   })
 
+  it('should remove disconnected players right away if there is no grace period', async () => {
+    const manager = await initManager()
+    const player = TEST_PLAYERS[0]
+
+    manager.addClientTo('game-1', player.socket, player.meta)
+    manager.disconnectClientFrom('game-1', player.socket)
+
+    expect(manager._games.get('game-1').currentPlayers).toBe(0)
+    expect(manager.playerExists(player.meta.name)).toBeFalse()
+    expect(manager.sessions.size).toBe(0)
+  })
+
+  it('should keep disconnected players until their grace period is over', async () => {
+    const manager = await initManager({ reconnectGracePeriod: 1000 })
+    const game = manager._games.get('game-1')
+    const player = TEST_PLAYERS[0]
+
+    jasmine.clock().install()
+
+    const token = manager.addClientTo('game-1', player.socket, player.meta)
+    manager.disconnectClientFrom('game-1', player.socket)
+
+    expect(game.currentPlayers).toBe(1)
+    expect(Array.from(game.allPlayerInfo())[0].connected).toBeFalse()
+    expect(manager.clients.get('game-1').size).toBe(0)
+    expect(manager.playerExists(player.meta.name)).toBeTrue()
+    expect(manager.canReconnect('game-1', token)).toBeTrue()
+
+    jasmine.clock().tick(1001)
+    jasmine.clock().uninstall()
+
+    expect(game.currentPlayers).toBe(0)
+    expect(manager.playerExists(player.meta.name)).toBeFalse()
+    expect(manager.canReconnect('game-1', token)).toBeFalse()
+  })
+
+  it('should let clients reconnect to their player with a reconnect token', async () => {
+    const manager = await initManager({ reconnectGracePeriod: 1000 })
+    const handle = manager.getGame('game-1')
+    const game = manager._games.get('game-1')
+    const [player, { socket: newSocket }] = TEST_PLAYERS
+
+    jasmine.clock().install()
+
+    const token = handle.addPlayer(player.socket, player.meta)
+    handle.disconnectPlayer(player.socket)
+
+    expect(handle.canReconnect('not-a-token')).toBeFalse()
+    expect(manager.reconnectClientTo('game-2', newSocket, token)).toBeNull()
+
+    const newToken = handle.reconnectPlayer(newSocket, token)
+
+    expect(newToken).toEqual(jasmine.any(String))
+    expect(newToken).not.toBe(token)
+    expect(handle.canReconnect(token)).toBeFalse()
+    expect(manager.clients.get('game-1').get(player.socket.id)).toBe(newSocket)
+    expect(Array.from(game.allPlayerInfo())[0].connected).toBeTrue()
+
+    // The player should not be removed once the old grace period is over.
+    jasmine.clock().tick(1001)
+    jasmine.clock().uninstall()
+
+    expect(game.currentPlayers).toBe(1)
+
+    handle.addInputTo(newSocket.id, {
+      inputNum: 1,
+      direction: { up: true, down: false, left: false, right: false }
+    })
+    handle.removePlayer(newSocket)
+
+    expect(game.currentPlayers).toBe(0)
+    expect(manager.sessions.size).toBe(0)
+  })
+
+  it('should disconnect the old client when a player reconnects from another one', async () => {
+    const manager = await initManager({ reconnectGracePeriod: 1000 })
+    const handle = manager.getGame('game-1')
+    const [player, { socket: newSocket }] = TEST_PLAYERS
+
+    player.socket.terminate = jasmine.createSpy('terminate')
+
+    // The old connection is still open.
+    const token = handle.addPlayer(player.socket, player.meta)
+
+    expect(handle.reconnectPlayer(newSocket, token)).toEqual(jasmine.any(String))
+    expect(player.socket.terminate).toHaveBeenCalledOnceWith(4002, 'Reconnected from another connection')
+    expect(manager.clients.get('game-1').get(player.socket.id)).toBe(newSocket)
+
+    // The old client closing should not affect the player.
+    handle.disconnectPlayer(player.socket)
+
+    expect(Array.from(manager._games.get('game-1').allPlayerInfo())[0].connected).toBeTrue()
+
+    handle.removePlayer(newSocket)
+    delete player.socket.terminate
+  })
+
+  it('should send chat messages to the right clients', async () => {
+    const manager = await initManager()
+    const handle = manager.getGame('game-1')
+    const [sender, teammate, enemy, spectator] = TEST_PLAYERS.map(player => {
+      player.socket.send = jasmine.createSpy('send')
+      return player
+    })
+
+    handle.addPlayer(sender.socket, sender.meta)
+    handle.addPlayer(teammate.socket, { ...teammate.meta, team: sender.meta.team })
+    handle.addPlayer(enemy.socket, { ...enemy.meta, team: 'two' })
+    handle.addSpectator(spectator.socket, { name: spectator.meta.name })
+
+    expect(handle.sendChat(sender.socket, { scope: 'team', message: 'attack!' })).toBeTrue()
+    expect(handle.sendChat(sender.socket, { scope: 'all', message: 'gg' })).toBeTrue()
+    // Spectators can't chat.
+    expect(handle.sendChat(spectator.socket, { scope: 'all', message: 'hi' })).toBeFalse()
+
+    const messagesOf = player => player.socket.send.calls.allArgs()
+      .filter(([event]) => event === 'chat')
+      .map(([, data]) => data.message)
+
+    expect(messagesOf(sender)).toEqual(['attack!', 'gg'])
+    expect(messagesOf(teammate)).toEqual(['attack!', 'gg'])
+    expect(messagesOf(enemy)).toEqual(['gg'])
+    expect(messagesOf(spectator)).toEqual(['gg'])
+    expect(handle.getChatHistory(enemy.socket).map(m => m.message)).toEqual(['gg'])
+    expect(handle.getChatHistory(teammate.socket)[0]).toEqual({
+      from: sender.meta.name,
+      team: sender.meta.team,
+      scope: 'team',
+      message: 'attack!',
+      sentAt: jasmine.any(Number)
+    })
+
+    handle.clearPlayers()
+    handle.removeSpectator(spectator.socket)
+    TEST_PLAYERS.forEach(player => delete player.socket.send)
+  })
+
+  it('should pass chat messages through the chat filter', async () => {
+    const manager = await initManager({
+      chatFilter: message => message.message.includes('bad')
+        ? null
+        : message.message.toUpperCase()
+    })
+    const handle = manager.getGame('game-1')
+    const player = TEST_PLAYERS[0]
+
+    player.socket.send = jasmine.createSpy('send')
+    handle.addPlayer(player.socket, player.meta)
+
+    expect(handle.sendChat(player.socket, { scope: 'all', message: 'bad word' })).toBeFalse()
+    expect(handle.sendChat(player.socket, { scope: 'all', message: 'nice' })).toBeTrue()
+    expect(player.socket.send).toHaveBeenCalledWith('chat', jasmine.objectContaining({
+      message: 'NICE'
+    }))
+    expect(handle.getChatHistory(player.socket)).toHaveSize(1)
+
+    handle.removePlayer(player.socket)
+    delete player.socket.send
+  })
+
+  it('should block chat messages that the chat filter makes empty or too long', async () => {
+    const manager = await initManager({
+      chatMaxLength: 10,
+      chatFilter: message => message.message === 'empty' ? '  ' : message.message.repeat(3)
+    })
+    const handle = manager.getGame('game-1')
+    const player = TEST_PLAYERS[0]
+
+    player.socket.send = jasmine.createSpy('send')
+    handle.addPlayer(player.socket, player.meta)
+
+    expect(handle.sendChat(player.socket, { scope: 'all', message: 'empty' })).toBeFalse()
+    expect(handle.sendChat(player.socket, { scope: 'all', message: 'hello' })).toBeFalse()
+    expect(handle.sendChat(player.socket, { scope: 'all', message: 'hi' })).toBeTrue()
+    expect(handle.getChatHistory(player.socket).map(m => m.message)).toEqual(['hihihi'])
+
+    handle.removePlayer(player.socket)
+    delete player.socket.send
+  })
+
+  it('should let clients know when the phase of their game changes', async () => {
+    const manager = await initManager()
+    const game = manager._games.get('game-1')
+    const handle = manager.getGame('game-1')
+    const [player, spectator] = TEST_PLAYERS
+    const sendSpy = jasmine.createSpy('sendSpy')
+    const spectatorSpy = jasmine.createSpy('spectatorSpy')
+
+    player.socket.send = sendSpy
+    manager.addClientTo('game-1', player.socket, player.meta)
+    handle.addSpectator(spectator.socket, { name: spectator.meta.name })
+    spectator.socket.send = spectatorSpy
+
+    game.emit('phase-change', { phase: 'waiting', previous: 'finished', duration: Infinity })
+
+    expect(sendSpy).toHaveBeenCalledOnceWith('phase-change', {
+      phase: 'waiting',
+      previous: 'finished',
+      duration: null
+    })
+    expect(spectatorSpy).toHaveBeenCalledOnceWith('phase-change', {
+      phase: 'waiting',
+      previous: 'finished',
+      duration: null
+    })
+
+    handle.removeSpectator(spectator.socket)
+    delete player.socket.send
+    delete spectator.socket.send
+  })
+
+  it('should send keyframes until clients acknowledge an update, then deltas', async () => {
+    const manager = await initManager()
+    const handle = manager.getGame('game-1')
+    const player = TEST_PLAYERS[0]
+    const sendSpy = jasmine.createSpy('send')
+
+    player.socket.send = sendSpy
+    handle.addPlayer(player.socket, player.meta)
+
+    jasmine.clock().install()
+    manager.startUpdateLoop()
+
+    jasmine.clock().tick(25)
+
+    const first = sendSpy.calls.mostRecent().args[1]
+    expect(sendSpy.calls.mostRecent().args[0]).toBe('update')
+    expect(first.keyframe).toBeTrue()
+    expect(first.baseSeq).toBeNull()
+    expect(first.state.self.name).toBe(player.meta.name)
+
+    expect(handle.ackUpdate(player.socket, first.seq)).toBeTrue()
+    jasmine.clock().tick(25)
+
+    const second = sendSpy.calls.mostRecent().args[1]
+    expect(second.keyframe).toBeFalse()
+    expect(second.baseSeq).toBe(first.seq)
+    expect(second.state.self).toBeUndefined()
+
+    handle.requestKeyframe(player.socket)
+    jasmine.clock().tick(25)
+
+    expect(sendSpy.calls.mostRecent().args[1].keyframe).toBeTrue()
+
+    manager.stopUpdateLoop()
+    jasmine.clock().uninstall()
+    handle.removePlayer(player.socket)
+    delete player.socket.send
+  })
+
+  it('should send the full game state to spectators', async () => {
+    const manager = await initManager()
+    const handle = manager.getGame('game-1')
+    const [player, spectator] = TEST_PLAYERS
+    const sendSpy = jasmine.createSpy('send')
+
+    spectator.socket.send = sendSpy
+    handle.addPlayer(player.socket, player.meta)
+    handle.addSpectator(spectator.socket, { name: spectator.meta.name })
+
+    expect(manager.numClients).toBe(1)
+    expect(manager.numSpectators).toBe(1)
+    expect(handle.currentPlayers).toBe(1)
+    expect(handle.currentSpectators).toBe(1)
+    expect(handle.getSpectators()).toEqual([spectator.meta.name])
+    expect(manager.playerExists(spectator.meta.name)).toBeTrue()
+
+    jasmine.clock().install()
+    manager.startUpdateLoop()
+    jasmine.clock().tick(25)
+
+    const [event, update] = sendSpy.calls.mostRecent().args
+    expect(event).toBe('update')
+    expect(update.keyframe).toBeTrue()
+    expect(update.state.players[player.socket.id].name).toBe(player.meta.name)
+    expect(Object.keys(update.state.resources)).toEqual(['one', 'two'])
+    expect(Object.keys(update.added)).toEqual([player.socket.id])
+
+    manager.stopUpdateLoop()
+    jasmine.clock().uninstall()
+
+    handle.removeSpectator(spectator.socket)
+    handle.removePlayer(player.socket)
+    delete spectator.socket.send
+
+    expect(manager.numSpectators).toBe(0)
+    expect(handle.currentSpectators).toBe(0)
+    expect(manager.playerExists(spectator.meta.name)).toBeFalse()
+  })
+
+  it('should measure client clocks and compensate inputs for latency', async () => {
+    const manager = await initManager()
+    const handle = manager.getGame('game-1')
+    const game = manager._games.get('game-1')
+    const player = TEST_PLAYERS[0]
+    const sendSpy = jasmine.createSpy('send')
+
+    player.socket.send = sendSpy
+    handle.addPlayer(player.socket, player.meta)
+
+    jasmine.clock().install()
+    jasmine.clock().mockDate(new Date(10000))
+    manager.startUpdateLoop()
+    jasmine.clock().tick(25)
+
+    const request = sendSpy.calls.allArgs().find(args => args[0] === 'time-sync')[1]
+    const update = sendSpy.calls.mostRecent().args[1]
+
+    expect(request.serverTime).toBe(10025)
+    expect(update.tick).toBe(game.stepCount)
+    expect(update.lastProcessedInput).toBe(0)
+
+    // The client's clock is 1000ms behind, and it took 40ms to respond.
+    jasmine.clock().tick(40)
+    expect(handle.syncClock(player.socket, {
+      serverTime: request.serverTime, clientTime: 9045
+    })).toBeTrue()
+
+    const addInputSpy = spyOn(game, 'addInputTo')
+
+    handle.addInputTo(player.socket.id, {
+      inputNum: 1,
+      timestamp: 9000,
+      direction: { up: true, down: false, left: false, right: false }
+    })
+
+    manager.stopUpdateLoop()
+    jasmine.clock().uninstall()
+    handle.removePlayer(player.socket)
+    delete player.socket.send
+
+    expect(addInputSpy).toHaveBeenCalledWith(player.socket.id, {
+      inputNum: 1,
+      timestamp: 10000,
+      direction: { up: true, down: false, left: false, right: false }
+    })
+  })
+
+  it('should tell clients when other players leave their view', async () => {
+    const manager = await initManager()
+    const handle = manager.getGame('game-1')
+    const [player, other] = TEST_PLAYERS
+    const sendSpy = jasmine.createSpy('send')
+
+    player.socket.send = sendSpy
+    other.socket.send = () => {}
+    handle.addPlayer(player.socket, player.meta)
+    handle.addPlayer(other.socket, other.meta)
+
+    jasmine.clock().install()
+    manager.startUpdateLoop()
+
+    jasmine.clock().tick(25)
+
+    expect(sendSpy.calls.mostRecent().args[1].added[other.socket.id]).toBeDefined()
+
+    handle.removePlayer(other.socket)
+    jasmine.clock().tick(25)
+
+    expect(sendSpy).toHaveBeenCalledWith('remove-player', { id: other.socket.id })
+
+    manager.stopUpdateLoop()
+    jasmine.clock().uninstall()
+    handle.removePlayer(player.socket)
+    delete player.socket.send
+    delete other.socket.send
+  })
+
+  it('should record the results of a round once it ends', async () => {
+    const manager = await initManager()
+    const game = manager._games.get('game-1')
+
+    game.teams.get('one').resources = { gold: 100 }
+    game.emit('round-end', { winner: 'one' })
+
+    expect(manager.roundResults.get('game-1')).toEqual({
+      id: 'game-1',
+      winner: 'one',
+      endedAt: jasmine.any(Number),
+      resources: { one: { gold: 100 }, two: {} }
+    })
+  })
+
+  it('should reset and reopen a game once its round is over', async () => {
+    const manager = await initManager()
+    const game = manager._games.get('game-1')
+
+    TEST_PLAYERS.forEach(player => manager.addClientTo('game-1', player.socket, player.meta))
+
+    const initSpy = spyOn(game, 'init').and.callThrough()
+
+    game.closed = true
+    game.emit('round-over', { winner: 'one' })
+
+    expect(initSpy).toHaveBeenCalled()
+    expect(game.closed).toBeFalse()
+    expect(game.currentPlayers).toBe(TEST_PLAYERS.length)
+    TEST_PLAYERS.forEach(player => {
+      expect(game.getPlayerNameByID(player.socket.id)).toBe(player.meta.name)
+    })
+  })
+
+  it('should make clients start over when a round restarts on the same map', async () => {
+    const manager = await initManager()
+    const handle = manager.getGame('game-1')
+    const game = manager._games.get('game-1')
+    const player = TEST_PLAYERS[0]
+    const sendSpy = jasmine.createSpy('send')
+
+    player.socket.send = sendSpy
+    handle.addPlayer(player.socket, player.meta)
+
+    jasmine.clock().install()
+    manager.startUpdateLoop()
+    jasmine.clock().tick(25)
+
+    const first = sendSpy.calls.mostRecent().args[1]
+    expect(handle.ackUpdate(player.socket, first.seq)).toBeTrue()
+
+    game.emit('round-over', { winner: 'one' })
+    jasmine.clock().tick(25)
+
+    expect(manager._games.get('game-1')).toBe(game)
+    expect(sendSpy).toHaveBeenCalledWith('map-change', jasmine.objectContaining({
+      worldLimits: game.worldLimits, team: player.meta.team
+    }))
+    expect(sendSpy.calls.mostRecent().args[0]).toBe('update')
+    expect(sendSpy.calls.mostRecent().args[1].keyframe).toBeTrue()
+
+    manager.stopUpdateLoop()
+    jasmine.clock().uninstall()
+    handle.removePlayer(player.socket)
+    delete player.socket.send
+  })
+
+  it('should load the next map of the rotation once a round is over', async () => {
+    const manager = await initManager({
+      dataFiles: { availableMaps: ['valid-config.json', 'valid-config2.json'] }
+    })
+    const previous = manager._games.get('game-1')
+    const sendSpy = jasmine.createSpy('sendSpy')
+    const terminateSpy = jasmine.createSpy('terminateSpy')
+
+    TEST_PLAYERS.forEach(player => {
+      player.socket.send = sendSpy
+      player.socket.terminate = terminateSpy
+      manager.addClientTo('game-1', player.socket, player.meta)
+    })
+    spyOn(manager.mapRotation, 'next').and.returnValue('valid-config2.json')
+    previous.emit('round-over', { winner: 'one' })
+
+    const game = manager._games.get('game-1')
+    const kicked = TEST_PLAYERS[3]
+
+    expect(game).not.toBe(previous)
+    expect(game.name).toBe('Mock Game 2')
+    expect(manager.gameMaps.get('game-1')).toBe('valid-config2.json')
+    expect(game.currentPlayers).toBe(3)
+    expect(Array.from(game.allPlayerInfo()).map(p => p.team)).toEqual(['one', 'red', 'red'])
+    expect(terminateSpy).toHaveBeenCalledOnceWith(4009, 'No room on the next map')
+    expect(manager.clients.get('game-1').has(kicked.socket.id)).toBeFalse()
+    expect(sendSpy).toHaveBeenCalledWith('map-change', jasmine.objectContaining({
+      worldLimits: game.worldLimits, team: 'red'
+    }))
+
+    TEST_PLAYERS.forEach(player => {
+      delete player.socket.send
+      delete player.socket.terminate
+    })
+  })
+
+  it('should save a replay of each round once it is over', async () => {
+    const manager = await initManager({ replayDir: '/tmp/cw-replays' })
+    const game = manager._games.get('game-1')
+    const saveSpy = spyOn(manager, '_saveReplay').and.resolveTo()
+
+    TEST_PLAYERS.forEach(player => manager.addClientTo('game-1', player.socket, player.meta))
+    game.emit('round-over', { winner: 'one' })
+
+    const [gameID, replay] = saveSpy.calls.mostRecent().args
+    const nextReplay = manager.recorders.get('game-1').stop()
+
+    expect(gameID).toBe('game-1')
+    expect(replay.mode).toBe(game.mode)
+    expect(replay.actions.map(a => a[1])).toEqual(TEST_PLAYERS.map(() => 'addPlayer'))
+    expect(nextReplay.actions.map(a => a[1])).toEqual(TEST_PLAYERS.map(() => 'addPlayer'))
+  })
+
+  it('should save the replay of a game when it is removed', async () => {
+    const manager = await initManager({ replayDir: '/tmp/cw-replays' })
+    const saveSpy = spyOn(manager, '_saveReplay').and.resolveTo()
+    const recorder = manager.recorders.get('game-1')
+
+    TEST_PLAYERS.forEach(player => manager.addClientTo('game-1', player.socket, player.meta))
+    manager.removeGame('game-1')
+
+    const [gameID, replay] = saveSpy.calls.mostRecent().args
+
+    expect(saveSpy).toHaveBeenCalledTimes(1)
+    expect(gameID).toBe('game-1')
+    // The replay is saved before the players are removed.
+    expect(replay.actions.map(a => a[1])).toEqual(TEST_PLAYERS.map(() => 'addPlayer'))
+    expect(recorder.stopped).toBeTrue()
+    expect(manager.recorders.has('game-1')).toBeFalse()
+  })
+
+  it('should not record replays if there is no replay directory', async () => {
+    const manager = await initManager()
+
+    expect(manager.recorders.size).toBe(0)
+  })
+
   it('should be able to remove all clients from a game', async () => {
     const manager = await initManager()
 
@@ -0,0 +1,280 @@
+/* eslint-env jasmine */
+/**
+ * @fileoverview Specs for the functions that load server-side map data.
+ */
+/**
+ * @typedef {import('jasmine')} jasmine
+ */
+
+import { findMapExtrasProblems, parseMapExtras } from '../../lib/game/map-extras.js'
+
+describe('The parseMapExtras() function,', () => {
+  it('should default to empty extras', () => {
+    const extras = parseMapExtras({ data: {} })
+
+    expect(extras.modeData).toEqual({
+      rounds: {
+        minPlayers: 2,
+        countdownDuration: 10,
+        roundDuration: 600,
+        finishedDuration: 10
+      }
+    })
+    expect(extras.obstacles).toEqual([])
+    expect(extras.decorations).toEqual([])
+    expect(extras.unitData).toEqual({})
+    expect(extras.startingUnits).toEqual([])
+    expect(extras.buildingData).toEqual({})
+    expect(extras.territoryRadius).toBe(500)
+    expect(extras.playerHitPoints).toBe(100)
+    expect(extras.respawnDelay).toBe(5)
+    expect(extras.modifiersData).toEqual({})
+    expect(extras.startingResources).toEqual({})
+    expect(extras.baseIncome).toEqual({})
+    expect(extras.incomeInterval).toBe(5)
+    expect(extras.resourceNodes).toEqual([])
+  })
+
+  it('should load round data', () => {
+    const extras = parseMapExtras({
+      data: {
+        modeData: {
+          rounds: { minPlayers: 4, roundDuration: 300, scoreToWin: 20 }
+        }
+      }
+    })
+
+    expect(extras.modeData.rounds).toEqual({
+      minPlayers: 4,
+      countdownDuration: 10,
+      roundDuration: 300,
+      finishedDuration: 10,
+      scoreToWin: 20
+    })
+  })
+
+  it('should return a frozen object', () => {
+    const extras = parseMapExtras({ data: {} })
+
+    expect(Object.isFrozen(extras)).toBeTrue()
+    expect(Object.isFrozen(extras.modeData)).toBeTrue()
+  })
+
+  it('should ignore data it does not handle', () => {
+    const extras = parseMapExtras({
+      data: { graphicsData: {}, playerData: { speed: 1 } }
+    })
+
+    expect(extras.graphicsData).toBeUndefined()
+    expect(extras.playerData).toBeUndefined()
+  })
+
+  it('should load obstacles and decorations', () => {
+    const wall = { position: { x: 10, y: 20 }, size: { x: 30, y: 5 }, img: 'wall' }
+    const tree = { position: { x: 50, y: 50 }, size: { x: 8, y: 8 }, img: 'tree' }
+    const extras = parseMapExtras({
+      data: { obstacles: [wall], decorations: [tree] }
+    })
+
+    expect(extras.obstacles).toEqual([wall])
+    expect(extras.decorations).toEqual([tree])
+  })
+
+  it('should not allow map objects without a positive size', () => {
+    expect(() => {
+      parseMapExtras({
+        data: {
+          obstacles: [
+            { position: { x: 0, y: 0 }, size: { x: 0, y: 5 }, img: 'wall' }
+          ]
+        }
+      })
+    }).toThrowError(TypeError, /^Invalid map extras/)
+  })
+
+  it('should load unit data with defaults', () => {
+    const extras = parseMapExtras({
+      data: {
+        unitData: {
+          infantry: { name: 'Infantry', img: 'infantry_img', speed: 0.2, hitPoints: 100 }
+        },
+        startingUnits: ['infantry', 'infantry']
+      }
+    })
+
+    expect(extras.unitData.infantry).toEqual({
+      name: 'Infantry',
+      description: '',
+      img: 'infantry_img',
+      speed: 0.2,
+      mass: 1,
+      radius: 10,
+      hitPoints: 100,
+      damage: 0,
+      attackRange: 50,
+      attackCooldown: 1,
+      cost: {}
+    })
+    expect(extras.startingUnits).toEqual(['infantry', 'infantry'])
+  })
+
+  it('should load building data with defaults', () => {
+    const extras = parseMapExtras({
+      data: {
+        buildingData: {
+          barracks: {
+            name: 'Barracks', img: 'barracks_img', size: { x: 100, y: 80 }, hitPoints: 300
+          }
+        }
+      }
+    })
+
+    expect(extras.buildingData.barracks).toEqual({
+      name: 'Barracks',
+      description: '',
+      img: 'barracks_img',
+      size: { x: 100, y: 80 },
+      hitPoints: 300,
+      buildTime: 10,
+      territoryRadius: 0,
+      cost: {}
+    })
+  })
+
+  it('should load modifier data with defaults', () => {
+    const extras = parseMapExtras({
+      data: {
+        modifiersData: {
+          speed_boost: {
+            name: 'Speed Boost',
+            effects: [{ stat: 'speed', type: 'multiply', value: 1.5 }],
+            duration: 10
+          }
+        }
+      }
+    })
+
+    expect(extras.modifiersData.speed_boost).toEqual({
+      name: 'Speed Boost',
+      description: '',
+      effects: [{ stat: 'speed', type: 'multiply', value: 1.5 }],
+      duration: 10,
+      stacking: 'refresh',
+      maxStacks: 1
+    })
+    expect(() => {
+      parseMapExtras({
+        data: {
+          modifiersData: {
+            flying: { name: 'Flying', effects: [{ stat: 'altitude', type: 'add', value: 1 }] }
+          }
+        }
+      })
+    }).toThrowError(TypeError, /^Invalid map extras/)
+  })
+
+  it('should not allow starting units that do not exist', () => {
+    expect(() => {
+      parseMapExtras({ data: { startingUnits: ['tank'] } })
+    }).toThrowError(TypeError, /^Invalid map extras/)
+  })
+
+  it('should not allow maps that extend unit or building data', () => {
+    expect(() => {
+      parseMapExtras({ meta: { unitDataExtends: 'default' }, data: {} })
+    }).toThrowError(TypeError, /unitDataExtends is not supported/)
+    expect(() => {
+      parseMapExtras({ meta: { buildingDataExtends: 'default' }, data: {} })
+    }).toThrowError(TypeError, /buildingDataExtends is not supported/)
+    expect(() => {
+      parseMapExtras({ meta: { unitDataExtends: 'none', buildingDataExtends: 'none' }, data: {} })
+    }).not.toThrow()
+  })
+
+  it('should load KOTH mode data', () => {
+    const extras = parseMapExtras({
+      data: {
+        modeData: {
+          koth: {
+            hill: { position: { x: 10, y: 20 }, radius: 30 },
+            scoreToWin: 60
+          }
+        }
+      }
+    })
+
+    expect(extras.modeData.koth).toEqual({
+      hill: { position: { x: 10, y: 20 }, radius: 30 },
+      scoreToWin: 60
+    })
+  })
+
+  it('should throw if KOTH mode data is invalid', () => {
+    expect(() => {
+      parseMapExtras({
+        data: {
+          modeData: {
+            koth: { hill: { radius: -1 }, scoreToWin: 60 }
+          }
+        }
+      })
+    }).toThrowError(TypeError, /^Invalid map extras/)
+  })
+
+  it('should load Siege mode data', () => {
+    const siege = {
+      attackers: ['one'],
+      defenders: ['two'],
+      objectives: [
+        { id: 'keep', position: { x: 100, y: 100 }, hitPoints: 500 }
+      ],
+      roundDuration: 300
+    }
+    const extras = parseMapExtras({ data: { modeData: { siege } } })
+
+    expect(extras.modeData.siege).toEqual(siege)
+  })
+
+  it('should not allow Siege objectives with duplicate IDs', () => {
+    expect(() => {
+      parseMapExtras({
+        data: {
+          modeData: {
+            siege: {
+              attackers: ['one'],
+              defenders: ['two'],
+              objectives: [
+                { id: 'keep', position: { x: 0, y: 0 }, hitPoints: 500 },
+                { id: 'keep', position: { x: 10, y: 10 }, hitPoints: 500 }
+              ],
+              roundDuration: 300
+            }
+          }
+        }
+      })
+    }).toThrowError(TypeError, /^Invalid map extras/)
+  })
+})
+
+describe('The findMapExtrasProblems() function,', () => {
+  it('should not find any problems with valid extras', () => {
+    expect(findMapExtrasProblems({ data: {} })).toEqual([])
+  })
+
+  it('should find every problem with the extras, with its path', () => {
+    const problems = findMapExtrasProblems({
+      data: {
+        territoryRadius: -1,
+        startingUnits: ['ghost'],
+        obstacles: [{ position: { x: 0, y: 0 }, img: 'wall' }]
+      }
+    })
+
+    expect(problems.map(p => p.path)).toEqual([
+      ['territoryRadius'],
+      ['obstacles', 0, 'size'],
+      ['startingUnits', 0]
+    ])
+    expect(problems[2].message).toBe('unit type ghost does not exist')
+  })
+})
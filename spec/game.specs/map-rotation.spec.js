@@ -0,0 +1,72 @@
+/* eslint-env jasmine */
+/**
+ * @fileoverview Specs for the MapRotation class.
+ */
+/**
+ * @typedef {import('jasmine')} jasmine
+ */
+
+import MapRotation from '../../lib/game/map-rotation.js'
+
+const MAPS = ['a.json', 'b.json', 'c.json']
+
+describe('The MapRotation class,', () => {
+  it('should not accept unknown strategies or empty rotations', () => {
+    expect(() => new MapRotation({ strategy: 'vote', maps: MAPS })).toThrowError(TypeError)
+    expect(() => new MapRotation({ maps: [] })).toThrowError(RangeError)
+    expect(() => new MapRotation({ strategy: 'playlist', maps: MAPS })).toThrowError(RangeError)
+  })
+
+  it('should pick random maps by default', () => {
+    const rotation = new MapRotation({ maps: MAPS, random: () => 0.5 })
+
+    expect(rotation.strategy).toBe('random')
+    expect(rotation.next()).toBe('b.json')
+  })
+
+  it('should go through the maps in order with the round-robin strategy', () => {
+    const rotation = new MapRotation({ strategy: 'round-robin', maps: MAPS })
+    const picked = [1, 2, 3, 4].map(() => rotation.next())
+
+    expect(picked).toEqual(['a.json', 'b.json', 'c.json', 'a.json'])
+  })
+
+  it('should pick maps based on their weights with the weighted strategy', () => {
+    let random = 0
+    const rotation = new MapRotation({
+      strategy: 'weighted',
+      maps: MAPS,
+      weights: { 'a.json': 0, 'b.json': 3 },
+      random: () => random
+    })
+
+    // c.json has the default weight of 1, so b.json is picked 3/4 of the time.
+    expect(rotation.next()).toBe('b.json')
+    random = 0.74
+    expect(rotation.next()).toBe('b.json')
+    random = 0.76
+    expect(rotation.next()).toBe('c.json')
+  })
+
+  it('should go through the playlist with the playlist strategy', () => {
+    const rotation = new MapRotation({
+      strategy: 'playlist',
+      maps: MAPS,
+      playlist: ['c.json', 'c.json', 'a.json']
+    })
+    const picked = [1, 2, 3, 4].map(() => rotation.next())
+
+    expect(picked).toEqual(['c.json', 'c.json', 'a.json', 'c.json'])
+  })
+
+  it('should only pick maps that pass the filter', () => {
+    const ordered = new MapRotation({ strategy: 'round-robin', maps: MAPS })
+    const random = new MapRotation({ maps: MAPS, random: () => 0.99 })
+
+    expect(ordered.next(map => map !== 'a.json')).toBe('b.json')
+    expect(ordered.next(map => map === 'a.json')).toBe('a.json')
+    expect(ordered.next(() => false)).toBeNull()
+    expect(random.next(map => map !== 'c.json')).toBe('b.json')
+    expect(random.next(() => false)).toBeNull()
+  })
+})
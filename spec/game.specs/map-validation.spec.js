@@ -0,0 +1,113 @@
+/* eslint-env jasmine */
+/**
+ * @fileoverview Specs for the functions that check map config files.
+ */
+/**
+ * @typedef {import('jasmine')} jasmine
+ */
+
+import fs from 'fs'
+import url from 'url'
+import path from 'path'
+
+import { validateMap } from '../../lib/game/map-validation.js'
+
+const DIRNAME = path.dirname(url.fileURLToPath(import.meta.url))
+const VALID_MAP = fs.readFileSync(
+  path.join(DIRNAME, '../mocks/external/mock-game-confs/valid-config.json'),
+  'utf-8'
+)
+
+/**
+ * Returns the paths of the problems with a modified version of the valid mock
+ * map.
+ * @param {(map: any) => void} modify A function to modify the map with.
+ * @returns {Array<string>}
+ */
+function problemsWith (modify) {
+  const map = JSON.parse(VALID_MAP)
+  modify(map)
+  return validateMap(JSON.stringify(map)).map(p => p.path)
+}
+
+describe('The validateMap() function,', () => {
+  it('should not find any problems with valid maps', () => {
+    expect(validateMap(VALID_MAP)).toEqual([])
+  })
+
+  it('should report maps that are not valid JSON', () => {
+    const problems = validateMap('{ "meta": ')
+
+    expect(problems).toHaveSize(1)
+    expect(problems[0].path).toBe('$')
+    expect(problems[0].message).toContain('not valid JSON')
+  })
+
+  it('should report spawn positions outside of the world', () => {
+    expect(problemsWith(map => {
+      map.meta.teams[1].spawnPosition = { x: 201, y: 0 }
+    })).toContain('$.meta.teams[1].spawnPosition')
+  })
+
+  it('should report maps that extend unit or building data', () => {
+    expect(problemsWith(map => {
+      map.meta.unitDataExtends = 'default'
+      map.meta.buildingDataExtends = 'default'
+    })).toEqual(jasmine.arrayContaining([
+      '$.meta.unitDataExtends',
+      '$.meta.buildingDataExtends'
+    ]))
+  })
+
+  it('should report teams that allow more players than the map', () => {
+    expect(problemsWith(map => {
+      map.meta.teams[0].maxPlayers = 3
+    })).toContain('$.meta.teams')
+  })
+
+  it('should report each invalid value in the map extras at its own path', () => {
+    const paths = problemsWith(map => {
+      map.data.territoryRadius = -1
+      map.data.startingUnits = ['ghost']
+      map.data.obstacles = [{ position: { x: 1, y: 1 }, img: 'nope' }]
+    })
+
+    expect(paths).toEqual(jasmine.arrayContaining([
+      '$.data.territoryRadius',
+      '$.data.obstacles[0].size',
+      '$.data.startingUnits[0]'
+    ]))
+    expect(paths).not.toContain('$.data')
+  })
+
+  it('should report graphics that do not exist', () => {
+    expect(problemsWith(map => {
+      map.data.playerData.img = 'nope'
+      map.data.obstacles = [{ position: { x: 1, y: 1 }, size: { x: 1, y: 1 }, img: 'nope' }]
+    })).toEqual(jasmine.arrayContaining(['$.data.playerData.img', '$.data.obstacles[0].img']))
+    expect(problemsWith(map => {
+      map.meta.graphicsDataExtends = 'default'
+      map.data.playerData.img = 'default_img'
+    })).not.toContain('$.data.playerData.img')
+  })
+
+  it('should report missing mode-specific data', () => {
+    expect(problemsWith(map => {
+      map.meta.mode = 'koth'
+    })).toContain('$.data.modeData.koth')
+    expect(problemsWith(map => {
+      map.meta.mode = 'siege'
+    })).toContain('$.data.modeData.siege')
+    expect(problemsWith(map => {
+      map.meta.mode = 'siege'
+      map.data.modeData = {
+        siege: {
+          attackers: ['one'],
+          defenders: ['three'],
+          objectives: [{ id: 'a', position: { x: 1, y: 1 }, hitPoints: 10 }],
+          roundDuration: 60
+        }
+      }
+    })).toContain('$.data.modeData.siege.defenders[0]')
+  })
+})
@@ -0,0 +1,149 @@
+/* eslint-env jasmine */
+/**
+ * @fileoverview Specs for recording and re-simulating replays.
+ */
+
+import fs from 'fs'
+import url from 'url'
+import path from 'path'
+
+import * as games from '../../lib/game/modes/index.js'
+
+import { parseMapExtras } from '../../lib/game/map-extras.js'
+import { ReadonlyMapConfig } from 'colonialwars-lib/mapconfig'
+import {
+  ReplayRecorder,
+  encodeReplay,
+  decodeReplay,
+  runReplay
+} from '../../lib/game/replays.js'
+
+const DIRNAME = path.dirname(url.fileURLToPath(import.meta.url))
+const MAP = fs.readFileSync(
+  path.join(DIRNAME, '../mocks/external/mock-game-confs/valid-config.json'),
+  { encoding: 'utf-8' }
+)
+
+/**
+ * Creates a game from the mock map config, and starts recording it.
+ * @returns {{ game: import('../../lib/game/modes/team-game').default, recorder: ReplayRecorder }}
+ */
+function createRecordedGame () {
+  const game = games.createWithMode('teams', {
+    id: 'replayed',
+    tickRate: 20,
+    mapConfig: new ReadonlyMapConfig(MAP),
+    mapExtras: parseMapExtras(JSON.parse(MAP))
+  })
+  const recorder = new ReplayRecorder(game, { map: MAP, checkpointInterval: 5 })
+
+  return { game, recorder }
+}
+
+/**
+ * Plays a short game with two players moving around.
+ * @param {import('../../lib/game/modes/team-game').default} game The game.
+ */
+function playGame (game) {
+  const direction = { up: false, down: true, left: false, right: true }
+
+  game.addPlayer('p1', { name: 'Player 1', team: 'one' })
+  game.runSteps(3)
+  game.addPlayer('p2', { name: 'Player 2', team: 'two' })
+
+  for (let i = 0; i < 10; i++) {
+    game.addInputTo('p1', { inputNum: i, direction, timestamp: game.lastUpdateTime })
+    game.runSteps(2)
+  }
+
+  game.removePlayer('p2')
+  game.runSteps(4)
+}
+
+describe('The ReplayRecorder class,', () => {
+  it('should record actions with the tick they happened on', () => {
+    const { game, recorder } = createRecordedGame()
+
+    game.addPlayer('p1', { name: 'Player 1', team: 'one' })
+    game.runSteps(2)
+    game.removePlayer('p1')
+
+    const replay = recorder.stop()
+
+    expect(replay.mode).toBe('teams')
+    expect(replay.map).toBe(MAP)
+    expect(replay.seed).toBe(game.seed)
+    expect(replay.startTick).toBe(0)
+    expect(replay.endTick).toBe(2)
+    expect(replay.actions).toEqual([
+      [0, 'addPlayer', ['p1', { name: 'Player 1', team: 'one' }]],
+      [2, 'removePlayer', ['p1']]
+    ])
+  })
+
+  it('should save state hash checkpoints', () => {
+    const { game, recorder } = createRecordedGame()
+
+    playGame(game)
+
+    const replay = recorder.stop()
+
+    expect(replay.checkpoints.map(c => c[0])).toEqual([5, 10, 15, 20, 25, 27])
+    expect(replay.checkpoints[5][1]).toBe(game.getStateHash())
+  })
+
+  it('should stop recording once stopped', () => {
+    const { game, recorder } = createRecordedGame()
+    const replay = recorder.stop()
+
+    game.addPlayer('p1', { name: 'Player 1', team: 'one' })
+    game.runSteps(10)
+
+    expect(replay.actions).toEqual([])
+    expect(recorder.stop()).toBe(replay)
+  })
+})
+
+describe('The runReplay() function,', () => {
+  it('should re-simulate a recorded game exactly', () => {
+    const { game, recorder } = createRecordedGame()
+
+    playGame(game)
+
+    const result = runReplay(recorder.stop())
+
+    expect(result.ok).toBe(true)
+    expect(result.ticks).toBe(27)
+    expect(result.checked).toBe(6)
+    expect(result.desyncs).toEqual([])
+  })
+
+  it('should detect when the re-simulated game desyncs', () => {
+    const { game, recorder } = createRecordedGame()
+
+    playGame(game)
+
+    const replay = recorder.stop()
+    const input = replay.actions.find(a => a[1] === 'addInputTo')[2][1]
+
+    input.direction = { up: true, down: false, left: true, right: false }
+
+    const result = runReplay(replay)
+
+    expect(result.ok).toBe(false)
+    expect(result.desyncs.length).toBeGreaterThan(0)
+    expect(result.desyncs[0].tick).toBe(5)
+  })
+
+  it('should be able to run encoded replays', async () => {
+    const { game, recorder } = createRecordedGame()
+
+    playGame(game)
+
+    const replay = recorder.stop()
+    const decoded = await decodeReplay(await encodeReplay(replay))
+
+    expect(decoded).toEqual(replay)
+    expect(runReplay(decoded).ok).toBe(true)
+  })
+})
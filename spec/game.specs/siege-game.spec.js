@@ -0,0 +1,271 @@
+/* eslint-env jasmine */
+/**
+ * @fileoverview Specs for the SiegeGame class.
+ */
+/**
+ * @typedef {import('jasmine')} jasmine
+ */
+
+import { Vector2D } from 'colonialwars-lib/math'
+import { SiegeGame } from '../../lib/game/modes/index.js'
+import { parseMapExtras } from '../../lib/game/map-extras.js'
+
+const MOCK_GAME_CONFIG = {
+  mapName: 'Siege Game 1',
+  mode: 'Siege',
+  maxPlayers: 4,
+  description: 'Testing this game.',
+  worldLimits: { x: 200, y: 200 },
+  teams: [
+    {
+      name: 'one',
+      spawnPosition: new Vector2D(0, 0),
+      description: 'Team one.',
+      maxPlayers: 2
+    },
+    {
+      name: 'two',
+      spawnPosition: new Vector2D(200, 200),
+      description: 'Team two.',
+      maxPlayers: 2
+    }
+  ],
+  tileType: 'grass',
+  player: {
+    speed: 0.4
+  }
+}
+
+/**
+ * Creates siege map extras for testing. Every player starts with a ram, which
+ * is fast enough to reach the objectives within a round.
+ * @param {Record<string, any>} [overrides] Siege data to override.
+ * @returns {import('../../lib/game/map-extras').MapExtras}
+ */
+function createExtras (overrides) {
+  return parseMapExtras({
+    data: {
+      unitData: {
+        ram: {
+          name: 'Ram',
+          img: 'ram_img',
+          speed: 0.5,
+          hitPoints: 100,
+          damage: 25,
+          attackRange: 20,
+          attackCooldown: 0.5
+        }
+      },
+      startingUnits: ['ram'],
+      modeData: {
+        rounds: { minPlayers: 1, countdownDuration: 0 },
+        siege: {
+          attackers: ['one'],
+          defenders: ['two'],
+          objectives: [
+            { id: 'keep', position: { x: 180, y: 180 }, hitPoints: 100 },
+            { id: 'gate', position: { x: 150, y: 150 }, hitPoints: 50 }
+          ],
+          roundDuration: 10,
+          ...overrides
+        }
+      }
+    }
+  })
+}
+
+/**
+ * Creates a SiegeGame instance for testing.
+ * @returns {SiegeGame}
+ */
+function createSiegeGame () {
+  const game = new SiegeGame({
+    id: 'V3RY-UN1QU3-1D',
+    mapConfig: MOCK_GAME_CONFIG,
+    mapExtras: createExtras()
+  })
+  game.init()
+
+  return game
+}
+
+/**
+ * Adds a player and takes a game from the waiting phase to the in-progress phase.
+ * @param {SiegeGame} game The game to start.
+ */
+function startRound (game) {
+  game.addPlayer('1', { name: 'attacker', team: 'one' })
+  // Waiting -> countdown -> in progress.
+  game.step(0, 0)
+  game.step(0, 0)
+}
+
+describe('The SiegeGame class,', () => {
+  it('should require siege data', () => {
+    expect(() => {
+      return new SiegeGame({
+        id: 'V3RY-UN1QU3-1D',
+        mapConfig: MOCK_GAME_CONFIG
+      })
+    }).toThrowError(TypeError)
+  })
+
+  it('should not allow roles for teams that do not exist', () => {
+    expect(() => {
+      return new SiegeGame({
+        id: 'V3RY-UN1QU3-1D',
+        mapConfig: MOCK_GAME_CONFIG,
+        mapExtras: createExtras({ defenders: ['three'] })
+      })
+    }).toThrowError(TypeError, /does not exist/)
+  })
+
+  it('should not allow a team to be both attacker and defender', () => {
+    expect(() => {
+      return new SiegeGame({
+        id: 'V3RY-UN1QU3-1D',
+        mapConfig: MOCK_GAME_CONFIG,
+        mapExtras: createExtras({ defenders: ['two', 'one'] })
+      })
+    }).toThrowError(TypeError, /both attacker and defender/)
+  })
+
+  it('should assign roles to teams', () => {
+    const game = createSiegeGame()
+
+    expect(game.getRoleOf('one')).toBe('attackers')
+    expect(game.getRoleOf('two')).toBe('defenders')
+    expect(game.getRoleOf('three')).toBeNull()
+  })
+
+  it('should count down the round timer', () => {
+    const game = createSiegeGame()
+
+    startRound(game)
+
+    expect(game.getModeState().phaseTimeLeft).toBe(10000)
+
+    game.step(0, 2500)
+
+    expect(game.getModeState().phaseTimeLeft).toBe(7500)
+  })
+
+  it('should let the defenders win when the timer expires', () => {
+    const game = createSiegeGame()
+    const onRoundEnd = jasmine.createSpy('onRoundEnd')
+
+    game.on('round-end', onRoundEnd)
+    startRound(game)
+    game.step(0, 11000)
+
+    expect(onRoundEnd).toHaveBeenCalledOnceWith({ winner: 'defenders' })
+    expect(game.phase).toBe('finished')
+    expect(game.getModeState().winner).toBe('defenders')
+    expect(game.acceptingPlayers).toBeFalse()
+  })
+
+  it('should let the attackers win when all objectives are destroyed', () => {
+    const game = createSiegeGame()
+    const onRoundEnd = jasmine.createSpy('onRoundEnd')
+
+    game.on('round-end', onRoundEnd)
+    startRound(game)
+    game.damageObjective('gate', 80)
+
+    expect(onRoundEnd).not.toHaveBeenCalled()
+    expect(game.getModeState().objectives).toEqual([
+      { id: 'keep', position: { x: 180, y: 180 }, hitPoints: 100, maxHitPoints: 100 },
+      { id: 'gate', position: { x: 150, y: 150 }, hitPoints: 0, maxHitPoints: 50 }
+    ])
+
+    game.damageObjective('keep', 100)
+
+    expect(onRoundEnd).toHaveBeenCalledOnceWith({ winner: 'attackers' })
+    expect(game.getModeState().winner).toBe('attackers')
+
+    // The timer should not run after the round has ended.
+    game.step(0, 11000)
+
+    expect(onRoundEnd).toHaveBeenCalledTimes(1)
+  })
+
+  it('should let attacking units destroy the objectives and win the round', () => {
+    const game = createSiegeGame()
+    const onRoundEnd = jasmine.createSpy('onRoundEnd')
+
+    game.on('round-end', onRoundEnd)
+    startRound(game)
+
+    expect(game.orderUnits('1', {
+      units: ['unit-1'], order: { kind: 'attack', target: 'gate' }
+    })).toBe(1)
+
+    // 1.5 seconds is enough for the ram to reach the gate and hit it twice.
+    game.runSteps(Math.ceil(1500 / game.timestep))
+
+    expect(game.getModeState().objectives[1].hitPoints).toBe(0)
+    expect(onRoundEnd).not.toHaveBeenCalled()
+
+    game.orderUnits('1', { units: ['unit-1'], order: { kind: 'attack', target: 'keep' } })
+    game.runSteps(Math.ceil(5000 / game.timestep))
+
+    expect(game.getModeState().objectives[0].hitPoints).toBe(0)
+    expect(onRoundEnd).toHaveBeenCalledOnceWith({ winner: 'attackers' })
+    expect(game.getModeState().winner).toBe('attackers')
+  })
+
+  it('should not let defending units attack their own objectives', () => {
+    const game = createSiegeGame()
+
+    startRound(game)
+    game.addPlayer('2', { name: 'defender', team: 'two' })
+
+    expect(game.orderUnits('2', {
+      units: ['unit-2'], order: { kind: 'attack', target: 'keep' }
+    })).toBe(0)
+  })
+
+  it('should not damage objectives before the round is in progress', () => {
+    const game = createSiegeGame()
+
+    game.damageObjective('gate', 10)
+
+    expect(game.getModeState().objectives[1].hitPoints).toBe(50)
+  })
+
+  it('should throw when damaging an objective that does not exist', () => {
+    const game = createSiegeGame()
+
+    expect(() => game.damageObjective('nope', 10)).toThrowError(/does not exist/)
+  })
+
+  it('should restore objectives and the timer on initialization', () => {
+    const game = createSiegeGame()
+
+    startRound(game)
+    game.damageObjective('gate', 10)
+    game.step(0, 1000)
+    game.init()
+
+    const state = game.getModeState()
+
+    expect(state.phase).toBe('waiting')
+    expect(state.objectives.every(o => o.hitPoints === o.maxHitPoints)).toBeTrue()
+    expect(state.winner).toBeNull()
+  })
+
+  it('should send the round state to every client', () => {
+    const game = createSiegeGame()
+
+    startRound(game)
+    game.addPlayer('2', { name: 'defender', team: 'two' })
+
+    const states = Array.from(game.serializeState())
+
+    expect(states).toHaveSize(2)
+    states.forEach(state => {
+      expect(state.contents.modeState.roles).toEqual({ one: 'attackers', two: 'defenders' })
+      expect(state.contents.modeState.phaseTimeLeft).toBe(10000)
+    })
+  })
+})
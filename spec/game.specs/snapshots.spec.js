@@ -0,0 +1,123 @@
+/* eslint-env jasmine */
+/**
+ * @fileoverview Specs for the functions and classes that delta-compress state updates.
+ */
+/**
+ * @typedef {import('jasmine')} jasmine
+ */
+
+import SnapshotHistory, { diffSnapshots } from '../../lib/game/snapshots.js'
+
+/**
+ * Creates a state for testing.
+ * @param {number} x The x-coordinate of the player.
+ * @param {string} [phase] The current phase.
+ * @returns {Record<string, any>}
+ */
+function createState (x, phase = 'waiting') {
+  return {
+    self: { name: 'GENERAL LOUDSPEAKER', position: { x, y: 0 } },
+    modeState: { phase, scores: { one: 0, two: 0 } }
+  }
+}
+
+describe('The diffSnapshots() function,', () => {
+  it('should only include properties that changed', () => {
+    const delta = diffSnapshots(createState(0), createState(10))
+
+    expect(delta).toEqual({ self: { position: { x: 10 } } })
+  })
+
+  it('should return an empty object if nothing changed', () => {
+    expect(diffSnapshots(createState(0), createState(0))).toEqual({})
+  })
+
+  it('should compare arrays and values that change type as a whole', () => {
+    const delta = diffSnapshots(
+      { list: [1, 2, 3], modeState: null },
+      { list: [1, 2, 4], modeState: { phase: 'waiting' } }
+    )
+
+    expect(delta).toEqual({ list: [1, 2, 4], modeState: { phase: 'waiting' } })
+  })
+})
+
+describe('The SnapshotHistory class,', () => {
+  it('should send keyframes until an update is acknowledged', () => {
+    const history = new SnapshotHistory()
+
+    const first = history.makeUpdate(createState(0))
+    const second = history.makeUpdate(createState(10))
+
+    expect(first).toEqual({ seq: 1, baseSeq: null, keyframe: true, state: createState(0) })
+    expect(second).toEqual({ seq: 2, baseSeq: null, keyframe: true, state: createState(10) })
+  })
+
+  it('should send deltas from the last acknowledged update', () => {
+    const history = new SnapshotHistory()
+
+    history.makeUpdate(createState(0))
+    history.makeUpdate(createState(10))
+
+    expect(history.ack(1)).toBeTrue()
+    expect(history.makeUpdate(createState(20, 'countdown'))).toEqual({
+      seq: 3,
+      baseSeq: 1,
+      keyframe: false,
+      state: {
+        self: { position: { x: 20 } },
+        modeState: { phase: 'countdown' }
+      }
+    })
+  })
+
+  it('should not be affected by changes to the state after an update was made', () => {
+    const history = new SnapshotHistory()
+    const state = createState(0)
+
+    history.makeUpdate(state)
+    history.ack(1)
+    state.self.position.x = 10
+
+    expect(history.makeUpdate(state).state).toEqual({ self: { position: { x: 10 } } })
+  })
+
+  it('should ignore acknowledgements of unknown or outdated updates', () => {
+    const history = new SnapshotHistory()
+
+    history.makeUpdate(createState(0))
+    history.makeUpdate(createState(10))
+
+    expect(history.ack(3)).toBeFalse()
+    expect(history.ack(2)).toBeTrue()
+    expect(history.ack(1)).toBeFalse()
+    expect(history.ackedSeq).toBe(2)
+  })
+
+  it('should send a keyframe when one is requested', () => {
+    const history = new SnapshotHistory()
+
+    history.makeUpdate(createState(0))
+    history.ack(1)
+    history.requestKeyframe()
+
+    const update = history.makeUpdate(createState(10))
+
+    expect(update.keyframe).toBeTrue()
+    expect(update.state).toEqual(createState(10))
+  })
+
+  it('should send a keyframe if the client falls too far behind', () => {
+    const history = new SnapshotHistory({ maxHistory: 3 })
+
+    history.makeUpdate(createState(0))
+    history.ack(1)
+    history.makeUpdate(createState(1))
+    history.makeUpdate(createState(2))
+
+    // The last acknowledged snapshot is dropped here, but this update could
+    // still be based on it.
+    expect(history.makeUpdate(createState(3)).baseSeq).toBe(1)
+    expect(history.makeUpdate(createState(4)).keyframe).toBeTrue()
+  })
+})
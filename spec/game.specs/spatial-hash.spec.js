@@ -0,0 +1,67 @@
+/* eslint-env jasmine */
+/**
+ * @fileoverview Specs for the SpatialHash class.
+ */
+/**
+ * @typedef {import('jasmine')} jasmine
+ */
+
+import SpatialHash from '../../lib/game/spatial-hash.js'
+
+/**
+ * Creates bounds with the specified top-left corner and size.
+ * @param {number} x The x-coordinate of the left edge.
+ * @param {number} y The y-coordinate of the top edge.
+ * @param {number} size The width and height of the bounds.
+ * @returns {import('../../lib/game/spatial-hash').Bounds}
+ */
+function boundsAt (x, y, size) {
+  return { left: x, top: y, right: x + size, bottom: y + size }
+}
+
+describe('The SpatialHash class,', () => {
+  it('should not accept a cell size that is not positive', () => {
+    expect(() => new SpatialHash(0)).toThrowError(RangeError)
+    expect(() => new SpatialHash(-10)).toThrowError(RangeError)
+  })
+
+  it('should find items in the cells that the query bounds overlap', () => {
+    const hash = new SpatialHash(100)
+
+    hash.insert('a', boundsAt(10, 10, 20))
+    hash.insert('b', boundsAt(150, 10, 20))
+    hash.insert('c', boundsAt(500, 500, 20))
+
+    expect(hash.query(boundsAt(0, 0, 50))).toEqual(new Set(['a']))
+    expect(hash.query(boundsAt(50, 0, 100))).toEqual(new Set(['a', 'b']))
+  })
+
+  it('should put items in every cell that they overlap', () => {
+    const hash = new SpatialHash(100)
+
+    hash.insert('big', boundsAt(50, 50, 200))
+
+    expect(hash.query(boundsAt(0, 0, 10))).toEqual(new Set(['big']))
+    expect(hash.query(boundsAt(240, 240, 10))).toEqual(new Set(['big']))
+  })
+
+  it('should only yield each pair of nearby items once', () => {
+    const hash = new SpatialHash(100)
+
+    // These two items share four cells.
+    hash.insert('a', boundsAt(90, 90, 20))
+    hash.insert('b', boundsAt(95, 95, 20))
+    hash.insert('far', boundsAt(900, 900, 20))
+
+    expect(Array.from(hash.pairs())).toEqual([['a', 'b']])
+  })
+
+  it('should be able to remove all items', () => {
+    const hash = new SpatialHash(100)
+
+    hash.insert('a', boundsAt(10, 10, 20))
+    hash.clear()
+
+    expect(hash.query(boundsAt(0, 0, 100)).size).toBe(0)
+  })
+})
@@ -0,0 +1,236 @@
+/* eslint-env jasmine */
+/**
+ * @fileoverview Specs for the TeamGame class.
+ */
+/**
+ * @typedef {import('jasmine')} jasmine
+ */
+
+import { nanoid } from 'nanoid'
+
+import { Vector2D } from 'colonialwars-lib/math'
+import { TeamGame, Phases } from '../../lib/game/modes/index.js'
+import { parseMapExtras } from '../../lib/game/map-extras.js'
+
+const TESTING_PLAYERS = [
+  { meta: { name: 'GENERAL LOUDSPEAKER', team: 'one' }, id: nanoid() },
+  { meta: { name: 'THISISTHEPOLICE', team: 'two' }, id: nanoid() }
+]
+const MOCK_GAME_CONFIG = {
+  mapName: 'Team Game 1',
+  mode: 'Teams',
+  maxPlayers: 4,
+  description: 'Testing this game.',
+  worldLimits: { x: 200, y: 200 },
+  teams: [
+    {
+      name: 'one',
+      spawnPosition: new Vector2D(0, 0),
+      description: 'Team one.',
+      maxPlayers: 2
+    },
+    {
+      name: 'two',
+      spawnPosition: new Vector2D(200, 200),
+      description: 'Team two.',
+      maxPlayers: 2
+    }
+  ],
+  tileType: 'grass',
+  player: {
+    speed: 0.4
+  }
+}
+
+/**
+ * Creates a TeamGame instance for testing.
+ * @param {Record<string, any>} [extras] Other map extras to use.
+ * @returns {TeamGame}
+ */
+function createTeamGame (extras) {
+  const game = new TeamGame({
+    id: 'V3RY-UN1QU3-1D',
+    mapConfig: MOCK_GAME_CONFIG,
+    mapExtras: parseMapExtras({
+      data: {
+        ...extras,
+        modeData: {
+          rounds: {
+            minPlayers: 2,
+            countdownDuration: 1,
+            roundDuration: 10,
+            finishedDuration: 2,
+            scoreToWin: 5
+          }
+        }
+      }
+    })
+  })
+  game.init()
+
+  return game
+}
+
+/**
+ * Adds all testing players and takes a game to the in-progress phase.
+ * @param {TeamGame} game The game to start.
+ */
+function startRound (game) {
+  TESTING_PLAYERS.forEach(p => game.addPlayer(p.id, p.meta))
+  game.step(0, 0)
+  game.step(0, 1000)
+}
+
+describe('The TeamGame class,', () => {
+  it('should start by waiting for players', () => {
+    const game = createTeamGame()
+
+    expect(game.phase).toBe(Phases.WAITING)
+
+    game.addPlayer(TESTING_PLAYERS[0].id, TESTING_PLAYERS[0].meta)
+    game.step(0, 1000)
+
+    expect(game.phase).toBe(Phases.WAITING)
+  })
+
+  it('should count down once there are enough players', () => {
+    const game = createTeamGame()
+    const onPhaseChange = jasmine.createSpy('onPhaseChange')
+
+    game.on('phase-change', onPhaseChange)
+    TESTING_PLAYERS.forEach(p => game.addPlayer(p.id, p.meta))
+
+    game.step(0, 100)
+
+    expect(game.phase).toBe(Phases.COUNTDOWN)
+    expect(onPhaseChange).toHaveBeenCalledOnceWith({
+      phase: Phases.COUNTDOWN,
+      previous: Phases.WAITING,
+      duration: 1000
+    })
+
+    game.step(100, 1000)
+
+    expect(game.phase).toBe(Phases.IN_PROGRESS)
+    expect(game.phaseTimeLeft).toBe(10000)
+  })
+
+  it('should go back to waiting if players leave during the countdown', () => {
+    const game = createTeamGame()
+
+    TESTING_PLAYERS.forEach(p => game.addPlayer(p.id, p.meta))
+    game.step(0, 100)
+
+    expect(game.phase).toBe(Phases.COUNTDOWN)
+
+    game.removePlayer(TESTING_PLAYERS[1].id)
+    game.step(100, 100)
+
+    expect(game.phase).toBe(Phases.WAITING)
+  })
+
+  it('should only keep score while a round is in progress', () => {
+    const game = createTeamGame()
+
+    game.addScore('one', 1)
+
+    expect(game.getModeState().scores).toEqual({ one: 0, two: 0 })
+
+    startRound(game)
+    game.addScore('one', 1)
+
+    expect(game.getModeState().scores).toEqual({ one: 1, two: 0 })
+    expect(() => game.addScore('three', 1)).toThrowError(TypeError)
+  })
+
+  it('should score a point for every enemy killed during a round', () => {
+    const game = createTeamGame({
+      unitData: {
+        infantry: { name: 'Infantry', img: 'infantry_img', speed: 0.1, hitPoints: 10 }
+      },
+      startingUnits: ['infantry'],
+      playerHitPoints: 10
+    })
+    const [p1, p2] = TESTING_PLAYERS
+
+    // Killed before the round starts; doesn't count.
+    TESTING_PLAYERS.forEach(p => game.addPlayer(p.id, p.meta))
+    game.damage('unit-2', 10, 'unit-1')
+    game.step(0, 0)
+    game.step(0, 1000)
+
+    // Unit 1 belongs to player 1 (team one), unit 2 belonged to player 2.
+    game.damage(p2.id, 10, 'unit-1')
+    game.spawnUnit(p1.id, 'infantry')
+    game.damage('unit-3', 10, 'unit-1')
+
+    expect(game.phase).toBe(Phases.IN_PROGRESS)
+    expect(game.getModeState().scores).toEqual({ one: 1, two: 0 })
+  })
+
+  it('should end the round when a team reaches the score to win', () => {
+    const game = createTeamGame()
+    const onRoundEnd = jasmine.createSpy('onRoundEnd')
+
+    game.on('round-end', onRoundEnd)
+    startRound(game)
+    game.addScore('two', 5)
+
+    expect(onRoundEnd).toHaveBeenCalledOnceWith({ winner: 'two' })
+    expect(game.phase).toBe(Phases.FINISHED)
+    expect(game.acceptingPlayers).toBeFalse()
+  })
+
+  it('should let the leading team win when the round timer expires', () => {
+    const game = createTeamGame()
+
+    startRound(game)
+    game.addScore('one', 3)
+    game.addScore('two', 1)
+    game.step(0, 10000)
+
+    expect(game.phase).toBe(Phases.FINISHED)
+    expect(game.winner).toBe('one')
+  })
+
+  it('should end in a draw if scores are tied when the round timer expires', () => {
+    const game = createTeamGame()
+
+    startRound(game)
+    game.step(0, 10000)
+
+    expect(game.phase).toBe(Phases.FINISHED)
+    expect(game.winner).toBeNull()
+  })
+
+  it('should emit "round-over" once after the finished phase elapses', () => {
+    const game = createTeamGame()
+    const onRoundOver = jasmine.createSpy('onRoundOver')
+
+    game.on('round-over', onRoundOver)
+    startRound(game)
+    game.addScore('one', 5)
+
+    game.step(0, 1000)
+
+    expect(onRoundOver).not.toHaveBeenCalled()
+
+    game.step(1000, 1000)
+    game.step(2000, 1000)
+
+    expect(onRoundOver).toHaveBeenCalledOnceWith({ winner: 'one' })
+  })
+
+  it('should reset the round on initialization', () => {
+    const game = createTeamGame()
+
+    startRound(game)
+    game.addScore('one', 5)
+    game.init()
+
+    expect(game.phase).toBe(Phases.WAITING)
+    expect(game.winner).toBeNull()
+    expect(game.currentPlayers).toBe(0)
+    expect(game.getModeState().scores).toEqual({ one: 0, two: 0 })
+  })
+})
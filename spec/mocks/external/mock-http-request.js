@@ -8,6 +8,7 @@
  * @prop {string} url
  * @prop {string} method
  * @prop {URLSearchParams} query
+ * @prop {any} [body] The parsed request body.
  * @prop {string} socketRemoteAddr
  * @prop {Object<string, string>} headers
  * @prop {ReturnType<import('forwarded-parse')>} forwardedRecords
@@ -21,6 +22,7 @@ export default class MockHTTPRequest {
   constructor (opts) {
     this.url = opts.url
     this.query = opts.query
+    this.body = opts.body
     this.method = opts.method
     this.forwardedRecords = opts.forwardedRecords
 
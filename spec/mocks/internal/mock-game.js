@@ -9,6 +9,12 @@
  * @prop {number} maxPlayers
  * @prop {number} currentPlayers
  *
+ * @typedef {Object} PlayerScore
+ * @prop {string} name
+ * @prop {string} team
+ * @prop {number} kills
+ * @prop {number} deaths
+ *
  * @typedef {Object} MockGameOpts
  * @prop {string} id
  * @prop {string} name
@@ -17,6 +23,9 @@
  * @prop {number} maxPlayers
  * @prop {number} currentPlayers
  * @prop {Array<Team>} teams
+ * @prop {Record<string, any>} [modeState]
+ * @prop {Array<PlayerScore>} [players]
+ * @prop {Array<string>} [spectators] The names of the spectators.
  */
 
 /**
@@ -32,6 +41,9 @@ export default class MockGame {
 
     this.maxPlayers = opts.maxPlayers
     this.currentPlayers = opts.currentPlayers
+    this.modeState = opts.modeState || null
+    this.players = opts.players || []
+    this.spectators = opts.spectators || []
 
     this.info = {
       id: opts.id,
@@ -48,6 +60,30 @@ export default class MockGame {
     return Object.freeze(this.info)
   }
 
+  /**
+   * Gets the mode-specific state of this game.
+   * @returns {Record<string, any>|null}
+   */
+  getModeState () {
+    return this.modeState
+  }
+
+  /**
+   * Gets the kill and death counts of the players in this game.
+   * @returns {Array<PlayerScore>}
+   */
+  getPlayerScores () {
+    return this.players
+  }
+
+  /**
+   * Gets the names of the spectators watching this game.
+   * @returns {Array<string>}
+   */
+  getSpectators () {
+    return this.spectators
+  }
+
   /**
    * Gets info about teams.
    * @returns {Array<{ name: string, full: boolean }>}
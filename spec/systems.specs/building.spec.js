@@ -0,0 +1,177 @@
+/* eslint-env jasmine */
+/**
+ * @fileoverview Specs for building systems.
+ */
+/**
+ * @typedef {import('jasmine')} jasmine
+ */
+
+import World from 'colonialwars-lib/ecs'
+import Health from '../../lib/game/components/health.js'
+import Building from '../../lib/game/components/building.js'
+import * as PhysicsComponents from '../../lib/game/components/physics.js'
+
+import * as BuildingSystems from '../../lib/game/systems/building.js'
+
+const TEST_BUILDING_DATA = {
+  name: 'Barracks',
+  description: '',
+  img: 'barracks_img',
+  size: { x: 100, y: 100 },
+  hitPoints: 300,
+  buildTime: 10,
+  territoryRadius: 400
+}
+
+/**
+ * Sets a world up for building specs.
+ * @returns {World}
+ */
+function setUpForBuildings () {
+  const world = new World()
+
+  world.registerComponent('transform2d', PhysicsComponents.Transform2d)
+  world.registerComponent('collider', PhysicsComponents.Collider)
+  world.registerComponent('health', Health)
+  world.registerComponent('building', Building)
+
+  return world
+}
+
+/**
+ * Returns the options to check the placement of a building with.
+ * @param {Partial<import('../../lib/game/systems/building').CheckPlacementOpts>} opts
+ * @returns {import('../../lib/game/systems/building').CheckPlacementOpts}
+ */
+function placementOpts (opts) {
+  return {
+    team: 'one',
+    size: TEST_BUILDING_DATA.size,
+    worldLimits: { x: 2000, y: 2000 },
+    obstacles: [],
+    spawnPosition: { x: 0, y: 0 },
+    territoryRadius: 500,
+    ...opts
+  }
+}
+
+describe('The building systems,', () => {
+  it('should be able to add an entity with building components', () => {
+    const world = setUpForBuildings()
+
+    BuildingSystems.addBuildingTo(world, {
+      id: 'building-1',
+      type: 'barracks',
+      owner: 'player',
+      team: 'one',
+      position: { x: 100, y: 100 },
+      data: TEST_BUILDING_DATA
+    })
+
+    const [{ entity, component: building }] = Array.from(world.allInstancesOf('building'))
+    const collider = world.getComponent('collider', { from: entity })
+
+    expect(building.buildTime).toBe(10000)
+    expect(building.progress).toBe(0)
+    expect(building.stage).toBe('constructing1')
+    expect(collider.shape).toBe('aabb')
+    expect(collider.isStatic).toBeTrue()
+  })
+
+  it('should not allow buildings outside of the world', () => {
+    const world = setUpForBuildings()
+
+    expect(BuildingSystems.checkPlacement(world, placementOpts({
+      position: { x: 20, y: 100 }
+    }))).toBe('out-of-bounds')
+  })
+
+  it('should not allow buildings on obstacles or other buildings', () => {
+    const world = setUpForBuildings()
+    const obstacles = [{ left: 200, top: 0, right: 220, bottom: 400 }]
+
+    BuildingSystems.addBuildingTo(world, {
+      id: 'building-1',
+      type: 'barracks',
+      owner: 'player',
+      team: 'one',
+      position: { x: 100, y: 100 },
+      data: TEST_BUILDING_DATA
+    })
+
+    expect(BuildingSystems.checkPlacement(world, placementOpts({
+      position: { x: 250, y: 100 }, obstacles
+    }))).toBe('blocked')
+    expect(BuildingSystems.checkPlacement(world, placementOpts({
+      position: { x: 150, y: 150 }, obstacles
+    }))).toBe('blocked')
+    expect(BuildingSystems.checkPlacement(world, placementOpts({
+      position: { x: 100, y: 300 }, obstacles
+    }))).toBeNull()
+  })
+
+  it("should only allow buildings within the team's territory", () => {
+    const world = setUpForBuildings()
+
+    expect(BuildingSystems.checkPlacement(world, placementOpts({
+      position: { x: 800, y: 100 }
+    }))).toBe('outside-territory')
+
+    BuildingSystems.addBuildingTo(world, {
+      id: 'building-1',
+      type: 'barracks',
+      owner: 'player',
+      team: 'one',
+      position: { x: 450, y: 100 },
+      data: TEST_BUILDING_DATA
+    })
+
+    // Unfinished buildings do not extend territory.
+    expect(BuildingSystems.checkPlacement(world, placementOpts({
+      position: { x: 800, y: 100 }
+    }))).toBe('outside-territory')
+
+    BuildingSystems.processConstruction(world, { deltaTime: 10000 })
+
+    expect(BuildingSystems.checkPlacement(world, placementOpts({
+      position: { x: 800, y: 100 }
+    }))).toBeNull()
+    expect(BuildingSystems.checkPlacement(world, placementOpts({
+      team: 'two', position: { x: 800, y: 100 }
+    }))).toBe('outside-territory')
+  })
+
+  it('should progress construction and update building stages', () => {
+    const world = setUpForBuildings()
+
+    BuildingSystems.addBuildingTo(world, {
+      id: 'building-1',
+      type: 'barracks',
+      owner: 'player',
+      team: 'one',
+      position: { x: 100, y: 100 },
+      data: TEST_BUILDING_DATA
+    })
+
+    const [{ entity, component: building }] = Array.from(world.allInstancesOf('building'))
+    const health = world.getComponent('health', { from: entity })
+
+    BuildingSystems.processConstruction(world, { deltaTime: 5000 })
+    expect(building.progress).toBe(0.5)
+    expect(building.stage).toBe('constructing1')
+
+    BuildingSystems.processConstruction(world, { deltaTime: 6000 })
+    expect(building.progress).toBe(1)
+    expect(building.stage).toBe('main')
+
+    expect(health.hitPoints).toBe(300)
+
+    health.hitPoints = 150
+    BuildingSystems.processConstruction(world, { deltaTime: 100 })
+    expect(building.stage).toBe('damaged1')
+
+    health.hitPoints = 50
+    BuildingSystems.processConstruction(world, { deltaTime: 100 })
+    expect(building.stage).toBe('damaged2')
+  })
+})
@@ -0,0 +1,161 @@
+/* eslint-env jasmine */
+/**
+ * @fileoverview Specs for the collision systems.
+ */
+/**
+ * @typedef {import('jasmine')} jasmine
+ */
+
+import World from 'colonialwars-lib/ecs'
+import * as PhysicsComponents from '../../lib/game/components/physics.js'
+import * as CollisionSystems from '../../lib/game/systems/collision.js'
+
+import { Vector2D } from 'colonialwars-lib/math'
+
+const WORLD_LIMITS = { x: 1000, y: 1000 }
+
+/**
+ * Creates an ECS world with all the components needed for collisions.
+ * @returns {World}
+ */
+function createWorld () {
+  const world = new World()
+
+  world.registerComponent('physicalProps', PhysicsComponents.PhysicalProps)
+  world.registerComponent('transform2d', PhysicsComponents.Transform2d)
+  world.registerComponent('collider', PhysicsComponents.Collider)
+
+  return world
+}
+
+/**
+ * Adds a body to an ECS world, and returns its position.
+ * @param {World} world The ECS world.
+ * @param {Object} opts Options.
+ * @param {import('colonialwars-lib/math').Vector2DLike} opts.position
+ * @param {import('../../lib/game/components/physics').ColliderOpts} opts.collider
+ * @param {number} [opts.mass]
+ * @returns {InstanceType<Vector2D>}
+ */
+function addBody (world, opts) {
+  const entity = world.create()
+
+  world.addComponent('transform2d', {
+    to: entity,
+    opts: { position: opts.position }
+  })
+  world.addComponent('collider', {
+    to: entity,
+    opts: opts.collider
+  })
+  if (!opts.collider.isStatic) {
+    world.addComponent('physicalProps', {
+      to: entity,
+      opts: { mass: opts.mass, speed: 0 }
+    })
+  }
+
+  return world.getComponent('transform2d', { from: entity }).position
+}
+
+describe('The collision systems,', () => {
+  it('should not accept unknown collider shapes', () => {
+    expect(() => {
+      return new PhysicsComponents.Collider({ shape: 'triangle' })
+    }).toThrowError(TypeError)
+  })
+
+  it('should push overlapping circles of equal mass apart equally', () => {
+    const world = createWorld()
+    const a = addBody(world, {
+      position: { x: 100, y: 100 }, collider: { shape: 'circle', radius: 20 }, mass: 2
+    })
+    const b = addBody(world, {
+      position: { x: 130, y: 100 }, collider: { shape: 'circle', radius: 20 }, mass: 2
+    })
+
+    CollisionSystems.resolveCollisions(world, { worldLimits: WORLD_LIMITS })
+
+    expect(a).toEqual(new Vector2D(95, 100))
+    expect(b).toEqual(new Vector2D(135, 100))
+  })
+
+  it('should move lighter bodies further than heavier ones', () => {
+    const world = createWorld()
+    const light = addBody(world, {
+      position: { x: 100, y: 100 }, collider: { shape: 'circle', radius: 20 }, mass: 1
+    })
+    const heavy = addBody(world, {
+      position: { x: 100, y: 130 }, collider: { shape: 'circle', radius: 20 }, mass: 4
+    })
+
+    CollisionSystems.resolveCollisions(world, { worldLimits: WORLD_LIMITS })
+
+    expect(light).toEqual(new Vector2D(100, 92))
+    expect(heavy).toEqual(new Vector2D(100, 132))
+  })
+
+  it('should never move static bodies', () => {
+    const world = createWorld()
+    const wall = addBody(world, {
+      position: { x: 200, y: 200 },
+      collider: { shape: 'aabb', size: { x: 100, y: 100 }, isStatic: true }
+    })
+    const player = addBody(world, {
+      position: { x: 140, y: 200 }, collider: { shape: 'circle', radius: 20 }, mass: 2
+    })
+
+    CollisionSystems.resolveCollisions(world, { worldLimits: WORLD_LIMITS })
+
+    expect(wall).toEqual(new Vector2D(200, 200))
+    expect(player).toEqual(new Vector2D(130, 200))
+  })
+
+  it('should push circles out of boxes they are inside of', () => {
+    const world = createWorld()
+
+    addBody(world, {
+      position: { x: 200, y: 200 },
+      collider: { shape: 'aabb', size: { x: 100, y: 100 }, isStatic: true }
+    })
+    const player = addBody(world, {
+      position: { x: 200, y: 240 }, collider: { shape: 'circle', radius: 20 }, mass: 2
+    })
+
+    CollisionSystems.resolveCollisions(world, { worldLimits: WORLD_LIMITS })
+
+    expect(player).toEqual(new Vector2D(200, 270))
+  })
+
+  it('should not move bodies that are not touching', () => {
+    const world = createWorld()
+    const a = addBody(world, {
+      position: { x: 100, y: 100 }, collider: { shape: 'circle', radius: 20 }, mass: 2
+    })
+    const b = addBody(world, {
+      position: { x: 140, y: 100 }, collider: { shape: 'aabb', size: { x: 40, y: 40 } }, mass: 2
+    })
+
+    CollisionSystems.resolveCollisions(world, { worldLimits: WORLD_LIMITS })
+
+    expect(a).toEqual(new Vector2D(100, 100))
+    expect(b).toEqual(new Vector2D(140, 100))
+  })
+
+  it('should keep bodies inside the world', () => {
+    const world = createWorld()
+
+    addBody(world, {
+      position: { x: 20, y: 0 },
+      collider: { shape: 'aabb', size: { x: 40, y: 40 }, isStatic: true }
+    })
+    const player = addBody(world, {
+      position: { x: 0, y: 0 }, collider: { shape: 'circle', radius: 20 }, mass: 2
+    })
+
+    CollisionSystems.resolveCollisions(world, { worldLimits: WORLD_LIMITS })
+
+    expect(player.x).toBeGreaterThanOrEqual(0)
+    expect(player.y).toBeGreaterThanOrEqual(0)
+  })
+})
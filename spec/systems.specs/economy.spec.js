@@ -0,0 +1,111 @@
+/* eslint-env jasmine */
+/**
+ * @fileoverview Specs for economy systems.
+ */
+/**
+ * @typedef {import('jasmine')} jasmine
+ */
+
+import World from 'colonialwars-lib/ecs'
+import Building from '../../lib/game/components/building.js'
+import * as PhysicsComponents from '../../lib/game/components/physics.js'
+import * as MapObjectComponents from '../../lib/game/components/map-objects.js'
+
+import * as EconomySystems from '../../lib/game/systems/economy.js'
+
+/**
+ * Creates an ECS world with a resource node for economy specs.
+ * @returns {World}
+ */
+function createWorldWithNode () {
+  const world = new World()
+
+  world.registerComponent('transform2d', PhysicsComponents.Transform2d)
+  world.registerComponent('resourceNode', MapObjectComponents.ResourceNode)
+  world.registerComponent('building', Building)
+
+  EconomySystems.addResourceNodeTo(world, {
+    position: { x: 100, y: 100 },
+    resource: 'gold',
+    income: 10,
+    radius: 50,
+    img: 'gold_mine'
+  })
+
+  return world
+}
+
+/**
+ * Adds a building to a world.
+ * @param {World} world The world to add the building to.
+ * @param {string} team The team that owns the building.
+ * @param {import('colonialwars-lib/math').Vector2DLike} position
+ * @param {boolean} finished Whether the building is finished.
+ */
+function addBuilding (world, team, position, finished) {
+  const entity = world.create()
+
+  world.addComponent('transform2d', { to: entity, opts: { position } })
+  world.addComponent('building', {
+    to: entity,
+    opts: {
+      id: `building-${entity}`,
+      type: 'camp',
+      owner: 'player',
+      team,
+      size: { x: 10, y: 10 },
+      buildTime: 1000,
+      territoryRadius: 0
+    }
+  })
+  world.getComponent('building', { from: entity }).progress = finished ? 1 : 0
+}
+
+describe('The economy systems,', () => {
+  it('should give teams their base income', () => {
+    const world = createWorldWithNode()
+    const income = EconomySystems.collectIncome(world, {
+      teams: ['one', 'two'],
+      baseIncome: { gold: 5 }
+    })
+
+    expect(income.get('one')).toEqual({ gold: 5 })
+    expect(income.get('two')).toEqual({ gold: 5 })
+  })
+
+  it('should give node income to the team with a finished building nearby', () => {
+    const world = createWorldWithNode()
+
+    addBuilding(world, 'one', { x: 120, y: 120 }, true)
+    addBuilding(world, 'two', { x: 90, y: 90 }, false)
+
+    const income = EconomySystems.collectIncome(world, {
+      teams: ['one', 'two'],
+      baseIncome: { gold: 5 }
+    })
+
+    expect(income.get('one')).toEqual({ gold: 15 })
+    expect(income.get('two')).toEqual({ gold: 5 })
+  })
+
+  it('should not give node income to anyone if the node is contested', () => {
+    const world = createWorldWithNode()
+
+    addBuilding(world, 'one', { x: 120, y: 120 }, true)
+    addBuilding(world, 'two', { x: 90, y: 90 }, true)
+
+    const controllers = EconomySystems.findNodeControllers(world)
+
+    expect(Array.from(controllers.values())).toEqual([null])
+  })
+
+  it('should only spend resources that could be afforded', () => {
+    const stockpile = { gold: 100, wood: 20 }
+
+    expect(EconomySystems.canAfford(stockpile, { gold: 50, wood: 20 })).toBeTrue()
+    expect(EconomySystems.spend(stockpile, { gold: 50, wood: 30 })).toBeFalse()
+    expect(stockpile).toEqual({ gold: 100, wood: 20 })
+    expect(EconomySystems.spend(stockpile, { gold: 50, stone: 0 })).toBeTrue()
+    expect(stockpile).toEqual({ gold: 50, wood: 20, stone: 0 })
+  })
+})
@@ -0,0 +1,95 @@
+/* eslint-env jasmine */
+/**
+ * @fileoverview Specs for health systems.
+ */
+/**
+ * @typedef {import('jasmine')} jasmine
+ */
+
+import World from 'colonialwars-lib/ecs'
+import Unit from '../../lib/game/components/unit.js'
+import Building from '../../lib/game/components/building.js'
+import Health from '../../lib/game/components/health.js'
+import Player from '../../lib/game/components/player.js'
+
+import * as HealthSystems from '../../lib/game/systems/health.js'
+
+/**
+ * Creates an ECS world with a player, a unit, and a building for health specs.
+ * @returns {{ world: World, player: any, unit: any, building: any }}
+ */
+function createWorld () {
+  const world = new World()
+
+  world.registerComponent('health', Health)
+  world.registerComponent('player', Player)
+  world.registerComponent('unit', Unit)
+  world.registerComponent('building', Building)
+
+  const player = world.create()
+  const unit = world.create()
+  const building = world.create()
+
+  world.addComponent('health', { to: player, opts: { hitPoints: 100 } })
+  world.addComponent('player', {
+    to: player,
+    opts: { id: 'player', name: 'player', team: 'one' }
+  })
+  world.addComponent('health', { to: unit, opts: { hitPoints: 10 } })
+  world.addComponent('unit', {
+    to: unit,
+    opts: { id: 'unit-1', type: 'infantry', owner: 'player', team: 'one' }
+  })
+  world.addComponent('health', { to: building, opts: { hitPoints: 300 } })
+  world.addComponent('building', {
+    to: building,
+    opts: { id: 'building-1', type: 'camp', owner: 'player', team: 'one' }
+  })
+
+  return { world, player, unit, building }
+}
+
+describe('The health systems,', () => {
+  it('should find all the players, units, and buildings that could be damaged', () => {
+    const { world, player, unit, building } = createWorld()
+    const targets = HealthSystems.findTargets(world)
+
+    expect(targets.get('player')).toEqual({
+      entity: player, kind: 'player', team: 'one', owner: 'player'
+    })
+    expect(targets.get('unit-1')).toEqual({
+      entity: unit, kind: 'unit', team: 'one', owner: 'player'
+    })
+    expect(targets.get('building-1')).toEqual({
+      entity: building, kind: 'building', team: 'one', owner: 'player'
+    })
+  })
+
+  it('should deal damage and report kills only once', () => {
+    const { world, unit } = createWorld()
+
+    expect(HealthSystems.applyDamage(world, { target: unit, amount: 4 })).toBeFalse()
+    expect(world.getComponent('health', { from: unit }).hitPoints).toBe(6)
+    expect(HealthSystems.applyDamage(world, { target: unit, amount: 40 })).toBeTrue()
+    expect(world.getComponent('health', { from: unit }).hitPoints).toBe(0)
+    expect(HealthSystems.isDead(world, unit)).toBeTrue()
+    expect(HealthSystems.applyDamage(world, { target: unit, amount: 40 })).toBeFalse()
+  })
+
+  it('should find dead entities that are due to respawn, and revive them', () => {
+    const { world, player, unit } = createWorld()
+
+    HealthSystems.applyDamage(world, { target: player, amount: 100 })
+    HealthSystems.applyDamage(world, { target: unit, amount: 10 })
+    world.getComponent('health', { from: player }).respawnTime = 5000
+
+    expect(HealthSystems.findRespawning(world, 4999)).toEqual([])
+    expect(HealthSystems.findRespawning(world, 5000)).toEqual([player])
+
+    HealthSystems.revive(world, player)
+
+    expect(world.getComponent('health', { from: player })).toEqual(jasmine.objectContaining({
+      hitPoints: 100, dead: false, respawnTime: null
+    }))
+  })
+})
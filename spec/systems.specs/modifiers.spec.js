@@ -0,0 +1,139 @@
+/* eslint-env jasmine */
+/**
+ * @fileoverview Specs for modifier systems.
+ */
+/**
+ * @typedef {import('jasmine')} jasmine
+ */
+
+import World from 'colonialwars-lib/ecs'
+import Unit from '../../lib/game/components/unit.js'
+import Modifiers from '../../lib/game/components/modifiers.js'
+import * as PhysicsComponents from '../../lib/game/components/physics.js'
+
+import * as ModifierSystems from '../../lib/game/systems/modifiers.js'
+
+const SPEED_BOOST = {
+  name: 'Speed Boost',
+  description: '',
+  effects: [{ stat: 'speed', type: 'multiply', value: 2 }],
+  duration: 5,
+  stacking: 'refresh',
+  maxStacks: 1
+}
+const SHARPENED = {
+  name: 'Sharpened',
+  description: '',
+  effects: [{ stat: 'damage', type: 'add', value: 5 }],
+  stacking: 'stack',
+  maxStacks: 2
+}
+
+/**
+ * Creates an ECS world with a unit that could have modifiers.
+ * @returns {{ world: World, entity: any }}
+ */
+function createWorldWithUnit () {
+  const world = new World()
+
+  world.registerComponent('physicalProps', PhysicsComponents.PhysicalProps)
+  world.registerComponent('modifiers', Modifiers)
+  world.registerComponent('unit', Unit)
+
+  const entity = world.create()
+
+  world.addComponent('physicalProps', { to: entity, opts: { mass: 1, speed: 1 } })
+  world.addComponent('modifiers', { to: entity, opts: { base: { speed: 1, damage: 10 } } })
+  world.addComponent('unit', {
+    to: entity,
+    opts: { id: 'unit-1', type: 'infantry', owner: 'player', team: 'one', damage: 10 }
+  })
+
+  return { world, entity }
+}
+
+describe('The modifier systems,', () => {
+  it('should apply modifiers to stats, and remove them when they expire', () => {
+    const { world, entity } = createWorldWithUnit()
+    const props = world.getComponent('physicalProps', { from: entity })
+
+    ModifierSystems.addModifierTo(world, {
+      entity, id: 'speed_boost', data: SPEED_BOOST, currentTime: 0
+    })
+    ModifierSystems.processModifiers(world, { currentTime: 100 })
+
+    expect(props.speed).toBe(2)
+    expect(world.getComponent('modifiers', { from: entity }).modifiers).toEqual([
+      { id: 'speed_boost', stacks: 1, expiresAt: 5000 }
+    ])
+
+    ModifierSystems.processModifiers(world, { currentTime: 5000 })
+
+    expect(props.speed).toBe(1)
+    expect(world.getComponent('modifiers', { from: entity }).modifiers).toEqual([])
+  })
+
+  it('should refresh the duration of modifiers that are applied again', () => {
+    const { world, entity } = createWorldWithUnit()
+
+    ModifierSystems.addModifierTo(world, {
+      entity, id: 'speed_boost', data: SPEED_BOOST, currentTime: 0
+    })
+    ModifierSystems.addModifierTo(world, {
+      entity, id: 'speed_boost', data: SPEED_BOOST, currentTime: 3000
+    })
+    ModifierSystems.processModifiers(world, { currentTime: 6000 })
+
+    expect(world.getComponent('physicalProps', { from: entity }).speed).toBe(2)
+    expect(world.getComponent('modifiers', { from: entity }).modifiers).toEqual([
+      { id: 'speed_boost', stacks: 1, expiresAt: 8000 }
+    ])
+  })
+
+  it('should stack modifiers up to their maximum stacks', () => {
+    const { world, entity } = createWorldWithUnit()
+    const add = () => ModifierSystems.addModifierTo(world, {
+      entity, id: 'sharpened', data: SHARPENED, currentTime: 0
+    })
+
+    add()
+    add()
+    add()
+    ModifierSystems.processModifiers(world, { currentTime: 100 })
+
+    expect(world.getComponent('unit', { from: entity }).damage).toBe(20)
+    expect(world.getComponent('modifiers', { from: entity }).modifiers).toEqual([
+      { id: 'sharpened', stacks: 2, expiresAt: null }
+    ])
+  })
+
+  it('should not reapply modifiers that ignore stacking', () => {
+    const { world, entity } = createWorldWithUnit()
+    const data = { ...SPEED_BOOST, stacking: 'ignore' }
+
+    expect(ModifierSystems.addModifierTo(world, {
+      entity, id: 'speed_boost', data, currentTime: 0
+    })).toBeTrue()
+    expect(ModifierSystems.addModifierTo(world, {
+      entity, id: 'speed_boost', data, currentTime: 3000
+    })).toBeFalse()
+    expect(world.getComponent('modifiers', { from: entity }).modifiers).toEqual([
+      { id: 'speed_boost', stacks: 1, expiresAt: 5000 }
+    ])
+  })
+
+  it('should be able to remove modifiers', () => {
+    const { world, entity } = createWorldWithUnit()
+
+    ModifierSystems.addModifierTo(world, {
+      entity, id: 'sharpened', data: SHARPENED, currentTime: 0
+    })
+
+    expect(ModifierSystems.removeModifierFrom(world, entity, 'sharpened')).toBeTrue()
+    expect(ModifierSystems.removeModifierFrom(world, entity, 'sharpened')).toBeFalse()
+
+    ModifierSystems.processModifiers(world, { currentTime: 100 })
+
+    expect(world.getComponent('unit', { from: entity }).damage).toBe(10)
+  })
+})
@@ -9,6 +9,8 @@
 import { Vector2D } from 'colonialwars-lib/math'
 import World from 'colonialwars-lib/ecs'
 import Player from '../../lib/game/components/player.js'
+import Health from '../../lib/game/components/health.js'
+import Modifiers from '../../lib/game/components/modifiers.js'
 import * as PhysicsComponents from '../../lib/game/components/physics.js'
 
 import * as PlayerSystems from '../../lib/game/systems/player.js'
@@ -19,6 +21,8 @@ const TEST_PLAYERS = [
     team: 'one',
     speed: 1,
     mass: 1,
+    radius: 10,
+    hitPoints: 100,
     position: { x: 0, y: 0 }
   },
   {
@@ -26,6 +30,8 @@ const TEST_PLAYERS = [
     team: 'two',
     speed: 1,
     mass: 1,
+    radius: 10,
+    hitPoints: 100,
     position: { x: 0, y: 0 }
   },
   {
@@ -33,6 +39,8 @@ const TEST_PLAYERS = [
     team: 'one',
     speed: 1,
     mass: 1,
+    radius: 10,
+    hitPoints: 100,
     position: { x: 0, y: 0 }
   },
   {
@@ -40,6 +48,8 @@ const TEST_PLAYERS = [
     team: 'two',
     speed: 1,
     mass: 1,
+    radius: 10,
+    hitPoints: 100,
     position: { x: 0, y: 0 }
   }
 ]
@@ -66,6 +76,9 @@ function setUpForInput () {
   world.registerComponent('transform2d', PhysicsComponents.Transform2d)
   world.registerComponent('velocity2d', PhysicsComponents.Velocity2d)
   world.registerComponent('player', Player)
+  world.registerComponent('collider', PhysicsComponents.Collider)
+  world.registerComponent('health', Health)
+  world.registerComponent('modifiers', Modifiers)
 
   return world
 }
@@ -76,6 +89,9 @@ describe('The player systems,', () => {
     const MockTransform2d = createMockComponent()
     const MockVelocity2d = createMockComponent()
     const MockPlayer = createMockComponent()
+    const MockCollider = createMockComponent()
+    const MockHealth = createMockComponent()
+    const MockModifiers = createMockComponent()
 
     const world = new World()
 
@@ -83,6 +99,9 @@ describe('The player systems,', () => {
     world.registerComponent('transform2d', MockTransform2d)
     world.registerComponent('velocity2d', MockVelocity2d)
     world.registerComponent('player', MockPlayer)
+    world.registerComponent('collider', MockCollider)
+    world.registerComponent('health', MockHealth)
+    world.registerComponent('modifiers', MockModifiers)
 
     PlayerSystems.addPlayerTo(world, {
       id: '1',
@@ -90,6 +109,8 @@ describe('The player systems,', () => {
       team: 'teal',
       speed: 2,
       mass: 2,
+      radius: 20,
+      hitPoints: 100,
       position: { x: 0, y: 0 }
     })
 
@@ -104,15 +125,21 @@ describe('The player systems,', () => {
 
     const comps = Array.from(world.allComponentsOf(playerEntity))
 
-    expect(comps).toHaveSize(4)
+    expect(comps).toHaveSize(7)
 
     comps.forEach(comp => {
       const isPhysicalProps = comp instanceof MockPhysicalProps
       const isTransform2d = comp instanceof MockTransform2d
       const isVelocity2d = comp instanceof MockVelocity2d
       const isPlayer = comp instanceof MockPlayer
+      const isCollider = comp instanceof MockCollider
+      const isHealth = comp instanceof MockHealth
+      const isModifiers = comp instanceof MockModifiers
 
-      expect(isPhysicalProps || isTransform2d || isVelocity2d || isPlayer).toBeTrue()
+      expect(
+        isPhysicalProps || isTransform2d || isVelocity2d || isPlayer ||
+        isCollider || isHealth || isModifiers
+      ).toBeTrue()
 
       if (isPhysicalProps) {
         expect(comp.opts).toEqual({
@@ -135,6 +162,18 @@ describe('The player systems,', () => {
           team: 'teal'
         })
       }
+      if (isCollider) {
+        expect(comp.opts).toEqual({
+          shape: 'circle',
+          radius: 20
+        })
+      }
+      if (isHealth) {
+        expect(comp.opts).toEqual({ hitPoints: 100 })
+      }
+      if (isModifiers) {
+        expect(comp.opts).toEqual({ base: { speed: 2 } })
+      }
     })
   })
 
@@ -396,5 +435,89 @@ describe('The player systems,', () => {
       expect(transform.position.x).toBe(220)
       expect(transform.position.y).toBe(100)
     })
+
+    it('should replay late inputs at the time they happened', () => {
+      const world = setUpForInput()
+      const player = TEST_PLAYERS[1]
+
+      PlayerSystems.addPlayerTo(world, {
+        ...player,
+        id: 1
+      })
+
+      const playerEntity = world.query().with('player').find(e => {
+        return world.getComponent('player', { from: e }).id === 1
+      }).one()
+      const info = world.getComponent('player', { from: playerEntity })
+      const transform = world.getComponent('transform2d', { from: playerEntity })
+
+      world.getComponent('velocity2d', { from: playerEntity }).velocity = new Vector2D(1, 0)
+      PlayerSystems.processInputs(world, {
+        currentTime: 100,
+        worldLimits: new Vector2D(Infinity, Infinity)
+      })
+
+      expect(transform.position.x).toBe(100)
+
+      // This input happened 50ms ago, but only arrived now.
+      info.inputQueue.push({
+        inputNum: 1,
+        timestamp: 50,
+        direction: { down: true }
+      })
+      // This one happened before the last input, so it can't be replayed.
+      info.inputQueue.push({
+        inputNum: 2,
+        timestamp: 10,
+        direction: { up: true }
+      })
+      PlayerSystems.processInputs(world, {
+        currentTime: 150,
+        maxRewind: 60,
+        worldLimits: new Vector2D(Infinity, Infinity)
+      })
+
+      expect(transform.position.x).toBe(50)
+      expect(transform.position.y).toBe(100)
+      expect(info.lastProcessedInput).toBe(1)
+    })
+
+    it('should replay late inputs from where the player really was', () => {
+      const world = setUpForInput()
+      const player = TEST_PLAYERS[1]
+      const opts = {
+        worldLimits: new Vector2D(Infinity, Infinity),
+        obstacles: [{ left: 50, right: 100, top: -10, bottom: 10 }]
+      }
+
+      PlayerSystems.addPlayerTo(world, {
+        ...player,
+        id: 1
+      })
+
+      const playerEntity = world.query().with('player').find(e => {
+        return world.getComponent('player', { from: e }).id === 1
+      }).one()
+      const info = world.getComponent('player', { from: playerEntity })
+      const transform = world.getComponent('transform2d', { from: playerEntity })
+
+      world.getComponent('velocity2d', { from: playerEntity }).velocity = new Vector2D(1, 0)
+      PlayerSystems.processInputs(world, { ...opts, currentTime: 100 })
+
+      // The player is pinned against the obstacle.
+      expect(transform.position.x).toBe(50)
+
+      // This input happened while the player was pinned, but only arrived now.
+      info.inputQueue.push({
+        inputNum: 1,
+        timestamp: 90,
+        direction: { down: true }
+      })
+      PlayerSystems.processInputs(world, { ...opts, currentTime: 150, maxRewind: 60 })
+
+      expect(transform.position.x).toBe(50)
+      expect(transform.position.y).toBe(60)
+      expect(info.lastProcessedInput).toBe(1)
+    })
   })
 })
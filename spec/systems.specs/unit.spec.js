@@ -0,0 +1,268 @@
+/* eslint-env jasmine */
+/**
+ * @fileoverview Specs for unit systems.
+ */
+/**
+ * @typedef {import('jasmine')} jasmine
+ */
+
+import World from 'colonialwars-lib/ecs'
+import Unit from '../../lib/game/components/unit.js'
+import Health from '../../lib/game/components/health.js'
+import Player from '../../lib/game/components/player.js'
+import Building from '../../lib/game/components/building.js'
+import Modifiers from '../../lib/game/components/modifiers.js'
+import * as PhysicsComponents from '../../lib/game/components/physics.js'
+
+import * as UnitSystems from '../../lib/game/systems/unit.js'
+import * as HealthSystems from '../../lib/game/systems/health.js'
+
+const TEST_UNIT_DATA = {
+  name: 'Infantry',
+  description: '',
+  img: 'infantry_img',
+  speed: 0.1,
+  mass: 1,
+  radius: 10,
+  hitPoints: 20,
+  damage: 10,
+  attackRange: 50,
+  attackCooldown: 1
+}
+
+/**
+ * Sets a world up for unit specs.
+ * @returns {World}
+ */
+function setUpForUnits () {
+  const world = new World()
+
+  world.registerComponent('physicalProps', PhysicsComponents.PhysicalProps)
+  world.registerComponent('transform2d', PhysicsComponents.Transform2d)
+  world.registerComponent('velocity2d', PhysicsComponents.Velocity2d)
+  world.registerComponent('collider', PhysicsComponents.Collider)
+  world.registerComponent('health', Health)
+  world.registerComponent('modifiers', Modifiers)
+  world.registerComponent('unit', Unit)
+  world.registerComponent('player', Player)
+  world.registerComponent('building', Building)
+
+  return world
+}
+
+/**
+ * Adds a unit to a world, and returns its entity.
+ * @param {World} world The world to add the unit to.
+ * @param {Partial<import('../../lib/game/systems/unit').AddUnitOpts>} opts
+ * @returns {import('../../lib/ecs/world').EntityType}
+ */
+function addTestUnit (world, opts) {
+  UnitSystems.addUnitTo(world, {
+    type: 'infantry',
+    position: { x: 0, y: 0 },
+    data: TEST_UNIT_DATA,
+    ...opts
+  })
+
+  for (const { entity, component } of world.allInstancesOf('unit')) {
+    if (component.id === opts.id) {
+      return entity
+    }
+  }
+}
+
+/**
+ * Returns the position of an entity.
+ * @param {World} world
+ * @param {import('../../lib/ecs/world').EntityType} entity
+ */
+function positionOf (world, entity) {
+  const { x, y } = world.getComponent('transform2d', { from: entity }).position
+  return { x, y }
+}
+
+describe('The unit systems,', () => {
+  it('should be able to add an entity with unit components', () => {
+    const world = setUpForUnits()
+    const entity = addTestUnit(world, {
+      id: 'unit-1', owner: 'player', team: 'one', position: { x: 10, y: 20 }
+    })
+    const unit = world.getComponent('unit', { from: entity })
+
+    expect(world.numEntities).toBe(1)
+    expect(positionOf(world, entity)).toEqual({ x: 10, y: 20 })
+    expect(world.getComponent('collider', { from: entity }).radius).toBe(10)
+    expect(world.getComponent('health', { from: entity }).hitPoints).toBe(20)
+    expect(unit.attackCooldown).toBe(1000)
+    expect(unit.order).toEqual({ kind: 'stop' })
+  })
+
+  it('should only give orders to units owned by the player', () => {
+    const world = setUpForUnits()
+    const mine = addTestUnit(world, { id: 'unit-1', owner: 'player', team: 'one' })
+    const theirs = addTestUnit(world, { id: 'unit-2', owner: 'enemy', team: 'two' })
+
+    const ordered = UnitSystems.giveOrder(world, {
+      owner: 'player',
+      units: ['unit-1', 'unit-2', 'unit-3'],
+      order: { kind: 'move', target: { x: 100, y: 0 } }
+    })
+
+    expect(ordered).toBe(1)
+    expect(world.getComponent('unit', { from: mine }).order).toEqual({
+      kind: 'move', target: { x: 100, y: 0 }
+    })
+    expect(world.getComponent('unit', { from: theirs }).order).toEqual({ kind: 'stop' })
+  })
+
+  it('should be able to give attack orders against enemy players', () => {
+    const world = setUpForUnits()
+    addTestUnit(world, { id: 'unit-1', owner: 'player', team: 'one' })
+
+    const enemy = world.create()
+    world.addComponent('player', { to: enemy, opts: { id: 'enemy', name: 'enemy', team: 'two' } })
+
+    expect(UnitSystems.giveOrder(world, {
+      owner: 'player',
+      units: ['unit-1'],
+      order: { kind: 'attack', target: 'enemy' }
+    })).toBe(1)
+  })
+
+  it('should not give attack orders against units on the same team', () => {
+    const world = setUpForUnits()
+    addTestUnit(world, { id: 'unit-1', owner: 'player', team: 'one' })
+    addTestUnit(world, { id: 'unit-2', owner: 'friend', team: 'one' })
+
+    const ordered = UnitSystems.giveOrder(world, {
+      owner: 'player',
+      units: ['unit-1'],
+      order: { kind: 'attack', target: 'unit-2' }
+    })
+
+    expect(ordered).toBe(0)
+  })
+
+  it('should throw if an order is malformed', () => {
+    const world = setUpForUnits()
+    addTestUnit(world, { id: 'unit-1', owner: 'player', team: 'one' })
+
+    const badOrders = [
+      null,
+      { kind: 'dance' },
+      { kind: 'move' },
+      { kind: 'move', target: { x: 'a', y: 0 } },
+      { kind: 'attack', target: 1 }
+    ]
+
+    for (const order of badOrders) {
+      expect(() => {
+        UnitSystems.giveOrder(world, { owner: 'player', units: ['unit-1'], order })
+      }).toThrowError(TypeError)
+    }
+    expect(() => {
+      UnitSystems.giveOrder(world, { owner: 'player', units: 'unit-1', order: { kind: 'stop' } })
+    }).toThrowError(TypeError)
+  })
+
+  it('should move units to their target and stop them there', () => {
+    const world = setUpForUnits()
+    const entity = addTestUnit(world, { id: 'unit-1', owner: 'player', team: 'one' })
+
+    UnitSystems.giveOrder(world, {
+      owner: 'player',
+      units: ['unit-1'],
+      order: { kind: 'move', target: { x: 150, y: 0 } }
+    })
+    UnitSystems.processOrders(world, {
+      currentTime: 1000,
+      deltaTime: 1000,
+      worldLimits: { x: 1000, y: 1000 }
+    })
+
+    expect(positionOf(world, entity)).toEqual({ x: 100, y: 0 })
+
+    UnitSystems.processOrders(world, {
+      currentTime: 2000,
+      deltaTime: 1000,
+      worldLimits: { x: 1000, y: 1000 }
+    })
+
+    expect(positionOf(world, entity)).toEqual({ x: 150, y: 0 })
+    expect(world.getComponent('unit', { from: entity }).order).toEqual({ kind: 'stop' })
+  })
+
+  it('should make units chase and attack their targets', () => {
+    const world = setUpForUnits()
+    const attacker = addTestUnit(world, { id: 'unit-1', owner: 'player', team: 'one' })
+    const target = addTestUnit(world, {
+      id: 'unit-2', owner: 'enemy', team: 'two', position: { x: 140, y: 0 }
+    })
+    const step = currentTime => UnitSystems.processOrders(world, {
+      currentTime,
+      deltaTime: 500,
+      worldLimits: { x: 1000, y: 1000 }
+    })
+
+    UnitSystems.giveOrder(world, {
+      owner: 'player',
+      units: ['unit-1'],
+      order: { kind: 'attack', target: 'unit-2' }
+    })
+
+    // Too far away to attack, so the attacker should chase the target.
+    step(500)
+    expect(positionOf(world, attacker)).toEqual({ x: 50, y: 0 })
+    step(1000)
+    expect(positionOf(world, attacker)).toEqual({ x: 100, y: 0 })
+
+    // Within range; attack.
+    expect(step(1500)).toEqual([{ source: 'unit-1', target: 'unit-2', amount: 10 }])
+    expect(positionOf(world, attacker)).toEqual({ x: 100, y: 0 })
+
+    // Still cooling down.
+    expect(step(2000)).toEqual([])
+    expect(step(2500)).toHaveSize(1)
+
+    // Units stop attacking once their target is dead.
+    HealthSystems.applyDamage(world, { target, amount: 20 })
+    expect(step(3500)).toEqual([])
+    expect(world.getComponent('unit', { from: attacker }).order).toEqual({ kind: 'stop' })
+  })
+
+  it('should let units attack objectives of other teams', () => {
+    const world = setUpForUnits()
+    const attacker = addTestUnit(world, { id: 'unit-1', owner: 'player', team: 'one' })
+    const objectives = new Map([
+      ['keep', { position: { x: 100, y: 0 }, teams: ['two'] }],
+      ['camp', { position: { x: 0, y: 100 }, teams: ['one'] }]
+    ])
+    const step = (currentTime, objectives) => UnitSystems.processOrders(world, {
+      currentTime,
+      deltaTime: 500,
+      worldLimits: { x: 1000, y: 1000 },
+      objectives
+    })
+
+    expect(UnitSystems.giveOrder(world, {
+      owner: 'player',
+      units: ['unit-1'],
+      order: { kind: 'attack', target: 'camp' },
+      objectives
+    })).toBe(0)
+    expect(UnitSystems.giveOrder(world, {
+      owner: 'player',
+      units: ['unit-1'],
+      order: { kind: 'attack', target: 'keep' },
+      objectives
+    })).toBe(1)
+
+    expect(step(500, objectives)).toEqual([])
+    expect(positionOf(world, attacker)).toEqual({ x: 50, y: 0 })
+    expect(step(1000, objectives)).toEqual([{ source: 'unit-1', target: 'keep', amount: 10 }])
+
+    // Units stop attacking once the objective is gone.
+    expect(step(1500, new Map())).toEqual([])
+    expect(world.getComponent('unit', { from: attacker }).order).toEqual({ kind: 'stop' })
+  })
+})
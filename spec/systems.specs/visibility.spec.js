@@ -0,0 +1,96 @@
+/* eslint-env jasmine */
+/**
+ * @fileoverview Specs for the visibility systems.
+ */
+/**
+ * @typedef {import('jasmine')} jasmine
+ */
+
+import World from 'colonialwars-lib/ecs'
+import Unit from '../../lib/game/components/unit.js'
+import Player from '../../lib/game/components/player.js'
+import * as PhysicsComponents from '../../lib/game/components/physics.js'
+import * as VisibilitySystems from '../../lib/game/systems/visibility.js'
+
+/**
+ * Creates an ECS world with players at the specified positions.
+ * @param {Array<import('colonialwars-lib/math').Vector2DLike>} positions
+ * The positions of the players.
+ * @returns {{ world: World, entities: Array<import('../../lib/ecs/world').EntityType> }}
+ */
+function createWorldWithPlayers (positions) {
+  const world = new World()
+
+  world.registerComponent('transform2d', PhysicsComponents.Transform2d)
+  world.registerComponent('player', Player)
+  world.registerComponent('unit', Unit)
+
+  const entities = positions.map((position, i) => {
+    const entity = world.create()
+
+    world.addComponent('transform2d', { to: entity, opts: { position } })
+    world.addComponent('player', {
+      to: entity,
+      opts: { id: String(i), name: `player${i}`, team: 'one' }
+    })
+
+    return entity
+  })
+
+  return { world, entities }
+}
+
+describe('The findVisiblePlayers() system,', () => {
+  it('should only find players within the view radius', () => {
+    const { world, entities } = createWorldWithPlayers([
+      { x: 0, y: 0 },
+      { x: 60, y: 80 },
+      { x: 150, y: 0 }
+    ])
+
+    const visible = VisibilitySystems.findVisiblePlayers(world, { viewRadius: 100 })
+
+    expect(visible.get(entities[0])).toEqual([entities[1]])
+    expect(visible.get(entities[1])).toEqual([entities[0]])
+    expect(visible.get(entities[2])).toEqual([])
+  })
+
+  it('should let everyone see everyone with an infinite view radius', () => {
+    const { world, entities } = createWorldWithPlayers([
+      { x: 0, y: 0 },
+      { x: 5000, y: 5000 }
+    ])
+
+    const visible = VisibilitySystems.findVisiblePlayers(world, { viewRadius: Infinity })
+
+    expect(visible.get(entities[0])).toEqual([entities[1]])
+    expect(visible.get(entities[1])).toEqual([entities[0]])
+  })
+})
+
+describe('The findVisibleUnits() system,', () => {
+  it('should find nearby units and all of the player\'s own units', () => {
+    const { world, entities } = createWorldWithPlayers([{ x: 0, y: 0 }])
+    const units = [
+      { owner: '0', position: { x: 5000, y: 5000 } },
+      { owner: 'other', position: { x: 50, y: 0 } },
+      { owner: 'other', position: { x: 500, y: 0 } }
+    ].map(({ owner, position }, i) => {
+      const entity = world.create()
+
+      world.addComponent('transform2d', { to: entity, opts: { position } })
+      world.addComponent('unit', {
+        to: entity,
+        opts: { id: `unit-${i}`, type: 'infantry', owner, team: 'one' }
+      })
+
+      return entity
+    })
+
+    const visible = VisibilitySystems.findVisibleUnits(world, { viewRadius: 100 })
+
+    expect(visible.get(entities[0])).toHaveSize(2)
+    expect(visible.get(entities[0])).toContain(units[0])
+    expect(visible.get(entities[0])).toContain(units[1])
+  })
+})
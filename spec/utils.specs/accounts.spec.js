@@ -0,0 +1,114 @@
+/* eslint-env jasmine */
+/**
+ * @fileoverview Specs for registered player accounts.
+ */
+/**
+ * @typedef {import('jasmine')} jasmine
+ */
+
+import os from 'os'
+import path from 'path'
+import fs from 'fs/promises'
+
+import Accounts, {
+  FileAccountStore,
+  hashPassword,
+  verifyPassword,
+  parseCredentials
+} from '../../lib/accounts.js'
+
+describe('The password functions,', () => {
+  it('should hash passwords with a random salt', async () => {
+    const first = await hashPassword('hunter22')
+    const second = await hashPassword('hunter22')
+
+    expect(first).toMatch(/^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/)
+    expect(first).not.toBe(second)
+  })
+
+  it('should verify passwords against their hashes', async () => {
+    const hash = await hashPassword('hunter22')
+
+    expect(await verifyPassword('hunter22', hash)).toBeTrue()
+    expect(await verifyPassword('hunter23', hash)).toBeFalse()
+    expect(await verifyPassword('hunter22', 'md5$abc$def')).toBeFalse()
+  })
+
+  it('should reject malformed credentials', () => {
+    expect(parseCredentials({ name: ' Bob ', password: 'hunter22' })).toEqual({
+      name: 'Bob', password: 'hunter22'
+    })
+    expect(() => parseCredentials({ name: 'Bob', password: 'short' })).toThrowError(TypeError)
+    expect(() => parseCredentials({ name: '', password: 'hunter22' })).toThrowError(TypeError)
+    expect(() => parseCredentials(null)).toThrowError(TypeError)
+  })
+})
+
+describe('The Accounts class,', () => {
+  let dir = ''
+  let file = ''
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cw-accounts-'))
+    file = path.join(dir, 'accounts.json')
+  })
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true })
+  })
+
+  it('should register accounts and save them to the file', async () => {
+    const accounts = new Accounts({ store: new FileAccountStore(file), sessionMaxAge: 60000 })
+
+    expect(await accounts.register({ name: 'Bob', password: 'hunter22' })).toBeTrue()
+    expect(await accounts.register({ name: 'BOB', password: 'hunter23' })).toBeFalse()
+
+    const reloaded = new Accounts({ store: new FileAccountStore(file), sessionMaxAge: 60000 })
+    const saved = JSON.parse(await fs.readFile(file, 'utf-8'))
+
+    expect(await reloaded.isRegistered('bob')).toBeTrue()
+    expect(await reloaded.isRegistered('Alice')).toBeFalse()
+    expect(saved.bob.name).toBe('Bob')
+    expect(saved.bob.passwordHash).not.toContain('hunter22')
+  })
+
+  it('should give session tokens to players who log in', async () => {
+    const accounts = new Accounts({ store: new FileAccountStore(file), sessionMaxAge: 60000 })
+
+    await accounts.register({ name: 'Bob', password: 'hunter22' })
+
+    const token = await accounts.login({ name: 'bob', password: 'hunter22' })
+
+    expect(await accounts.login({ name: 'Bob', password: 'hunter23' })).toBeNull()
+    expect(await accounts.login({ name: 'Alice', password: 'hunter22' })).toBeNull()
+    expect(token).toMatch(/^[0-9a-f]{48}$/)
+    expect(accounts.owns(token, 'Bob')).toBeTrue()
+    expect(accounts.owns(token, 'Alice')).toBeFalse()
+    expect(accounts.owns(null, 'Bob')).toBeFalse()
+  })
+
+  it('should log out of the oldest sessions once an account has too many', async () => {
+    const accounts = new Accounts({ store: new FileAccountStore(file), sessionMaxAge: 60000 })
+
+    await accounts.register({ name: 'Bob', password: 'hunter22' })
+
+    const tokens = []
+    for (let i = 0; i < 6; i++) {
+      tokens.push(await accounts.login({ name: 'Bob', password: 'hunter22' }))
+    }
+
+    expect(accounts.owns(tokens[0], 'Bob')).toBeFalse()
+    expect(tokens.slice(1).every(token => accounts.owns(token, 'Bob'))).toBeTrue()
+  })
+
+  it('should forget sessions once they expire', async () => {
+    const accounts = new Accounts({ store: new FileAccountStore(file), sessionMaxAge: 60000 })
+
+    await accounts.register({ name: 'Bob', password: 'hunter22' })
+
+    const token = await accounts.login({ name: 'Bob', password: 'hunter22' })
+    accounts.sessions.del(token)
+    await accounts.login({ name: 'Bob', password: 'hunter22' })
+
+    expect(accounts._accountSessions.get('bob')).toHaveSize(1)
+  })
+})
@@ -0,0 +1,46 @@
+/* eslint-env jasmine */
+/**
+ * @fileoverview Specs for the functions that create and verify signed game
+ * authorization tokens.
+ */
+/**
+ * @typedef {import('jasmine')} jasmine
+ */
+
+import { createGameAuth, verifyGameAuth } from '../../lib/game-auth.js'
+
+const CLAIMS = { type: 'player', name: 'Hi', team: 'british', game: '1' }
+
+describe('The game authorization functions,', () => {
+  it('should create tokens that hold the claims', () => {
+    const token = createGameAuth(CLAIMS, 'secret', 60000)
+
+    expect(verifyGameAuth(token, ['secret'])).toEqual({
+      id: jasmine.stringMatching(/^[0-9a-f]{32}$/),
+      exp: jasmine.any(Number),
+      ...CLAIMS
+    })
+    expect(createGameAuth(CLAIMS, 'secret', 60000)).not.toBe(token)
+  })
+
+  it('should accept tokens signed with any of the secrets', () => {
+    const token = createGameAuth(CLAIMS, 'old-secret', 60000)
+
+    expect(verifyGameAuth(token, ['new-secret', 'old-secret'])).not.toBeNull()
+    expect(verifyGameAuth(token, ['new-secret'])).toBeNull()
+  })
+
+  it('should reject expired, tampered, or malformed tokens', () => {
+    const [payload, signature] = createGameAuth(CLAIMS, 'secret', 60000).split('.')
+    const tampered = Buffer.from(JSON.stringify({
+      ...JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8')),
+      team: 'french'
+    })).toString('base64url')
+
+    expect(verifyGameAuth(createGameAuth(CLAIMS, 'secret', -1), ['secret'])).toBeNull()
+    expect(verifyGameAuth(`${tampered}.${signature}`, ['secret'])).toBeNull()
+    expect(verifyGameAuth(`${payload}.`, ['secret'])).toBeNull()
+    expect(verifyGameAuth('garbage', ['secret'])).toBeNull()
+    expect(verifyGameAuth(null, ['secret'])).toBeNull()
+  })
+})
@@ -23,12 +23,30 @@ const defaults = {
   MAX_GAMES: 3,
   PLAYER_SPEED: 0.9,
   STARTING_GAME_NUM: 3,
+  IDLE_GAME_TIMEOUT: 300000,
   UPDATE_LOOP_FREQUENCY: 10,
+  TICK_RATE: 20,
+  VIEW_RADIUS: 1000,
+  MAX_QUEUED_INPUTS: 30,
+  CLIENT_ACTION_RATE_LIMIT: 60,
+  RECONNECT_GRACE_PERIOD: 30000,
+  CHAT_RATE_LIMIT: 2,
+  CHAT_MAX_LENGTH: 200,
+  CHAT_HISTORY_SIZE: 20,
   GAME_CONF_BASE_DIR: '/f/c',
   GAME_CONFS: [],
+  MAP_ROTATION: 'random',
+  MAP_WEIGHTS: {},
+  MAP_PLAYLIST: [],
+  WATCH_GAME_CONFS: true,
+  REPLAY_DIR: '',
   GAME_AUTH_SECRET: '11dev-game-auth-secret$$',
+  GAME_AUTH_ACCEPTED_SECRETS: [],
   AUTH_STORE_MAX_ENTRIES: 10000,
-  AUTH_STORE_MAX_ENTRY_AGE: 6000
+  AUTH_STORE_MAX_ENTRY_AGE: 6000,
+  ACCOUNTS_FILE: '',
+  ACCOUNT_SESSION_MAX_AGE: 86400000,
+  LOGIN_RATE_LIMIT: 10
 }
 
 describe('The ServerConfig class,', () => {
@@ -89,6 +107,25 @@ describe('The ServerConfig class,', () => {
     })
   })
 
+  it('should parse GAME_AUTH_ACCEPTED_SECRETS as a JSON array', () => {
+    const conf = new ServerConfig({
+      config: {
+        // This is how the secrets are set with environment variables.
+        GAME_AUTH_ACCEPTED_SECRETS: '["old-secret", "older-secret"]'
+      },
+      fallbacks: defaults
+    })
+
+    expect(conf.GAME_AUTH_ACCEPTED_SECRETS).toEqual(['old-secret', 'older-secret'])
+    expect(() => {
+      /* eslint-disable-next-line no-new */
+      new ServerConfig({
+        config: { GAME_AUTH_ACCEPTED_SECRETS: 'old-secret,older-secret' },
+        fallbacks: defaults
+      })
+    }).toThrowError(assert.AssertionError)
+  })
+
   it('should be read-only after construction', () => {
     function shouldThrow () {
       // Should probably do this on top of every file
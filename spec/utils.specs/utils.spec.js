@@ -6,12 +6,12 @@
 import * as utils from '../../lib/utils/utils.js'
 
 describe('The Colonial Wars basic utility object,', () => {
-  it('should have four properties', () => {
+  it('should have six properties', () => {
     const utilsLength = Object.keys(utils).length
 
-    expect(utilsLength).toBe(4)
+    expect(utilsLength).toBe(6)
   })
-  it('should have three functions, one symbol', () => {
+  it('should have five functions, one symbol', () => {
     const utilVals = Object.values(utils)
     let numFuncs = 0
     let numSymbols = 0
@@ -26,7 +26,7 @@ describe('The Colonial Wars basic utility object,', () => {
       }
     })
 
-    expect(numFuncs).toBe(3)
+    expect(numFuncs).toBe(5)
     expect(numSymbols).toBe(1)
   })
 
@@ -83,4 +83,30 @@ describe('The Colonial Wars basic utility object,', () => {
 
     expect(Object.keys(filteredEnv).every(key => !utils.isLowerCase(key))).toBe(true)
   })
+
+  it('should be able to create seeded random number generators', () => {
+    const first = utils.createRandom(1234)
+    const second = utils.createRandom(1234)
+    const other = utils.createRandom(4321)
+    const numbers = Array.from({ length: 5 }, () => first())
+
+    expect(numbers.every(n => n >= 0 && n < 1)).toBe(true)
+    expect(Array.from({ length: 5 }, () => second())).toEqual(numbers)
+    expect(Array.from({ length: 5 }, () => other())).not.toEqual(numbers)
+  })
+
+  it('should be able to create rate limiters', () => {
+    jasmine.clock().install()
+    jasmine.clock().mockDate(new Date(0))
+
+    const allowed = utils.createRateLimiter(2, 60000)
+
+    expect([allowed(), allowed(), allowed()]).toEqual([true, true, false])
+
+    jasmine.clock().tick(30000)
+
+    expect([allowed(), allowed()]).toEqual([true, false])
+
+    jasmine.clock().uninstall()
+  })
 })